@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "activation_payments" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "checkout_request_id" TEXT NOT NULL,
+    "merchant_request_id" TEXT,
+    "account_reference" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "phone_number" TEXT NOT NULL,
+    "status" "TransactionStatus" NOT NULL DEFAULT 'PENDING',
+    "mpesa_receipt_number" TEXT,
+    "result_code" INTEGER,
+    "result_desc" TEXT,
+    "transaction_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "completed_at" TIMESTAMP(3),
+
+    CONSTRAINT "activation_payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activation_payments_checkout_request_id_key" ON "activation_payments"("checkout_request_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activation_payments_merchant_request_id_key" ON "activation_payments"("merchant_request_id");
+
+-- CreateIndex
+CREATE INDEX "activation_payments_user_id_idx" ON "activation_payments"("user_id");
+
+-- CreateIndex
+CREATE INDEX "activation_payments_status_idx" ON "activation_payments"("status");
+
+-- CreateIndex
+CREATE INDEX "activation_payments_created_at_idx" ON "activation_payments"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "activation_payments" ADD CONSTRAINT "activation_payments_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "CallbackStatus" AS ENUM ('RECEIVED', 'PROCESSED', 'DUPLICATE', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "mpesa_callbacks" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "checkout_request_id" TEXT,
+    "merchant_request_id" TEXT,
+    "mpesa_receipt_number" TEXT,
+    "result_code" INTEGER,
+    "payload" JSONB NOT NULL,
+    "status" "CallbackStatus" NOT NULL DEFAULT 'RECEIVED',
+    "duplicate_of_id" TEXT,
+    "error" TEXT,
+    "received_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processed_at" TIMESTAMP(3),
+
+    CONSTRAINT "mpesa_callbacks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activation_payments_mpesa_receipt_number_key" ON "activation_payments"("mpesa_receipt_number");
+
+-- CreateIndex
+CREATE INDEX "mpesa_callbacks_checkout_request_id_idx" ON "mpesa_callbacks"("checkout_request_id");
+
+-- CreateIndex
+CREATE INDEX "mpesa_callbacks_mpesa_receipt_number_idx" ON "mpesa_callbacks"("mpesa_receipt_number");
+
+-- CreateIndex
+CREATE INDEX "mpesa_callbacks_status_idx" ON "mpesa_callbacks"("status");
+
+-- CreateIndex
+CREATE INDEX "mpesa_callbacks_received_at_idx" ON "mpesa_callbacks"("received_at");
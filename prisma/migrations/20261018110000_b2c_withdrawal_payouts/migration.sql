@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "mpesa_callbacks" ADD COLUMN     "conversation_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "conversation_id" TEXT,
+ADD COLUMN     "originator_conversation_id" TEXT,
+ADD COLUMN     "payout_result_code" INTEGER,
+ADD COLUMN     "payout_result_desc" TEXT;
+
+-- CreateIndex
+CREATE INDEX "mpesa_callbacks_conversation_id_idx" ON "mpesa_callbacks"("conversation_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_requests_conversation_id_key" ON "withdrawal_requests"("conversation_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_requests_originator_conversation_id_key" ON "withdrawal_requests"("originator_conversation_id");
@@ -0,0 +1,157 @@
+-- CreateEnum
+CREATE TYPE "LedgerAccountType" AS ENUM ('ASSET', 'LIABILITY', 'EQUITY', 'REVENUE', 'EXPENSE');
+
+-- CreateTable
+CREATE TABLE "ledger_accounts" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "LedgerAccountType" NOT NULL,
+    "user_id" TEXT,
+    "balance" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ledger_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "journal_entries" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "description" TEXT,
+    "user_id" TEXT,
+    "transaction_id" TEXT,
+    "reference" TEXT,
+    "metadata" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "journal_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "journal_lines" (
+    "id" TEXT NOT NULL,
+    "entry_id" TEXT NOT NULL,
+    "account_id" TEXT NOT NULL,
+    "debit" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "credit" DECIMAL(12,2) NOT NULL DEFAULT 0,
+
+    CONSTRAINT "journal_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_accounts_code_key" ON "ledger_accounts"("code");
+
+-- CreateIndex
+CREATE INDEX "ledger_accounts_user_id_idx" ON "ledger_accounts"("user_id");
+
+-- CreateIndex
+CREATE INDEX "ledger_accounts_type_idx" ON "ledger_accounts"("type");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_user_id_idx" ON "journal_entries"("user_id");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_type_idx" ON "journal_entries"("type");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_transaction_id_idx" ON "journal_entries"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_created_at_idx" ON "journal_entries"("created_at");
+
+-- CreateIndex
+CREATE INDEX "journal_lines_entry_id_idx" ON "journal_lines"("entry_id");
+
+-- CreateIndex
+CREATE INDEX "journal_lines_account_id_idx" ON "journal_lines"("account_id");
+
+-- AddForeignKey
+ALTER TABLE "journal_lines" ADD CONSTRAINT "journal_lines_entry_id_fkey" FOREIGN KEY ("entry_id") REFERENCES "journal_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "journal_lines" ADD CONSTRAINT "journal_lines_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "ledger_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: open the ledger with every user's current balances so it matches the User columns
+INSERT INTO "ledger_accounts" ("id", "code", "name", "type", "updated_at")
+VALUES
+    (gen_random_uuid()::text, 'system:opening_balances', 'Opening balances', 'EQUITY', CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'system:withdrawals_payable', 'Withdrawals awaiting payout', 'LIABILITY', CURRENT_TIMESTAMP);
+
+INSERT INTO "ledger_accounts" ("id", "code", "name", "type", "user_id", "updated_at")
+SELECT gen_random_uuid()::text, 'user:' || "id" || ':available', 'Available balance', 'LIABILITY', "id", CURRENT_TIMESTAMP
+FROM "users"
+WHERE "available_balance" <> 0;
+
+INSERT INTO "ledger_accounts" ("id", "code", "name", "type", "user_id", "updated_at")
+SELECT gen_random_uuid()::text, 'user:' || "id" || ':pending', 'Pending earnings', 'LIABILITY', "id", CURRENT_TIMESTAMP
+FROM "users"
+WHERE "pending_earnings" <> 0;
+
+INSERT INTO "journal_entries" ("id", "type", "description", "user_id", "metadata")
+SELECT
+    gen_random_uuid()::text,
+    'OPENING_BALANCE',
+    'Balances carried over when the ledger was introduced',
+    "id",
+    jsonb_build_object('totalEarned', "total_earned", 'totalWithdrawn', "total_withdrawn")
+FROM "users"
+WHERE "available_balance" <> 0
+   OR "pending_earnings" <> 0
+   OR "total_earned" <> 0
+   OR "total_withdrawn" <> 0;
+
+INSERT INTO "journal_lines" ("id", "entry_id", "account_id", "debit", "credit")
+SELECT gen_random_uuid()::text, e."id", a."id", GREATEST(-u."available_balance", 0), GREATEST(u."available_balance", 0)
+FROM "users" u
+JOIN "journal_entries" e ON e."user_id" = u."id" AND e."type" = 'OPENING_BALANCE'
+JOIN "ledger_accounts" a ON a."code" = 'user:' || u."id" || ':available';
+
+INSERT INTO "journal_lines" ("id", "entry_id", "account_id", "debit", "credit")
+SELECT gen_random_uuid()::text, e."id", a."id", GREATEST(-u."pending_earnings", 0), GREATEST(u."pending_earnings", 0)
+FROM "users" u
+JOIN "journal_entries" e ON e."user_id" = u."id" AND e."type" = 'OPENING_BALANCE'
+JOIN "ledger_accounts" a ON a."code" = 'user:' || u."id" || ':pending';
+
+INSERT INTO "journal_lines" ("id", "entry_id", "account_id", "debit", "credit")
+SELECT
+    gen_random_uuid()::text,
+    e."id",
+    a."id",
+    GREATEST(u."available_balance" + u."pending_earnings", 0),
+    GREATEST(-(u."available_balance" + u."pending_earnings"), 0)
+FROM "users" u
+JOIN "journal_entries" e ON e."user_id" = u."id" AND e."type" = 'OPENING_BALANCE'
+JOIN "ledger_accounts" a ON a."code" = 'system:opening_balances'
+WHERE u."available_balance" + u."pending_earnings" <> 0;
+
+-- Backfill: withdrawals already deducted from users but not yet paid out
+WITH "held" AS (
+    SELECT COALESCE(SUM("amount"), 0) AS "total"
+    FROM "withdrawal_requests"
+    WHERE "status" IN ('PENDING', 'PROCESSING')
+), "entry" AS (
+    INSERT INTO "journal_entries" ("id", "type", "description")
+    SELECT gen_random_uuid()::text, 'OPENING_BALANCE', 'Withdrawals awaiting payout when the ledger was introduced'
+    FROM "held"
+    WHERE "total" > 0
+    RETURNING "id"
+)
+INSERT INTO "journal_lines" ("id", "entry_id", "account_id", "debit", "credit")
+SELECT
+    gen_random_uuid()::text,
+    "entry"."id",
+    a."id",
+    CASE WHEN a."code" = 'system:opening_balances' THEN "held"."total" ELSE 0 END,
+    CASE WHEN a."code" = 'system:withdrawals_payable' THEN "held"."total" ELSE 0 END
+FROM "entry", "held", "ledger_accounts" a
+WHERE a."code" IN ('system:opening_balances', 'system:withdrawals_payable');
+
+-- Every account created above is credit-normal
+UPDATE "ledger_accounts" a
+SET "balance" = COALESCE((
+    SELECT SUM(l."credit" - l."debit")
+    FROM "journal_lines" l
+    WHERE l."account_id" = a."id"
+), 0);
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "balance_adjustments" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "admin_id" TEXT,
+    "source" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "available_balance_delta" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "pending_earnings_delta" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_earned_delta" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_withdrawn_delta" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "before" JSONB NOT NULL,
+    "after" JSONB NOT NULL,
+    "journal_entry_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "balance_adjustments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "balance_adjustments_user_id_idx" ON "balance_adjustments"("user_id");
+
+-- CreateIndex
+CREATE INDEX "balance_adjustments_created_at_idx" ON "balance_adjustments"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "balance_adjustments" ADD CONSTRAINT "balance_adjustments_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "SmsStatus" AS ENUM ('QUEUED', 'SENT', 'DELIVERED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "sms_messages" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "phone_number" TEXT NOT NULL,
+    "template" TEXT,
+    "body" TEXT,
+    "provider" TEXT NOT NULL,
+    "provider_message_id" TEXT,
+    "status" "SmsStatus" NOT NULL DEFAULT 'QUEUED',
+    "failure_reason" TEXT,
+    "cost" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "sent_at" TIMESTAMP(3),
+    "delivered_at" TIMESTAMP(3),
+
+    CONSTRAINT "sms_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sms_messages_provider_message_id_key" ON "sms_messages"("provider_message_id");
+
+-- CreateIndex
+CREATE INDEX "sms_messages_user_id_idx" ON "sms_messages"("user_id");
+
+-- CreateIndex
+CREATE INDEX "sms_messages_phone_number_idx" ON "sms_messages"("phone_number");
+
+-- CreateIndex
+CREATE INDEX "sms_messages_status_idx" ON "sms_messages"("status");
+
+-- CreateIndex
+CREATE INDEX "sms_messages_created_at_idx" ON "sms_messages"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "sms_messages" ADD CONSTRAINT "sms_messages_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "AdminRole" AS ENUM ('SUPER_ADMIN', 'ADMIN', 'MODERATOR', 'SUPPORT');
+
+-- AlterTable: map the old free-form role strings onto the enum
+ALTER TABLE "admins" ALTER COLUMN "role" DROP DEFAULT;
+ALTER TABLE "admins" ALTER COLUMN "role" TYPE "AdminRole" USING (
+    CASE upper(trim("role"))
+        WHEN 'SUPER_ADMIN' THEN 'SUPER_ADMIN'
+        WHEN 'MODERATOR' THEN 'MODERATOR'
+        WHEN 'SUPPORT' THEN 'SUPPORT'
+        ELSE 'ADMIN'
+    END
+)::"AdminRole";
+ALTER TABLE "admins" ALTER COLUMN "role" SET DEFAULT 'ADMIN';
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "admin_audit_logs" (
+    "id" TEXT NOT NULL,
+    "admin_id" TEXT,
+    "admin_username" TEXT,
+    "action" TEXT NOT NULL,
+    "entity_type" TEXT NOT NULL,
+    "entity_id" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "changes" JSONB,
+    "metadata" JSONB,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "status_code" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_admin_id_idx" ON "admin_audit_logs"("admin_id");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_action_idx" ON "admin_audit_logs"("action");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_entity_type_entity_id_idx" ON "admin_audit_logs"("entity_type", "entity_id");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_created_at_idx" ON "admin_audit_logs"("created_at");
+
+-- Enforce append-only: audit entries can never be changed or removed
+CREATE FUNCTION "admin_audit_logs_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "admin_audit_logs_no_update_delete"
+    BEFORE UPDATE OR DELETE ON "admin_audit_logs"
+    FOR EACH ROW EXECUTE FUNCTION "admin_audit_logs_append_only"();
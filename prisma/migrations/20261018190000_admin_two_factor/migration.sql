@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "admins" ADD COLUMN     "two_factor_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "two_factor_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "two_factor_last_step" INTEGER,
+ADD COLUMN     "two_factor_pending_secret" TEXT,
+ADD COLUMN     "two_factor_secret" TEXT;
+
+-- CreateTable
+CREATE TABLE "admin_backup_codes" (
+    "id" TEXT NOT NULL,
+    "admin_id" TEXT NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_backup_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "admin_backup_codes_admin_id_idx" ON "admin_backup_codes"("admin_id");
+
+-- AddForeignKey
+ALTER TABLE "admin_backup_codes" ADD CONSTRAINT "admin_backup_codes_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "admins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
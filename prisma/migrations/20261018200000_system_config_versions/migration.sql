@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "system_config" ADD COLUMN     "updated_by" TEXT,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "system_config_history" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "previous_value" TEXT,
+    "value" TEXT NOT NULL,
+    "changed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "system_config_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "system_config_history_key_version_key" ON "system_config_history"("key", "version");
+
+-- CreateIndex
+CREATE INDEX "system_config_history_created_at_idx" ON "system_config_history"("created_at");
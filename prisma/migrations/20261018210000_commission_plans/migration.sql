@@ -0,0 +1,55 @@
+-- AlterEnum
+ALTER TYPE "TransactionType" ADD VALUE 'REFERRAL_BONUS';
+
+-- AlterTable
+ALTER TABLE "referrals" ADD COLUMN     "commission_plan_version" INTEGER;
+
+-- CreateTable
+CREATE TABLE "commission_plans" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "depth" INTEGER NOT NULL,
+    "activation_fee" DECIMAL(10,2) NOT NULL,
+    "levels" JSONB NOT NULL,
+    "user_level_multipliers" JSONB NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT false,
+    "notes" TEXT,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "activated_at" TIMESTAMP(3),
+
+    CONSTRAINT "commission_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "commission_plans_version_key" ON "commission_plans"("version");
+
+-- CreateIndex
+CREATE INDEX "commission_plans_is_active_idx" ON "commission_plans"("is_active");
+
+-- At most one plan can be active
+CREATE UNIQUE INDEX "commission_plans_single_active_idx" ON "commission_plans"("is_active") WHERE "is_active";
+
+-- CreateIndex
+CREATE INDEX "referrals_commission_plan_version_idx" ON "referrals"("commission_plan_version");
+
+-- AddForeignKey
+ALTER TABLE "referrals" ADD CONSTRAINT "referrals_commission_plan_version_fkey" FOREIGN KEY ("commission_plan_version") REFERENCES "commission_plans"("version") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Version 1 is the schedule that was previously hard-coded, so existing referrals are explained by it
+INSERT INTO "commission_plans" ("id", "version", "name", "depth", "activation_fee", "levels", "user_level_multipliers", "is_active", "notes", "activated_at")
+VALUES (
+    'commission_plan_v1',
+    1,
+    'Original three-level plan',
+    3,
+    600,
+    '[{"level": 1, "type": "FIXED", "value": 300}, {"level": 2, "type": "FIXED", "value": 100}, {"level": 3, "type": "FIXED", "value": 50}]',
+    '{"SILVER": 1, "BRONZE": 1, "GOLD": 1}',
+    true,
+    'Created from the previous built-in bonus constants',
+    CURRENT_TIMESTAMP
+);
+
+UPDATE "referrals" SET "commission_plan_version" = 1;
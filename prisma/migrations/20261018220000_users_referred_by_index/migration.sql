@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "users_referred_by_idx" ON "users"("referred_by");
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "user_level_locked" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "user_level_rules" (
+    "level" "UserLevel" NOT NULL,
+    "min_referrals" INTEGER NOT NULL DEFAULT 0,
+    "min_active_referrals" INTEGER NOT NULL DEFAULT 0,
+    "max_withdrawal_amount" DECIMAL(10,2),
+    "daily_withdrawal_limit" DECIMAL(10,2),
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_level_rules_pkey" PRIMARY KEY ("level")
+);
+
+-- CreateTable
+CREATE TABLE "user_level_history" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "from_level" "UserLevel" NOT NULL,
+    "to_level" "UserLevel" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "total_referrals" INTEGER NOT NULL,
+    "active_referrals" INTEGER NOT NULL,
+    "changed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_level_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_level_history_user_id_created_at_idx" ON "user_level_history"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "user_level_history_created_at_idx" ON "user_level_history"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "user_level_history" ADD CONSTRAINT "user_level_history_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the thresholds that were hard-coded in CONSTANTS.USER_LEVELS; perks fall back to the system limits
+INSERT INTO "user_level_rules" ("level", "min_referrals", "min_active_referrals") VALUES
+    ('SILVER', 0, 0),
+    ('BRONZE', 11, 0),
+    ('GOLD', 21, 0);
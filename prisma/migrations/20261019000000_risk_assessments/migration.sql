@@ -0,0 +1,46 @@
+-- AlterEnum
+ALTER TYPE "EarningsStatus" ADD VALUE 'HELD';
+ALTER TYPE "EarningsStatus" ADD VALUE 'FORFEITED';
+
+-- CreateEnum
+CREATE TYPE "RiskEvent" AS ENUM ('REGISTRATION', 'ACTIVATION');
+
+-- CreateEnum
+CREATE TYPE "RiskReviewStatus" AS ENUM ('CLEAR', 'FLAGGED', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "risk_assessments" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "event" "RiskEvent" NOT NULL,
+    "score" INTEGER NOT NULL,
+    "signals" JSONB NOT NULL,
+    "status" "RiskReviewStatus" NOT NULL DEFAULT 'CLEAR',
+    "ip_address" TEXT,
+    "device_fingerprint" TEXT,
+    "payer_number" TEXT,
+    "reviewed_by" TEXT,
+    "review_note" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "risk_assessments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_user_id_idx" ON "risk_assessments"("user_id");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_status_created_at_idx" ON "risk_assessments"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_device_fingerprint_idx" ON "risk_assessments"("device_fingerprint");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_ip_address_created_at_idx" ON "risk_assessments"("ip_address", "created_at");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_payer_number_idx" ON "risk_assessments"("payer_number");
+
+-- AddForeignKey
+ALTER TABLE "risk_assessments" ADD CONSTRAINT "risk_assessments_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
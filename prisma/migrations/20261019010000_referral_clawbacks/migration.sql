@@ -0,0 +1,41 @@
+-- AlterEnum
+ALTER TYPE "TransactionType" ADD VALUE 'REFERRAL_BONUS_CLAWBACK';
+
+-- AlterEnum
+ALTER TYPE "EarningsStatus" ADD VALUE 'CLAWED_BACK';
+
+-- CreateEnum
+CREATE TYPE "ClawbackTrigger" AS ENUM ('ACTIVATION_REVERSAL', 'FRAUD');
+
+-- CreateTable
+CREATE TABLE "referral_clawbacks" (
+    "id" TEXT NOT NULL,
+    "referral_id" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "referred_id" TEXT NOT NULL,
+    "trigger" "ClawbackTrigger" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "recovered_amount" DECIMAL(10,2) NOT NULL,
+    "shortfall_amount" DECIMAL(10,2) NOT NULL,
+    "transaction_id" TEXT,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "referral_clawbacks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "referral_clawbacks_referral_id_key" ON "referral_clawbacks"("referral_id");
+
+-- CreateIndex
+CREATE INDEX "referral_clawbacks_referrer_id_idx" ON "referral_clawbacks"("referrer_id");
+
+-- CreateIndex
+CREATE INDEX "referral_clawbacks_referred_id_idx" ON "referral_clawbacks"("referred_id");
+
+-- CreateIndex
+CREATE INDEX "referral_clawbacks_created_at_idx" ON "referral_clawbacks"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "referral_clawbacks" ADD CONSTRAINT "referral_clawbacks_referral_id_fkey" FOREIGN KEY ("referral_id") REFERENCES "referrals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "product_commission_rate_history" (
+    "id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "previous_rate" DECIMAL(5,4),
+    "commission_rate" DECIMAL(5,4) NOT NULL,
+    "reason" TEXT,
+    "changed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_commission_rate_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "products_category_is_active_idx" ON "products"("category", "is_active");
+
+-- CreateIndex
+CREATE INDEX "product_commission_rate_history_product_id_created_at_idx" ON "product_commission_rate_history"("product_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "product_commission_rate_history" ADD CONSTRAINT "product_commission_rate_history_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "SaleStatus" AS ENUM ('PENDING', 'CONFIRMED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "sales" ADD COLUMN     "status" "SaleStatus" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN     "rejection_reason" TEXT,
+ADD COLUMN     "reviewed_by" TEXT,
+ADD COLUMN     "transaction_id" TEXT,
+ADD COLUMN     "rejected_at" TIMESTAMP(3);
+
+-- Backfill: sales confirmed before statuses existed
+UPDATE "sales" SET "status" = 'CONFIRMED' WHERE "is_confirmed" = true;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sales_transaction_id_key" ON "sales"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "sales_user_id_sale_date_idx" ON "sales"("user_id", "sale_date");
+
+-- CreateIndex
+CREATE INDEX "sales_status_sale_date_idx" ON "sales"("status", "sale_date");
@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "sales" ADD COLUMN     "promotion_link_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "promotion_links" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "click_count" INTEGER NOT NULL DEFAULT 0,
+    "unique_click_count" INTEGER NOT NULL DEFAULT 0,
+    "conversion_count" INTEGER NOT NULL DEFAULT 0,
+    "last_click_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promotion_clicks" (
+    "id" TEXT NOT NULL,
+    "link_id" TEXT NOT NULL,
+    "visitor_hash" TEXT NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "referer" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_clicks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sales_promotion_link_id_idx" ON "sales"("promotion_link_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_links_code_key" ON "promotion_links"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_links_user_id_product_id_key" ON "promotion_links"("user_id", "product_id");
+
+-- CreateIndex
+CREATE INDEX "promotion_clicks_link_id_visitor_hash_created_at_idx" ON "promotion_clicks"("link_id", "visitor_hash", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "sales" ADD CONSTRAINT "sales_promotion_link_id_fkey" FOREIGN KEY ("promotion_link_id") REFERENCES "promotion_links"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_links" ADD CONSTRAINT "promotion_links_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_links" ADD CONSTRAINT "promotion_links_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_clicks" ADD CONSTRAINT "promotion_clicks_link_id_fkey" FOREIGN KEY ("link_id") REFERENCES "promotion_links"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "WritingJobStatus" AS ENUM ('OPEN', 'CLAIMED', 'SUBMITTED', 'REVISION_REQUESTED', 'APPROVED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "WritingSubmissionStatus" AS ENUM ('PENDING_REVIEW', 'REVISION_REQUESTED', 'APPROVED');
+
+-- CreateTable
+CREATE TABLE "writing_jobs" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "subject" TEXT,
+    "word_count" INTEGER,
+    "pay_amount" DECIMAL(10,2) NOT NULL,
+    "deadline" TIMESTAMP(3) NOT NULL,
+    "status" "WritingJobStatus" NOT NULL DEFAULT 'OPEN',
+    "claimed_by" TEXT,
+    "claimed_at" TIMESTAMP(3),
+    "reviewed_by" TEXT,
+    "approved_at" TIMESTAMP(3),
+    "transaction_id" TEXT,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "writing_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "writing_submissions" (
+    "id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "status" "WritingSubmissionStatus" NOT NULL DEFAULT 'PENDING_REVIEW',
+    "file_name" TEXT NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "size_bytes" INTEGER NOT NULL,
+    "notes" TEXT,
+    "review_note" TEXT,
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "writing_submissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "writing_jobs_transaction_id_key" ON "writing_jobs"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "writing_jobs_status_deadline_idx" ON "writing_jobs"("status", "deadline");
+
+-- CreateIndex
+CREATE INDEX "writing_jobs_claimed_by_idx" ON "writing_jobs"("claimed_by");
+
+-- CreateIndex
+CREATE INDEX "writing_submissions_user_id_idx" ON "writing_submissions"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "writing_submissions_job_id_version_key" ON "writing_submissions"("job_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "writing_jobs" ADD CONSTRAINT "writing_jobs_claimed_by_fkey" FOREIGN KEY ("claimed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "writing_submissions" ADD CONSTRAINT "writing_submissions_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "writing_jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "writing_submissions" ADD CONSTRAINT "writing_submissions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "wheel_segments" (
+    "id" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "weight" INTEGER NOT NULL,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "wheel_segments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "wheel_spins" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "spin_date" DATE NOT NULL,
+    "spin_number" INTEGER NOT NULL,
+    "segment_id" TEXT,
+    "label" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "roll" INTEGER NOT NULL,
+    "total_weight" INTEGER NOT NULL,
+    "transaction_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wheel_spins_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "wheel_daily_payouts" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "paid_out" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "spin_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "wheel_daily_payouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "wheel_segments_is_active_sort_order_idx" ON "wheel_segments"("is_active", "sort_order");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wheel_spins_transaction_id_key" ON "wheel_spins"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "wheel_spins_spin_date_idx" ON "wheel_spins"("spin_date");
+
+-- CreateIndex
+CREATE INDEX "wheel_spins_created_at_idx" ON "wheel_spins"("created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wheel_spins_user_id_spin_date_spin_number_key" ON "wheel_spins"("user_id", "spin_date", "spin_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wheel_daily_payouts_date_key" ON "wheel_daily_payouts"("date");
+
+-- AddForeignKey
+ALTER TABLE "wheel_spins" ADD CONSTRAINT "wheel_spins_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wheel_spins" ADD CONSTRAINT "wheel_spins_segment_id_fkey" FOREIGN KEY ("segment_id") REFERENCES "wheel_segments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "payout_uncertain_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_payout_uncertain_at_idx" ON "withdrawal_requests"("payout_uncertain_at");
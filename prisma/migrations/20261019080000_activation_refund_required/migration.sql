@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "activation_payments" ADD COLUMN     "refund_required" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "activation_payments_refund_required_idx" ON "activation_payments"("refund_required");
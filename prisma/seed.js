@@ -16,7 +16,7 @@ async function main() {
       passwordHash: adminPassword,
       firstName: 'System',
       lastName: 'Administrator',
-      role: 'super_admin',
+      role: 'SUPER_ADMIN',
     },
   });
 
@@ -0,0 +1,84 @@
+import 'dotenv/config';
+import { prisma } from '../src/lib/prisma.js';
+import { balanceAuditService, ADJUSTMENT_SOURCES } from '../src/services/balanceAuditService.js';
+
+// Usage:
+//   npm run balances:audit                                  report every drifted user
+//   npm run balances:audit -- --user <userId>               report one user
+//   npm run balances:audit -- --apply --reason "<why>"      apply correcting adjustments
+//   npm run balances:audit -- --json                        print the full report as JSON
+const parseArgs = (argv) => {
+  const options = { apply: false, json: false, userId: null, reason: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--user') {
+      options.userId = argv[++i];
+    } else if (arg === '--reason') {
+      options.reason = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const printReport = (report) => {
+  console.log(`Checked ${report.checkedUsers} user(s), ${report.discrepancyCount} with discrepancies`);
+
+  for (const result of report.results) {
+    if (result.balanced) {
+      continue;
+    }
+
+    console.log(`\n${result.userId} (${result.phoneNumber})${result.adjusted ? ' - corrected' : ''}`);
+    for (const [field, diff] of Object.entries(result.differences)) {
+      console.log(`  ${field}: stored ${result.stored[field]}, expected ${result.expected[field]} (${diff > 0 ? '+' : ''}${diff})`);
+    }
+  }
+
+  if (report.applied) {
+    console.log(`\n✅ Applied corrections to ${report.repaired} user(s)`);
+  } else if (report.discrepancyCount > 0) {
+    console.log('\nRun again with --apply --reason "<why>" to correct these balances');
+  }
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.apply && !options.reason) {
+    throw new Error('--apply requires --reason "<why>"');
+  }
+
+  const report = await balanceAuditService.run({
+    userId: options.userId,
+    apply: options.apply,
+    reason: options.reason,
+    source: ADJUSTMENT_SOURCES.CLI,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  // Non-zero exit lets schedulers alert on unresolved drift
+  process.exitCode = report.discrepancyCount > 0 && !report.applied ? 1 : 0;
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Balance audit failed:', error.message);
+    process.exitCode = 2;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,17 +1,30 @@
 import dotenv from 'dotenv';
 import app from './src/app.js';
 import { prisma } from './src/lib/prisma.js';
+import { smsService } from './src/services/smsService.js';
+import { startActivationReconciliationJob } from './src/jobs/activationReconciliation.js';
+import { startUserLevelRecomputeJob } from './src/jobs/userLevelRecompute.js';
+import { startWritingClaimExpiryJob } from './src/jobs/writingClaimExpiry.js';
 
 // Load environment variables
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
 
+let reconciliationJob = null;
+let userLevelJob = null;
+let writingClaimJob = null;
+
 // Graceful shutdown function
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
   try {
+    // Stop scheduled jobs
+    reconciliationJob?.stop();
+    userLevelJob?.stop();
+    writingClaimJob?.stop();
+
     // Close Prisma connection
     await prisma.$disconnect();
     console.log('Database connection closed.');
@@ -46,6 +59,10 @@ async function startServer() {
     // Test database connection
     await prisma.$connect();
     console.log('✅ Database connected successfully');
+
+    // Fail now on a missing or invalid SMS configuration rather than on the first verification code
+    const smsProvider = smsService.getProvider();
+    console.log(`✉️ SMS provider: ${smsProvider.name}`);
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -57,6 +74,21 @@ async function startServer() {
       }
     });
 
+    // Settle activation payments whose M-Pesa callback never arrived
+    if (process.env.DISABLE_MPESA_RECONCILIATION !== 'true') {
+      reconciliationJob = startActivationReconciliationJob();
+    }
+
+    // Catch level changes no referral event triggers, e.g. edited rules or suspended referrals
+    if (process.env.DISABLE_USER_LEVEL_RECOMPUTE !== 'true') {
+      userLevelJob = startUserLevelRecomputeJob();
+    }
+
+    // Return writing jobs whose deadline passed before the member submitted
+    if (process.env.DISABLE_WRITING_CLAIM_EXPIRY !== 'true') {
+      writingClaimJob = startWritingClaimExpiryJob();
+    }
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
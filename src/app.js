@@ -16,10 +16,17 @@ import withdrawalRoutes from './routes/withdrawals.js';
 import earningsRoutes from './routes/earnings.js';
 import adminRoutes from './routes/admin.js';
 import mpesaRoutes from './routes/mpesa.js';
+import smsRoutes from './routes/sms.js';
+import productRoutes from './routes/products.js';
+import saleRoutes from './routes/sales.js';
+import promotionRoutes from './routes/promotions.js';
+import writingRoutes from './routes/writing.js';
+import wheelRoutes from './routes/wheel.js';
 
 // Import middleware
 import { errorHandler, asyncHandler } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
+import { maintenanceMode } from './middleware/maintenance.js';
 import { validateActivation } from './middleware/validation.js';
 import { successResponse } from './utils/helpers.js';
 
@@ -73,7 +80,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Fingerprint'],
 };
 
 app.use(cors(corsOptions));
@@ -132,6 +139,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Maintenance mode applies to every API route below; /health stays available
+app.use('/api', maintenanceMode);
+
+// Apply password limiter to specific password routes (must be registered before the auth router handles them)
+app.use('/api/auth/change-password', passwordLimiter);
+app.use('/api/auth/forgot-password', passwordLimiter);
+app.use('/api/auth/reset-password', passwordLimiter);
+
 // API Routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/user', userRoutes);
@@ -142,10 +157,12 @@ app.use('/api/withdrawals', withdrawalRoutes);
 app.use('/api/earnings', earningsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/mpesa', mpesaRoutes);
-
-// Apply password limiter to specific password routes
-app.use('/api/auth/change-password', passwordLimiter);
-app.use('/api/auth/reset-password', passwordLimiter);
+app.use('/api/sms', smsRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/sales', saleRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/writing', writingRoutes);
+app.use('/api/wheel', wheelRoutes);
 
 // M-Pesa callback routes (no rate limiting for webhooks)
 app.post('/api/mpesa/callback', express.json(), (req, res) => {
@@ -181,6 +198,11 @@ app.get('/', (req, res) => {
       tasks: '/api/tasks',
       withdrawals: '/api/withdrawals',
       earnings: '/api/earnings',
+      products: '/api/products',
+      sales: '/api/sales',
+      promotions: '/api/promotions',
+      writing: '/api/writing',
+      wheel: '/api/wheel',
       admin: '/api/admin',
       health: '/health',
     },
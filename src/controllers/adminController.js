@@ -1,7 +1,30 @@
 import { prisma } from '../lib/prisma.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
-import { successResponse, getPaginationParams, getPaginationMeta, hashPassword } from '../utils/helpers.js';
+import {
+  successResponse,
+  getPaginationParams,
+  getPaginationMeta,
+  hashPassword,
+  normalizeAdminRole,
+  getRolePermissions,
+} from '../utils/helpers.js';
 import { CONSTANTS } from '../utils/constants.js';
+import { payoutService } from '../services/payoutService.js';
+import { ledgerService } from '../services/ledgerService.js';
+import { balanceAuditService, ADJUSTMENT_SOURCES } from '../services/balanceAuditService.js';
+import { adminAuditService } from '../services/adminAuditService.js';
+import { adminTwoFactorService } from '../services/adminTwoFactorService.js';
+import { systemSettingsService } from '../services/systemSettingsService.js';
+import { commissionPlanService } from '../services/commissionPlanService.js';
+import { userLevelService } from '../services/userLevelService.js';
+import { riskService } from '../services/riskService.js';
+import { activationService } from '../services/activationService.js';
+import { productService } from '../services/productService.js';
+import { saleService } from '../services/saleService.js';
+import { academicWritingService } from '../services/academicWritingService.js';
+import { wheelService } from '../services/wheelService.js';
+import { runActivationReconciliation } from '../jobs/activationReconciliation.js';
+import { runUserLevelRecompute } from '../jobs/userLevelRecompute.js';
 import bcrypt from 'bcryptjs';
 
 // Get dashboard overview
@@ -39,9 +62,7 @@ export const getDashboard = asyncHandler(async (req, res) => {
     where: {
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -239,6 +260,123 @@ export const getUserDetails = asyncHandler(async (req, res, next) => {
   res.json(successResponse(userResponse, 'User details retrieved successfully'));
 });
 
+// Get a user's ledger entries and check their balances against them
+export const getUserLedger = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const verification = await ledgerService.verifyUserBalances(userId);
+
+  const [entries, total] = await Promise.all([
+    prisma.journalEntry.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        lines: {
+          select: {
+            debit: true,
+            credit: true,
+            account: {
+              select: { code: true, name: true, type: true },
+            },
+          },
+        },
+      },
+    }),
+    prisma.journalEntry.count({ where: { userId } }),
+  ]);
+
+  res.json(successResponse({
+    verification,
+    entries,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'User ledger retrieved successfully'));
+});
+
+// Filterable admin audit trail
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { adminId, action, entityType, entityId, startDate, endDate } = req.query;
+
+  const { total, entries } = await adminAuditService.list(
+    { adminId, action, entityType, entityId, startDate, endDate },
+    { skip, take: limit }
+  );
+
+  res.json(successResponse({
+    entries,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Audit log retrieved successfully'));
+});
+
+// Export the audit trail as CSV using the same filters as the list
+export const exportAuditLog = asyncHandler(async (req, res) => {
+  const { adminId, action, entityType, entityId, startDate, endDate } = req.query;
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="admin_audit_log_${new Date().toISOString().slice(0, 10)}.csv"`);
+
+  try {
+    for await (const chunk of adminAuditService.exportCsv({ adminId, action, entityType, entityId, startDate, endDate })) {
+      res.write(chunk);
+    }
+  } catch (error) {
+    // Headers are already sent, so abort the download rather than hand back a truncated file
+    console.error('Admin audit log export failed:', error);
+    return res.destroy(error);
+  }
+
+  res.end();
+});
+
+// Check that total debits equal total credits across the whole ledger
+export const getLedgerTrialBalance = asyncHandler(async (req, res) => {
+  const trialBalance = await ledgerService.getTrialBalance();
+
+  const accounts = await prisma.ledgerAccount.findMany({
+    where: { userId: null },
+    orderBy: { code: 'asc' },
+    select: { code: true, name: true, type: true, balance: true },
+  });
+
+  res.json(successResponse({
+    ...trialBalance,
+    systemAccounts: accounts,
+  }, 'Trial balance retrieved successfully'));
+});
+
+// Recompute balances from history and report users whose stored balances drifted
+export const auditBalances = asyncHandler(async (req, res) => {
+  const { userId, includeBalanced } = req.query;
+
+  const report = userId
+    ? await balanceAuditService.run({ userId })
+    : await balanceAuditService.auditAll({ includeBalanced: includeBalanced === 'true' });
+
+  res.json(successResponse(report, 'Balance audit completed'));
+});
+
+// Apply correcting adjustments for drifted balances
+export const repairBalances = asyncHandler(async (req, res, next) => {
+  const { userId, reason } = req.body;
+
+  if (!reason || !reason.trim()) {
+    return next(new AppError('A reason is required to apply balance corrections', 400));
+  }
+
+  const report = await balanceAuditService.run({
+    userId,
+    apply: true,
+    reason: reason.trim(),
+    adminId: req.admin.id,
+    source: ADJUSTMENT_SOURCES.ADMIN_API,
+  });
+
+  res.json(successResponse(report, `Balance corrections applied to ${report.repaired} user(s)`));
+});
+
 // Update user status
 export const updateUserStatus = asyncHandler(async (req, res, next) => {
   const { userId } = req.params;
@@ -384,7 +522,7 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
 // Update user information (admin function)
 export const updateUser = asyncHandler(async (req, res, next) => {
   const { userId } = req.params;
-  const { firstName, lastName, phoneNumber, email, userLevel, accountStatus } = req.body;
+  const { firstName, lastName, phoneNumber, email, userLevel, userLevelLocked, accountStatus } = req.body;
 
   // Check if user exists
   const existingUser = await prisma.user.findUnique({
@@ -435,49 +573,486 @@ export const updateUser = asyncHandler(async (req, res, next) => {
   }
 
   // Validate user level
-  const validUserLevels = ['SILVER', 'GOLD', 'PLATINUM'];
+  const validUserLevels = Object.keys(CONSTANTS.USER_LEVELS);
   if (userLevel && !validUserLevels.includes(userLevel)) {
     return next(new AppError('Invalid user level', 400));
   }
 
+  if (userLevelLocked !== undefined && typeof userLevelLocked !== 'boolean') {
+    return next(new AppError('userLevelLocked must be true or false', 400));
+  }
+
   // Validate account status
   const validAccountStatuses = Object.values(CONSTANTS.ACCOUNT_STATUS);
   if (accountStatus && !validAccountStatuses.includes(accountStatus)) {
     return next(new AppError('Invalid account status', 400));
   }
 
-  // Update user
-  const updatedUser = await prisma.user.update({
-    where: { id: userId },
-    data: {
-      ...(firstName && { firstName }),
-      ...(lastName && { lastName }),
-      ...(phoneNumber && { phoneNumber }),
-      ...(email !== undefined && { email }),
-      ...(userLevel && { userLevel }),
-      ...(accountStatus && { accountStatus }),
-    },
-    select: {
-      id: true,
-      phoneNumber: true,
-      firstName: true,
-      lastName: true,
-      email: true,
-      referralCode: true,
-      accountStatus: true,
-      userLevel: true,
-      totalReferrals: true,
-      availableBalance: true,
-      totalEarned: true,
-      totalWithdrawn: true,
-      createdAt: true,
-      lastLogin: true,
-    },
+  const userSelect = {
+    id: true,
+    phoneNumber: true,
+    firstName: true,
+    lastName: true,
+    email: true,
+    referralCode: true,
+    accountStatus: true,
+    userLevel: true,
+    userLevelLocked: true,
+    totalReferrals: true,
+    availableBalance: true,
+    totalEarned: true,
+    totalWithdrawn: true,
+    createdAt: true,
+    lastLogin: true,
+  };
+
+  // The level change and the field update commit together, so a failed update leaves no level history behind
+  let levelUnlocked = false;
+
+  let updatedUser = await prisma.$transaction(async (tx) => {
+    // Level changes are recorded in the level history; a hand-picked level is locked
+    if (userLevel || userLevelLocked !== undefined) {
+      const level = await userLevelService.setLevel(userId, {
+        level: userLevel || undefined,
+        locked: userLevelLocked,
+      }, { adminId: req.admin.id, tx });
+
+      levelUnlocked = !level.userLevelLocked;
+    }
+
+    return await tx.user.update({
+      where: { id: userId },
+      data: {
+        ...(firstName && { firstName }),
+        ...(lastName && { lastName }),
+        ...(phoneNumber && { phoneNumber }),
+        ...(email !== undefined && { email }),
+        ...(accountStatus && { accountStatus }),
+      },
+      select: userSelect,
+    });
   });
 
+  // An unlocked user goes back to the level their referrals earn them
+  if (levelUnlocked) {
+    await userLevelService.evaluate([userId], { reason: CONSTANTS.LEVEL_CHANGE_REASONS.ADMIN });
+    updatedUser = await prisma.user.findUnique({ where: { id: userId }, select: userSelect });
+  }
+
   res.json(successResponse(updatedUser, 'User updated successfully'));
 });
 
+// Commission plan versions, newest first
+export const getCommissionPlans = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const { total, plans } = await commissionPlanService.listPlans({ skip, take: limit });
+
+  res.json(successResponse({
+    plans,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Commission plans retrieved successfully'));
+});
+
+export const getActiveCommissionPlan = asyncHandler(async (req, res) => {
+  const plan = await commissionPlanService.getActivePlan({ fresh: true });
+
+  res.json(successResponse(plan, 'Active commission plan retrieved successfully'));
+});
+
+// Save a new plan version; it replaces the active plan unless activate is false
+export const createCommissionPlan = asyncHandler(async (req, res) => {
+  const { activate = true, ...data } = req.body;
+
+  const plan = await commissionPlanService.createPlan(data, {
+    adminId: req.admin.id,
+    activate: activate !== false,
+  });
+
+  res.status(201).json(successResponse(plan, `Commission plan version ${plan.version} created`));
+});
+
+// Make an existing version the active plan; referrals already recorded keep their version
+export const activateCommissionPlan = asyncHandler(async (req, res) => {
+  const plan = await commissionPlanService.activatePlan(req.params.planId);
+
+  res.json(successResponse(plan, `Commission plan version ${plan.version} is now active`));
+});
+
+// Requirements and perks for every user level, lowest first
+export const getUserLevelRules = asyncHandler(async (req, res) => {
+  const rules = await userLevelService.getRules({ fresh: true });
+
+  res.json(successResponse(rules, 'User level rules retrieved successfully'));
+});
+
+// Change one level's requirements or perks; users move on their next referral event or the scheduled recompute
+export const updateUserLevelRule = asyncHandler(async (req, res) => {
+  const rule = await userLevelService.updateRule(req.params.level, req.body, { adminId: req.admin.id });
+
+  res.json(successResponse(rule, `${rule.level} level rule updated successfully`));
+});
+
+// Re-evaluate every user's level now instead of waiting for the scheduled run
+export const recomputeUserLevels = asyncHandler(async (req, res, next) => {
+  const report = await runUserLevelRecompute();
+
+  if (!report) {
+    return next(new AppError('User level recompute is already running', 409));
+  }
+
+  res.json(successResponse(report, 'User levels recomputed'));
+});
+
+// Level changes, newest first; ?userId= narrows to one user
+export const getUserLevelHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const { total, entries } = await userLevelService.getHistory(
+    { userId: req.query.userId },
+    { skip, take: limit }
+  );
+
+  res.json(successResponse({
+    entries,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'User level history retrieved successfully'));
+});
+
+// Fraud review queue; ?status= (default FLAGGED) and ?event= narrow it
+export const getRiskReviews = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { status = CONSTANTS.RISK_REVIEW_STATUS.FLAGGED, event } = req.query;
+
+  if (!Object.values(CONSTANTS.RISK_REVIEW_STATUS).includes(status)) {
+    return next(new AppError('Invalid review status', 400));
+  }
+
+  if (event && !Object.values(CONSTANTS.RISK_EVENTS).includes(event)) {
+    return next(new AppError('Invalid risk event', 400));
+  }
+
+  const { total, reviews } = await riskService.listReviews({ status, event }, { skip, take: limit });
+
+  res.json(successResponse({
+    reviews,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Risk reviews retrieved successfully'));
+});
+
+// Risk history, bonuses and linked accounts for one user
+export const getUserRisk = asyncHandler(async (req, res) => {
+  const risk = await riskService.getUserRisk(req.params.userId);
+
+  res.json(successResponse(risk, 'User risk profile retrieved successfully'));
+});
+
+// Approve or reject a flagged registration or activation
+export const resolveRiskReview = asyncHandler(async (req, res, next) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return next(new AppError('Decision must be approve or reject', 400));
+  }
+
+  if (decision === 'reject' && (!note || !String(note).trim())) {
+    return next(new AppError('A note is required when rejecting', 400));
+  }
+
+  const result = await riskService.resolve(req.params.assessmentId, {
+    decision,
+    note: note ? String(note).trim() : null,
+  }, { adminId: req.admin.id });
+
+  res.json(successResponse(result, decision === 'approve'
+    ? `Review approved; ${result.releasedBonuses} held bonus(es) released`
+    : `Review rejected; ${result.forfeitedBonuses} unpaid bonus(es) forfeited, ${result.clawedBackBonuses} paid bonus(es) clawed back`));
+});
+
+// Reverse a refunded or charged-back activation and claw back the referral bonuses it paid
+export const reverseActivation = asyncHandler(async (req, res, next) => {
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+  if (!reason) {
+    return next(new AppError('A reason is required to reverse an activation', 400));
+  }
+
+  const result = await activationService.reverseActivation(req.params.userId, { reason }, { adminId: req.admin.id });
+
+  res.json(successResponse(result, `Activation reversed; ${result.clawbacks.length} referral bonus(es) clawed back`));
+});
+
+// Referral bonus clawbacks; ?referrerId= and ?trigger= narrow the list
+export const getClawbacks = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { referrerId, trigger } = req.query;
+
+  if (trigger && !Object.values(CONSTANTS.CLAWBACK_TRIGGERS).includes(trigger)) {
+    return next(new AppError('Invalid clawback trigger', 400));
+  }
+
+  const where = {
+    ...(referrerId && { referrerId }),
+    ...(trigger && { trigger }),
+  };
+
+  const [total, clawbacks, sums] = await Promise.all([
+    prisma.referralClawback.count({ where }),
+    prisma.referralClawback.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        referral: { select: { level: true } },
+      },
+    }),
+    prisma.referralClawback.aggregate({
+      where,
+      _sum: { amount: true, shortfallAmount: true },
+    }),
+  ]);
+
+  res.json(successResponse({
+    clawbacks,
+    totals: {
+      amount: Number(sums._sum.amount || 0),
+      shortfall: Number(sums._sum.shortfallAmount || 0),
+    },
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Referral bonus clawbacks retrieved successfully'));
+});
+
+// Every product, inactive included; same filters as the member catalog plus ?isActive=
+export const getAdminProducts = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { isActive } = req.query;
+
+  if (isActive !== undefined && !['true', 'false'].includes(isActive)) {
+    return next(new AppError('isActive must be true or false', 400));
+  }
+
+  const filters = {
+    ...productService.parseFilters(req.query),
+    isActive: isActive === undefined ? undefined : isActive === 'true',
+  };
+
+  const { total, products } = await productService.listProducts(filters, { skip, take: limit });
+
+  res.json(successResponse({
+    products,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Products retrieved successfully'));
+});
+
+export const getAdminProduct = asyncHandler(async (req, res) => {
+  const product = await productService.getProduct(req.params.productId, { includeInactive: true });
+
+  res.json(successResponse(product, 'Product retrieved successfully'));
+});
+
+export const createProduct = asyncHandler(async (req, res) => {
+  const product = await productService.createProduct(req.body, { adminId: req.admin.id });
+
+  res.status(201).json(successResponse(product, `Product ${product.name} created`));
+});
+
+// Edit product details; a commission rate change may carry a `reason` for the rate history
+export const updateProduct = asyncHandler(async (req, res) => {
+  const product = await productService.updateProduct(req.params.productId, req.body, { adminId: req.admin.id });
+
+  res.json(successResponse(product, `Product ${product.name} updated`));
+});
+
+// Activate or deactivate; inactive products disappear from the member catalog
+export const updateProductStatus = asyncHandler(async (req, res, next) => {
+  const { isActive } = req.body;
+
+  if (typeof isActive !== 'boolean') {
+    return next(new AppError('isActive must be true or false', 400));
+  }
+
+  const product = await productService.setActive(req.params.productId, isActive);
+
+  res.json(successResponse(product, `Product ${product.name} ${isActive ? 'activated' : 'deactivated'}`));
+});
+
+export const deleteProduct = asyncHandler(async (req, res) => {
+  await productService.deleteProduct(req.params.productId);
+
+  res.json(successResponse(null, 'Product deleted successfully'));
+});
+
+// Commission rates the product has had, newest first
+export const getProductCommissionHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const { product, total, history } = await productService.getCommissionRateHistory(req.params.productId, { skip, take: limit });
+
+  res.json(successResponse({
+    product,
+    history,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Commission rate history retrieved successfully'));
+});
+
+// Sales review queue; ?status= (default PENDING), ?userId= and ?productId= narrow it
+export const getSalesForReview = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { status = CONSTANTS.SALE_STATUS.PENDING, userId, productId } = req.query;
+
+  if (!Object.values(CONSTANTS.SALE_STATUS).includes(status)) {
+    return next(new AppError('Invalid sale status', 400));
+  }
+
+  const { total, sales } = await saleService.listSales(
+    { status, userId, productId },
+    { skip, take: limit, includeUser: true }
+  );
+
+  res.json(successResponse({
+    sales,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Sales retrieved successfully'));
+});
+
+export const confirmSale = asyncHandler(async (req, res) => {
+  const sale = await saleService.confirmSale(req.params.saleId, { adminId: req.admin.id });
+
+  res.json(successResponse(sale, `Sale confirmed; KSH ${sale.commissionAmount} commission credited`));
+});
+
+export const rejectSale = asyncHandler(async (req, res, next) => {
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+  if (!reason) {
+    return next(new AppError('A reason is required when rejecting a sale', 400));
+  }
+
+  const sale = await saleService.rejectSale(req.params.saleId, { reason, adminId: req.admin.id });
+
+  res.json(successResponse(sale, 'Sale rejected'));
+});
+
+// Academic writing jobs; ?status= and ?claimedBy= narrow the list
+export const getWritingJobs = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { status, claimedBy } = req.query;
+
+  if (status && !Object.values(CONSTANTS.WRITING_JOB_STATUS).includes(status)) {
+    return next(new AppError('Invalid job status', 400));
+  }
+
+  const { total, jobs } = await academicWritingService.listJobs({ status, claimedBy }, { skip, take: limit });
+
+  res.json(successResponse({
+    jobs,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Writing jobs retrieved successfully'));
+});
+
+export const getWritingJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.getJob(req.params.jobId);
+
+  res.json(successResponse(job, 'Writing job retrieved successfully'));
+});
+
+export const createWritingJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.createJob(req.body, { adminId: req.admin.id });
+
+  res.status(201).json(successResponse(job, 'Writing job posted'));
+});
+
+export const updateWritingJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.updateJob(req.params.jobId, req.body);
+
+  res.json(successResponse(job, 'Writing job updated'));
+});
+
+export const cancelWritingJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.cancelJob(req.params.jobId);
+
+  res.json(successResponse(job, 'Writing job cancelled'));
+});
+
+// Approve and pay, or request a revision with a note and optionally a new deadline
+export const reviewWritingJob = asyncHandler(async (req, res, next) => {
+  const { decision, note, deadline } = req.body;
+
+  if (!['approve', 'revise'].includes(decision)) {
+    return next(new AppError('Decision must be approve or revise', 400));
+  }
+
+  if (decision === 'revise' && (!note || !String(note).trim())) {
+    return next(new AppError('A note is required when requesting a revision', 400));
+  }
+
+  const job = await academicWritingService.reviewSubmission(req.params.jobId, {
+    decision,
+    note: note ? String(note).trim() : null,
+    deadline,
+  }, { adminId: req.admin.id });
+
+  res.json(successResponse(job, decision === 'approve'
+    ? `Work approved; KSH ${job.payAmount} paid`
+    : 'Revision requested'));
+});
+
+export const downloadWritingSubmission = asyncHandler(async (req, res) => {
+  const file = await academicWritingService.getSubmissionFile(req.params.submissionId);
+
+  res.type(file.mimeType).download(file.filePath, file.fileName);
+});
+
+// Reward wheel segments with their current odds, plus today's spending against the budget
+export const getWheelSegments = asyncHandler(async (req, res) => {
+  const [segments, budget] = await Promise.all([
+    wheelService.listSegments(),
+    wheelService.getBudget(),
+  ]);
+
+  res.json(successResponse({ segments, budget }, 'Wheel segments retrieved successfully'));
+});
+
+export const createWheelSegment = asyncHandler(async (req, res) => {
+  const segment = await wheelService.createSegment(req.body, { adminId: req.admin.id });
+
+  res.status(201).json(successResponse(segment, 'Wheel segment created successfully'));
+});
+
+export const updateWheelSegment = asyncHandler(async (req, res) => {
+  const segment = await wheelService.updateSegment(req.params.segmentId, req.body);
+
+  res.json(successResponse(segment, 'Wheel segment updated successfully'));
+});
+
+export const deleteWheelSegment = asyncHandler(async (req, res) => {
+  await wheelService.deleteSegment(req.params.segmentId);
+
+  res.json(successResponse(null, 'Wheel segment deleted successfully'));
+});
+
+// Every spin with its draw; ?userId= and ?date=YYYY-MM-DD narrow the list
+export const getWheelSpins = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { userId, date } = req.query;
+
+  let spinDate;
+  if (date) {
+    spinDate = new Date(date);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(spinDate.getTime())) {
+      return next(new AppError('date must be in YYYY-MM-DD format', 400));
+    }
+  }
+
+  const { total, spins } = await wheelService.listSpins({ userId, date: spinDate }, { skip, take: limit });
+
+  res.json(successResponse({
+    spins,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Wheel spins retrieved successfully'));
+});
+
 // Get all withdrawal requests
 export const getWithdrawalRequests = asyncHandler(async (req, res) => {
   const { page, limit, skip } = getPaginationParams(req.query);
@@ -490,6 +1065,11 @@ export const getWithdrawalRequests = asyncHandler(async (req, res) => {
     whereConditions.status = status;
   }
 
+  // Payouts whose B2C request had an unknown outcome
+  if (req.query.needsReconciliation === 'true') {
+    whereConditions.payoutUncertainAt = { not: null };
+  }
+
   // Get total count
   const total = await prisma.withdrawalRequest.count({ where: whereConditions });
 
@@ -541,17 +1121,47 @@ export const processWithdrawal = asyncHandler(async (req, res, next) => {
     return next(new AppError('Withdrawal request not found', 404));
   }
 
-  if (withdrawal.status !== CONSTANTS.WITHDRAWAL_STATUS.PENDING) {
+  // A payout whose B2C request had an unknown outcome can be settled by hand once checked against M-Pesa
+  const needsReconciliation = withdrawal.status === CONSTANTS.WITHDRAWAL_STATUS.PROCESSING && withdrawal.payoutUncertainAt;
+
+  if (withdrawal.status !== CONSTANTS.WITHDRAWAL_STATUS.PENDING && !needsReconciliation) {
     return next(new AppError('Withdrawal request is not pending', 400));
   }
 
+  // Approved withdrawals are paid out automatically via M-Pesa B2C and settled by the result callback
+  if (status === 'APPROVED') {
+    if (needsReconciliation) {
+      return next(new AppError('Payout outcome is unknown; complete or reject it after checking M-Pesa', 409));
+    }
+
+    const payout = await payoutService.initiateWithdrawalPayout(withdrawalId, adminId);
+
+    return res.json(successResponse(payout, payout.needsReconciliation
+      ? 'Withdrawal approved but M-Pesa did not confirm the payout request; it is flagged for reconciliation'
+      : 'Withdrawal approved and M-Pesa payout initiated'));
+  }
+
   // Process withdrawal in transaction
   await prisma.$transaction(async (tx) => {
+    // Claim it first so a concurrent callback or admin can't settle it as well
+    const claimed = await tx.withdrawalRequest.updateMany({
+      where: {
+        id: withdrawalId,
+        status: withdrawal.status,
+        ...(needsReconciliation && { payoutUncertainAt: { not: null } }),
+      },
+      data: { status, payoutUncertainAt: null },
+    });
+
+    if (claimed.count === 0) {
+      throw new AppError('Withdrawal request was settled by someone else', 409);
+    }
+
     // Update withdrawal request
     const updateData = {
       status,
       adminId,
-      processedAt: new Date(),
+      processedAt: withdrawal.processedAt || new Date(),
       resolvedAt: new Date(),
     };
 
@@ -559,13 +1169,10 @@ export const processWithdrawal = asyncHandler(async (req, res, next) => {
       updateData.mpesaTransactionCode = mpesaTransactionCode;
       
       // Update user's total withdrawn
-      await tx.user.update({
-        where: { id: withdrawal.userId },
-        data: {
-          totalWithdrawn: {
-            increment: withdrawal.amount,
-          },
-        },
+      await ledgerService.completeWithdrawal(tx, {
+        userId: withdrawal.userId,
+        amount: withdrawal.amount,
+        withdrawalId,
       });
 
       // Update transaction status
@@ -589,13 +1196,11 @@ export const processWithdrawal = asyncHandler(async (req, res, next) => {
       updateData.rejectionReason = rejectionReason;
       
       // Refund amount to user's available balance
-      await tx.user.update({
-        where: { id: withdrawal.userId },
-        data: {
-          availableBalance: {
-            increment: withdrawal.amount,
-          },
-        },
+      await ledgerService.refundWithdrawal(tx, {
+        userId: withdrawal.userId,
+        amount: withdrawal.amount,
+        withdrawalId,
+        reason: rejectionReason,
       });
 
       // Update transaction status
@@ -628,6 +1233,53 @@ export const processWithdrawal = asyncHandler(async (req, res, next) => {
   }, 'Withdrawal request processed successfully'));
 });
 
+// Run activation payment reconciliation on demand
+export const reconcileActivations = asyncHandler(async (req, res, next) => {
+  const options = {};
+
+  if (req.body.olderThanMinutes !== undefined) {
+    const olderThanMinutes = parseInt(req.body.olderThanMinutes, 10);
+
+    if (Number.isNaN(olderThanMinutes) || olderThanMinutes < 0) {
+      return next(new AppError('olderThanMinutes must be a non-negative number', 400));
+    }
+
+    options.olderThanMinutes = olderThanMinutes;
+  }
+
+  const report = await runActivationReconciliation(options);
+
+  if (!report) {
+    return next(new AppError('Activation reconciliation is already running', 409));
+  }
+
+  res.json(successResponse(report, 'Activation reconciliation completed'));
+});
+
+// Activation payments that activated nothing (already active account or mismatched payment) and are owed back to the payer
+export const getActivationRefunds = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const where = { refundRequired: true };
+
+  const [total, payments] = await Promise.all([
+    prisma.activationPayment.count({ where }),
+    prisma.activationPayment.findMany({
+      where,
+      orderBy: { completedAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        user: { select: { id: true, phoneNumber: true, firstName: true, lastName: true } },
+      },
+    }),
+  ]);
+
+  res.json(successResponse({
+    payments: payments.map(payment => ({ ...payment, amount: Number(payment.amount) })),
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Activation refunds retrieved successfully'));
+});
+
 // Get analytics data
 export const getAnalytics = asyncHandler(async (req, res) => {
   const { period = 'monthly', year = new Date().getFullYear() } = req.query;
@@ -680,9 +1332,7 @@ export const getAnalytics = asyncHandler(async (req, res) => {
       where: {
         type: {
           in: [
-            CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-            CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-            CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+            ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
             CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
             CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           ],
@@ -795,9 +1445,7 @@ export const getSystemStats = asyncHandler(async (req, res) => {
     where: {
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -870,9 +1518,85 @@ export const getSystemStats = asyncHandler(async (req, res) => {
   }, 'System statistics retrieved successfully'));
 });
 
+// Effective permissions of the signed-in admin, so the admin UI can hide actions
+export const getMyPermissions = asyncHandler(async (req, res) => {
+  const { role } = req.admin;
+  const permissions = getRolePermissions(role);
+
+  // Every known permission mapped to whether this admin holds it
+  const allPermissions = [...new Set(Object.values(CONSTANTS.ROLE_PERMISSIONS).flat())];
+  const can = Object.fromEntries(allPermissions.map(permission => [permission, permissions.includes(permission)]));
+
+  res.json(successResponse({
+    role,
+    roleDescription: CONSTANTS.ROLE_DESCRIPTIONS[role] || 'Unknown role',
+    permissions,
+    can,
+  }, 'Admin permissions retrieved successfully'));
+});
+
+// Current admin's two-factor status
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const status = await adminTwoFactorService.getStatus(req.admin.id);
+
+  res.json(successResponse(status, 'Two-factor status retrieved successfully'));
+});
+
+// Start 2FA enrollment; the returned otpauth URL is rendered as a QR code by the dashboard
+export const beginTwoFactorSetup = asyncHandler(async (req, res) => {
+  const enrollment = await adminTwoFactorService.beginEnrollment(req.admin.id);
+
+  res.json(successResponse(enrollment, 'Scan the QR code with your authenticator app'));
+});
+
+// Confirm enrollment with a code from the app; backup codes are only ever shown here
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { backupCodes } = await adminTwoFactorService.confirmEnrollment(req.admin.id, req.body.code);
+
+  res.json(successResponse({ backupCodes }, 'Two-factor authentication enabled. Store your backup codes somewhere safe.'));
+});
+
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  await adminTwoFactorService.disable(req.admin.id, req.body.code);
+
+  res.json(successResponse(null, 'Two-factor authentication disabled'));
+});
+
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { backupCodes } = await adminTwoFactorService.regenerateBackupCodes(req.admin.id, req.body.code);
+
+  res.json(successResponse({ backupCodes }, 'Backup codes regenerated. Previous codes no longer work.'));
+});
+
+// Super admin: clear another admin's 2FA so they can enroll again (e.g. lost phone)
+export const resetAdminTwoFactor = asyncHandler(async (req, res, next) => {
+  const { adminId } = req.params;
+
+  const admin = await prisma.admin.findUnique({
+    where: { id: adminId },
+    select: { id: true, twoFactorEnabled: true },
+  });
+
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  await adminTwoFactorService.clear(adminId);
+
+  res.json(successResponse({
+    id: adminId,
+    twoFactorEnabled: false,
+  }, 'Two-factor authentication reset. The admin must set it up again on next login if their role requires it.'));
+});
+
 // Create admin user
 export const createAdmin = asyncHandler(async (req, res, next) => {
-  const { username, email, password, firstName, lastName, role = 'admin' } = req.body;
+  const { username, email, password, firstName, lastName } = req.body;
+  const role = normalizeAdminRole(req.body.role || CONSTANTS.ADMIN_ROLES.ADMIN);
+
+  if (!Object.values(CONSTANTS.ADMIN_ROLES).includes(role)) {
+    return next(new AppError(`Invalid role. Must be one of: ${Object.values(CONSTANTS.ADMIN_ROLES).join(', ')}`, 400));
+  }
 
   // Check if username or email already exists
   const existingAdmin = await prisma.admin.findFirst({
@@ -934,6 +1658,7 @@ export const getAdminUsers = asyncHandler(async (req, res) => {
       lastName: true,
       role: true,
       isActive: true,
+      twoFactorEnabled: true,
       createdAt: true,
       lastLogin: true,
     },
@@ -986,7 +1711,8 @@ export const updateAdminStatus = asyncHandler(async (req, res, next) => {
 // Update admin information
 export const updateAdmin = asyncHandler(async (req, res, next) => {
   const { adminId } = req.params;
-  const { firstName, lastName, email, role } = req.body;
+  const { firstName, lastName, email } = req.body;
+  const role = normalizeAdminRole(req.body.role);
 
   // Validate required fields
   if (!firstName || !lastName || !email || !role) {
@@ -1002,7 +1728,7 @@ export const updateAdmin = asyncHandler(async (req, res, next) => {
   // Check if admin exists
   const existingAdmin = await prisma.admin.findUnique({
     where: { id: adminId },
-    select: { id: true, email: true }
+    select: { id: true, email: true, role: true }
   });
 
   if (!existingAdmin) {
@@ -1024,9 +1750,20 @@ export const updateAdmin = asyncHandler(async (req, res, next) => {
   }
 
   // Validate role
-  const validRoles = ['admin', 'super_admin', 'moderator'];
+  const validRoles = Object.values(CONSTANTS.ADMIN_ROLES);
   if (!validRoles.includes(role)) {
-    return next(new AppError('Invalid role. Must be admin, super_admin, or moderator', 400));
+    return next(new AppError(`Invalid role. Must be one of: ${validRoles.join(', ')}`, 400));
+  }
+
+  // Prevent demoting the last super admin
+  if (existingAdmin.role === CONSTANTS.ADMIN_ROLES.SUPER_ADMIN && role !== CONSTANTS.ADMIN_ROLES.SUPER_ADMIN) {
+    const superAdminCount = await prisma.admin.count({
+      where: { role: CONSTANTS.ADMIN_ROLES.SUPER_ADMIN }
+    });
+
+    if (superAdminCount <= 1) {
+      return next(new AppError('Cannot change the role of the last super admin', 400));
+    }
   }
 
   // Update admin
@@ -1071,9 +1808,9 @@ export const deleteAdmin = asyncHandler(async (req, res, next) => {
   }
 
   // Prevent deletion of the last super admin
-  if (existingAdmin.role === 'super_admin') {
+  if (existingAdmin.role === CONSTANTS.ADMIN_ROLES.SUPER_ADMIN) {
     const superAdminCount = await prisma.admin.count({
-      where: { role: 'super_admin' }
+      where: { role: CONSTANTS.ADMIN_ROLES.SUPER_ADMIN }
     });
 
     if (superAdminCount <= 1) {
@@ -1148,7 +1885,10 @@ export const getDailyLogs = asyncHandler(async (req, res) => {
     newMembersActive: acc.newMembersActive + log.newMembersActive,
     newMembersInactive: acc.newMembersInactive + log.newMembersInactive,
     totalIncome: acc.totalIncome + Number(log.totalIncome),
-    totalPayouts: acc.totalPayouts + Number(log.referralPayoutsL1 + log.referralPayoutsL2 + log.referralPayoutsL3 + log.commissionPayouts + log.adsPayouts + log.wheelPayouts + log.weeklyBonusPayouts),
+    totalPayouts: acc.totalPayouts + [
+      log.referralPayoutsL1, log.referralPayoutsL2, log.referralPayoutsL3, log.commissionPayouts,
+      log.adsPayouts, log.wheelPayouts, log.weeklyBonusPayouts, log.academicWritingPayouts,
+    ].reduce((sum, payout) => sum + Number(payout), 0),
     dailyProfit: acc.dailyProfit + Number(log.dailyProfit),
   }), {
     newMembersActive: 0,
@@ -1284,9 +2024,7 @@ const generateFinancialReport = async (startDate, endDate) => {
     where: {
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
         ],
       },
@@ -1312,9 +2050,7 @@ const generateFinancialReport = async (startDate, endDate) => {
     where: {
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -1516,9 +2252,7 @@ const calculatePeriodMetrics = async (startDate, endDate) => {
     where: {
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -1658,21 +2392,12 @@ export const getSettings = asyncHandler(async (req, res) => {
     },
   });
 
-  // Get system settings (you can store these in a separate table or use environment variables)
-  const systemSettings = {
-    maintenanceMode: process.env.MAINTENANCE_MODE === 'true' || false,
-    registrationEnabled: process.env.REGISTRATION_ENABLED !== 'false', // Default to true
-    withdrawalEnabled: process.env.WITHDRAWAL_ENABLED !== 'false', // Default to true
-    maxWithdrawalAmount: parseInt(process.env.MAX_WITHDRAWAL_AMOUNT) || 50000,
-    minWithdrawalAmount: parseInt(process.env.MIN_WITHDRAWAL_AMOUNT) || 100,
-    referralBonusEnabled: process.env.REFERRAL_BONUS_ENABLED !== 'false', // Default to true
-    emailNotifications: process.env.EMAIL_NOTIFICATIONS === 'true' || false,
-    smsNotifications: process.env.SMS_NOTIFICATIONS === 'true' || false,
-  };
+  const { values: systemSettings, versions } = await systemSettingsService.getSnapshot({ fresh: true });
 
   res.json(successResponse({
     profile: adminProfile,
     system: systemSettings,
+    versions,
   }, 'Settings retrieved successfully'));
 });
 
@@ -1713,53 +2438,32 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
 });
 
 // Update system settings
-export const updateSystemSettings = asyncHandler(async (req, res, next) => {
-  const {
-    maintenanceMode,
-    registrationEnabled,
-    withdrawalEnabled,
-    maxWithdrawalAmount,
-    minWithdrawalAmount,
-    referralBonusEnabled,
-    emailNotifications,
-    smsNotifications,
-  } = req.body;
+export const updateSystemSettings = asyncHandler(async (req, res) => {
+  const { expectedVersions, ...changes } = req.body;
 
-  // Validate withdrawal amounts
-  if (maxWithdrawalAmount !== undefined && maxWithdrawalAmount < 0) {
-    return next(new AppError('Maximum withdrawal amount cannot be negative', 400));
-  }
+  const { settings, versions, changed } = await systemSettingsService.update(changes, {
+    adminId: req.admin.id,
+    expectedVersions,
+  });
 
-  if (minWithdrawalAmount !== undefined && minWithdrawalAmount < 0) {
-    return next(new AppError('Minimum withdrawal amount cannot be negative', 400));
-  }
+  res.json(successResponse({
+    updatedSettings: settings,
+    versions,
+    changed,
+  }, changed.length > 0 ? 'System settings updated successfully' : 'No settings changed'));
+});
 
-  if (maxWithdrawalAmount !== undefined && minWithdrawalAmount !== undefined && maxWithdrawalAmount < minWithdrawalAmount) {
-    return next(new AppError('Maximum withdrawal amount cannot be less than minimum withdrawal amount', 400));
-  }
+// History of system setting changes, newest first
+export const getSettingsHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
 
-  // In a real application, you would store these settings in a database
-  // For now, we'll just return success (you can implement actual storage later)
-  
-  // Example of how you might store these in a settings table:
-  /*
-  await prisma.systemSettings.upsert({
-    where: { key: 'maintenanceMode' },
-    update: { value: maintenanceMode?.toString() },
-    create: { key: 'maintenanceMode', value: maintenanceMode?.toString() },
-  });
-  */
+  const { total, entries } = await systemSettingsService.getHistory(
+    { key: req.query.key },
+    { skip, take: limit }
+  );
 
   res.json(successResponse({
-    updatedSettings: {
-      maintenanceMode,
-      registrationEnabled,
-      withdrawalEnabled,
-      maxWithdrawalAmount,
-      minWithdrawalAmount,
-      referralBonusEnabled,
-      emailNotifications,
-      smsNotifications,
-    },
-  }, 'System settings updated successfully'));
-});
\ No newline at end of file
+    history: entries,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Settings history retrieved successfully'));
+});
@@ -9,16 +9,34 @@ import {
   successResponse,
   verifyToken,
   splitFullName,
-  combineNames
+  combineNames,
+  setAuthCookies,
+  clearAuthCookies,
+  getRolePermissions
 } from '../utils/helpers.js';
 import { generateUniqueReferralCode } from '../utils/codeGenerator.js';
 import { CONSTANTS } from '../utils/constants.js';
 import { verificationService } from '../services/verificationService.js';
+import { passwordResetService } from '../services/passwordResetService.js';
+import { userLevelService } from '../services/userLevelService.js';
+import { riskService } from '../services/riskService.js';
+import { adminTwoFactorService, TWO_FACTOR_TOKEN_PURPOSES } from '../services/adminTwoFactorService.js';
+import { sessionService, SESSION_REVOKE_REASONS } from '../services/sessionService.js';
+import { ledgerService } from '../services/ledgerService.js';
+import { systemSettingsService } from '../services/systemSettingsService.js';
+import { commissionPlanService } from '../services/commissionPlanService.js';
+import { referralGraphService } from '../services/referralGraphService.js';
 
 // Register new user
 export const register = asyncHandler(async (req, res, next) => {
   const { phoneNumber, email, password, fullName, referralCode } = req.body;
 
+  const settings = await systemSettingsService.getAll();
+
+  if (!settings.registrationEnabled) {
+    return next(new AppError('Registration is currently closed. Please try again later.', 403));
+  }
+
   // Format phone number and email
   const formattedPhone = formatPhoneNumber(phoneNumber);
   const formattedEmail = email.trim().toLowerCase();
@@ -67,6 +85,10 @@ export const register = asyncHandler(async (req, res, next) => {
   // Generate unique referral code
   const uniqueReferralCode = await generateUniqueReferralCode();
 
+  // Bonuses follow the active commission plan. With bonuses switched off the
+  // referral tree is still recorded, but nothing is owed.
+  const plan = await commissionPlanService.getActivePlan();
+
   // Create user in a transaction
   const result = await prisma.$transaction(async (tx) => {
     // Create user with split names
@@ -93,101 +115,67 @@ export const register = asyncHandler(async (req, res, next) => {
       },
     });
 
-    // If user was referred, create referral relationships and update pending earnings
-    if (referrer) {
-      // Create direct referral (Level 1) and update referrer's pending earnings
-      await tx.referral.create({
+    // If user was referred, credit each upline member the plan covers, nearest first
+    const upline = referrer
+      ? await referralGraphService.getUpline(user.id, plan.depth, tx)
+      : [];
+
+    for (const member of upline) {
+      const amount = settings.referralBonusEnabled
+        ? commissionPlanService.calculateBonus(plan, member.level, member.userLevel)
+        : 0;
+
+      const referral = await tx.referral.create({
         data: {
-          referrerId: referrer.id,
+          referrerId: member.id,
           referredId: user.id,
-          level: 1,
-          earningsAmount: CONSTANTS.REFERRAL_BONUS.LEVEL_1,
-          earningsStatus: 'PENDING', // Explicitly set as pending
+          level: member.level,
+          earningsAmount: amount,
+          earningsStatus: amount > 0 ? CONSTANTS.EARNINGS_STATUS.PENDING : CONSTANTS.EARNINGS_STATUS.AVAILABLE,
+          commissionPlanVersion: plan.version,
         },
       });
 
-      // Add to referrer's pending earnings and update total referrals
+      // Update the upline member's total referrals
       await tx.user.update({
-        where: { id: referrer.id },
+        where: { id: member.id },
         data: {
           totalReferrals: {
             increment: 1,
           },
-          pendingEarnings: {
-            increment: CONSTANTS.REFERRAL_BONUS.LEVEL_1,
-          },
         },
       });
 
-      // Check for Level 2 referral (referrer's referrer)
-      if (referrer.referredBy) {
-        const level2Referrer = await tx.user.findUnique({
-          where: { referralCode: referrer.referredBy }
+      if (amount > 0) {
+        await ledgerService.recordPendingReferralBonus(tx, {
+          referrerId: member.id,
+          amount,
+          referralId: referral.id,
+          level: member.level,
         });
-
-        if (level2Referrer) {
-          await tx.referral.create({
-            data: {
-              referrerId: level2Referrer.id,
-              referredId: user.id,
-              level: 2,
-              earningsAmount: CONSTANTS.REFERRAL_BONUS.LEVEL_2,
-              earningsStatus: 'PENDING',
-            },
-          });
-
-          await tx.user.update({
-            where: { id: level2Referrer.id },
-            data: {
-              totalReferrals: {
-                increment: 1,
-              },
-              pendingEarnings: {
-                increment: CONSTANTS.REFERRAL_BONUS.LEVEL_2,
-              },
-            },
-          });
-
-          // Check for Level 3 referral (level 2 referrer's referrer)
-          if (level2Referrer.referredBy) {
-            const level3Referrer = await tx.user.findUnique({
-              where: { referralCode: level2Referrer.referredBy }
-            });
-
-            if (level3Referrer) {
-              await tx.referral.create({
-                data: {
-                  referrerId: level3Referrer.id,
-                  referredId: user.id,
-                  level: 3,
-                  earningsAmount: CONSTANTS.REFERRAL_BONUS.LEVEL_3,
-                  earningsStatus: 'PENDING',
-                },
-              });
-
-              await tx.user.update({
-                where: { id: level3Referrer.id },
-                data: {
-                  totalReferrals: {
-                    increment: 1,
-                  },
-                  pendingEarnings: {
-                    increment: CONSTANTS.REFERRAL_BONUS.LEVEL_3,
-                  },
-                },
-              });
-            }
-          }
-        }
       }
     }
 
     return user;
   });
 
-  // Generate tokens
-  const token = generateToken({ id: result.id });
-  const refreshToken = generateRefreshToken({ id: result.id });
+  // Score the sign-up; bonuses generated by a flagged account are held when it activates
+  await riskService.assessRegistration({
+    user: result,
+    referrer,
+    ...riskService.contextFromRequest(req),
+  });
+
+  // New referral counts may move the upline to a new level
+  if (referralCode) {
+    await userLevelService.evaluateUplineOf(result.id, CONSTANTS.LEVEL_CHANGE_REASONS.REFERRAL);
+  }
+
+  // Start a session and generate tokens
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    result.id,
+    sessionService.contextFromRequest(req)
+  );
 
   // Format response with fullName
   const responseUser = {
@@ -196,18 +184,7 @@ export const register = asyncHandler(async (req, res, next) => {
   };
 
   // Set HTTP-only cookies
-  res.cookie('accessToken', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production' || req.headers.origin?.startsWith('https://'),
-    sameSite: req.headers.origin?.startsWith('https://') ? 'none' : 'lax',
-    maxAge: 15 * 60 * 1000 // 15 minutes
-  });
-  res.cookie('refreshToken', refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production' || req.headers.origin?.startsWith('https://'),
-    sameSite: req.headers.origin?.startsWith('https://') ? 'none' : 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-  });
+  setAuthCookies(req, res, { accessToken, refreshToken });
 
   res.status(201).json(successResponse({
     user: responseUser,
@@ -264,23 +241,14 @@ export const login = asyncHandler(async (req, res, next) => {
     fullName: [user.firstName, user.lastName].filter(Boolean).join(' ') || null,
   };
 
-  // Generate tokens
-  const token = generateToken({ id: user.id });
-  const refreshToken = generateRefreshToken({ id: user.id });
+  // Start a session and generate tokens
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user.id,
+    sessionService.contextFromRequest(req)
+  );
 
   // Set HTTP-only cookies
-  res.cookie('accessToken', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production' || req.headers.origin?.startsWith('https://'),
-    sameSite: req.headers.origin?.startsWith('https://') ? 'none' : 'lax',
-    maxAge: 15 * 60 * 1000 // 15 minutes
-  });
-  res.cookie('refreshToken', refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production' || req.headers.origin?.startsWith('https://'),
-    sameSite: req.headers.origin?.startsWith('https://') ? 'none' : 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-  });
+  setAuthCookies(req, res, { accessToken, refreshToken });
 
   res.json(successResponse({
     user: userResponse,
@@ -288,37 +256,8 @@ export const login = asyncHandler(async (req, res, next) => {
   }, CONSTANTS.SUCCESS.LOGIN));
 });
 
-// Admin login
-export const adminLogin = asyncHandler(async (req, res, next) => {
-  const { email, password } = req.body;
-
-  const formattedEmail = email.trim().toLowerCase();
-
-  // Find admin by email
-  const admin = await prisma.admin.findUnique({
-    where: { email: formattedEmail },
-    select: {
-      id: true,
-      username: true,
-      email: true,
-      passwordHash: true,
-      role: true,
-      firstName: true,
-      lastName: true,
-      isActive: true,
-      createdAt: true,
-    },
-  });
-
-  if (!admin || !(await comparePassword(password, admin.passwordHash))) {
-    return next(new AppError('Invalid email or password', 401));
-  }
-
-  if (!admin.isActive) {
-    return next(new AppError('Admin account is disabled', 403));
-  }
-
-  // Update last login
+// Last login, response shape and tokens for an admin who has passed every login step
+const completeAdminLogin = async (admin) => {
   await prisma.admin.update({
     where: { id: admin.id },
     data: { lastLogin: new Date() },
@@ -343,13 +282,117 @@ export const adminLogin = asyncHandler(async (req, res, next) => {
     type: 'admin' 
   });
 
-  res.json(successResponse({
+  return {
     admin: adminResponse,
     token,
     refreshToken,
+  };
+};
+
+const ADMIN_LOGIN_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  firstName: true,
+  lastName: true,
+  isActive: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+};
+
+// Load the admin named by a two-factor challenge token
+const getChallengedAdmin = async (challengeToken, purpose) => {
+  const decoded = adminTwoFactorService.verifyChallengeToken(challengeToken, purpose);
+
+  const admin = await prisma.admin.findUnique({
+    where: { id: decoded.id },
+    select: ADMIN_LOGIN_SELECT,
+  });
+
+  if (!admin || !admin.isActive) {
+    throw new AppError('Admin not found or inactive', 401);
+  }
+
+  return admin;
+};
+
+// Admin login
+export const adminLogin = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  const formattedEmail = email.trim().toLowerCase();
+
+  // Find admin by email
+  const admin = await prisma.admin.findUnique({
+    where: { email: formattedEmail },
+    select: {
+      ...ADMIN_LOGIN_SELECT,
+      passwordHash: true,
+    },
+  });
+
+  if (!admin || !(await comparePassword(password, admin.passwordHash))) {
+    return next(new AppError('Invalid email or password', 401));
+  }
+
+  if (!admin.isActive) {
+    return next(new AppError('Admin account is disabled', 403));
+  }
+
+  // With 2FA on, the password alone only earns a short-lived challenge token
+  if (admin.twoFactorEnabled) {
+    return res.json(successResponse({
+      requiresTwoFactor: true,
+      challengeToken: adminTwoFactorService.createChallengeToken(admin, TWO_FACTOR_TOKEN_PURPOSES.VERIFY),
+    }, 'Enter the code from your authenticator app'));
+  }
+
+  if (await adminTwoFactorService.isRequiredForRole(admin.role)) {
+    return res.json(successResponse({
+      requiresTwoFactorSetup: true,
+      setupToken: adminTwoFactorService.createChallengeToken(admin, TWO_FACTOR_TOKEN_PURPOSES.SETUP),
+    }, 'Two-factor authentication must be set up before you can sign in'));
+  }
+
+  res.json(successResponse(await completeAdminLogin(admin), 'Admin login successful'));
+});
+
+// Second login step: exchange the challenge token and a TOTP or backup code for admin tokens
+export const verifyAdminTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  const admin = await getChallengedAdmin(challengeToken, TWO_FACTOR_TOKEN_PURPOSES.VERIFY);
+  const result = await adminTwoFactorService.verify(admin.id, { code, backupCode });
+
+  res.json(successResponse({
+    ...(await completeAdminLogin(admin)),
+    remainingBackupCodes: result.remainingBackupCodes,
   }, 'Admin login successful'));
 });
 
+// Enrollment for admins whose role requires 2FA before their first full login
+export const setupAdminTwoFactorAtLogin = asyncHandler(async (req, res) => {
+  const { setupToken } = req.body;
+
+  const admin = await getChallengedAdmin(setupToken, TWO_FACTOR_TOKEN_PURPOSES.SETUP);
+  const enrollment = await adminTwoFactorService.beginEnrollment(admin.id);
+
+  res.json(successResponse(enrollment, 'Scan the QR code with your authenticator app'));
+});
+
+export const enableAdminTwoFactorAtLogin = asyncHandler(async (req, res) => {
+  const { setupToken, code } = req.body;
+
+  const admin = await getChallengedAdmin(setupToken, TWO_FACTOR_TOKEN_PURPOSES.SETUP);
+  const { backupCodes } = await adminTwoFactorService.confirmEnrollment(admin.id, code);
+
+  res.json(successResponse({
+    ...(await completeAdminLogin({ ...admin, twoFactorEnabled: true })),
+    backupCodes,
+  }, 'Two-factor authentication enabled. Store your backup codes somewhere safe.'));
+});
+
 // Updated verifyPhone to handle both send and verify actions
 export const verifyPhone = asyncHandler(async (req, res, next) => {
   const { action, phoneNumber, verificationCode } = req.body;
@@ -438,33 +481,30 @@ export const forgotPassword = asyncHandler(async (req, res, next) => {
   const formattedPhone = formatPhoneNumber(phoneNumber);
 
   const user = await prisma.user.findUnique({
-    where: { phoneNumber: formattedPhone }
+    where: { phoneNumber: formattedPhone },
+    select: { id: true, accountStatus: true },
   });
 
-  if (!user) {
-    // Don't reveal if user exists or not
+  if (!user || user.accountStatus === CONSTANTS.ACCOUNT_STATUS.SUSPENDED) {
+    // Don't reveal if user exists or not, but count the request the same way
+    await passwordResetService.checkRateLimit(formattedPhone);
+    await passwordResetService.incrementRateLimit(formattedPhone);
+
     return res.json(successResponse(
       { sent: true },
-      'If the phone number exists, a reset code has been sent'
+      CONSTANTS.SUCCESS.PASSWORD_RESET_REQUESTED
     ));
   }
 
-  // Generate reset code
-  const resetCode = Math.floor(1000 + Math.random() * 9000).toString(); // 4-digit code
-  const resetExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-  // In production, store in Redis or database
-  // await redis.setex(`reset:${formattedPhone}`, 600, resetCode);
-
-  console.log(`SMS: Your password reset code is ${resetCode}`);
+  const result = await passwordResetService.sendResetCode(formattedPhone);
 
   res.json(successResponse(
-    { 
+    {
       sent: true,
-      // Remove this in production
-      code: process.env.NODE_ENV === 'development' ? resetCode : undefined
+      // Only expose code in development
+      code: process.env.NODE_ENV === 'development' ? result.code : undefined
     },
-    'Password reset code sent successfully'
+    CONSTANTS.SUCCESS.PASSWORD_RESET_REQUESTED
   ));
 });
 
@@ -474,81 +514,73 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
 
   const formattedPhone = formatPhoneNumber(phoneNumber);
 
-  // In production, verify code from Redis
-  // const storedCode = await redis.get(`reset:${formattedPhone}`);
-  // if (!storedCode || storedCode !== resetCode) {
-  //   return next(new AppError('Invalid or expired reset code', 400));
-  // }
-
-  // Placeholder verification (remove in production)
-  if (resetCode !== '1234') {
-    return next(new AppError('Invalid reset code', 400));
-  }
+  // Throws on a wrong, expired or already used code
+  await passwordResetService.consumeResetCode(formattedPhone, resetCode);
 
   const user = await prisma.user.findUnique({
-    where: { phoneNumber: formattedPhone }
+    where: { phoneNumber: formattedPhone },
+    select: { id: true },
   });
 
   if (!user) {
-    return next(new AppError('User not found', 404));
+    return next(new AppError('Invalid reset code', 400));
   }
 
-  // Hash new password
   const hashedPassword = await hashPassword(newPassword);
 
-  // Update password
+  // Moving passwordChangedAt forward revokes every token issued before the reset
   await prisma.user.update({
     where: { id: user.id },
-    data: { passwordHash: hashedPassword },
+    data: {
+      passwordHash: hashedPassword,
+      passwordChangedAt: new Date(),
+    },
   });
 
-  // Delete reset code from Redis
-  // await redis.del(`reset:${formattedPhone}`);
+  // Sign the user out everywhere and drop any session cookies this browser still holds
+  await sessionService.revokeAllForUser(user.id, SESSION_REVOKE_REASONS.PASSWORD_RESET);
+  clearAuthCookies(res);
 
   res.json(successResponse(
     { reset: true },
-    'Password reset successfully'
+    CONSTANTS.SUCCESS.PASSWORD_RESET
   ));
 });
 
 // Refresh token
 export const refreshToken = asyncHandler(async (req, res, next) => {
-  const { refreshToken: token } = req.body;
+  const token = req.body?.refreshToken || req.cookies?.refreshToken;
 
   if (!token) {
     return next(new AppError('Refresh token is required', 400));
   }
 
-  try {
-    // Verify refresh token
-    const decoded = verifyToken(token, process.env.JWT_REFRESH_SECRET);
-    
-    // Check if user exists
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: { id: true, accountStatus: true },
-    });
+  // Rotates the token; replaying an already used token revokes the session
+  const { session, accessToken, refreshToken: newRefreshToken } = await sessionService.rotate(
+    token,
+    sessionService.contextFromRequest(req)
+  );
 
-    if (!user) {
-      return next(new AppError('User not found', 404));
-    }
+  // Check if user exists
+  const user = await prisma.user.findUnique({
+    where: { id: session.userId },
+    select: { id: true, accountStatus: true },
+  });
 
-    if (user.accountStatus === CONSTANTS.ACCOUNT_STATUS.SUSPENDED) {
-      return next(new AppError('Account suspended', 403));
-    }
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
 
-    // Generate new tokens
-    const newToken = generateToken({ id: user.id });
-    const newRefreshToken = generateRefreshToken({ id: user.id });
+  if (user.accountStatus === CONSTANTS.ACCOUNT_STATUS.SUSPENDED) {
+    return next(new AppError('Account suspended', 403));
+  }
 
-    res.json(successResponse({
-      token: newToken,
-      refreshToken: newRefreshToken,
-    }, 'Token refreshed successfully'));
+  setAuthCookies(req, res, { accessToken, refreshToken: newRefreshToken });
 
-  } catch (error) {
-    return next(new AppError('Invalid refresh token', 401));
-  }
+  res.json(successResponse({
+    token: accessToken,
+    refreshToken: newRefreshToken,
+  }, 'Token refreshed successfully'));
 });
 
 // Get current user
@@ -557,20 +589,13 @@ export const getMe = asyncHandler(async (req, res) => {
   res.json(successResponse(req.user, 'User profile retrieved successfully'));
 });
 
-// Logout (client-side token removal, but we can log it)
+// Logout - revoke this session server-side and clear cookies
 export const logout = asyncHandler(async (req, res) => {
-  // Clear cookies (no need to pass values, just match the options used when setting them)
-  res.clearCookie('accessToken', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'none',
-  });
+  if (req.sessionId) {
+    await sessionService.revoke(req.sessionId, SESSION_REVOKE_REASONS.LOGOUT, req.user.id);
+  }
 
-  res.clearCookie('refreshToken', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'none',
-  });
+  clearAuthCookies(res);
 
   res.json(successResponse(
     { loggedOut: true },
@@ -578,6 +603,48 @@ export const logout = asyncHandler(async (req, res) => {
   ));
 });
 
+// List the user's active sessions (one per signed-in device)
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listActiveSessions(req.user.id, req.sessionId);
+
+  res.json(successResponse(
+    { sessions },
+    'Sessions retrieved successfully'
+  ));
+});
+
+// Sign out a single session, e.g. a lost phone
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  const revoked = await sessionService.revoke(sessionId, SESSION_REVOKE_REASONS.SIGNED_OUT_REMOTELY, req.user.id);
+
+  if (!revoked) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  if (sessionId === req.sessionId) {
+    clearAuthCookies(res);
+  }
+
+  res.json(successResponse(
+    { revoked: true, sessionId },
+    'Session signed out successfully'
+  ));
+});
+
+// Sign out every session except the current one
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAllForUser(req.user.id, SESSION_REVOKE_REASONS.SIGNED_OUT_REMOTELY, {
+    exceptSessionId: req.sessionId,
+  });
+
+  res.json(successResponse(
+    { revoked: count },
+    'Other sessions signed out successfully'
+  ));
+});
+
 // Admin refresh token
 export const adminRefreshToken = asyncHandler(async (req, res, next) => {
   const { refreshToken: token } = req.body;
@@ -593,16 +660,21 @@ export const adminRefreshToken = asyncHandler(async (req, res, next) => {
     // Check if admin exists
     const admin = await prisma.admin.findUnique({
       where: { id: decoded.id },
-      select: { id: true, isActive: true },
+      select: { id: true, isActive: true, role: true, twoFactorEnabled: true },
     });
 
     if (!admin || !admin.isActive) {
       return next(new AppError('Admin not found or inactive', 404));
     }
 
-    // Generate new tokens
-    const newToken = generateToken({ id: admin.id, role: 'admin' });
-    const newRefreshToken = generateRefreshToken({ id: admin.id, role: 'admin' });
+    // Sessions from before 2FA became mandatory for this role must sign in again
+    if (!admin.twoFactorEnabled && await adminTwoFactorService.isRequiredForRole(admin.role)) {
+      return next(new AppError('Two-factor authentication setup required. Please log in again.', 401));
+    }
+
+    // Generate new tokens with the admin's current role
+    const newToken = generateToken({ id: admin.id, role: admin.role, type: 'admin' });
+    const newRefreshToken = generateRefreshToken({ id: admin.id, role: admin.role, type: 'admin' });
 
     res.json(successResponse({
       token: newToken,
@@ -619,7 +691,7 @@ export const getAdminMe = asyncHandler(async (req, res) => {
   const admin = req.admin;
   
   // Get admin permissions based on role
-  const permissions = CONSTANTS.ROLE_PERMISSIONS[admin.role] || [];
+  const permissions = getRolePermissions(admin.role);
   
   const adminResponse = {
     ...admin,
@@ -633,14 +705,7 @@ export const getAdminMe = asyncHandler(async (req, res) => {
 
 // Helper function to get role descriptions
 const getRoleDescription = (role) => {
-  const descriptions = {
-    SUPER_ADMIN: 'Full system access and admin management',
-    ADMIN: 'User management, financial operations, and analytics',
-    MODERATOR: 'User moderation and basic financial viewing',
-    SUPPORT: 'View-only access for customer support',
-  };
-  
-  return descriptions[role] || 'Unknown role';
+  return CONSTANTS.ROLE_DESCRIPTIONS[role] || 'Unknown role';
 };
 
 // Check if phone number is available
@@ -741,7 +806,7 @@ export const verifyAdminAuth = asyncHandler(async (req, res) => {
   const admin = req.admin;
   
   // Get admin permissions based on role
-  const permissions = CONSTANTS.ROLE_PERMISSIONS[admin.role] || [];
+  const permissions = getRolePermissions(admin.role);
   
   const adminResponse = {
     ...admin,
@@ -36,11 +36,12 @@ export const getEarningsSummary = asyncHandler(async (req, res) => {
   referralEarnings.forEach(earning => {
     const level = `level${earning.level}`;
     const amount = Number(earning._sum.earningsAmount || 0);
+    referralSummary[level] ??= { pending: 0, available: 0, count: 0 }; // Levels beyond 3
     referralSummary[level].count += earning._count.id;
     
-    if (earning.earningsStatus === CONSTANTS.EARNINGS_STATUS.PENDING) {
+    if (CONSTANTS.UNRELEASED_EARNINGS_STATUSES.includes(earning.earningsStatus)) {
       referralSummary[level].pending += amount;
-    } else {
+    } else if (earning.earningsStatus === CONSTANTS.EARNINGS_STATUS.AVAILABLE) {
       referralSummary[level].available += amount;
     }
   });
@@ -99,6 +100,7 @@ export const getEarningsSummary = asyncHandler(async (req, res) => {
     balances: {
       pending: Number(user.pendingEarnings),
       available: Number(user.availableBalance),
+      outstandingDebt: Math.max(0, -Number(user.availableBalance)),
       totalEarned: Number(user.totalEarned),
       totalWithdrawn: Number(user.totalWithdrawn),
       netEarnings: Number(user.totalEarned) - Number(user.totalWithdrawn),
@@ -146,9 +148,7 @@ export const getEarningsBreakdown = asyncHandler(async (req, res) => {
       },
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -236,9 +236,7 @@ export const getEarningsHistory = asyncHandler(async (req, res) => {
     status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
     type: {
       in: [
-        CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-        CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-        CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+        ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
         CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
         CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
         CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -320,9 +318,7 @@ export const getEarningsProjection = asyncHandler(async (req, res) => {
       },
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -358,7 +354,7 @@ export const getEarningsProjection = asyncHandler(async (req, res) => {
   const pendingReferralEarnings = await prisma.referral.aggregate({
     where: {
       referrerId: userId,
-      earningsStatus: CONSTANTS.EARNINGS_STATUS.PENDING,
+      earningsStatus: { in: CONSTANTS.UNRELEASED_EARNINGS_STATUSES },
     },
     _sum: { earningsAmount: true },
   });
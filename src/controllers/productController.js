@@ -0,0 +1,27 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, getPaginationParams, getPaginationMeta } from '../utils/helpers.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { productService } from '../services/productService.js';
+
+// Active products; ?category=, ?minPrice=, ?maxPrice= and ?search= narrow the list
+export const getProducts = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const filters = { ...productService.parseFilters(req.query), isActive: true };
+
+  const { total, products } = await productService.listProducts(filters, { skip, take: limit });
+
+  res.json(successResponse({
+    products,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Products retrieved successfully'));
+});
+
+export const getProductCategories = asyncHandler(async (req, res) => {
+  res.json(successResponse(Object.values(CONSTANTS.PRODUCT_CATEGORIES), 'Product categories retrieved successfully'));
+});
+
+export const getProduct = asyncHandler(async (req, res) => {
+  const product = await productService.getProduct(req.params.productId);
+
+  res.json(successResponse(product, 'Product retrieved successfully'));
+});
@@ -0,0 +1,45 @@
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse } from '../utils/helpers.js';
+import { promotionService } from '../services/promotionService.js';
+
+// Share URLs point back at this API, however it is reached
+const getApiBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// The member's promotion links with click and conversion counts
+export const getPromotionLinks = asyncHandler(async (req, res) => {
+  const links = await promotionService.listUserLinks(req.user.id);
+  const apiBaseUrl = getApiBaseUrl(req);
+
+  res.json(successResponse(
+    links.map(link => promotionService.format(link, req.user.referralCode, apiBaseUrl)),
+    'Promotion links retrieved successfully'
+  ));
+});
+
+// Get the member's link for a product, creating it on first use
+export const createPromotionLink = asyncHandler(async (req, res, next) => {
+  const { productId } = req.body;
+
+  if (!productId || typeof productId !== 'string') {
+    return next(new AppError('Product ID is required', 400));
+  }
+
+  const link = await promotionService.getOrCreateLink(req.user.id, productId);
+
+  res.json(successResponse(
+    promotionService.format(link, req.user.referralCode, getApiBaseUrl(req)),
+    'Promotion link ready'
+  ));
+});
+
+// Public entry point for shared links: count the click, then send the visitor on
+export const followPromotionLink = asyncHandler(async (req, res) => {
+  const destination = await promotionService.trackClick(req.params.code, {
+    viewerId: req.user?.id || null,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    referer: req.get('referer') || null,
+  });
+
+  res.redirect(302, destination);
+});
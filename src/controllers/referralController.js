@@ -2,8 +2,15 @@ import { prisma } from '../lib/prisma.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, getPaginationParams, getPaginationMeta } from '../utils/helpers.js';
 import { generateReferralLink } from '../utils/codeGenerator.js';
-import { getPendingReferralEarnings, calculateActivationImpact, getReferralChain } from '../services/referralService.js';
+import {
+  getPendingReferralEarnings,
+  calculateActivationImpact,
+  getReferralChain,
+  getReferralTree as getReferralTreeForUser,
+  getDownlineTree as getDownlineTreeForUser,
+} from '../services/referralService.js';
 import { CONSTANTS } from '../utils/constants.js';
+import { commissionPlanService } from '../services/commissionPlanService.js';
 
 // Get user's referral information
 export const getReferralInfo = asyncHandler(async (req, res) => {
@@ -22,6 +29,8 @@ export const getReferralInfo = asyncHandler(async (req, res) => {
   // Generate referral link
   const referralLink = generateReferralLink(user.referralCode);
 
+  const plan = await commissionPlanService.getActivePlan();
+
   // Get referral statistics by level
   const referralStats = await prisma.referral.groupBy({
     by: ['level', 'earningsStatus'],
@@ -51,11 +60,12 @@ export const getReferralInfo = asyncHandler(async (req, res) => {
 
   referralStats.forEach(stat => {
     const levelKey = `level${stat.level}`;
+    stats[levelKey] ??= { count: 0, pendingEarnings: 0, confirmedEarnings: 0 }; // Levels beyond 3
     stats[levelKey].count += stat._count.id;
     
-    if (stat.earningsStatus === CONSTANTS.EARNINGS_STATUS.PENDING) {
+    if (CONSTANTS.UNRELEASED_EARNINGS_STATUSES.includes(stat.earningsStatus)) {
       stats[levelKey].pendingEarnings += Number(stat._sum.earningsAmount || 0);
-    } else {
+    } else if (stat.earningsStatus === CONSTANTS.EARNINGS_STATUS.AVAILABLE) {
       stats[levelKey].confirmedEarnings += Number(stat._sum.earningsAmount || 0);
     }
   });
@@ -66,61 +76,57 @@ export const getReferralInfo = asyncHandler(async (req, res) => {
     totalReferrals: user.totalReferrals,
     userLevel: user.userLevel,
     stats,
-    bonusAmounts: {
-      level1: CONSTANTS.REFERRAL_BONUS.LEVEL_1,
-      level2: CONSTANTS.REFERRAL_BONUS.LEVEL_2,
-      level3: CONSTANTS.REFERRAL_BONUS.LEVEL_3,
-    },
+    // What each level earns this user under the current plan
+    bonusAmounts: commissionPlanService.describeBonuses(plan, user.userLevel),
+    commissionPlanVersion: plan.version,
   }, 'Referral information retrieved successfully'));
 });
 
+// Depth for tree/chain queries: ?depth=N, defaulting to the levels the commission plan pays
+const getRequestedDepth = async (query) => {
+  if (query.depth !== undefined) {
+    return query.depth;
+  }
+
+  const plan = await commissionPlanService.getActivePlan();
+  return plan.depth;
+};
+
 // Get user's referral tree/list
 export const getReferralTree = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { page, limit, skip } = getPaginationParams(req.query);
   const { level } = req.query;
 
-  // Base query conditions
-  const whereConditions = { referrerId: userId };
-  
-  // Filter by level if specified
-  if (level && ['1', '2', '3'].includes(level)) {
-    whereConditions.level = parseInt(level);
-  }
-
-  // Get total count
-  const total = await prisma.referral.count({
-    where: whereConditions,
-  });
+  const depth = await getRequestedDepth(req.query);
 
-  // Get referrals with user information
-  const referrals = await prisma.referral.findMany({
-    where: whereConditions,
-    include: {
-      referred: {
-        select: {
-          phoneNumber: true,
-          firstName: true,
-          lastName: true,
-          email: true,
-          accountStatus: true,
-          createdAt: true,
-        },
-      },
-    },
-    orderBy: { createdAt: 'desc' },
+  const tree = await getReferralTreeForUser(userId, {
+    depth,
+    level: level && /^[1-9]\d*$/.test(level) ? parseInt(level) : null,
     skip,
     take: limit,
   });
 
-  const paginationMeta = getPaginationMeta(total, page, limit);
+  const paginationMeta = getPaginationMeta(tree.total, page, limit);
 
   res.json(successResponse({
-    referrals,
+    referrals: tree.members,
+    levelCounts: tree.levelCounts,
+    totalMembers: tree.totalMembers,
     pagination: paginationMeta,
   }, 'Referral tree retrieved successfully'));
 });
 
+// Get nested downline tree; pass a node id to expand a member below the depth limit
+export const getDownlineTree = asyncHandler(async (req, res) => {
+  const tree = await getDownlineTreeForUser(req.user.id, {
+    nodeId: req.params.nodeId,
+    depth: req.query.depth,
+  });
+
+  res.json(successResponse(tree, 'Downline tree retrieved successfully'));
+});
+
 // Verify referral code
 export const verifyReferralCode = asyncHandler(async (req, res, next) => {
   const { referralCode } = req.params;
@@ -170,12 +176,12 @@ export const getReferralEarnings = asyncHandler(async (req, res) => {
   const whereConditions = { referrerId: userId };
   
   // Filter by earnings status
-  if (status && ['PENDING', 'AVAILABLE'].includes(status)) {
+  if (status && Object.values(CONSTANTS.EARNINGS_STATUS).includes(status)) {
     whereConditions.earningsStatus = status;
   }
 
   // Filter by level
-  if (level && ['1', '2', '3'].includes(level)) {
+  if (level && /^[1-9]\d*$/.test(level)) {
     whereConditions.level = parseInt(level);
   }
 
@@ -211,7 +217,7 @@ export const getReferralEarnings = asyncHandler(async (req, res) => {
   const pendingTotal = await prisma.referral.aggregate({
     where: { 
       referrerId: userId,
-      earningsStatus: CONSTANTS.EARNINGS_STATUS.PENDING,
+      earningsStatus: { in: CONSTANTS.UNRELEASED_EARNINGS_STATUSES },
     },
     _sum: { earningsAmount: true },
   });
@@ -375,10 +381,15 @@ export const getPendingEarnings = asyncHandler(async (req, res) => {
 // Get referral chain (upline and downline)
 export const getChain = asyncHandler(async (req, res) => {
   const userId = req.user.id;
+  const { page, limit, skip } = getPaginationParams(req.query);
 
-  const chain = await getReferralChain(userId);
+  const depth = await getRequestedDepth(req.query);
+  const chain = await getReferralChain(userId, { depth, skip, take: limit });
 
-  res.json(successResponse(chain, 'Referral chain retrieved successfully'));
+  res.json(successResponse({
+    ...chain,
+    pagination: getPaginationMeta(chain.totalDownlineCount, page, limit),
+  }, 'Referral chain retrieved successfully'));
 });
 
 // Preview activation impact (what bonuses will be processed if user activates)
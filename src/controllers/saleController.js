@@ -0,0 +1,43 @@
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, getPaginationParams, getPaginationMeta } from '../utils/helpers.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { saleService } from '../services/saleService.js';
+
+// Submit a sale for admin review; the commission is paid once it is confirmed
+export const submitSale = asyncHandler(async (req, res) => {
+  const sale = await saleService.submitSale(req.user.id, req.body);
+
+  res.status(201).json(successResponse(sale, 'Sale submitted for review'));
+});
+
+// The member's sales, newest first; ?status= and ?productId= narrow the list
+export const getSales = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { status, productId } = req.query;
+
+  if (status && !Object.values(CONSTANTS.SALE_STATUS).includes(status)) {
+    return next(new AppError('Invalid sale status', 400));
+  }
+
+  const { total, sales } = await saleService.listSales(
+    { userId: req.user.id, status, productId },
+    { skip, take: limit }
+  );
+
+  res.json(successResponse({
+    sales,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Sales retrieved successfully'));
+});
+
+export const getSalesTotals = asyncHandler(async (req, res) => {
+  const totals = await saleService.getUserTotals(req.user.id);
+
+  res.json(successResponse(totals, 'Sales totals retrieved successfully'));
+});
+
+export const getSale = asyncHandler(async (req, res) => {
+  const sale = await saleService.getUserSale(req.user.id, req.params.saleId);
+
+  res.json(successResponse(sale, 'Sale retrieved successfully'));
+});
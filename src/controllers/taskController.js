@@ -2,6 +2,7 @@ import { prisma } from '../lib/prisma.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, getStartOfDay, getWeekStart } from '../utils/helpers.js';
 import { CONSTANTS } from '../utils/constants.js';
+import { ledgerService } from '../services/ledgerService.js';
 
 // Get today's daily tasks
 export const getDailyTasks = asyncHandler(async (req, res) => {
@@ -313,7 +314,7 @@ export const claimWeeklyReward = asyncHandler(async (req, res, next) => {
     });
 
     // Create transaction record
-    await tx.transaction.create({
+    const transaction = await tx.transaction.create({
       data: {
         userId,
         type: CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
@@ -324,17 +325,13 @@ export const claimWeeklyReward = asyncHandler(async (req, res, next) => {
       },
     });
 
-    // Update user balance
-    await tx.user.update({
-      where: { id: userId },
-      data: {
-        availableBalance: {
-          increment: rewardAmount,
-        },
-        totalEarned: {
-          increment: rewardAmount,
-        },
-      },
+    // Credit user balance
+    await ledgerService.recordReward(tx, {
+      userId,
+      amount: rewardAmount,
+      type: CONSTANTS.LEDGER_ENTRY_TYPES.WEEKLY_BONUS,
+      transactionId: transaction.id,
+      description: `Weekly challenge reward: ${challengeId}`,
     });
   });
 
@@ -569,27 +566,24 @@ export const watchVideo = asyncHandler(async (req, res, next) => {
     // Small reward for watching videos
     const videoReward = 5; // KSH 5 per video completion
     
-    await prisma.transaction.create({
-      data: {
+    await prisma.$transaction(async (tx) => {
+      const transaction = await tx.transaction.create({
+        data: {
+          userId,
+          type: CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
+          amount: videoReward,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+          description: 'Video watching reward',
+          confirmedAt: new Date(),
+        },
+      });
+
+      await ledgerService.recordReward(tx, {
         userId,
-        type: CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
         amount: videoReward,
-        status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        transactionId: transaction.id,
         description: 'Video watching reward',
-        confirmedAt: new Date(),
-      },
-    });
-
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        availableBalance: {
-          increment: videoReward,
-        },
-        totalEarned: {
-          increment: videoReward,
-        },
-      },
+      });
     });
 
     res.json(successResponse({
@@ -213,9 +213,7 @@ export const getTransactionStats = asyncHandler(async (req, res) => {
       status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -333,9 +331,7 @@ export const getMonthlyTransactionSummary = asyncHandler(async (req, res) => {
         status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
         type: {
           in: [
-            CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-            CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-            CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+            ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
             CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
             CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
             CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -432,6 +428,10 @@ export const getTransactionTypes = asyncHandler(async (req, res) => {
         description = 'Level 3 referral bonus';
         category = 'referral';
         break;
+      case CONSTANTS.TRANSACTION_TYPES.REFERRAL_BONUS:
+        description = 'Referral bonus (Level 4 and deeper)';
+        category = 'referral';
+        break;
       case CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS:
         description = 'Weekly challenge completion bonus';
         category = 'challenge';
@@ -3,6 +3,7 @@ import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, formatPhoneNumber, formatUserResponse } from '../utils/helpers.js';
 import { CONSTANTS } from '../utils/constants.js';
 import { activationService } from '../services/activationService.js';
+import { userLevelService } from '../services/userLevelService.js';
 
 // Helper function to transform transaction descriptions
 const transformTransactionDescription = async (transaction) => {
@@ -199,8 +200,8 @@ export const checkActivationStatus = asyncHandler(async (req, res, next) => {
   try {
     const status = await activationService.checkActivationStatus(checkoutRequestId);
     
-    // Ensure user can only check their own transactions
-    if (status.transactionId && status.userId !== userId) {
+    // Ensure user can only check their own activation payments
+    if (status.userId && status.userId !== userId) {
       return next(new AppError('Unauthorized', 403));
     }
 
@@ -314,9 +315,7 @@ export const getStatistics = asyncHandler(async (req, res) => {
       status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
       type: {
         in: [
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_1_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_2_REFERRAL_BONUS,
-          CONSTANTS.TRANSACTION_TYPES.LEVEL_3_REFERRAL_BONUS,
+          ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
           CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
           CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
           CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
@@ -343,6 +342,13 @@ export const getStatistics = asyncHandler(async (req, res) => {
   }, 'Statistics retrieved successfully'));
 });
 
+// Get current level, progress towards the next one and level perks
+export const getLevel = asyncHandler(async (req, res) => {
+  const status = await userLevelService.getStatus(req.user.id);
+
+  res.json(successResponse(status, 'User level retrieved successfully'));
+});
+
 // Helper function to get week start
 const getWeekStart = (date = new Date()) => {
   const weekStart = new Date(date);
@@ -353,97 +359,3 @@ const getWeekStart = (date = new Date()) => {
   return weekStart;
 };
 
-// Helper function to process pending referral bonuses when user activates
-const processPendingReferralBonuses = async (userId) => {
-  // Find all pending referral bonuses for this user (where they are the referred user)
-  const pendingReferrals = await prisma.referral.findMany({
-    where: {
-      referredId: userId,
-      earningsStatus: CONSTANTS.EARNINGS_STATUS.PENDING,
-    },
-    include: {
-      referrer: {
-        select: {
-          id: true,
-          pendingEarnings: true,
-          availableBalance: true,
-          totalEarned: true,
-        },
-      },
-      // Add the referred user information
-      referred: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          phoneNumber: true,
-        },
-      },
-    },
-  });
-
-  for (const referral of pendingReferrals) {
-    await prisma.$transaction(async (tx) => {
-      // Get the referred user's name
-      const referredUser = referral.referred;
-      let referredUserName = 'Unknown User';
-      
-      if (referredUser.firstName && referredUser.lastName) {
-        referredUserName = `${referredUser.firstName} ${referredUser.lastName}`;
-      } else if (referredUser.firstName) {
-        referredUserName = referredUser.firstName;
-      } else if (referredUser.lastName) {
-        referredUserName = referredUser.lastName;
-      } else if (referredUser.phoneNumber) {
-        // Use last 4 digits of phone number for privacy
-        const phone = referredUser.phoneNumber;
-        referredUserName = `User ${phone.slice(-4)}`;
-      }
-
-      // Update referral status to available
-      await tx.referral.update({
-        where: { id: referral.id },
-        data: {
-          earningsStatus: CONSTANTS.EARNINGS_STATUS.AVAILABLE,
-          confirmedAt: new Date(),
-        },
-      });
-
-      // Create transaction record for referrer
-      await tx.transaction.create({
-        data: {
-          userId: referral.referrerId,
-          type: `LEVEL_${referral.level}_REFERRAL_BONUS`,
-          amount: referral.earningsAmount,
-          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
-          description: `Level ${referral.level} referral bonus from ${referredUserName}'s activation`,
-          confirmedAt: new Date(),
-          metadata: {
-            referredUserId: userId,
-            referredUserName: referredUserName,
-            referralLevel: referral.level,
-            activationDate: new Date().toISOString(),
-          },
-        },
-      });
-
-      // Update referrer's balances
-      await tx.user.update({
-        where: { id: referral.referrerId },
-        data: {
-          pendingEarnings: {
-            decrement: referral.earningsAmount, // Remove from pending
-          },
-          availableBalance: {
-            increment: referral.earningsAmount, // Add to available
-          },
-          totalEarned: {
-            increment: referral.earningsAmount, // Add to total earned
-          },
-        },
-      });
-    });
-  }
-
-  return pendingReferrals.length;
-};
\ No newline at end of file
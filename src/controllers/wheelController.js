@@ -0,0 +1,30 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, getPaginationParams, getPaginationMeta } from '../utils/helpers.js';
+import { wheelService } from '../services/wheelService.js';
+
+// The wheel's segments and the member's spins for today
+export const getWheel = asyncHandler(async (req, res) => {
+  const wheel = await wheelService.getWheel(req.user.id);
+
+  res.json(successResponse(wheel, 'Wheel retrieved successfully'));
+});
+
+export const spinWheel = asyncHandler(async (req, res) => {
+  const { spin, allowance } = await wheelService.spin(req.user.id);
+
+  res.json(successResponse({ spin, allowance }, spin.amount > 0
+    ? `You won KSH ${spin.amount}!`
+    : 'No prize this time'));
+});
+
+export const getSpinHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const { total, totalWon, spins } = await wheelService.listUserSpins(req.user.id, { skip, take: limit });
+
+  res.json(successResponse({
+    spins,
+    totalWon,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Spin history retrieved successfully'));
+});
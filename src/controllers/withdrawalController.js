@@ -2,6 +2,46 @@ import { prisma } from '../lib/prisma.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, getPaginationParams, getPaginationMeta, formatPhoneNumber } from '../utils/helpers.js';
 import { CONSTANTS } from '../utils/constants.js';
+import { ledgerService } from '../services/ledgerService.js';
+import { systemSettingsService } from '../services/systemSettingsService.js';
+import { userLevelService } from '../services/userLevelService.js';
+
+// Amount requested today that has not been rejected; counts against the daily limit
+const getTodayWithdrawnAmount = async (userId) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const todayWithdrawals = await prisma.withdrawalRequest.aggregate({
+    where: {
+      userId,
+      status: { not: CONSTANTS.WITHDRAWAL_STATUS.REJECTED },
+      requestedAt: { gte: today },
+    },
+    _sum: { amount: true },
+  });
+
+  return Number(todayWithdrawals._sum.amount || 0);
+};
+
+// Check an amount against the configured minimum and the user's level maximum and daily limit.
+// Used for new requests and for retries, so an old request can't get around the current limits.
+const assertWithinWithdrawalLimits = async (userId, userLevel, withdrawalAmount, settings) => {
+  if (!(withdrawalAmount >= settings.minWithdrawalAmount)) {
+    throw new AppError(`Minimum withdrawal amount is KSH ${settings.minWithdrawalAmount}`, 400);
+  }
+
+  // The maximum and daily limit depend on the user's level
+  const limits = await userLevelService.getWithdrawalLimits(userLevel);
+
+  if (withdrawalAmount > limits.maxPerRequest) {
+    throw new AppError(`Maximum withdrawal amount is KSH ${limits.maxPerRequest}`, 400);
+  }
+
+  const todayWithdrawn = await getTodayWithdrawnAmount(userId);
+  if (todayWithdrawn + withdrawalAmount > limits.daily) {
+    throw new AppError(`Daily withdrawal limit is KSH ${limits.daily}. You can withdraw up to KSH ${Math.max(0, limits.daily - todayWithdrawn)} more today.`, 400);
+  }
+};
 
 // Request withdrawal
 export const requestWithdrawal = asyncHandler(async (req, res, next) => {
@@ -13,12 +53,16 @@ export const requestWithdrawal = asyncHandler(async (req, res, next) => {
     return next(new AppError(CONSTANTS.ERRORS.ACCOUNT_NOT_ACTIVATED, 403));
   }
 
-  // Validate withdrawal amount
-  const withdrawalAmount = parseFloat(amount);
-  if (withdrawalAmount < CONSTANTS.MIN_WITHDRAWAL_AMOUNT) {
-    return next(new AppError(CONSTANTS.ERRORS.MIN_WITHDRAWAL, 400));
+  const settings = await systemSettingsService.getAll();
+
+  if (!settings.withdrawalEnabled) {
+    return next(new AppError('Withdrawals are temporarily disabled. Please try again later.', 403));
   }
 
+  // Validate withdrawal amount against the configured limits
+  const withdrawalAmount = parseFloat(amount);
+  await assertWithinWithdrawalLimits(userId, req.user.userLevel, withdrawalAmount, settings);
+
   // Check if user has sufficient balance
   if (req.user.availableBalance < withdrawalAmount) {
     return next(new AppError(CONSTANTS.ERRORS.INSUFFICIENT_BALANCE, 400));
@@ -53,18 +97,8 @@ export const requestWithdrawal = asyncHandler(async (req, res, next) => {
       },
     });
 
-    // Deduct amount from available balance
-    await tx.user.update({
-      where: { id: userId },
-      data: {
-        availableBalance: {
-          decrement: withdrawalAmount,
-        },
-      },
-    });
-
     // Create transaction record
-    await tx.transaction.create({
+    const transaction = await tx.transaction.create({
       data: {
         userId,
         type: CONSTANTS.TRANSACTION_TYPES.WITHDRAW_TO_MPESA,
@@ -78,6 +112,14 @@ export const requestWithdrawal = asyncHandler(async (req, res, next) => {
       },
     });
 
+    // Deduct amount from available balance
+    await ledgerService.holdWithdrawal(tx, {
+      userId,
+      amount: withdrawalAmount,
+      withdrawalId: withdrawalRequest.id,
+      transactionId: transaction.id,
+    });
+
     return withdrawalRequest;
   });
 
@@ -196,13 +238,11 @@ export const cancelWithdrawal = asyncHandler(async (req, res, next) => {
     });
 
     // Refund amount to available balance
-    await tx.user.update({
-      where: { id: userId },
-      data: {
-        availableBalance: {
-          increment: withdrawal.amount,
-        },
-      },
+    await ledgerService.refundWithdrawal(tx, {
+      userId,
+      amount: withdrawal.amount,
+      withdrawalId,
+      reason: 'Cancelled by user',
     });
 
     // Update transaction status
@@ -302,41 +342,28 @@ export const getWithdrawalStats = asyncHandler(async (req, res) => {
 // Get withdrawal limits and info
 export const getWithdrawalInfo = asyncHandler(async (req, res) => {
   const user = req.user;
+  const settings = await systemSettingsService.getAll();
 
-  // Calculate daily withdrawal limit (you can customize this logic)
-  const dailyLimit = 50000; // KSH 50,000 daily limit
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-
-  // Get today's completed withdrawals
-  const todayWithdrawals = await prisma.withdrawalRequest.aggregate({
-    where: {
-      userId: user.id,
-      status: CONSTANTS.WITHDRAWAL_STATUS.COMPLETED,
-      resolvedAt: {
-        gte: today,
-        lt: tomorrow,
-      },
-    },
-    _sum: { amount: true },
-  });
-
-  const todayWithdrawn = Number(todayWithdrawals._sum.amount || 0);
-  const remainingDailyLimit = Math.max(0, dailyLimit - todayWithdrawn);
+  const limits = await userLevelService.getWithdrawalLimits(user.userLevel);
+  const todayWithdrawn = await getTodayWithdrawnAmount(user.id);
+  const remainingDailyLimit = Math.max(0, limits.daily - todayWithdrawn);
 
   // Get processing times (average)
   const avgProcessingTime = await getAverageProcessingTime(user.id);
 
   res.json(successResponse({
+    withdrawalsEnabled: settings.withdrawalEnabled,
     limits: {
-      minimum: CONSTANTS.MIN_WITHDRAWAL_AMOUNT,
-      dailyLimit,
+      minimum: settings.minWithdrawalAmount,
+      maximum: limits.maxPerRequest,
+      dailyLimit: limits.daily,
       remainingDaily: remainingDailyLimit,
-      maxPerRequest: Math.min(user.availableBalance, remainingDailyLimit),
+      maxPerRequest: Math.max(0, Math.min(user.availableBalance, remainingDailyLimit, limits.maxPerRequest)),
+      userLevel: user.userLevel,
     },
     availableBalance: Number(user.availableBalance),
+    // Clawed-back bonuses the balance couldn't cover; paid off by future earnings
+    outstandingDebt: Math.max(0, -Number(user.availableBalance)),
     processing: {
       averageTimeHours: avgProcessingTime,
       businessHours: '9:00 AM - 5:00 PM EAT',
@@ -346,7 +373,8 @@ export const getWithdrawalInfo = asyncHandler(async (req, res) => {
     requirements: [
       'Account must be activated',
       'Valid M-Pesa number required',
-      `Minimum withdrawal: KSH ${CONSTANTS.MIN_WITHDRAWAL_AMOUNT}`,
+      `Minimum withdrawal: KSH ${settings.minWithdrawalAmount}`,
+      `Maximum withdrawal: KSH ${limits.maxPerRequest}`,
       'Sufficient available balance',
       'No pending withdrawal requests',
     ],
@@ -384,6 +412,9 @@ const getAverageProcessingTime = async (userId) => {
 
 // Get withdrawal methods and fees
 export const getWithdrawalMethods = asyncHandler(async (req, res) => {
+  const settings = await systemSettingsService.getAll();
+  const limits = await userLevelService.getWithdrawalLimits(req.user.userLevel);
+
   const methods = [
     {
       id: 'mpesa',
@@ -395,9 +426,9 @@ export const getWithdrawalMethods = asyncHandler(async (req, res) => {
         description: 'No withdrawal fees',
       },
       limits: {
-        minimum: CONSTANTS.MIN_WITHDRAWAL_AMOUNT,
-        maximum: 50000,
-        daily: 50000,
+        minimum: settings.minWithdrawalAmount,
+        maximum: limits.maxPerRequest,
+        daily: limits.daily,
       },
       processingTime: '1-24 hours',
       availability: '24/7',
@@ -405,7 +436,7 @@ export const getWithdrawalMethods = asyncHandler(async (req, res) => {
         'Valid M-Pesa registered phone number',
         'Phone number must match account holder',
       ],
-      isAvailable: true,
+      isAvailable: settings.withdrawalEnabled,
       isDefault: true,
     },
   ];
@@ -439,37 +470,52 @@ export const retryWithdrawal = asyncHandler(async (req, res, next) => {
     return next(new AppError('Can only retry rejected withdrawal requests', 400));
   }
 
-  // Check if user still has sufficient balance (in case they made other transactions)
-  const currentUser = await prisma.user.findUnique({
-    where: { id: userId },
-    select: { availableBalance: true },
-  });
+  const settings = await systemSettingsService.getAll();
 
-  if (currentUser.availableBalance < withdrawal.amount) {
-    return next(new AppError('Insufficient balance to retry withdrawal', 400));
+  if (!settings.withdrawalEnabled) {
+    return next(new AppError('Withdrawals are temporarily disabled. Please try again later.', 403));
   }
 
+  // The retried amount must fit today's limits as they stand now
+  await assertWithinWithdrawalLimits(userId, req.user.userLevel, Number(withdrawal.amount), settings);
+
   // Reset withdrawal to pending and deduct balance again
   await prisma.$transaction(async (tx) => {
-    // Update withdrawal status
-    await tx.withdrawalRequest.update({
-      where: { id: withdrawalId },
+    // Claim it REJECTED -> PENDING atomically so two concurrent retries can't both hold the amount
+    const claimed = await tx.withdrawalRequest.updateMany({
+      where: {
+        id: withdrawalId,
+        status: CONSTANTS.WITHDRAWAL_STATUS.REJECTED,
+      },
       data: {
         status: CONSTANTS.WITHDRAWAL_STATUS.PENDING,
         rejectionReason: null,
+        // A retry is a new request today and counts against today's limit
+        requestedAt: new Date(),
         processedAt: null,
         resolvedAt: null,
       },
     });
 
-    // Deduct amount from available balance
-    await tx.user.update({
+    if (claimed.count === 0) {
+      throw new AppError('Withdrawal request has already been retried', 409);
+    }
+
+    // Check the balance inside the transaction, in case they made other transactions
+    const currentUser = await tx.user.findUnique({
       where: { id: userId },
-      data: {
-        availableBalance: {
-          decrement: withdrawal.amount,
-        },
-      },
+      select: { availableBalance: true },
+    });
+
+    if (currentUser.availableBalance.lt(withdrawal.amount)) {
+      throw new AppError('Insufficient balance to retry withdrawal', 400);
+    }
+
+    // Deduct amount from available balance
+    await ledgerService.holdWithdrawal(tx, {
+      userId,
+      amount: withdrawal.amount,
+      withdrawalId,
     });
 
     // Update transaction status
@@ -0,0 +1,64 @@
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, getPaginationParams, getPaginationMeta } from '../utils/helpers.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { academicWritingService } from '../services/academicWritingService.js';
+
+// Jobs open for claiming, soonest deadline first
+export const getOpenJobs = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const { total, jobs } = await academicWritingService.listOpenJobs({ skip, take: limit });
+
+  res.json(successResponse({
+    jobs,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Writing jobs retrieved successfully'));
+});
+
+// Jobs the member has claimed; ?status= narrows the list
+export const getMyJobs = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const { status } = req.query;
+
+  if (status && !Object.values(CONSTANTS.WRITING_JOB_STATUS).includes(status)) {
+    return next(new AppError('Invalid job status', 400));
+  }
+
+  const { total, jobs } = await academicWritingService.listUserJobs(req.user.id, { status }, { skip, take: limit });
+
+  res.json(successResponse({
+    jobs,
+    pagination: getPaginationMeta(total, page, limit),
+  }, 'Your writing jobs retrieved successfully'));
+});
+
+export const getJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.getJob(req.params.jobId, { userId: req.user.id });
+
+  res.json(successResponse(job, 'Writing job retrieved successfully'));
+});
+
+export const claimJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.claimJob(req.user.id, req.params.jobId);
+
+  res.json(successResponse(job, 'Writing job claimed'));
+});
+
+export const releaseJob = asyncHandler(async (req, res) => {
+  const job = await academicWritingService.releaseJob(req.user.id, req.params.jobId);
+
+  res.json(successResponse(job, 'Writing job released'));
+});
+
+// Upload a draft: { file: { name, mimeType, content (base64) }, notes }
+export const submitWork = asyncHandler(async (req, res) => {
+  const submission = await academicWritingService.submitWork(req.user.id, req.params.jobId, req.body);
+
+  res.status(201).json(successResponse(submission, `Version ${submission.version} submitted for review`));
+});
+
+export const downloadSubmission = asyncHandler(async (req, res) => {
+  const file = await academicWritingService.getSubmissionFile(req.params.submissionId, { userId: req.user.id });
+
+  res.type(file.mimeType).download(file.filePath, file.fileName);
+});
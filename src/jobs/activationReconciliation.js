@@ -0,0 +1,47 @@
+import cron from 'node-cron';
+import { activationService } from '../services/activationService.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+let running = false;
+
+// Run one reconciliation pass, skipping if the previous one is still going
+export const runActivationReconciliation = async (options = {}) => {
+  if (running) {
+    console.log('Activation reconciliation already running, skipping this run');
+    return null;
+  }
+
+  running = true;
+
+  try {
+    // Minutes an STK push may wait for its callback before we ask Daraja directly
+    const olderThanMinutes = parseInt(process.env.MPESA_RECONCILIATION_AGE_MINUTES, 10) || 10;
+
+    const report = await activationService.reconcilePendingActivations({
+      olderThanMinutes,
+      ...options,
+    });
+
+    if (report.checked > 0) {
+      console.log('Activation reconciliation report:', JSON.stringify(report, null, 2));
+    }
+
+    return report;
+  } finally {
+    running = false;
+  }
+};
+
+export const startActivationReconciliationJob = () => {
+  const schedule = process.env.MPESA_RECONCILIATION_CRON || CONSTANTS.CRON_SCHEDULES.ACTIVATION_RECONCILIATION;
+
+  return cron.schedule(
+    schedule,
+    () => {
+      runActivationReconciliation().catch((error) => {
+        console.error('Activation reconciliation failed:', error);
+      });
+    },
+    { timezone: CONSTANTS.TIMEZONE }
+  );
+};
@@ -0,0 +1,41 @@
+import cron from 'node-cron';
+import { userLevelService } from '../services/userLevelService.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+let running = false;
+
+// Re-evaluate every user's level, skipping if the previous pass is still going
+export const runUserLevelRecompute = async () => {
+  if (running) {
+    console.log('User level recompute already running, skipping this run');
+    return null;
+  }
+
+  running = true;
+
+  try {
+    const report = await userLevelService.recomputeAll();
+
+    if (report.promoted > 0 || report.demoted > 0) {
+      console.log('User level recompute report:', JSON.stringify(report, null, 2));
+    }
+
+    return report;
+  } finally {
+    running = false;
+  }
+};
+
+export const startUserLevelRecomputeJob = () => {
+  const schedule = process.env.USER_LEVEL_RECOMPUTE_CRON || CONSTANTS.CRON_SCHEDULES.USER_LEVEL_RECOMPUTE;
+
+  return cron.schedule(
+    schedule,
+    () => {
+      runUserLevelRecompute().catch((error) => {
+        console.error('User level recompute failed:', error);
+      });
+    },
+    { timezone: CONSTANTS.TIMEZONE }
+  );
+};
@@ -0,0 +1,27 @@
+import cron from 'node-cron';
+import { academicWritingService } from '../services/academicWritingService.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+export const runWritingClaimExpiry = async () => {
+  const expired = await academicWritingService.expireOverdueClaims();
+
+  if (expired > 0) {
+    console.log(`Returned ${expired} overdue writing job(s) to the pool`);
+  }
+
+  return expired;
+};
+
+export const startWritingClaimExpiryJob = () => {
+  const schedule = process.env.WRITING_CLAIM_EXPIRY_CRON || CONSTANTS.CRON_SCHEDULES.WRITING_CLAIM_EXPIRY;
+
+  return cron.schedule(
+    schedule,
+    () => {
+      runWritingClaimExpiry().catch((error) => {
+        console.error('Writing claim expiry failed:', error);
+      });
+    },
+    { timezone: CONSTANTS.TIMEZONE }
+  );
+};
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Uploaded files live on local disk under UPLOAD_DIR; records store the key relative to it
+class LocalFileStorage {
+  constructor(rootDir = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads')) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Absolute path for a stored key; keys can never point outside the upload directory
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  // Save under `${prefix}/<random><extension>` and return the key
+  async save(prefix, buffer, extension = '') {
+    const key = path.posix.join(prefix, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+    const filePath = this.resolve(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+
+    return key;
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+export const fileStorage = new LocalFileStorage();
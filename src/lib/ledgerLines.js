@@ -0,0 +1,31 @@
+import { AppError } from '../middleware/errorHandler.js';
+
+// Amounts are summed in integer cents so 0.1 + 0.2 style rounding can't unbalance an entry
+export const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+export const fromCents = (cents) => cents / 100;
+
+// Throws unless every line has exactly one positive side and debits equal credits
+export const assertBalancedLines = (type, lines) => {
+  if (!lines || lines.length < 2) {
+    throw new AppError('A journal entry needs at least two lines', 500);
+  }
+
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  for (const line of lines) {
+    const debit = toCents(line.debit);
+    const credit = toCents(line.credit);
+
+    if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      throw new AppError(`Invalid ledger line for ${line.account.code}: exactly one of debit or credit must be positive`, 500);
+    }
+
+    totalDebit += debit;
+    totalCredit += credit;
+  }
+
+  if (totalDebit !== totalCredit) {
+    throw new AppError(`Unbalanced ${type} journal entry: debits ${fromCents(totalDebit)} != credits ${fromCents(totalCredit)}`, 500);
+  }
+};
@@ -0,0 +1,63 @@
+import axios from 'axios';
+
+// Talks to the real Safaricom Daraja API (sandbox or production)
+export class DarajaGateway {
+  constructor({ baseUrl, consumerKey, consumerSecret }) {
+    this.name = 'daraja';
+    this.baseUrl = baseUrl;
+    this.consumerKey = consumerKey;
+    this.consumerSecret = consumerSecret;
+  }
+
+  // Get an OAuth access token
+  async getAccessToken() {
+    const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+
+    const response = await axios.get(
+      `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      {
+        headers: {
+          'Authorization': `Basic ${auth}`,
+        },
+        timeout: 10000, // 10 second timeout
+      }
+    );
+
+    if (!response.data.access_token) {
+      throw new Error('No access token received from M-PESA API');
+    }
+
+    return response.data.access_token;
+  }
+
+  // POST an authenticated request and return the Daraja response body
+  async post(path, payload, timeout = 30000) {
+    const accessToken = await this.getAccessToken();
+
+    const response = await axios.post(`${this.baseUrl}${path}`, payload, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      timeout,
+    });
+
+    return response.data;
+  }
+
+  async stkPush(payload) {
+    return await this.post('/mpesa/stkpush/v1/processrequest', payload);
+  }
+
+  async stkQuery(payload) {
+    return await this.post('/mpesa/stkpushquery/v1/query', payload);
+  }
+
+  async b2cPaymentRequest(payload) {
+    return await this.post('/mpesa/b2c/v1/paymentrequest', payload);
+  }
+
+  async transactionStatusQuery(payload) {
+    return await this.post('/mpesa/transactionstatus/v1/query', payload);
+  }
+}
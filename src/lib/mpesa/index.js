@@ -0,0 +1,40 @@
+import { DarajaGateway } from './darajaGateway.js';
+import { SimulatorGateway } from './simulatorGateway.js';
+
+export const MPESA_ENVIRONMENTS = {
+  SANDBOX: 'sandbox',
+  PRODUCTION: 'production',
+  SIMULATOR: 'simulator',
+};
+
+const DARAJA_BASE_URLS = {
+  [MPESA_ENVIRONMENTS.SANDBOX]: 'https://sandbox.safaricom.co.ke',
+  [MPESA_ENVIRONMENTS.PRODUCTION]: 'https://api.safaricom.co.ke',
+};
+
+// Pick the M-Pesa transport for the configured environment. The simulator fakes every payment
+// and mounts unauthenticated control routes, so production refuses it.
+export const createMpesaGateway = (environment, config = {}) => {
+  if (environment === MPESA_ENVIRONMENTS.SIMULATOR) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`MPESA_ENVIRONMENT must be ${MPESA_ENVIRONMENTS.SANDBOX} or ${MPESA_ENVIRONMENTS.PRODUCTION} in production; the simulator fakes every payment`);
+    }
+
+    return new SimulatorGateway({
+      defaultScenario: process.env.MPESA_SIMULATOR_SCENARIO || 'success',
+      callbackDelay: process.env.MPESA_SIMULATOR_CALLBACK_DELAY_MS || 3000,
+    });
+  }
+
+  if (!DARAJA_BASE_URLS[environment]) {
+    throw new Error(`Invalid MPESA_ENVIRONMENT: ${environment}. Use one of: ${Object.values(MPESA_ENVIRONMENTS).join(', ')}`);
+  }
+
+  return new DarajaGateway({
+    baseUrl: config.baseUrl || DARAJA_BASE_URLS[environment],
+    consumerKey: config.consumerKey,
+    consumerSecret: config.consumerSecret,
+  });
+};
+
+export { DarajaGateway, SimulatorGateway };
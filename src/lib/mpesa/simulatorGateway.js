@@ -0,0 +1,353 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { generateMpesaTimestamp } from '../../utils/helpers.js';
+
+// Result codes the simulator can answer STK pushes with
+export const STK_SCENARIOS = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  // Payment goes through but the callback is never delivered (exercises reconciliation)
+  no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', skipCallback: true },
+};
+
+// Result codes the simulator can answer B2C payouts with
+export const B2C_SCENARIOS = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  cancelled: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  // Request expires in the queue and Safaricom calls QueueTimeOutURL instead of ResultURL
+  timeout: { resultCode: 1, resultDesc: 'The request timed out in the queue.', queueTimeout: true },
+  no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', skipCallback: true },
+};
+
+// Keep the in-memory store bounded on long-running dev servers
+const MAX_TRACKED_REQUESTS = 1000;
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex').toUpperCase();
+
+const generateReceipt = () => `S${randomId(5).slice(0, 9)}`;
+
+// Daraja-style error so callers can read error.response.data like an axios failure
+const simulatorError = (status, errorCode, errorMessage) => {
+  const error = new Error(errorMessage);
+  error.response = {
+    status,
+    data: {
+      requestId: randomId(8),
+      errorCode,
+      errorMessage,
+    },
+  };
+  return error;
+};
+
+const formatCompletedDateTime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Local stand-in for Daraja: answers requests in-process and fires callbacks back at our own routes
+export class SimulatorGateway {
+  constructor({ defaultScenario = 'success', callbackDelay = 3000 } = {}) {
+    this.name = 'simulator';
+    this.defaultScenario = defaultScenario;
+    this.phoneScenarios = new Map();
+    this.requests = new Map();
+
+    // 'manual' means callbacks are only sent through fireCallback()
+    this.autoFire = callbackDelay !== 'manual';
+    this.callbackDelay = this.autoFire ? parseInt(callbackDelay, 10) || 0 : 0;
+  }
+
+  // Choose the outcome for every request, or only for one phone number
+  setScenario(scenario, phoneNumber = null) {
+    if (!STK_SCENARIOS[scenario]) {
+      throw new Error(`Unknown M-Pesa simulator scenario: ${scenario}. Use one of: ${Object.keys(STK_SCENARIOS).join(', ')}`);
+    }
+
+    if (phoneNumber) {
+      this.phoneScenarios.set(String(phoneNumber), scenario);
+    } else {
+      this.defaultScenario = scenario;
+    }
+  }
+
+  resetScenarios() {
+    this.phoneScenarios.clear();
+  }
+
+  scenarioFor(phoneNumber) {
+    return this.phoneScenarios.get(String(phoneNumber)) || this.defaultScenario;
+  }
+
+  async getAccessToken() {
+    return `simulated-${randomId(12)}`;
+  }
+
+  async stkPush(payload) {
+    const required = ['BusinessShortCode', 'Password', 'Timestamp', 'Amount', 'PhoneNumber', 'CallBackURL'];
+    const missing = required.filter(key => !payload[key]);
+    if (missing.length > 0) {
+      throw simulatorError(400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+    }
+
+    if (Number(payload.Amount) < 1) {
+      throw simulatorError(400, '400.002.02', 'Bad Request - Invalid Amount');
+    }
+
+    const merchantRequestId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+    const checkoutRequestId = `ws_CO_${generateMpesaTimestamp()}${randomId(4)}`;
+    const scenarioName = this.scenarioFor(payload.PhoneNumber);
+
+    this.track(checkoutRequestId, {
+      kind: 'STK',
+      scenario: STK_SCENARIOS[scenarioName],
+      completed: false,
+      merchantRequestId,
+      checkoutRequestId,
+      payload,
+    });
+
+    console.log(`🧪 M-Pesa simulator accepted STK push ${checkoutRequestId} (scenario: ${scenarioName})`);
+
+    return {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    };
+  }
+
+  async stkQuery(payload) {
+    const request = this.requests.get(payload.CheckoutRequestID);
+
+    if (!request || request.kind !== 'STK') {
+      throw simulatorError(500, '500.001.1001', 'The transaction does not exist');
+    }
+
+    // Daraja reports an error until the customer has acted on the prompt
+    if (!request.completed) {
+      throw simulatorError(500, '500.001.1001', 'The transaction is being processed');
+    }
+
+    return {
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: String(request.scenario.resultCode),
+      ResultDesc: request.scenario.resultDesc,
+    };
+  }
+
+  async b2cPaymentRequest(payload) {
+    const required = ['InitiatorName', 'SecurityCredential', 'Amount', 'PartyA', 'PartyB', 'ResultURL', 'QueueTimeOutURL'];
+    const missing = required.filter(key => !payload[key]);
+    if (missing.length > 0) {
+      throw simulatorError(400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+    }
+
+    const conversationId = `AG_${generateMpesaTimestamp().slice(0, 8)}_${randomId(10)}`;
+    const originatorConversationId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+    const scenarioName = this.scenarioFor(payload.PartyB);
+
+    this.track(conversationId, {
+      kind: 'B2C',
+      scenario: B2C_SCENARIOS[scenarioName],
+      completed: false,
+      conversationId,
+      originatorConversationId,
+      // Assigned up front so a status query can report it even when the callback is dropped
+      transactionId: generateReceipt(),
+      payload,
+    });
+
+    console.log(`🧪 M-Pesa simulator accepted B2C payment ${conversationId} (scenario: ${scenarioName})`);
+
+    return {
+      ConversationID: conversationId,
+      OriginatorConversationID: originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    };
+  }
+
+  // Answers with the state of a simulated B2C payment, delivered to the query's ResultURL
+  async transactionStatusQuery(payload) {
+    const required = ['Initiator', 'SecurityCredential', 'PartyA', 'ResultURL', 'QueueTimeOutURL'];
+    const missing = required.filter(key => !payload[key]);
+    if (missing.length > 0) {
+      throw simulatorError(400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+    }
+
+    const payment = [...this.requests.values()].find(request => request.kind === 'B2C' && (
+      (payload.OriginalConversationID && request.originatorConversationId === payload.OriginalConversationID)
+      || (payload.TransactionID && request.transactionId === payload.TransactionID)
+    ));
+
+    if (!payment) {
+      throw simulatorError(400, '400.002.02', 'Bad Request - Invalid TransactionID');
+    }
+
+    const conversationId = `AG_${generateMpesaTimestamp().slice(0, 8)}_${randomId(10)}`;
+    const originatorConversationId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+
+    this.track(conversationId, {
+      kind: 'STATUS',
+      scenario: {},
+      completed: false,
+      conversationId,
+      originatorConversationId,
+      payment,
+      payload,
+    });
+
+    return {
+      ConversationID: conversationId,
+      OriginatorConversationID: originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    };
+  }
+
+  track(id, request) {
+    if (this.requests.size >= MAX_TRACKED_REQUESTS) {
+      const oldestId = this.requests.keys().next().value;
+      this.requests.delete(oldestId);
+    }
+
+    this.requests.set(id, request);
+
+    if (this.autoFire) {
+      const timer = setTimeout(() => {
+        this.fireCallback(id).catch((error) => {
+          console.error(`M-Pesa simulator failed to deliver callback for ${id}:`, error.message);
+        });
+      }, this.callbackDelay);
+
+      // Never keep the process alive just for a simulated callback
+      timer.unref();
+    }
+  }
+
+  // Complete a simulated request and deliver its callback (unless the scenario loses it)
+  async fireCallback(id) {
+    const request = this.requests.get(id);
+
+    if (!request) {
+      throw new Error(`M-Pesa simulator has no request ${id}`);
+    }
+
+    if (request.completed) {
+      return null;
+    }
+
+    request.completed = true;
+
+    if (request.scenario.skipCallback) {
+      console.log(`🧪 M-Pesa simulator dropped callback for ${id}`);
+      return null;
+    }
+
+    const buildCallback = {
+      STK: () => ({ url: request.payload.CallBackURL, body: this.buildStkCallback(request) }),
+      B2C: () => this.buildB2CCallback(request),
+      STATUS: () => ({ url: request.payload.ResultURL, body: this.buildStatusCallback(request) }),
+    };
+
+    const { url, body } = buildCallback[request.kind]();
+
+    await axios.post(url, body, { timeout: 10000 });
+
+    return body;
+  }
+
+  buildStkCallback(request) {
+    const { scenario, payload } = request;
+
+    const stkCallback = {
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: scenario.resultCode,
+      ResultDesc: scenario.resultDesc,
+    };
+
+    if (scenario.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(payload.Amount) },
+          { Name: 'MpesaReceiptNumber', Value: generateReceipt() },
+          { Name: 'TransactionDate', Value: Number(generateMpesaTimestamp()) },
+          { Name: 'PhoneNumber', Value: Number(payload.PhoneNumber) },
+        ],
+      };
+    }
+
+    return { Body: { stkCallback } };
+  }
+
+  buildB2CCallback(request) {
+    const { scenario, payload, transactionId } = request;
+
+    const result = {
+      ResultType: 0,
+      ResultCode: scenario.resultCode,
+      ResultDesc: scenario.resultDesc,
+      OriginatorConversationID: request.originatorConversationId,
+      ConversationID: request.conversationId,
+      TransactionID: transactionId,
+    };
+
+    if (scenario.queueTimeout) {
+      return { url: payload.QueueTimeOutURL, body: { Result: result } };
+    }
+
+    if (scenario.resultCode === 0) {
+      result.ResultParameters = {
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: Number(payload.Amount) },
+          { Key: 'TransactionReceipt', Value: transactionId },
+          { Key: 'ReceiverPartyPublicName', Value: `${payload.PartyB} - Simulated Customer` },
+          { Key: 'TransactionCompletedDateTime', Value: formatCompletedDateTime(new Date()) },
+        ],
+      };
+    }
+
+    return { url: payload.ResultURL, body: { Result: result } };
+  }
+
+  buildStatusCallback(request) {
+    const { payment } = request;
+    const paid = payment.completed && payment.scenario.resultCode === 0 && !payment.scenario.queueTimeout;
+
+    let transactionStatus = 'Failed';
+    if (!payment.completed) {
+      transactionStatus = 'Pending';
+    } else if (paid) {
+      transactionStatus = 'Completed';
+    }
+
+    return {
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: request.originatorConversationId,
+        ConversationID: request.conversationId,
+        TransactionID: generateReceipt(),
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'ReceiptNo', Value: paid ? payment.transactionId : '' },
+            { Key: 'TransactionStatus', Value: transactionStatus },
+            { Key: 'Amount', Value: Number(payment.payload.Amount) },
+            { Key: 'ConversationID', Value: payment.conversationId },
+            { Key: 'OriginatorConversationID', Value: payment.originatorConversationId },
+          ],
+        },
+      },
+    };
+  }
+}
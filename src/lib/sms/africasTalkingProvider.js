@@ -0,0 +1,58 @@
+import axios from 'axios';
+
+// Recipient status codes Africa's Talking returns when a message is accepted
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+// Sends through the Africa's Talking bulk messaging API (sandbox or live)
+export class AfricasTalkingProvider {
+  constructor({ baseUrl, username, apiKey, senderId }) {
+    this.name = 'africastalking';
+    this.baseUrl = baseUrl;
+    this.username = username;
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+  }
+
+  // Send one message and return { messageId, status, cost, failureReason }
+  async send(phoneNumber, message) {
+    const form = new URLSearchParams({
+      username: this.username,
+      to: `+${phoneNumber}`,
+      message,
+    });
+
+    if (this.senderId) {
+      form.append('from', this.senderId);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/version1/messaging`, form.toString(), {
+      headers: {
+        'apiKey': this.apiKey,
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      timeout: 15000, // 15 second timeout
+    });
+
+    const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+
+    // No recipient means the whole request was refused (e.g. invalid sender ID)
+    if (!recipient) {
+      return {
+        messageId: null,
+        status: 'FAILED',
+        cost: null,
+        failureReason: response.data?.SMSMessageData?.Message || 'No recipient in Africa\'s Talking response',
+      };
+    }
+
+    const accepted = ACCEPTED_STATUS_CODES.includes(Number(recipient.statusCode));
+
+    return {
+      messageId: recipient.messageId && recipient.messageId !== 'None' ? recipient.messageId : null,
+      status: accepted ? 'SENT' : 'FAILED',
+      cost: recipient.cost || null,
+      failureReason: accepted ? null : recipient.status,
+    };
+  }
+}
@@ -0,0 +1,41 @@
+import { AfricasTalkingProvider } from './africasTalkingProvider.js';
+import { LocalProvider } from './localProvider.js';
+
+export const SMS_PROVIDERS = {
+  AFRICAS_TALKING: 'africastalking',
+  LOCAL: 'local',
+};
+
+const AFRICAS_TALKING_BASE_URLS = {
+  sandbox: 'https://api.sandbox.africastalking.com',
+  live: 'https://api.africastalking.com',
+};
+
+// Pick the SMS transport for the configured provider
+export const createSmsProvider = (provider, config = {}) => {
+  if (provider === SMS_PROVIDERS.LOCAL) {
+    return new LocalProvider({
+      outboxFile: config.outboxFile,
+    });
+  }
+
+  if (provider !== SMS_PROVIDERS.AFRICAS_TALKING) {
+    throw new Error(`Invalid SMS_PROVIDER: ${provider}. Use one of: ${Object.values(SMS_PROVIDERS).join(', ')}`);
+  }
+
+  if (!config.username || !config.apiKey) {
+    throw new Error('Missing Africa\'s Talking configuration: AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY are required');
+  }
+
+  // Africa's Talking routes the reserved "sandbox" username to its simulator
+  const environment = config.username === 'sandbox' ? 'sandbox' : 'live';
+
+  return new AfricasTalkingProvider({
+    baseUrl: config.baseUrl || AFRICAS_TALKING_BASE_URLS[environment],
+    username: config.username,
+    apiKey: config.apiKey,
+    senderId: config.senderId,
+  });
+};
+
+export { AfricasTalkingProvider, LocalProvider };
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development stand-in: prints messages and optionally appends them to an outbox file
+export class LocalProvider {
+  constructor({ outboxFile = null } = {}) {
+    this.name = 'local';
+    this.outboxFile = outboxFile;
+  }
+
+  async send(phoneNumber, message) {
+    const messageId = `local-${crypto.randomBytes(8).toString('hex')}`;
+
+    console.log(`📱 SMS to ${phoneNumber}: ${message}`);
+
+    // One JSON object per line so tests and tooling can read the latest message back
+    if (this.outboxFile) {
+      await fs.mkdir(path.dirname(this.outboxFile), { recursive: true });
+      await fs.appendFile(
+        this.outboxFile,
+        JSON.stringify({ messageId, phoneNumber, message, sentAt: new Date().toISOString() }) + '\n'
+      );
+    }
+
+    // Nothing will report delivery later, so treat the message as delivered straight away
+    return {
+      messageId,
+      status: 'DELIVERED',
+      cost: null,
+      failureReason: null,
+    };
+  }
+}
@@ -0,0 +1,65 @@
+// Message templates. Sensitive templates carry secrets, so their text is never stored.
+export const SMS_TEMPLATES = {
+  VERIFICATION_CODE: {
+    sensitive: true,
+    render: ({ code, minutes }) =>
+      `Your YBS verification code is ${code}. It expires in ${minutes} minutes.`,
+  },
+  PASSWORD_RESET: {
+    sensitive: true,
+    render: ({ code, minutes }) =>
+      `Your YBS password reset code is ${code}. It expires in ${minutes} minutes. If you did not request this, ignore this message.`,
+  },
+  WITHDRAWAL_PAID: {
+    sensitive: false,
+    render: ({ amount, receipt }) =>
+      `Your YBS withdrawal of KSH ${amount} has been sent to your M-Pesa. Ref: ${receipt}.`,
+  },
+  WITHDRAWAL_FAILED: {
+    sensitive: false,
+    render: ({ amount }) =>
+      `Your YBS withdrawal of KSH ${amount} could not be paid out and has been returned to your balance.`,
+  },
+  SALE_CONFIRMED: {
+    sensitive: false,
+    render: ({ product, commission }) =>
+      `Your ${product} sale has been confirmed.` +
+      (commission > 0 ? ` KSH ${commission} commission has been added to your YBS balance.` : ''),
+  },
+  SALE_REJECTED: {
+    sensitive: false,
+    render: ({ product, reason }) =>
+      `Your ${product} sale could not be confirmed: ${reason}`,
+  },
+  WRITING_APPROVED: {
+    sensitive: false,
+    render: ({ title, amount }) =>
+      `Your work on "${title}" has been approved. KSH ${amount} has been added to your YBS balance.`,
+  },
+  WRITING_REVISION_REQUESTED: {
+    sensitive: false,
+    render: ({ title, deadline }) =>
+      `A revision has been requested for "${title}". Check the reviewer's notes and resubmit by ${deadline}.`,
+  },
+  REFERRAL_BONUS_CLAWBACK: {
+    sensitive: false,
+    render: ({ amount, shortfall }) =>
+      `KSH ${amount} in referral bonuses has been reversed from your YBS balance because a referred account's activation was refunded or found fraudulent.` +
+      (shortfall > 0 ? ` KSH ${shortfall} will be deducted from your future earnings.` : ''),
+  },
+  LEVEL_UP: {
+    sensitive: false,
+    render: ({ level }) =>
+      `Congratulations! You have been promoted to ${level} level on YBS. Log in to see your new perks.`,
+  },
+};
+
+export const renderTemplate = (name, params = {}) => {
+  const template = SMS_TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+
+  return template.render(params);
+};
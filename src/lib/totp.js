@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (the scheme authenticator apps use)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  digits: 6,
+  period: 30, // seconds
+  window: 1, // accept one step either side for clock drift
+};
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentStep = (timestamp = Date.now(), period = TOTP_DEFAULTS.period) => {
+  return Math.floor(timestamp / 1000 / period);
+};
+
+export const generateCode = (secret, step, digits = TOTP_DEFAULTS.digits) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Returns the matching time step, or null if the code is wrong
+export const verifyCode = (secret, code, { timestamp = Date.now(), window = TOTP_DEFAULTS.window } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DEFAULTS.digits) {
+    return null;
+  }
+
+  const step = currentStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(generateCode(secret, step + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import from a QR code
+export const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.period),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
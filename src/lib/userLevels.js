@@ -0,0 +1,11 @@
+// Highest level whose requirements are met; rules are ordered lowest first and the lowest level has none
+export const determineLevel = (rules, { totalReferrals, activeReferrals }) => {
+  for (let index = rules.length - 1; index > 0; index--) {
+    const rule = rules[index];
+    if (totalReferrals >= rule.minReferrals && activeReferrals >= rule.minActiveReferrals) {
+      return rule.level;
+    }
+  }
+
+  return rules[0].level;
+};
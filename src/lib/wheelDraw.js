@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+// Prizes the remaining daily budget can still pay; the rest are left out of the draw
+export const affordableSegments = (segments, remaining) => (
+  segments.filter(segment => Number(segment.amount) <= remaining)
+);
+
+// Pick a segment in proportion to its weight. The roll comes from a cryptographically secure
+// source; tests pass their own randomInt to make the draw deterministic.
+export const drawSegment = (segments, randomInt = crypto.randomInt) => {
+  const totalWeight = segments.reduce((sum, segment) => sum + segment.weight, 0);
+  const roll = randomInt(totalWeight);
+
+  let cumulative = 0;
+  const segment = segments.find((candidate) => {
+    cumulative += candidate.weight;
+    return roll < cumulative;
+  });
+
+  return { segment, roll, totalWeight };
+};
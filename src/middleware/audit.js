@@ -0,0 +1,191 @@
+import { prisma } from '../lib/prisma.js';
+import { adminAuditService } from '../services/adminAuditService.js';
+import { systemSettingsService } from '../services/systemSettingsService.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+// How to snapshot each audited entity; the loaders never select secrets such as password hashes
+const AUDIT_ENTITIES = {
+  User: {
+    param: 'userId',
+    load: (id) => prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        phoneNumber: true,
+        firstName: true,
+        lastName: true,
+        email: true,
+        accountStatus: true,
+        userLevel: true,
+        userLevelLocked: true,
+        phoneVerified: true,
+        pendingEarnings: true,
+        availableBalance: true,
+        totalEarned: true,
+        totalWithdrawn: true,
+      },
+    }),
+  },
+  Admin: {
+    param: 'adminId',
+    load: (id) => prisma.admin.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        role: true,
+        firstName: true,
+        lastName: true,
+        isActive: true,
+        twoFactorEnabled: true,
+        updatedAt: true,
+      },
+    }),
+  },
+  WithdrawalRequest: {
+    param: 'withdrawalId',
+    load: (id) => prisma.withdrawalRequest.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        userId: true,
+        amount: true,
+        mpesaNumber: true,
+        status: true,
+        rejectionReason: true,
+        adminId: true,
+        mpesaTransactionCode: true,
+        conversationId: true,
+        processedAt: true,
+        resolvedAt: true,
+      },
+    }),
+  },
+  CommissionPlan: {
+    param: 'planId',
+    load: (id) => prisma.commissionPlan.findUnique({ where: { id } }),
+  },
+  Product: {
+    param: 'productId',
+    load: (id) => prisma.product.findUnique({ where: { id } }),
+  },
+  Sale: {
+    param: 'saleId',
+    load: (id) => prisma.sale.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        userId: true,
+        productId: true,
+        saleAmount: true,
+        commissionAmount: true,
+        status: true,
+        rejectionReason: true,
+        reviewedBy: true,
+        transactionId: true,
+      },
+    }),
+  },
+  WheelSegment: {
+    param: 'segmentId',
+    load: (id) => prisma.wheelSegment.findUnique({ where: { id } }),
+  },
+  WritingJob: {
+    param: 'jobId',
+    load: (id) => prisma.writingJob.findUnique({ where: { id } }),
+  },
+  RiskAssessment: {
+    param: 'assessmentId',
+    load: (id) => prisma.riskAssessment.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        userId: true,
+        event: true,
+        score: true,
+        status: true,
+        reviewedBy: true,
+        reviewNote: true,
+        reviewedAt: true,
+      },
+    }),
+  },
+  UserLevelRule: {
+    param: 'level',
+    // Unknown levels are rejected by the handler; don't let the lookup fail first
+    load: (level) => (CONSTANTS.USER_LEVELS[level] ? prisma.userLevelRule.findUnique({ where: { level } }) : null),
+  },
+  SystemSettings: {
+    load: () => systemSettingsService.getAll({ fresh: true }),
+  },
+};
+
+// Record a mutating admin route once it has succeeded.
+// Snapshots the target before the handler runs, and writes the entry before the success
+// response goes out. If the entry can't be written the admin gets an error instead, so no
+// action is reported as done without a record of it.
+export const auditAdminAction = (action, entityType, { getEntityId } = {}) => {
+  const entity = AUDIT_ENTITIES[entityType];
+
+  return async (req, res, next) => {
+    try {
+      const entityId = getEntityId
+        ? getEntityId(req)
+        : entity?.param ? req.params[entity.param] : null;
+
+      const before = entity && entityId ? await entity.load(entityId) : null;
+
+      const writeEntry = async (responseBody) => {
+        // Created entities only get an id from the handler's response
+        const resolvedId = entityId || responseBody?.data?.id || null;
+        const after = entity && resolvedId ? await entity.load(resolvedId) : null;
+
+        await adminAuditService.record({
+          admin: req.admin,
+          action,
+          entityType,
+          entityId: resolvedId,
+          before,
+          after,
+          metadata: {
+            method: req.method,
+            path: req.originalUrl,
+            body: req.body && Object.keys(req.body).length > 0 ? req.body : undefined,
+          },
+          ipAddress: req.ip || null,
+          userAgent: req.get('user-agent')?.slice(0, 512) || null,
+          statusCode: res.statusCode,
+        });
+      };
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400) {
+          return json(body);
+        }
+
+        writeEntry(body).then(
+          () => json(body),
+          (error) => {
+            console.error(`AUDIT FAILURE: ${action} by admin ${req.admin?.id} on ${entityType} ${entityId || ''} was applied but not recorded:`, error);
+
+            res.status(500);
+            json({
+              success: false,
+              error: {
+                message: 'The action was applied but could not be recorded in the audit log. Contact a super admin before retrying.',
+              },
+            });
+          }
+        );
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -1,7 +1,9 @@
-import { verifyToken } from '../utils/helpers.js';
+import { verifyToken, isTokenRevoked, setAuthCookies, hasPermission } from '../utils/helpers.js';
 import { prisma } from '../lib/prisma.js';
 import { AppError } from './errorHandler.js';
 import { CONSTANTS } from '../utils/constants.js';
+import { sessionService } from '../services/sessionService.js';
+import { adminTwoFactorService } from '../services/adminTwoFactorService.js';
 import jwt from 'jsonwebtoken';
 
 // Protect routes - require authentication
@@ -15,34 +17,41 @@ export const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
-    // If no access token, try to refresh using refresh token
+    let decoded;
+    let sessionId = null;
+
+    // If no access token, rotate the refresh token for a new pair
     if (!token && req.cookies?.refreshToken) {
       try {
-        const decodedRefresh = jwt.verify(req.cookies.refreshToken, process.env.JWT_REFRESH_SECRET);
-        // Generate new access token
-        token = jwt.sign(
-          { id: decodedRefresh.id },
-          process.env.JWT_SECRET,
-          { expiresIn: '15m' }
+        const rotated = await sessionService.rotate(
+          req.cookies.refreshToken,
+          sessionService.contextFromRequest(req)
         );
-        // Set new access token cookie
-        res.cookie('accessToken', token, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production' || req.headers.origin?.startsWith('https://'),
-          sameSite: req.headers.origin?.startsWith('https://') ? 'none' : 'lax',
-          maxAge: 15 * 60 * 1000
-        });
+        decoded = { id: rotated.session.userId, sid: rotated.session.id };
+        sessionId = rotated.session.id;
+        setAuthCookies(req, res, rotated);
       } catch (refreshError) {
         return next(new AppError('Invalid refresh token. Please log in again.', 401));
       }
     }
 
-    if (!token) {
+    if (!token && !decoded) {
       return next(new AppError('Access denied. No token provided.', 401));
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded) {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Access tokens issued before sessions existed carry no sid and simply run until they expire
+      if (decoded.sid) {
+        const session = await sessionService.getActiveSession(decoded.sid);
+        if (!session || session.userId !== decoded.id) {
+          return next(new AppError('Session expired. Please log in again.', 401));
+        }
+        sessionId = session.id;
+      }
+    }
     
     // Get user from database
     const user = await prisma.user.findUnique({
@@ -63,6 +72,7 @@ export const protect = async (req, res, next) => {
         totalWithdrawn: true,
         createdAt: true,
         lastLogin: true,
+        passwordChangedAt: true,
       },
     });
 
@@ -75,8 +85,16 @@ export const protect = async (req, res, next) => {
       return next(new AppError('Account suspended. Contact support.', 403));
     }
 
-    // Attach user to request
-    req.user = user;
+    const { passwordChangedAt, ...profile } = user;
+
+    // Reject sessions that started before the last password reset
+    if (isTokenRevoked(decoded, passwordChangedAt)) {
+      return next(new AppError('Session expired. Please log in again.', 401));
+    }
+
+    // Attach user and session to request
+    req.user = profile;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -112,6 +130,11 @@ export const adminProtect = async (req, res, next) => {
 
     // Verify token
     const decoded = verifyToken(token);
+
+    // A two-factor challenge token only proves the password step
+    if (adminTwoFactorService.isChallengeToken(decoded)) {
+      return next(new AppError('Two-factor verification required. Please complete login.', 401));
+    }
     
     // Get admin from database
     const admin = await prisma.admin.findUnique({
@@ -124,6 +147,7 @@ export const adminProtect = async (req, res, next) => {
         firstName: true,
         lastName: true,
         isActive: true,
+        twoFactorEnabled: true,
         createdAt: true,
         lastLogin: true,
       },
@@ -154,12 +178,24 @@ export const adminProtect = async (req, res, next) => {
 
 // Require super admin role
 export const requireSuperAdmin = (req, res, next) => {
-  if (req.admin.role !== 'super_admin') {
+  if (req.admin.role !== CONSTANTS.ADMIN_ROLES.SUPER_ADMIN) {
     return next(new AppError('Access denied. Super admin privileges required.', 403));
   }
   next();
 };
 
+// Require every listed permission from CONSTANTS.ROLE_PERMISSIONS
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.admin?.role, permission));
+
+    if (missing.length > 0) {
+      return next(new AppError(`Access denied. Missing permission: ${missing.join(', ')}`, 403));
+    }
+    next();
+  };
+};
+
 // Optional authentication (doesn't fail if no token)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -188,11 +224,17 @@ export const optionalAuth = async (req, res, next) => {
           totalWithdrawn: true,
           createdAt: true,
           lastLogin: true,
+          passwordChangedAt: true,
         },
       });
 
-      if (user && user.accountStatus !== CONSTANTS.ACCOUNT_STATUS.SUSPENDED) {
-        req.user = user;
+      const session = decoded.sid ? await sessionService.getActiveSession(decoded.sid) : null;
+      const sessionValid = !decoded.sid || session?.userId === decoded.id;
+
+      if (user && sessionValid && user.accountStatus !== CONSTANTS.ACCOUNT_STATUS.SUSPENDED && !isTokenRevoked(decoded, user.passwordChangedAt)) {
+        const { passwordChangedAt, ...profile } = user;
+        req.user = profile;
+        req.sessionId = session?.id || null;
       }
     }
 
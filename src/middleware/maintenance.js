@@ -0,0 +1,29 @@
+import { AppError } from './errorHandler.js';
+import { systemSettingsService } from '../services/systemSettingsService.js';
+
+// Still served during maintenance: admins (to turn it off again), payment/SMS provider callbacks
+// and the public promotion redirect, which buyers open in a browser rather than through the app.
+// Paths are relative to the /api mount point.
+const MAINTENANCE_EXEMPT_PREFIXES = ['/admin', '/auth/admin', '/mpesa', '/sms', '/promotions/r'];
+
+// Reject user-facing API requests while maintenance mode is on
+export const maintenanceMode = async (req, res, next) => {
+  if (MAINTENANCE_EXEMPT_PREFIXES.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+    return next();
+  }
+
+  let enabled = false;
+  try {
+    enabled = await systemSettingsService.get('maintenanceMode');
+  } catch (error) {
+    // Fail open: a settings read error should not take the whole API down
+    console.error('Failed to read maintenance mode setting:', error);
+  }
+
+  if (enabled) {
+    res.set('Retry-After', '300');
+    return next(new AppError('The service is temporarily down for maintenance. Please try again shortly.', 503));
+  }
+
+  next();
+};
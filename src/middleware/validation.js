@@ -7,6 +7,10 @@ import {
   validateAccountActivation,
   validateWithdrawalRequest,
   validatePasswordChange,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateAdminTwoFactorLogin,
+  validateTwoFactorCode,
   validateProfileUpdate,
   validatePagination,
   validateProductSale,
@@ -94,8 +98,8 @@ export const validateActivation = (req, res, next) => {
 
   if (!amount) {
     errors.push('Amount is required');
-  } else if (amount !== 600) {
-    errors.push('Activation amount must be KSH 600');
+  } else if (typeof amount !== 'number' || amount <= 0) {
+    errors.push('Amount must be a positive number'); // The exact fee is checked against the commission plan
   }
 
   if (errors.length > 0) {
@@ -112,6 +116,10 @@ export const validateActivation = (req, res, next) => {
 };
 export const validateWithdrawal = createValidationMiddleware(validateWithdrawalRequest);
 export const validatePasswordChangeData = createValidationMiddleware(validatePasswordChange);
+export const validatePasswordResetRequestData = createValidationMiddleware(validatePasswordResetRequest);
+export const validatePasswordResetData = createValidationMiddleware(validatePasswordReset);
+export const validateAdminTwoFactorLoginData = createValidationMiddleware(validateAdminTwoFactorLogin);
+export const validateTwoFactorCodeData = createValidationMiddleware(validateTwoFactorCode);
 export const validateProfileUpdateData = createValidationMiddleware(validateProfileUpdate);
 export const validateAdminUserUpdateData = createValidationMiddleware(validateAdminUserUpdate);
 export const validateAdminUserCreationData = createValidationMiddleware(validateAdminUserCreation);
@@ -183,6 +191,16 @@ export const validateProductId = (req, res, next) => {
   next();
 };
 
+export const validateSaleId = (req, res, next) => {
+  const { saleId } = req.params;
+  
+  if (!saleId || typeof saleId !== 'string') {
+    return next(new AppError('Invalid sale ID format', 400));
+  }
+  
+  next();
+};
+
 // Validate required fields dynamically
 export const validateRequired = (fields) => {
   return (req, res, next) => {
@@ -212,8 +230,8 @@ export const validateMpesaCallback = (req, res, next) => {
 export const validateWithdrawalResolution = (req, res, next) => {
   const { status, mpesaTransactionCode, rejectionReason } = req.body;
   
-  if (!status || !['COMPLETED', 'REJECTED'].includes(status)) {
-    return next(new AppError('Status must be either COMPLETED or REJECTED', 400));
+  if (!status || !['APPROVED', 'COMPLETED', 'REJECTED'].includes(status)) {
+    return next(new AppError('Status must be one of APPROVED, COMPLETED or REJECTED', 400));
   }
   
   if (status === 'COMPLETED' && !mpesaTransactionCode) {
@@ -14,16 +14,69 @@ import {
   generateReport,
   getSettings,
   updateSystemSettings,
+  getSettingsHistory,
+  getCommissionPlans,
+  getActiveCommissionPlan,
+  createCommissionPlan,
+  activateCommissionPlan,
+  getUserLevelRules,
+  updateUserLevelRule,
+  recomputeUserLevels,
+  getUserLevelHistory,
+  getRiskReviews,
+  getUserRisk,
+  resolveRiskReview,
+  reverseActivation,
+  getClawbacks,
+  getAdminProducts,
+  getAdminProduct,
+  createProduct,
+  updateProduct,
+  updateProductStatus,
+  deleteProduct,
+  getProductCommissionHistory,
+  getSalesForReview,
+  confirmSale,
+  rejectSale,
+  getWritingJobs,
+  getWritingJob,
+  createWritingJob,
+  updateWritingJob,
+  cancelWritingJob,
+  reviewWritingJob,
+  downloadWritingSubmission,
+  getWheelSegments,
+  createWheelSegment,
+  updateWheelSegment,
+  deleteWheelSegment,
+  getWheelSpins,
   updatePassword,
   createUser,
   deleteUser,
   updateUser,
   deleteAdmin,
   updateAdmin,
+  reconcileActivations,
+  getActivationRefunds,
+  getUserLedger,
+  getLedgerTrialBalance,
+  auditBalances,
+  repairBalances,
+  getMyPermissions,
+  getAuditLog,
+  exportAuditLog,
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetAdminTwoFactor,
 } from '../controllers/adminController.js';
 import {
   validateUserId,
   validateWithdrawalId,
+  validateProductId,
+  validateSaleId,
   validateUserStatusUpdate,
   validateWithdrawalResolution,
   validateAdminUserData,
@@ -31,45 +84,121 @@ import {
   validateDateRangeQuery,
   validateRequired,
   validateRegistration,
+  validateTwoFactorCodeData,
 } from '../middleware/validation.js';
-import { adminProtect, requireSuperAdmin } from '../middleware/auth.js';
+import { adminProtect, requirePermission, requireSuperAdmin } from '../middleware/auth.js';
+import { auditAdminAction } from '../middleware/audit.js';
 
 const router = express.Router();
 
 // All admin routes require admin authentication
 router.use(adminProtect);
 
+// Current admin's permissions
+router.get('/permissions', getMyPermissions);
+
+// Two-factor authentication for the signed-in admin
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', beginTwoFactorSetup);
+router.post('/2fa/enable', validateTwoFactorCodeData, auditAdminAction('ADMIN_2FA_ENABLE', 'Admin', { getEntityId: req => req.admin.id }), enableTwoFactor);
+router.post('/2fa/disable', validateTwoFactorCodeData, auditAdminAction('ADMIN_2FA_DISABLE', 'Admin', { getEntityId: req => req.admin.id }), disableTwoFactor);
+router.post('/2fa/backup-codes', validateTwoFactorCodeData, auditAdminAction('ADMIN_2FA_BACKUP_CODES_REGENERATE', 'Admin', { getEntityId: req => req.admin.id }), regenerateBackupCodes);
+
 // Dashboard and overview
-router.get('/dashboard', getDashboard);
-router.get('/analytics', validateDateRangeQuery, getAnalytics);
-router.get('/system-stats', getSystemStats);
-router.get('/reports', validateDateRangeQuery, generateReport);
+router.get('/dashboard', requirePermission('analytics:read'), getDashboard);
+router.get('/analytics', requirePermission('analytics:read'), validateDateRangeQuery, getAnalytics);
+router.get('/system-stats', requirePermission('system:read'), getSystemStats);
+router.get('/reports', requirePermission('reports:read'), validateDateRangeQuery, generateReport);
 
 // Settings
-router.get('/settings', getSettings);
-router.put('/settings', updateSystemSettings);
-router.put('/settings/password', updatePassword);
+router.get('/settings', requirePermission('system:read'), getSettings);
+router.get('/settings/history', requirePermission('system:read'), validatePaginationQuery, getSettingsHistory);
+router.put('/settings', requirePermission('system:write'), auditAdminAction('SETTINGS_UPDATE', 'SystemSettings', { getEntityId: () => 'system' }), updateSystemSettings);
+router.put('/settings/password', auditAdminAction('ADMIN_PASSWORD_CHANGE', 'Admin', { getEntityId: req => req.admin.id }), updatePassword); // Every admin may change their own password
 
 // User management
-router.get('/users', validatePaginationQuery, getUsers);
-router.post('/users', validateRegistration, createUser);
-router.get('/users/:userId', validateUserId, getUserDetails);
-router.put('/users/:userId', validateUserId, updateUser);
-router.put('/users/:userId/status', validateUserId, validateUserStatusUpdate, updateUserStatus);
-router.delete('/users/:userId', validateUserId, deleteUser);
+router.get('/users', requirePermission('user:read'), validatePaginationQuery, getUsers);
+router.post('/users', requirePermission('user:write'), validateRegistration, auditAdminAction('USER_CREATE', 'User'), createUser);
+router.get('/users/:userId', requirePermission('user:read'), validateUserId, getUserDetails);
+router.put('/users/:userId', requirePermission('user:write'), validateUserId, auditAdminAction('USER_UPDATE', 'User'), updateUser);
+router.put('/users/:userId/status', requirePermission('user:write'), validateUserId, validateUserStatusUpdate, auditAdminAction('USER_STATUS_UPDATE', 'User'), updateUserStatus);
+router.delete('/users/:userId', requirePermission('user:delete'), validateUserId, auditAdminAction('USER_DELETE', 'User'), deleteUser);
+router.get('/users/:userId/ledger', requirePermission('financial:read'), validateUserId, validatePaginationQuery, getUserLedger);
+router.post('/users/:userId/activation/reverse', requirePermission('financial:adjust'), validateUserId, auditAdminAction('ACTIVATION_REVERSE', 'User'), reverseActivation);
+
+// Ledger and balance corrections
+router.get('/ledger/trial-balance', requirePermission('financial:read'), getLedgerTrialBalance);
+router.get('/balances/audit', requirePermission('financial:read'), auditBalances);
+router.post('/balances/repair', requirePermission('financial:adjust'), auditAdminAction('BALANCE_REPAIR', 'User', { getEntityId: req => req.body.userId || null }), repairBalances);
+
+// Commission plans (referral bonus schedule)
+router.get('/commission-plans', requirePermission('financial:read'), validatePaginationQuery, getCommissionPlans);
+router.get('/commission-plans/active', requirePermission('financial:read'), getActiveCommissionPlan);
+router.post('/commission-plans', requirePermission('financial:adjust'), auditAdminAction('COMMISSION_PLAN_CREATE', 'CommissionPlan'), createCommissionPlan);
+router.post('/commission-plans/:planId/activate', requirePermission('financial:adjust'), auditAdminAction('COMMISSION_PLAN_ACTIVATE', 'CommissionPlan'), activateCommissionPlan);
+
+// User levels
+router.get('/user-levels', requirePermission('user:read'), getUserLevelRules);
+router.put('/user-levels/:level', requirePermission('system:write'), auditAdminAction('USER_LEVEL_RULE_UPDATE', 'UserLevelRule'), updateUserLevelRule);
+router.post('/user-levels/recompute', requirePermission('user:write'), auditAdminAction('USER_LEVEL_RECOMPUTE', 'UserLevelRule', { getEntityId: () => null }), recomputeUserLevels);
+router.get('/user-levels/history', requirePermission('user:read'), validatePaginationQuery, getUserLevelHistory);
+
+// Fraud review
+router.get('/risk/reviews', requirePermission('user:read'), validatePaginationQuery, getRiskReviews);
+router.get('/risk/users/:userId', requirePermission('user:read'), validateUserId, getUserRisk);
+router.post('/risk/reviews/:assessmentId/resolve', requirePermission('financial:write'), auditAdminAction('RISK_REVIEW_RESOLVE', 'RiskAssessment'), resolveRiskReview);
+
+// Referral bonus clawbacks
+router.get('/clawbacks', requirePermission('financial:read'), validatePaginationQuery, getClawbacks);
+
+// Product catalog
+router.get('/products', requirePermission('financial:read'), validatePaginationQuery, getAdminProducts);
+router.post('/products', requirePermission('financial:adjust'), auditAdminAction('PRODUCT_CREATE', 'Product'), createProduct);
+router.get('/products/:productId', requirePermission('financial:read'), validateProductId, getAdminProduct);
+router.put('/products/:productId', requirePermission('financial:adjust'), validateProductId, auditAdminAction('PRODUCT_UPDATE', 'Product'), updateProduct);
+router.put('/products/:productId/status', requirePermission('financial:write'), validateProductId, auditAdminAction('PRODUCT_STATUS_UPDATE', 'Product'), updateProductStatus);
+router.delete('/products/:productId', requirePermission('financial:adjust'), validateProductId, auditAdminAction('PRODUCT_DELETE', 'Product'), deleteProduct);
+router.get('/products/:productId/commission-history', requirePermission('financial:read'), validateProductId, validatePaginationQuery, getProductCommissionHistory);
+
+// Sales review
+router.get('/sales', requirePermission('financial:read'), validatePaginationQuery, getSalesForReview);
+router.post('/sales/:saleId/confirm', requirePermission('financial:write'), validateSaleId, auditAdminAction('SALE_CONFIRM', 'Sale'), confirmSale);
+router.post('/sales/:saleId/reject', requirePermission('financial:write'), validateSaleId, auditAdminAction('SALE_REJECT', 'Sale'), rejectSale);
+
+// Academic writing jobs
+router.get('/writing/jobs', requirePermission('financial:read'), validatePaginationQuery, getWritingJobs);
+router.post('/writing/jobs', requirePermission('financial:write'), auditAdminAction('WRITING_JOB_CREATE', 'WritingJob'), createWritingJob);
+router.get('/writing/jobs/:jobId', requirePermission('financial:read'), getWritingJob);
+router.put('/writing/jobs/:jobId', requirePermission('financial:write'), auditAdminAction('WRITING_JOB_UPDATE', 'WritingJob'), updateWritingJob);
+router.post('/writing/jobs/:jobId/cancel', requirePermission('financial:write'), auditAdminAction('WRITING_JOB_CANCEL', 'WritingJob'), cancelWritingJob);
+router.post('/writing/jobs/:jobId/review', requirePermission('financial:write'), auditAdminAction('WRITING_JOB_REVIEW', 'WritingJob'), reviewWritingJob);
+router.get('/writing/submissions/:submissionId/file', requirePermission('financial:read'), downloadWritingSubmission);
+
+// Reward wheel; the daily budget is the wheelDailyBudget setting
+router.get('/wheel/segments', requirePermission('financial:read'), getWheelSegments);
+router.post('/wheel/segments', requirePermission('financial:adjust'), auditAdminAction('WHEEL_SEGMENT_CREATE', 'WheelSegment'), createWheelSegment);
+router.put('/wheel/segments/:segmentId', requirePermission('financial:adjust'), auditAdminAction('WHEEL_SEGMENT_UPDATE', 'WheelSegment'), updateWheelSegment);
+router.delete('/wheel/segments/:segmentId', requirePermission('financial:adjust'), auditAdminAction('WHEEL_SEGMENT_DELETE', 'WheelSegment'), deleteWheelSegment);
+router.get('/wheel/spins', requirePermission('financial:read'), validatePaginationQuery, getWheelSpins);
 
 // Withdrawal management
-router.get('/withdrawals', validatePaginationQuery, getWithdrawalRequests);
-router.put('/withdrawals/:withdrawalId', validateWithdrawalId, validateWithdrawalResolution, processWithdrawal);
+router.get('/withdrawals', requirePermission('financial:read'), validatePaginationQuery, getWithdrawalRequests);
+router.put('/withdrawals/:withdrawalId', requirePermission('financial:write'), validateWithdrawalId, validateWithdrawalResolution, auditAdminAction('WITHDRAWAL_PROCESS', 'WithdrawalRequest'), processWithdrawal);
+
+// M-Pesa reconciliation
+router.get('/mpesa/activation-refunds', requirePermission('financial:read'), validatePaginationQuery, getActivationRefunds);
+router.post('/mpesa/reconcile-activations', requirePermission('financial:write'), auditAdminAction('ACTIVATION_RECONCILE', 'ActivationPayment'), reconcileActivations);
 
-// Super admin only routes
-router.use(requireSuperAdmin);
+// Audit trail
+router.get('/audit-log', requirePermission('audit:read'), validatePaginationQuery, getAuditLog);
+router.get('/audit-log/export', requirePermission('audit:read'), exportAuditLog);
 
 // Admin user management
-router.post('/admins', validateAdminUserData, createAdmin);
-router.get('/admins', validatePaginationQuery, getAdminUsers);
-router.put('/admins/:adminId', updateAdmin);
-router.put('/admins/:adminId/status', validateRequired(['isActive']), updateAdminStatus);
-router.delete('/admins/:adminId', deleteAdmin);
+router.post('/admins', requirePermission('admin:write'), validateAdminUserData, auditAdminAction('ADMIN_CREATE', 'Admin'), createAdmin);
+router.get('/admins', requirePermission('admin:read'), validatePaginationQuery, getAdminUsers);
+router.put('/admins/:adminId', requirePermission('admin:write'), auditAdminAction('ADMIN_UPDATE', 'Admin'), updateAdmin);
+router.put('/admins/:adminId/status', requirePermission('admin:write'), validateRequired(['isActive']), auditAdminAction('ADMIN_STATUS_UPDATE', 'Admin'), updateAdminStatus);
+router.delete('/admins/:adminId', requirePermission('admin:delete'), auditAdminAction('ADMIN_DELETE', 'Admin'), deleteAdmin);
+router.post('/admins/:adminId/2fa/reset', requireSuperAdmin, auditAdminAction('ADMIN_2FA_RESET', 'Admin'), resetAdminTwoFactor);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -5,10 +5,18 @@ import {
   adminLogin,
   verifyPhone,
   changePassword,
+  forgotPassword,
+  resetPassword,
   refreshToken,
   getMe,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   adminRefreshToken,
+  verifyAdminTwoFactor,
+  setupAdminTwoFactorAtLogin,
+  enableAdminTwoFactorAtLogin,
   getAdminMe,
   adminLogout,
   verifyAdminAuth,
@@ -19,6 +27,11 @@ import {
   validateAdminLoginMiddleware,
   validatePhoneVerify,
   validatePasswordChangeData,
+  validatePasswordResetRequestData,
+  validatePasswordResetData,
+  validateAdminTwoFactorLoginData,
+  validateTwoFactorCodeData,
+  validateRequired,
 } from '../middleware/validation.js';
 import { protect, adminProtect } from '../middleware/auth.js';
 
@@ -28,7 +41,12 @@ const router = express.Router();
 router.post('/register', validateRegistration, register);
 router.post('/login', validateLogin, login);
 router.post('/admin/login', validateAdminLoginMiddleware, adminLogin);
+router.post('/admin/2fa/verify', validateAdminTwoFactorLoginData, verifyAdminTwoFactor);
+router.post('/admin/2fa/setup', validateRequired(['setupToken']), setupAdminTwoFactorAtLogin);
+router.post('/admin/2fa/enable', validateRequired(['setupToken']), validateTwoFactorCodeData, enableAdminTwoFactorAtLogin);
 router.post('/verify-phone', validatePhoneVerify, verifyPhone);
+router.post('/forgot-password', validatePasswordResetRequestData, forgotPassword);
+router.post('/reset-password', validatePasswordResetData, resetPassword);
 router.post('/refresh-token', refreshToken);
 router.post('/admin/refresh-token', adminRefreshToken);
 
@@ -42,6 +60,9 @@ router.use(protect); // All routes below require user authentication
 
 router.get('/me', getMe);
 router.post('/logout', logout);
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:sessionId', revokeSession);
 router.post('/change-password', validatePasswordChangeData, changePassword);
 
 export default router;
\ No newline at end of file
@@ -1,29 +1,59 @@
 import express from 'express';
 import { activationService } from '../services/activationService.js';
 import { mpesaService } from '../services/mpesaService.js';
+import { mpesaCallbackService, CALLBACK_TYPES } from '../services/mpesaCallbackService.js';
+import { payoutService } from '../services/payoutService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { successResponse } from '../utils/helpers.js';
 
 const router = express.Router();
 
+// Callbacks are unauthenticated, so only accept ones sent to the tokenised URL we gave M-Pesa
+const requireCallbackToken = (req, res, next) => {
+  if (!mpesaService.isValidCallbackToken(req.query.token)) {
+    console.error(`Rejected M-Pesa callback to ${req.path} with an invalid token`);
+    return res.status(401).json({ success: false, error: { message: 'Invalid callback token' } });
+  }
+
+  next();
+};
+
 // M-Pesa activation callback
-router.post('/activation-callback', async (req, res) => {
+router.post('/activation-callback', requireCallbackToken, async (req, res) => {
+  let inboxEntry = null;
+
   try {
     console.log('M-Pesa activation callback received:', JSON.stringify(req.body, null, 2));
 
     const callbackData = req.body;
-    const processedCallback = await mpesaService.processActivationCallback(callbackData);
-
-    if (processedCallback.success) {
-      // Process successful activation
-      // Note: In a real implementation, you would need to map checkoutRequestId to userId
-      // This could be done by storing the mapping in Redis temporarily
-      const result = await activationService.processSuccessfulActivation(
-        processedCallback.checkoutRequestId,
-        processedCallback.mpesaReceiptNumber
-      );
-
-      console.log('Account activation successful:', result);
+
+    // Store the raw callback before doing anything else so retries can be deduplicated
+    const recorded = await mpesaCallbackService.record(CALLBACK_TYPES.STK_ACTIVATION, callbackData);
+    inboxEntry = recorded.entry;
+
+    if (recorded.duplicate) {
+      console.log(`Duplicate M-Pesa callback ${inboxEntry.id} ignored (original: ${inboxEntry.duplicateOfId})`);
     } else {
-      console.log('M-Pesa payment failed:', processedCallback);
+      const processedCallback = await mpesaService.processActivationCallback(callbackData);
+
+      // Resolve the pending payment and activate the account it belongs to
+      const result = await activationService.handleActivationCallback(processedCallback);
+
+      if (result.success) {
+        console.log('Account activation successful:', result);
+        await mpesaCallbackService.markProcessed(inboxEntry.id);
+      } else if (result.reason === 'ALREADY_SETTLED') {
+        console.log('M-Pesa activation callback already applied:', result);
+        await mpesaCallbackService.markDuplicate(inboxEntry.id);
+      } else if (result.reason === 'PAYMENT_NOT_FOUND') {
+        await mpesaCallbackService.markFailed(inboxEntry.id, 'No activation payment matches this callback');
+      } else if (result.reason === 'UNCONFIRMED') {
+        // The payment stays pending for the reconciliation job to settle
+        await mpesaCallbackService.markFailed(inboxEntry.id, 'Daraja has not confirmed this payment yet');
+      } else {
+        console.log('M-Pesa activation callback not applied:', result);
+        await mpesaCallbackService.markProcessed(inboxEntry.id);
+      }
     }
 
     // Always respond with success to M-Pesa
@@ -33,6 +63,12 @@ router.post('/activation-callback', async (req, res) => {
     });
   } catch (error) {
     console.error('Error processing M-Pesa callback:', error);
+
+    if (inboxEntry) {
+      await mpesaCallbackService.markFailed(inboxEntry.id, error).catch((markError) => {
+        console.error('Failed to mark M-Pesa callback as failed:', markError);
+      });
+    }
     
     // Still respond with success to M-Pesa to avoid retries
     res.json({
@@ -42,6 +78,104 @@ router.post('/activation-callback', async (req, res) => {
   }
 });
 
+// B2C callback URLs carry the withdrawal id and its signature; reject anything else before reading the body
+const requirePayoutSignature = (req, res, next) => {
+  const { reference, signature } = req.query;
+
+  if (typeof reference !== 'string' || !mpesaService.isValidPayoutSignature(reference, signature)) {
+    console.error(`Rejected M-Pesa callback to ${req.path} with an invalid payout signature`);
+    return res.status(401).json({ success: false, error: { message: 'Invalid callback signature' } });
+  }
+
+  next();
+};
+
+// Outcomes that mean the callback was handled even though nothing was settled yet
+const B2C_DEFERRED_REASONS = ['STATUS_QUERY_PENDING', 'PAYOUT_UNCONFIRMED'];
+
+// Shared handler for B2C result, queue-timeout and status callbacks
+const handleB2CCallback = (type, handle) => async (req, res) => {
+  let inboxEntry = null;
+
+  try {
+    console.log(`M-Pesa ${type} callback received:`, JSON.stringify(req.body, null, 2));
+
+    const recorded = await mpesaCallbackService.record(type, req.body);
+    inboxEntry = recorded.entry;
+
+    if (recorded.duplicate) {
+      console.log(`Duplicate M-Pesa callback ${inboxEntry.id} ignored (original: ${inboxEntry.duplicateOfId})`);
+    } else {
+      const result = await handle(req.body, { withdrawalId: req.query.reference });
+
+      if (result.success) {
+        console.log('Withdrawal payout settled:', result);
+        await mpesaCallbackService.markProcessed(inboxEntry.id);
+      } else if (B2C_DEFERRED_REASONS.includes(result.reason)) {
+        console.log('Withdrawal payout flagged for reconciliation:', result);
+        await mpesaCallbackService.markProcessed(inboxEntry.id);
+      } else if (result.reason === 'ALREADY_SETTLED') {
+        await mpesaCallbackService.markDuplicate(inboxEntry.id);
+      } else if (result.reason === 'CONVERSATION_MISMATCH') {
+        await mpesaCallbackService.markFailed(inboxEntry.id, 'Callback does not match the payout saved for this withdrawal');
+      } else {
+        await mpesaCallbackService.markFailed(inboxEntry.id, 'No withdrawal request matches this callback');
+      }
+    }
+
+    res.json({
+      ResultCode: 0,
+      ResultDesc: 'Success',
+    });
+  } catch (error) {
+    console.error(`Error processing M-Pesa ${type} callback:`, error);
+
+    if (inboxEntry) {
+      await mpesaCallbackService.markFailed(inboxEntry.id, error).catch((markError) => {
+        console.error('Failed to mark M-Pesa callback as failed:', markError);
+      });
+    }
+
+    res.json({
+      ResultCode: 0,
+      ResultDesc: 'Success',
+    });
+  }
+};
+
+// M-Pesa B2C payout result
+router.post(
+  '/b2c/result',
+  requirePayoutSignature,
+  handleB2CCallback(CALLBACK_TYPES.B2C_RESULT, (body, options) =>
+    payoutService.handleB2CResult(mpesaService.processB2CResult(body), options))
+);
+
+// M-Pesa B2C request timed out in the queue; the outcome is unknown, so it is flagged and queried
+router.post(
+  '/b2c/timeout',
+  requirePayoutSignature,
+  handleB2CCallback(CALLBACK_TYPES.B2C_TIMEOUT, (body, options) =>
+    payoutService.handleB2CTimeout(mpesaService.processB2CTimeout(body), options))
+);
+
+// Answer to a B2C transaction status query
+router.post(
+  '/b2c/status-result',
+  requirePayoutSignature,
+  handleB2CCallback(CALLBACK_TYPES.B2C_STATUS_RESULT, (body, options) =>
+    payoutService.handleB2CStatusResult(mpesaService.processB2CStatusResult(body), options))
+);
+
+// A status query that timed out leaves the withdrawal flagged for an admin
+router.post('/b2c/status-timeout', requirePayoutSignature, (req, res) => {
+  console.log(`M-Pesa payout status query timed out for withdrawal ${req.query.reference}:`, req.body);
+  res.json({
+    ResultCode: 0,
+    ResultDesc: 'Success',
+  });
+});
+
 // M-Pesa timeout callback
 router.post('/timeout', (req, res) => {
   console.log('M-Pesa timeout received:', req.body);
@@ -51,4 +185,32 @@ router.post('/timeout', (req, res) => {
   });
 });
 
+// Simulator controls, only mounted when MPESA_ENVIRONMENT=simulator
+if (mpesaService.isSimulator) {
+  // Set the outcome for all requests, or for one phone number
+  router.post('/simulator/scenario', (req, res, next) => {
+    try {
+      const { scenario, phoneNumber } = req.body;
+      const formattedPhone = phoneNumber ? mpesaService.validatePhoneNumber(phoneNumber) : null;
+
+      mpesaService.gateway.setScenario(scenario, formattedPhone);
+
+      res.json(successResponse({ scenario, phoneNumber: formattedPhone }, 'Simulator scenario updated'));
+    } catch (error) {
+      next(new AppError(error.message, 400));
+    }
+  });
+
+  // Deliver a pending callback now (useful with MPESA_SIMULATOR_CALLBACK_DELAY_MS=manual)
+  router.post('/simulator/callbacks/:requestId', async (req, res, next) => {
+    try {
+      const callback = await mpesaService.gateway.fireCallback(req.params.requestId);
+
+      res.json(successResponse({ delivered: Boolean(callback), callback }, 'Simulator callback processed'));
+    } catch (error) {
+      next(new AppError(error.message, 404));
+    }
+  });
+}
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getProducts,
+  getProductCategories,
+  getProduct,
+} from '../controllers/productController.js';
+import {
+  validateProductId,
+  validatePaginationQuery,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// The catalog is public so members can share it before signing in
+router.get('/', validatePaginationQuery, getProducts);
+router.get('/categories', getProductCategories);
+router.get('/:productId', validateProductId, getProduct);
+
+export default router;
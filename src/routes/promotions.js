@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getPromotionLinks,
+  createPromotionLink,
+  followPromotionLink,
+} from '../controllers/promotionController.js';
+import { protect, requireActivation, optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public redirect behind every shared link; a signed-in owner's own visits are not counted
+router.get('/r/:code', optionalAuth, followPromotionLink);
+
+// Protected routes
+router.use(protect);
+
+router.get('/links', getPromotionLinks);
+router.post('/links', requireActivation, createPromotionLink);
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import {
   getReferralInfo,
   getReferralTree,
+  getDownlineTree,
   verifyReferralCode,
   getReferralEarnings,
   getReferralStats,
@@ -29,9 +30,11 @@ router.use(protect);
 // Referral information
 router.get('/info', getReferralInfo);
 router.get('/tree', validatePaginationQuery, getReferralTree);
+router.get('/downline', getDownlineTree);
+router.get('/downline/:nodeId', getDownlineTree);
 router.get('/earnings', validatePaginationQuery, getReferralEarnings);
 router.get('/pending', getPendingEarnings);
-router.get('/chain', getChain);
+router.get('/chain', validatePaginationQuery, getChain);
 router.get('/stats', getReferralStats);
 router.get('/activation-impact/:userId', getActivationImpact);
 
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  submitSale,
+  getSales,
+  getSalesTotals,
+  getSale,
+} from '../controllers/saleController.js';
+import {
+  validateSale,
+  validateSaleId,
+  validatePaginationQuery,
+} from '../middleware/validation.js';
+import { protect, requireActivation } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All sales routes require authentication
+router.use(protect);
+
+router.post('/', requireActivation, validateSale, submitSale);
+router.get('/', validatePaginationQuery, getSales);
+router.get('/totals', getSalesTotals);
+router.get('/:saleId', validateSaleId, getSale);
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import crypto from 'crypto';
+import { smsService } from '../services/smsService.js';
+
+const router = express.Router();
+
+// Africa's Talking delivery reports (form-encoded). Configure the URL with ?token=<SMS_DELIVERY_REPORT_TOKEN>.
+// The token is optional outside production; in production the server will not start without it.
+router.post('/delivery-report', async (req, res) => {
+  const expectedToken = process.env.SMS_DELIVERY_REPORT_TOKEN || '';
+
+  if (expectedToken || process.env.NODE_ENV === 'production') {
+    const token = Buffer.from(String(req.query.token || ''));
+    const expected = Buffer.from(expectedToken);
+    const valid = expected.length > 0 && token.length === expected.length && crypto.timingSafeEqual(token, expected);
+
+    if (!valid) {
+      return res.status(401).json({ success: false, error: { message: 'Invalid delivery report token' } });
+    }
+  }
+
+  try {
+    const result = await smsService.handleDeliveryReport(req.body);
+
+    if (!result.updated) {
+      console.log('SMS delivery report not applied:', JSON.stringify(req.body));
+    }
+  } catch (error) {
+    console.error('SMS delivery report processing error:', error);
+  }
+
+  // Always acknowledge so the provider does not keep retrying
+  res.status(200).send('OK');
+});
+
+export default router;
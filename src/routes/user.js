@@ -6,6 +6,7 @@ import {
   getDashboard,
   getStatistics,
   checkActivationStatus,
+  getLevel,
 } from '../controllers/userController.js';
 import {
   validateProfileUpdateData,
@@ -31,4 +32,7 @@ router.get('/activation-status/:checkoutRequestId', checkActivationStatus);
 router.get('/dashboard', getDashboard);
 router.get('/statistics', validatePaginationQuery, getStatistics);
 
+// Level and perks
+router.get('/level', getLevel);
+
 export default router;
\ No newline at end of file
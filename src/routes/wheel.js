@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getWheel,
+  spinWheel,
+  getSpinHistory,
+} from '../controllers/wheelController.js';
+import { validatePaginationQuery } from '../middleware/validation.js';
+import { protect, requireActivation } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All wheel routes require authentication
+router.use(protect);
+
+router.get('/', getWheel);
+router.post('/spin', requireActivation, spinWheel);
+router.get('/history', validatePaginationQuery, getSpinHistory);
+
+export default router;
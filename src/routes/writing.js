@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getOpenJobs,
+  getMyJobs,
+  getJob,
+  claimJob,
+  releaseJob,
+  submitWork,
+  downloadSubmission,
+} from '../controllers/writingController.js';
+import { validatePaginationQuery } from '../middleware/validation.js';
+import { protect, requireActivation } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Academic writing is open to activated members only
+router.use(protect, requireActivation);
+
+router.get('/jobs', validatePaginationQuery, getOpenJobs);
+router.get('/jobs/mine', validatePaginationQuery, getMyJobs);
+router.get('/jobs/:jobId', getJob);
+router.post('/jobs/:jobId/claim', claimJob);
+router.post('/jobs/:jobId/release', releaseJob);
+router.post('/jobs/:jobId/submissions', submitWork);
+router.get('/submissions/:submissionId/file', downloadSubmission);
+
+export default router;
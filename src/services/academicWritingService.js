@@ -0,0 +1,496 @@
+import path from 'path';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../lib/prisma.js';
+import { fileStorage } from '../lib/fileStorage.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { ledgerService } from './ledgerService.js';
+import { smsService } from './smsService.js';
+
+const JOB_STATUS = CONSTANTS.WRITING_JOB_STATUS;
+const SUBMISSION_STATUS = CONSTANTS.WRITING_SUBMISSION_STATUS;
+const { MAX_ACTIVE_CLAIMS, MAX_FILE_BYTES, FILE_TYPES } = CONSTANTS.ACADEMIC_WRITING;
+
+// Jobs a member is still working on
+const ACTIVE_CLAIM_STATUSES = [JOB_STATUS.CLAIMED, JOB_STATUS.SUBMITTED, JOB_STATUS.REVISION_REQUESTED];
+
+// Jobs an admin may still edit or cancel
+const EDITABLE_STATUSES = [JOB_STATUS.OPEN, ...ACTIVE_CLAIM_STATUSES];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const SUBMISSION_SELECT = {
+  id: true,
+  version: true,
+  status: true,
+  fileName: true,
+  mimeType: true,
+  sizeBytes: true,
+  notes: true,
+  reviewNote: true,
+  reviewedAt: true,
+  createdAt: true,
+};
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+class AcademicWritingService {
+  format(job) {
+    return job && { ...job, payAmount: Number(job.payAmount) };
+  }
+
+  // Check and normalise admin input; `partial` allows updates that leave fields out
+  validateJob(data, { partial = false } = {}) {
+    const job = {};
+
+    for (const field of ['title', 'description']) {
+      if (!partial || data[field] !== undefined) {
+        if (typeof data[field] !== 'string' || !data[field].trim()) {
+          throw new AppError(`Job ${field} is required`, 400);
+        }
+        job[field] = data[field].trim();
+      }
+    }
+
+    if (data.subject !== undefined) {
+      if (data.subject !== null && typeof data.subject !== 'string') {
+        throw new AppError('Subject must be a string', 400);
+      }
+      job.subject = data.subject?.trim() || null;
+    }
+
+    if (data.wordCount !== undefined && data.wordCount !== null) {
+      const wordCount = toNumber(data.wordCount);
+      if (!Number.isInteger(wordCount) || wordCount < 1) {
+        throw new AppError('Word count must be a positive whole number', 400);
+      }
+      job.wordCount = wordCount;
+    }
+
+    if (!partial || data.payAmount !== undefined) {
+      const payAmount = toNumber(data.payAmount);
+      if (typeof payAmount !== 'number' || !Number.isFinite(payAmount) || payAmount <= 0) {
+        throw new AppError('Pay amount must be a positive number', 400);
+      }
+      job.payAmount = Math.round(payAmount * 100) / 100;
+    }
+
+    if (!partial || data.deadline !== undefined) {
+      const deadline = new Date(data.deadline);
+      if (!data.deadline || Number.isNaN(deadline.getTime())) {
+        throw new AppError('Deadline must be a valid date', 400);
+      }
+      if (deadline <= new Date()) {
+        throw new AppError('Deadline must be in the future', 400);
+      }
+      job.deadline = deadline;
+    }
+
+    return job;
+  }
+
+  // Decode a base64 upload and check its type and size
+  decodeFile(file) {
+    if (!file || typeof file !== 'object') {
+      throw new AppError('A file is required', 400);
+    }
+
+    const { name, mimeType, content } = file;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AppError('File name is required', 400);
+    }
+
+    const extension = FILE_TYPES[mimeType];
+    if (!extension) {
+      throw new AppError(`File type must be one of: ${Object.values(FILE_TYPES).join(', ')}`, 400);
+    }
+
+    if (typeof content !== 'string' || !BASE64_PATTERN.test(content)) {
+      throw new AppError('File content must be base64 encoded', 400);
+    }
+
+    const buffer = Buffer.from(content, 'base64');
+
+    if (buffer.length === 0) {
+      throw new AppError('File is empty', 400);
+    }
+
+    if (buffer.length > MAX_FILE_BYTES) {
+      throw new AppError(`File must be at most ${MAX_FILE_BYTES / (1024 * 1024)} MB`, 400);
+    }
+
+    return { fileName: path.basename(name.trim()).slice(0, 255), mimeType, extension, buffer };
+  }
+
+  async createJob(data, { adminId = null } = {}) {
+    const job = await prisma.writingJob.create({
+      data: { ...this.validateJob(data), createdBy: adminId },
+    });
+
+    return this.format(job);
+  }
+
+  // Details and deadline can change until the job is approved or cancelled
+  async updateJob(jobId, data) {
+    const changes = this.validateJob(data, { partial: true });
+
+    if (Object.keys(changes).length === 0) {
+      throw new AppError('No job fields to update', 400);
+    }
+
+    const updated = await prisma.writingJob.updateMany({
+      where: { id: jobId, status: { in: EDITABLE_STATUSES } },
+      data: changes,
+    });
+
+    const job = await prisma.writingJob.findUnique({ where: { id: jobId } });
+
+    if (!job) {
+      throw new AppError('Writing job not found', 404);
+    }
+
+    if (updated.count === 0) {
+      throw new AppError(`Job can no longer be edited (${job.status})`, 409);
+    }
+
+    return this.format(job);
+  }
+
+  async cancelJob(jobId) {
+    const cancelled = await prisma.writingJob.updateMany({
+      where: { id: jobId, status: { in: EDITABLE_STATUSES } },
+      data: { status: JOB_STATUS.CANCELLED },
+    });
+
+    const job = await prisma.writingJob.findUnique({ where: { id: jobId } });
+
+    if (!job) {
+      throw new AppError('Writing job not found', 404);
+    }
+
+    if (cancelled.count === 0) {
+      throw new AppError(`Job can no longer be cancelled (${job.status})`, 409);
+    }
+
+    return this.format(job);
+  }
+
+  async listJobs({ status, claimedBy }, { skip, take }) {
+    const where = {
+      ...(status && { status }),
+      ...(claimedBy && { claimedBy }),
+    };
+
+    const [total, jobs] = await Promise.all([
+      prisma.writingJob.count({ where }),
+      prisma.writingJob.findMany({
+        where,
+        orderBy: { deadline: 'asc' },
+        skip,
+        take,
+        include: {
+          claimant: { select: { id: true, phoneNumber: true, firstName: true, lastName: true } },
+          _count: { select: { submissions: true } },
+        },
+      }),
+    ]);
+
+    return { total, jobs: jobs.map(job => this.format(job)) };
+  }
+
+  // Open jobs whose deadline has not passed, soonest first
+  async listOpenJobs({ skip, take }) {
+    const where = { status: JOB_STATUS.OPEN, deadline: { gt: new Date() } };
+
+    const [total, jobs] = await Promise.all([
+      prisma.writingJob.count({ where }),
+      prisma.writingJob.findMany({ where, orderBy: { deadline: 'asc' }, skip, take }),
+    ]);
+
+    return { total, jobs: jobs.map(job => this.format(job)) };
+  }
+
+  async listUserJobs(userId, { status }, { skip, take }) {
+    await this.expireOverdueClaims({ userId });
+
+    const where = { claimedBy: userId, ...(status && { status }) };
+
+    const [total, jobs] = await Promise.all([
+      prisma.writingJob.count({ where }),
+      prisma.writingJob.findMany({
+        where,
+        orderBy: { deadline: 'asc' },
+        skip,
+        take,
+        include: { _count: { select: { submissions: true } } },
+      }),
+    ]);
+
+    return { total, jobs: jobs.map(job => this.format(job)) };
+  }
+
+  // Admins see every submission; members see open jobs and their own work
+  async getJob(jobId, { userId = null } = {}) {
+    const job = await prisma.writingJob.findUnique({
+      where: { id: jobId },
+      include: {
+        submissions: {
+          ...(userId && { where: { userId } }),
+          orderBy: { version: 'desc' },
+          select: SUBMISSION_SELECT,
+        },
+      },
+    });
+
+    if (!job || (userId && job.claimedBy !== userId && job.status !== JOB_STATUS.OPEN)) {
+      throw new AppError('Writing job not found', 404);
+    }
+
+    return this.format(job);
+  }
+
+  // Put jobs whose deadline passed while still claimed or awaiting a revision back in the pool.
+  // They come back OPEN with the old deadline, hidden from members until an admin extends it.
+  async expireOverdueClaims({ userId = null } = {}) {
+    const expired = await prisma.writingJob.updateMany({
+      where: {
+        status: { in: [JOB_STATUS.CLAIMED, JOB_STATUS.REVISION_REQUESTED] },
+        deadline: { lte: new Date() },
+        ...(userId && { claimedBy: userId }),
+      },
+      data: { status: JOB_STATUS.OPEN, claimedBy: null, claimedAt: null },
+    });
+
+    return expired.count;
+  }
+
+  async claimJob(userId, jobId) {
+    // Overdue claims must not keep counting against the member's limit
+    await this.expireOverdueClaims({ userId });
+
+    // Count and claim in one serializable transaction so parallel claims can't pass the limit together
+    await prisma.$transaction(async (tx) => {
+      const activeClaims = await tx.writingJob.count({
+        where: { claimedBy: userId, status: { in: ACTIVE_CLAIM_STATUSES } },
+      });
+
+      if (activeClaims >= MAX_ACTIVE_CLAIMS) {
+        throw new AppError(`You can work on at most ${MAX_ACTIVE_CLAIMS} jobs at a time`, 400);
+      }
+
+      // Only an open job before its deadline can be claimed, so two members can't take the same one
+      const claimed = await tx.writingJob.updateMany({
+        where: { id: jobId, status: JOB_STATUS.OPEN, deadline: { gt: new Date() } },
+        data: { status: JOB_STATUS.CLAIMED, claimedBy: userId, claimedAt: new Date() },
+      });
+
+      if (claimed.count === 0) {
+        const job = await tx.writingJob.findUnique({ where: { id: jobId }, select: { id: true } });
+        throw job
+          ? new AppError('Job is no longer available', 409)
+          : new AppError('Writing job not found', 404);
+      }
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable }).catch((error) => {
+      // The database aborts one of two conflicting claims
+      if (error.code === 'P2034') {
+        throw new AppError('Another claim was being made at the same time; please try again', 409);
+      }
+      throw error;
+    });
+
+    return await this.getJob(jobId, { userId });
+  }
+
+  // Hand a job back before any work has been submitted
+  async releaseJob(userId, jobId) {
+    const released = await prisma.writingJob.updateMany({
+      where: { id: jobId, claimedBy: userId, status: JOB_STATUS.CLAIMED },
+      data: { status: JOB_STATUS.OPEN, claimedBy: null, claimedAt: null },
+    });
+
+    if (released.count === 0) {
+      throw new AppError('You can only release a claimed job you have not submitted work for', 409);
+    }
+
+    return this.format(await prisma.writingJob.findUnique({ where: { id: jobId } }));
+  }
+
+  // Store the uploaded draft and put the job up for review
+  async submitWork(userId, jobId, { file, notes }) {
+    const upload = this.decodeFile(file);
+
+    const job = await prisma.writingJob.findUnique({ where: { id: jobId } });
+
+    if (!job || job.claimedBy !== userId) {
+      throw new AppError('Writing job not found', 404);
+    }
+
+    if (![JOB_STATUS.CLAIMED, JOB_STATUS.REVISION_REQUESTED].includes(job.status)) {
+      throw new AppError(`Job is not awaiting work (${job.status})`, 409);
+    }
+
+    if (job.deadline <= new Date()) {
+      throw new AppError('The deadline for this job has passed', 400);
+    }
+
+    const storageKey = await fileStorage.save(`writing/${jobId}`, upload.buffer, upload.extension);
+
+    try {
+      const submission = await prisma.$transaction(async (tx) => {
+        const moved = await tx.writingJob.updateMany({
+          where: { id: jobId, claimedBy: userId, status: job.status },
+          data: { status: JOB_STATUS.SUBMITTED },
+        });
+
+        if (moved.count === 0) {
+          throw new AppError('Job changed while uploading. Reload and try again.', 409);
+        }
+
+        const previous = await tx.writingSubmission.aggregate({
+          where: { jobId },
+          _max: { version: true },
+        });
+
+        return await tx.writingSubmission.create({
+          data: {
+            jobId,
+            userId,
+            version: (previous._max.version || 0) + 1,
+            fileName: upload.fileName,
+            storageKey,
+            mimeType: upload.mimeType,
+            sizeBytes: upload.buffer.length,
+            notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+          },
+          select: SUBMISSION_SELECT,
+        });
+      });
+
+      return submission;
+    } catch (error) {
+      // Don't keep files no record points to
+      await fileStorage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Approve the latest submission and pay the member, or send it back for another version
+  async reviewSubmission(jobId, { decision, note = null, deadline }, { adminId = null } = {}) {
+    const approve = decision === 'approve';
+    const newDeadline = !approve && deadline !== undefined
+      ? this.validateJob({ deadline }, { partial: true }).deadline
+      : undefined;
+
+    const job = await prisma.$transaction(async (tx) => {
+      // Only a submitted job can be reviewed, so two admins can't both act on it.
+      // A revision needs time to be done: an overdue job can only be sent back with a new deadline.
+      const claimed = await tx.writingJob.updateMany({
+        where: {
+          id: jobId,
+          status: JOB_STATUS.SUBMITTED,
+          ...(!approve && !newDeadline && { deadline: { gt: new Date() } }),
+        },
+        data: approve
+          ? { status: JOB_STATUS.APPROVED, reviewedBy: adminId, approvedAt: new Date() }
+          : { status: JOB_STATUS.REVISION_REQUESTED, reviewedBy: adminId, ...(newDeadline && { deadline: newDeadline }) },
+      });
+
+      const current = await tx.writingJob.findUnique({
+        where: { id: jobId },
+        include: { claimant: { select: { phoneNumber: true } } },
+      });
+
+      if (!current) {
+        throw new AppError('Writing job not found', 404);
+      }
+
+      if (claimed.count === 0) {
+        if (current.status === JOB_STATUS.SUBMITTED) {
+          throw new AppError('The deadline has passed; set a new deadline to request a revision', 400);
+        }
+        throw new AppError(`Job is not awaiting review (${current.status})`, 409);
+      }
+
+      const latest = await tx.writingSubmission.findFirst({
+        where: { jobId },
+        orderBy: { version: 'desc' },
+      });
+
+      await tx.writingSubmission.update({
+        where: { id: latest.id },
+        data: {
+          status: approve ? SUBMISSION_STATUS.APPROVED : SUBMISSION_STATUS.REVISION_REQUESTED,
+          reviewNote: note,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+        },
+      });
+
+      if (!approve) {
+        return current;
+      }
+
+      const transaction = await tx.transaction.create({
+        data: {
+          userId: current.claimedBy,
+          type: CONSTANTS.TRANSACTION_TYPES.ACADEMIC_WRITING_BONUS,
+          amount: current.payAmount,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+          description: `Academic writing: ${current.title}`,
+          confirmedAt: new Date(),
+          metadata: {
+            jobId: current.id,
+            submissionId: latest.id,
+            version: latest.version,
+          },
+        },
+      });
+
+      await ledgerService.recordWritingPayment(tx, {
+        userId: current.claimedBy,
+        amount: current.payAmount,
+        jobId: current.id,
+        transactionId: transaction.id,
+      });
+
+      return await tx.writingJob.update({
+        where: { id: jobId },
+        data: { transactionId: transaction.id },
+        include: { claimant: { select: { phoneNumber: true } } },
+      });
+    });
+
+    if (job.claimant) {
+      await smsService.notify(job.claimant.phoneNumber, approve ? 'WRITING_APPROVED' : 'WRITING_REVISION_REQUESTED', {
+        title: job.title,
+        amount: Number(job.payAmount),
+        deadline: job.deadline.toLocaleString('en-KE', {
+          timeZone: CONSTANTS.TIMEZONE,
+          dateStyle: 'medium',
+          timeStyle: 'short',
+        }),
+      }, { userId: job.claimedBy });
+    }
+
+    const { claimant, ...reviewed } = job;
+    return this.format(reviewed);
+  }
+
+  // Where a submission's file is stored; members may only fetch their own
+  async getSubmissionFile(submissionId, { userId = null } = {}) {
+    const submission = await prisma.writingSubmission.findUnique({ where: { id: submissionId } });
+
+    if (!submission || (userId && submission.userId !== userId)) {
+      throw new AppError('Submission not found', 404);
+    }
+
+    return {
+      filePath: fileStorage.resolve(submission.storageKey),
+      fileName: submission.fileName,
+      mimeType: submission.mimeType,
+    };
+  }
+}
+
+export const academicWritingService = new AcademicWritingService();
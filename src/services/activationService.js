@@ -1,8 +1,16 @@
 import { prisma } from '../lib/prisma.js';
 import { mpesaService } from './mpesaService.js';
+import { ledgerService } from './ledgerService.js';
+import { commissionPlanService } from './commissionPlanService.js';
+import { referralBonusService } from './referralBonusService.js';
+import { riskService } from './riskService.js';
+import { userLevelService } from './userLevelService.js';
 import { CONSTANTS } from '../utils/constants.js';
 import { AppError } from '../middleware/errorHandler.js';
 
+// Daraja result code when the customer dismisses the STK prompt
+const MPESA_CANCELLED_RESULT_CODE = 1032;
+
 class ActivationService {
   // Initiate account activation with frontend-provided data
   async initiateActivation(userId, mpesaNumber, amount) {
@@ -21,9 +29,24 @@ class ActivationService {
         throw new AppError('Account is already activated', 400);
       }
 
-      // Validate amount
-      if (amount !== 600) {
-        throw new AppError('Invalid activation amount. Must be KSH 600', 400);
+      // Don't start a second STK push while the last one may still be paid
+      const pendingPayment = await prisma.activationPayment.findFirst({
+        where: {
+          userId,
+          status: CONSTANTS.TRANSACTION_STATUS.PENDING,
+          createdAt: { gt: new Date(Date.now() - CONSTANTS.ACTIVATION_PENDING_LOCK_MINUTES * 60 * 1000) },
+        },
+        select: { id: true },
+      });
+
+      if (pendingPayment) {
+        throw new AppError('An activation payment is already in progress. Complete the M-Pesa prompt or try again in a few minutes', 409);
+      }
+
+      // The fee is set by the active commission plan
+      const { activationFee } = await commissionPlanService.getActivePlan();
+      if (amount !== activationFee) {
+        throw new AppError(`Invalid activation amount. Must be KSH ${activationFee}`, 400);
       }
 
       // Validate M-Pesa number
@@ -32,13 +55,26 @@ class ActivationService {
       // Generate a unique reference for this activation attempt
       const activationReference = `ACT_${userId}_${Date.now()}`;
 
-      // Initiate M-Pesa STK push without creating any database records
+      // Initiate M-Pesa STK push
       const mpesaResponse = await mpesaService.initiateAccountActivation(
         formattedMpesaNumber,
         amount,
         activationReference
       );
 
+      // Persist the checkout mapping so the callback can be traced back to this user
+      await prisma.activationPayment.create({
+        data: {
+          userId,
+          checkoutRequestId: mpesaResponse.checkoutRequestId,
+          merchantRequestId: mpesaResponse.merchantRequestId,
+          accountReference: activationReference,
+          amount,
+          phoneNumber: formattedMpesaNumber,
+          status: CONSTANTS.TRANSACTION_STATUS.PENDING,
+        },
+      });
+
       return {
         success: true,
         checkoutRequestId: mpesaResponse.checkoutRequestId,
@@ -52,46 +88,347 @@ class ActivationService {
     }
   }
 
-  // Process successful activation
-  async processSuccessfulActivation(checkoutRequestId, mpesaReceiptNumber) {
-    try {
-      // Use a transaction to ensure all operations succeed or fail together
-      const result = await prisma.$transaction(async (tx) => {
-        // Create the transaction record only after successful payment
-        const transaction = await tx.transaction.create({
-          data: {
-            userId: null, // Will be set below
-            type: CONSTANTS.TRANSACTION_TYPES.ACCOUNT_ACTIVATION,
-            amount: 600,
-            status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
-            description: `Account activation fee payment via M-Pesa`,
-            confirmedAt: new Date(),
-            metadata: {
-              mpesaReceiptNumber,
-              checkoutRequestId,
-              processedAt: new Date().toISOString(),
-            },
-          },
-        });
+  // Handle a parsed STK callback by resolving the pending payment it belongs to
+  async handleActivationCallback(processedCallback) {
+    const { checkoutRequestId, merchantRequestId } = processedCallback;
 
-        // Find user by checkout request ID (we'll need to store this temporarily)
-        // For now, we'll use a different approach - store user info in the callback
-        // This is a simplified version - in production you might want to use Redis
-        
-        // Since we don't have user info in the callback, we'll need to modify the approach
-        // For now, let's assume we can get user info from the M-Pesa response or callback
-        
-        return {
-          success: true,
-          transactionId: transaction.id,
-          mpesaReceiptNumber,
-        };
+    const payment = await this.findActivationPayment(checkoutRequestId, merchantRequestId);
+
+    if (!payment) {
+      console.error('No pending activation payment found for callback:', {
+        checkoutRequestId,
+        merchantRequestId,
       });
+      return { success: false, reason: 'PAYMENT_NOT_FOUND' };
+    }
 
-      return result;
+    if (payment.status !== CONSTANTS.TRANSACTION_STATUS.PENDING) {
+      console.log(`Activation payment ${payment.id} already settled as ${payment.status}`);
+
+      // Reconciliation confirms without a receipt; keep it once the late callback brings one
+      if (
+        payment.status === CONSTANTS.TRANSACTION_STATUS.CONFIRMED &&
+        !payment.mpesaReceiptNumber &&
+        processedCallback.success &&
+        processedCallback.mpesaReceiptNumber
+      ) {
+        await this.backfillReceiptNumber(payment, processedCallback.mpesaReceiptNumber);
+      }
+
+      return { success: false, reason: 'ALREADY_SETTLED', paymentId: payment.id };
+    }
+
+    if (!processedCallback.success) {
+      await this.settleFailedPayment(payment, processedCallback.resultCode, processedCallback.resultDesc);
+
+      return { success: false, reason: 'PAYMENT_FAILED', paymentId: payment.id };
+    }
+
+    // The callback body is not proof of payment; only activate what Daraja itself confirms
+    const confirmation = await this.confirmPayment(payment);
+    if (!confirmation.confirmed) {
+      return { success: false, reason: confirmation.reason, paymentId: payment.id };
+    }
+
+    // Reconcile the callback metadata against what we asked the customer to pay
+    const mismatch = this.reconcilePayment(payment, processedCallback);
+    if (mismatch) {
+      console.error(`Activation payment ${payment.id} failed reconciliation: ${mismatch}`);
+
+      const settled = await this.settleMismatchedPayment(payment, processedCallback, mismatch);
+
+      return {
+        success: false,
+        reason: settled ? 'RECONCILIATION_FAILED' : 'ALREADY_SETTLED',
+        refundRequired: settled,
+        paymentId: payment.id,
+        mismatch,
+      };
+    }
+
+    return await this.processSuccessfulActivationWithUser(
+      payment.userId,
+      payment.checkoutRequestId,
+      processedCallback.mpesaReceiptNumber
+    );
+  }
+
+  // Look up a pending payment by CheckoutRequestID, falling back to MerchantRequestID
+  async findActivationPayment(checkoutRequestId, merchantRequestId) {
+    if (checkoutRequestId) {
+      const payment = await prisma.activationPayment.findUnique({
+        where: { checkoutRequestId },
+      });
+
+      if (payment) {
+        return payment;
+      }
+    }
+
+    if (merchantRequestId) {
+      return await prisma.activationPayment.findUnique({
+        where: { merchantRequestId },
+      });
+    }
+
+    return null;
+  }
+
+  // Ask Daraja whether a checkout was paid. A failure it reports closes the payment; a query
+  // error or a prompt still open leaves it pending for the reconciliation job.
+  async confirmPayment(payment) {
+    let query;
+    try {
+      query = await mpesaService.queryTransactionStatus(payment.checkoutRequestId);
     } catch (error) {
-      throw error;
+      console.error(`Could not confirm activation payment ${payment.id} with Daraja:`, error.message);
+      return { confirmed: false, reason: 'UNCONFIRMED' };
+    }
+
+    if (query.stillProcessing) {
+      return { confirmed: false, reason: 'UNCONFIRMED' };
+    }
+
+    const resultCode = Number(query.resultCode);
+    if (resultCode === 0) {
+      return { confirmed: true };
     }
+
+    console.error(`Activation payment ${payment.id} callback reported success but Daraja reports ${resultCode}: ${query.resultDesc}`);
+
+    const status = await this.settleFailedPayment(payment, resultCode, query.resultDesc);
+
+    return { confirmed: false, reason: status ? 'PAYMENT_FAILED' : 'ALREADY_SETTLED' };
+  }
+
+  // Returns a description of the first mismatch, or null when the callback matches
+  reconcilePayment(payment, processedCallback) {
+    const paidAmount = Number(processedCallback.amount);
+    if (Number.isNaN(paidAmount) || paidAmount !== Number(payment.amount)) {
+      return `expected amount ${Number(payment.amount)}, received ${processedCallback.amount}`;
+    }
+
+    if (processedCallback.phoneNumber) {
+      const paidFrom = mpesaService.validatePhoneNumber(String(processedCallback.phoneNumber));
+      if (paidFrom !== payment.phoneNumber) {
+        return `expected phone ${payment.phoneNumber}, received ${paidFrom}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Close a pending payment as cancelled (customer dismissed the prompt) or failed
+  async settleFailedPayment(payment, resultCode, resultDesc) {
+    const status = resultCode === MPESA_CANCELLED_RESULT_CODE
+      ? CONSTANTS.TRANSACTION_STATUS.CANCELLED
+      : CONSTANTS.TRANSACTION_STATUS.FAILED;
+
+    const settled = await prisma.activationPayment.updateMany({
+      where: {
+        id: payment.id,
+        status: CONSTANTS.TRANSACTION_STATUS.PENDING,
+      },
+      data: {
+        status,
+        resultCode,
+        resultDesc,
+        completedAt: new Date(),
+      },
+    });
+
+    return settled.count > 0 ? status : null;
+  }
+
+  // Close a paid checkout that did not match what we asked for and book the money as owed back.
+  // Returns false when a concurrent callback or reconciliation settled it first.
+  async settleMismatchedPayment(payment, processedCallback, mismatch) {
+    // Refund what the customer actually sent when the callback reports a usable amount
+    const paidAmount = Number(processedCallback.amount);
+    const refundAmount = Number.isFinite(paidAmount) && paidAmount > 0 ? paidAmount : payment.amount;
+
+    return await prisma.$transaction(async (tx) => {
+      const settled = await tx.activationPayment.updateMany({
+        where: {
+          id: payment.id,
+          status: CONSTANTS.TRANSACTION_STATUS.PENDING,
+        },
+        data: {
+          status: CONSTANTS.TRANSACTION_STATUS.FAILED,
+          mpesaReceiptNumber: processedCallback.mpesaReceiptNumber,
+          resultCode: processedCallback.resultCode,
+          resultDesc: `Reconciliation failed: ${mismatch}; refund due`,
+          refundRequired: true,
+          completedAt: new Date(),
+        },
+      });
+
+      if (settled.count === 0) {
+        return false;
+      }
+
+      await ledgerService.recordUnmatchedActivationPayment(tx, {
+        userId: payment.userId,
+        amount: refundAmount,
+        paymentId: payment.id,
+      });
+
+      return true;
+    });
+  }
+
+  async backfillReceiptNumber(payment, mpesaReceiptNumber) {
+    await prisma.$transaction(async (tx) => {
+      await tx.activationPayment.update({
+        where: { id: payment.id },
+        data: { mpesaReceiptNumber },
+      });
+
+      if (payment.transactionId) {
+        await tx.transaction.update({
+          where: { id: payment.transactionId },
+          data: { mpesaTransactionCode: mpesaReceiptNumber },
+        });
+      }
+    });
+  }
+
+  // Settle activation attempts whose callback never arrived by querying Daraja directly
+  async reconcilePendingActivations({ olderThanMinutes = 10, limit = 50 } = {}) {
+    const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+
+    const stalePayments = await prisma.activationPayment.findMany({
+      where: {
+        status: CONSTANTS.TRANSACTION_STATUS.PENDING,
+        createdAt: { lt: cutoff },
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+
+    const report = {
+      startedAt: new Date(),
+      checked: stalePayments.length,
+      activated: 0,
+      failed: 0,
+      cancelled: 0,
+      stillPending: 0,
+      errors: 0,
+      changes: [],
+      failures: [],
+    };
+
+    for (const payment of stalePayments) {
+      try {
+        const outcome = await this.reconcileActivationPayment(payment);
+
+        if (outcome.status === CONSTANTS.TRANSACTION_STATUS.CONFIRMED) {
+          report.activated++;
+        } else if (outcome.status === CONSTANTS.TRANSACTION_STATUS.CANCELLED) {
+          report.cancelled++;
+        } else if (outcome.status === CONSTANTS.TRANSACTION_STATUS.FAILED) {
+          report.failed++;
+        } else {
+          report.stillPending++;
+        }
+
+        if (outcome.changed) {
+          report.changes.push({
+            paymentId: payment.id,
+            checkoutRequestId: payment.checkoutRequestId,
+            userId: payment.userId,
+            from: CONSTANTS.TRANSACTION_STATUS.PENDING,
+            to: outcome.status,
+            resultCode: outcome.resultCode,
+            resultDesc: outcome.resultDesc,
+          });
+        }
+      } catch (error) {
+        console.error(`Error reconciling activation payment ${payment.id}:`, error.message);
+        report.errors++;
+        report.failures.push({ paymentId: payment.id, error: error.message });
+      }
+    }
+
+    report.finishedAt = new Date();
+
+    return report;
+  }
+
+  async reconcileActivationPayment(payment) {
+    // Any other query failure (credentials, configuration, network) is thrown and reported as an error
+    const query = await mpesaService.queryTransactionStatus(payment.checkoutRequestId);
+
+    if (query.stillProcessing) {
+      return { status: CONSTANTS.TRANSACTION_STATUS.PENDING, changed: false };
+    }
+
+    const resultCode = Number(query.resultCode);
+
+    if (resultCode === 0) {
+      const result = await this.processSuccessfulActivationWithUser(
+        payment.userId,
+        payment.checkoutRequestId,
+        null
+      );
+
+      return {
+        status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        changed: result.reason !== 'ALREADY_SETTLED',
+        resultCode,
+        resultDesc: query.resultDesc,
+      };
+    }
+
+    const status = await this.settleFailedPayment(payment, resultCode, query.resultDesc);
+
+    return {
+      status: status || CONSTANTS.TRANSACTION_STATUS.FAILED,
+      changed: Boolean(status),
+      resultCode,
+      resultDesc: query.resultDesc,
+    };
+  }
+
+  // Mark a pending payment CONFIRMED; returns the payment, or null if it was already settled
+  async claimPendingPayment(tx, checkoutRequestId, data) {
+    const claimed = await tx.activationPayment.updateMany({
+      where: {
+        checkoutRequestId,
+        status: CONSTANTS.TRANSACTION_STATUS.PENDING,
+      },
+      data: {
+        status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        resultCode: 0,
+        completedAt: new Date(),
+        ...data,
+      },
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    return await tx.activationPayment.findUnique({ where: { checkoutRequestId } });
+  }
+
+  // Flag a confirmed payment that activated nothing and book it as owed back to the payer
+  async settleDuplicatePayment(tx, payment) {
+    await tx.activationPayment.update({
+      where: { id: payment.id },
+      data: {
+        refundRequired: true,
+        resultDesc: 'Paid after the account was already activated; refund due',
+      },
+    });
+
+    await ledgerService.recordDuplicateActivationPayment(tx, {
+      userId: payment.userId,
+      amount: payment.amount,
+      paymentId: payment.id,
+    });
+
+    console.error(`Activation payment ${payment.id} arrived for already active user ${payment.userId}; refund required`);
   }
 
   // Alternative approach: Process activation with user info
@@ -99,18 +436,74 @@ class ActivationService {
     try {
       // Use a transaction to ensure all operations succeed or fail together
       const result = await prisma.$transaction(async (tx) => {
-        // Verify user is not already activated
-        const user = await tx.user.findUnique({
-          where: { id: userId },
-          select: { id: true, accountStatus: true },
+        // The same receipt must never activate twice. Reconciliation settles
+        // from a status query, which carries no receipt to check.
+        if (mpesaReceiptNumber) {
+          const existingActivation = await tx.transaction.findFirst({
+            where: {
+              type: CONSTANTS.TRANSACTION_TYPES.ACCOUNT_ACTIVATION,
+              mpesaTransactionCode: mpesaReceiptNumber,
+            },
+            select: { id: true },
+          });
+
+          if (existingActivation) {
+            // Money already counted; close this checkout without storing the receipt a second time
+            const closed = await this.claimPendingPayment(tx, checkoutRequestId, {
+              resultDesc: `Receipt ${mpesaReceiptNumber} was already applied to another activation`,
+            });
+
+            return {
+              success: false,
+              reason: closed ? 'DUPLICATE_RECEIPT' : 'ALREADY_SETTLED',
+              userId,
+              mpesaReceiptNumber,
+            };
+          }
+        }
+
+        // Claim the pending payment. The status guard makes this a compare-and-set,
+        // so a retried or concurrent callback for the same checkout finds nothing
+        // to claim and produces no side effects.
+        const payment = await this.claimPendingPayment(tx, checkoutRequestId, {
+          mpesaReceiptNumber,
+          resultDesc: mpesaReceiptNumber ? undefined : 'Confirmed by status query',
         });
 
-        if (!user) {
-          throw new AppError('User not found', 404);
+        if (!payment) {
+          return {
+            success: false,
+            reason: 'ALREADY_SETTLED',
+            userId,
+            mpesaReceiptNumber,
+          };
         }
 
-        if (user.accountStatus === CONSTANTS.ACCOUNT_STATUS.ACTIVE) {
-          throw new AppError('Account is already activated', 400);
+        // Activate only an inactive account. The guard also stops two different
+        // payments for the same user from both activating it.
+        const activated = await tx.user.updateMany({
+          where: {
+            id: userId,
+            accountStatus: { not: CONSTANTS.ACCOUNT_STATUS.ACTIVE },
+          },
+          data: {
+            accountStatus: CONSTANTS.ACCOUNT_STATUS.ACTIVE,
+            updatedAt: new Date(),
+          },
+        });
+
+        // A payment for an account that is already active is kept as money owed back to the payer
+        if (activated.count === 0) {
+          await this.settleDuplicatePayment(tx, payment);
+
+          return {
+            success: false,
+            reason: 'ALREADY_ACTIVATED',
+            refundRequired: true,
+            paymentId: payment.id,
+            userId,
+            mpesaReceiptNumber,
+          };
         }
 
         // Create the transaction record
@@ -118,9 +511,10 @@ class ActivationService {
           data: {
             userId: userId,
             type: CONSTANTS.TRANSACTION_TYPES.ACCOUNT_ACTIVATION,
-            amount: 600,
+            amount: payment.amount,
             status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
             description: `Account activation fee payment via M-Pesa`,
+            mpesaTransactionCode: mpesaReceiptNumber,
             confirmedAt: new Date(),
             metadata: {
               mpesaReceiptNumber,
@@ -130,154 +524,157 @@ class ActivationService {
           },
         });
 
-        // Activate user account
-        await tx.user.update({
-          where: { id: userId },
-          data: { 
-            accountStatus: CONSTANTS.ACCOUNT_STATUS.ACTIVE,
-            updatedAt: new Date(),
-          },
+        // Link the settled payment to its transaction
+        await tx.activationPayment.update({
+          where: { checkoutRequestId },
+          data: { transactionId: transaction.id },
+        });
+
+        await ledgerService.recordActivationPayment(tx, {
+          userId,
+          amount: transaction.amount,
+          transactionId: transaction.id,
         });
 
-        // Process pending referral bonuses
-        const processedBonusesCount = await this.processPendingReferralBonuses(tx, userId);
+        // Score the activation; bonuses generated by an account under fraud review are held
+        await riskService.assessActivation(tx, { userId, payerNumber: payment.phoneNumber });
+        const heldForReview = await riskService.isUnderReview(tx, userId);
+
+        const processedBonusesCount = await referralBonusService.processActivation(tx, userId, { hold: heldForReview });
 
         return {
           success: true,
           transactionId: transaction.id,
           userId: userId,
           processedReferralBonuses: processedBonusesCount,
+          heldForReview,
           mpesaReceiptNumber,
         };
       });
 
+      // An activated referral counts towards levels that require active referrals
+      if (result.success) {
+        await userLevelService.evaluateUplineOf(userId, CONSTANTS.LEVEL_CHANGE_REASONS.ACTIVATION);
+      }
+
       return result;
     } catch (error) {
       throw error;
     }
   }
 
-  // Process pending referral bonuses (updated to use transaction)
-  async processPendingReferralBonuses(tx, userId) {
-    try {
-      // Find pending referral bonuses for this user
-      const pendingReferrals = await tx.referral.findMany({
+  // Undo a refunded or charged-back activation: the account returns to UNVERIFIED and the
+  // referral bonuses it generated are forfeited or clawed back from the referrers
+  async reverseActivation(userId, { reason }, { adminId = null } = {}) {
+    const result = await prisma.$transaction(async (tx) => {
+      const activation = await tx.transaction.findFirst({
         where: {
-          referredId: userId,
-          earningsStatus: 'PENDING',
+          userId,
+          type: CONSTANTS.TRANSACTION_TYPES.ACCOUNT_ACTIVATION,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
         },
-        include: {
-          referrer: true,
-          // Add the referred user information
-          referred: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              phoneNumber: true,
-            },
+        orderBy: { confirmedAt: 'desc' },
+      });
+
+      if (!activation) {
+        throw new AppError('User has no confirmed activation to reverse', 404);
+      }
+
+      // Cancel the activation transaction first so a second reversal finds nothing to undo
+      const claimed = await tx.transaction.updateMany({
+        where: { id: activation.id, status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED },
+        data: {
+          status: CONSTANTS.TRANSACTION_STATUS.CANCELLED,
+          metadata: {
+            ...activation.metadata,
+            reversal: { reason, reversedBy: adminId, reversedAt: new Date().toISOString() },
           },
         },
       });
 
-      let processedCount = 0;
-
-      for (const referral of pendingReferrals) {
-        // Get the referred user's name
-        const referredUser = referral.referred;
-        let referredUserName = 'Unknown User';
-        
-        if (referredUser.firstName && referredUser.lastName) {
-          referredUserName = `${referredUser.firstName} ${referredUser.lastName}`;
-        } else if (referredUser.firstName) {
-          referredUserName = referredUser.firstName;
-        } else if (referredUser.lastName) {
-          referredUserName = referredUser.lastName;
-        } else if (referredUser.phoneNumber) {
-          // Use last 4 digits of phone number for privacy
-          const phone = referredUser.phoneNumber;
-          referredUserName = `User ${phone.slice(-4)}`;
-        }
+      if (claimed.count === 0) {
+        throw new AppError('Activation has already been reversed', 409);
+      }
 
-        // Update referral status
-        await tx.referral.update({
-          where: { id: referral.id },
-          data: { earningsStatus: 'AVAILABLE' },
-        });
+      await tx.activationPayment.updateMany({
+        where: { transactionId: activation.id },
+        data: { status: CONSTANTS.TRANSACTION_STATUS.CANCELLED, resultDesc: `Reversed: ${reason}` },
+      });
 
-        // Update referrer's available balance
-        await tx.user.update({
-          where: { id: referral.referrerId },
-          data: {
-            pendingEarnings: {
-              decrement: referral.earningsAmount,
-            },
-            availableBalance: {
-              increment: referral.earningsAmount,
-            },
-            totalEarned: {
-              increment: referral.earningsAmount,
-            },
-          },
-        });
+      await ledgerService.reverseActivationPayment(tx, {
+        userId,
+        amount: activation.amount,
+        transactionId: activation.id,
+        reason,
+      });
 
-        // Create transaction for referrer
-        await tx.transaction.create({
-          data: {
-            userId: referral.referrerId,
-            type: `LEVEL_${referral.level}_REFERRAL_BONUS`,
-            amount: referral.earningsAmount,
-            status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
-            description: `Level ${referral.level} referral bonus from ${referredUserName}'s activation`,
-            confirmedAt: new Date(),
-            metadata: {
-              referralId: referral.id,
-              referredUserId: userId,
-              referredUserName: referredUserName,
-              level: referral.level,
-            },
-          },
-        });
+      // A suspended account stays suspended
+      await tx.user.updateMany({
+        where: { id: userId, accountStatus: CONSTANTS.ACCOUNT_STATUS.ACTIVE },
+        data: { accountStatus: CONSTANTS.ACCOUNT_STATUS.UNVERIFIED },
+      });
 
-        processedCount++;
-      }
+      const forfeitedBonuses = await referralBonusService.forfeitUnreleased(tx, userId, {
+        reason: 'referred account activation reversed',
+      });
 
-      return processedCount;
-    } catch (error) {
-      console.error('Error processing referral bonuses:', error);
-      return 0;
-    }
+      const clawbacks = await referralBonusService.clawBackReleased(tx, userId, {
+        trigger: CONSTANTS.CLAWBACK_TRIGGERS.ACTIVATION_REVERSAL,
+        reason,
+        adminId,
+      });
+
+      return { transactionId: activation.id, forfeitedBonuses, clawbacks };
+    });
+
+    await referralBonusService.notifyClawbacks(result.clawbacks);
+
+    // The account no longer counts as an active referral
+    await userLevelService.evaluateUplineOf(userId, CONSTANTS.LEVEL_CHANGE_REASONS.ACTIVATION_REVERSAL);
+
+    return {
+      userId,
+      transactionId: result.transactionId,
+      forfeitedBonuses: result.forfeitedBonuses,
+      clawbacks: result.clawbacks.map(({ phoneNumber, ...clawback }) => clawback),
+    };
   }
 
-  // Check activation status (simplified - no pending transactions to check)
+  // Check activation status from the pending payment record
   async checkActivationStatus(checkoutRequestId) {
     try {
-      const transaction = await prisma.transaction.findFirst({
-        where: {
-          metadata: {
-            path: ['checkoutRequestId'],
-            equals: checkoutRequestId,
-          },
-          type: CONSTANTS.TRANSACTION_TYPES.ACCOUNT_ACTIVATION,
+      const payment = await prisma.activationPayment.findUnique({
+        where: { checkoutRequestId },
+        include: {
+          user: { select: { accountStatus: true } },
         },
-        include: { user: true },
       });
 
-      if (!transaction) {
-        // No transaction found means payment hasn't been processed yet
+      if (!payment) {
+        return {
+          status: 'NOT_FOUND',
+          message: 'No activation payment found for this request.',
+        };
+      }
+
+      if (payment.status === CONSTANTS.TRANSACTION_STATUS.PENDING) {
         return {
-          status: 'PENDING',
+          userId: payment.userId,
+          status: payment.status,
           message: 'Payment is being processed. Please wait.',
         };
       }
 
       return {
-        transactionId: transaction.id,
-        status: transaction.status,
-        amount: transaction.amount,
-        createdAt: transaction.createdAt,
-        confirmedAt: transaction.confirmedAt,
-        userAccountStatus: transaction.user?.accountStatus || 'UNKNOWN',
+        transactionId: payment.transactionId,
+        userId: payment.userId,
+        status: payment.status,
+        amount: payment.amount,
+        mpesaReceiptNumber: payment.mpesaReceiptNumber,
+        resultDesc: payment.resultDesc,
+        createdAt: payment.createdAt,
+        confirmedAt: payment.completedAt,
+        userAccountStatus: payment.user?.accountStatus || 'UNKNOWN',
       };
     } catch (error) {
       throw error;
@@ -0,0 +1,149 @@
+import { prisma } from '../lib/prisma.js';
+
+// Request body keys that must never reach the audit log, including 2FA and backup codes
+const REDACTED_KEYS = /password|secret|token|otp|^(backup)?codes?$/i;
+
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'createdAt', 'adminId', 'adminUsername', 'action', 'entityType', 'entityId',
+  'statusCode', 'ipAddress', 'userAgent', 'changes', 'metadata',
+];
+
+// Decimals and dates become plain JSON values
+const toJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : value instanceof Date ? value.toISOString() : String(value);
+
+  // Stop spreadsheets from evaluating cell contents as formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+class AdminAuditService {
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, REDACTED_KEYS.test(key) ? '[REDACTED]' : this.redact(item)])
+      );
+    }
+
+    return value;
+  }
+
+  // Field-level differences between two snapshots: { field: { from, to } }
+  diff(before, after) {
+    if (!before && !after) {
+      return null;
+    }
+
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      const from = before?.[key] ?? null;
+      const to = after?.[key] ?? null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[key] = { from, to };
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  async record({ admin, action, entityType, entityId = null, before = null, after = null, metadata = null, ipAddress = null, userAgent = null, statusCode = null }) {
+    const beforeJson = this.redact(toJson(before));
+    const afterJson = this.redact(toJson(after));
+
+    return await prisma.adminAuditLog.create({
+      data: {
+        adminId: admin?.id || null,
+        adminUsername: admin?.username || null,
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : null,
+        before: beforeJson ?? undefined,
+        after: afterJson ?? undefined,
+        changes: this.diff(beforeJson, afterJson) ?? undefined,
+        metadata: this.redact(toJson(metadata)) ?? undefined,
+        ipAddress,
+        userAgent,
+        statusCode,
+      },
+    });
+  }
+
+  buildWhere({ adminId, action, entityType, entityId, startDate, endDate } = {}) {
+    const where = {};
+
+    if (adminId) where.adminId = adminId;
+    if (action) where.action = action;
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    return where;
+  }
+
+  async list(filters, { skip, take }) {
+    const where = this.buildWhere(filters);
+
+    const [total, entries] = await Promise.all([
+      prisma.adminAuditLog.count({ where }),
+      prisma.adminAuditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+    ]);
+
+    return { total, entries };
+  }
+
+  // Yields CSV text in batches so large exports are not held in memory at once
+  async *exportCsv(filters) {
+    const where = this.buildWhere(filters);
+
+    yield CSV_COLUMNS.join(',') + '\n';
+
+    let cursor = null;
+
+    while (true) {
+      const entries = await prisma.adminAuditLog.findMany({
+        where,
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      });
+
+      if (entries.length === 0) {
+        break;
+      }
+
+      yield entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(',')).join('\n') + '\n';
+
+      cursor = entries[entries.length - 1].id;
+    }
+  }
+}
+
+export const adminAuditService = new AdminAuditService();
@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import { prisma } from '../lib/prisma.js';
+import { redisClient } from '../lib/redis.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { generateToken, verifyToken } from '../utils/helpers.js';
+import { generateSecret, verifyCode, buildOtpAuthUrl } from '../lib/totp.js';
+import { systemSettingsService } from './systemSettingsService.js';
+
+export const TWO_FACTOR_TOKEN_PURPOSES = {
+  VERIFY: 'verify', // password accepted, waiting for the TOTP code
+  SETUP: 'setup', // password accepted, but the role requires enrolling first
+};
+
+const TOKEN_TYPE = 'admin_2fa';
+const ISSUER = 'YBS Admin';
+const BACKUP_CODE_COUNT = 10;
+
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+const generateBackupCode = () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+class AdminTwoFactorService {
+  constructor() {
+    this.MAX_ATTEMPTS = 5;
+    this.ATTEMPT_WINDOW = 15 * 60; // 15 minutes
+    this.VERIFY_TOKEN_EXPIRY = '5m';
+    this.SETUP_TOKEN_EXPIRY = '15m';
+  }
+
+  // Roles in the adminTwoFactorRequiredRoles setting (defaulting to ADMIN_2FA_REQUIRED_ROLES) cannot sign in without 2FA
+  async isRequiredForRole(role) {
+    const required = await systemSettingsService.get('adminTwoFactorRequiredRoles');
+
+    return required.includes(role);
+  }
+
+  encryptionKey() {
+    const material = process.env.ADMIN_2FA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) {
+      throw new Error('ADMIN_2FA_ENCRYPTION_KEY is not configured');
+    }
+    return crypto.createHash('sha256').update(material).digest();
+  }
+
+  // Secrets are encrypted at rest with AES-256-GCM: iv:tag:ciphertext (base64)
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  // Short-lived token proving the password step passed; never accepted by adminProtect
+  createChallengeToken(admin, purpose) {
+    const expiresIn = purpose === TWO_FACTOR_TOKEN_PURPOSES.SETUP ? this.SETUP_TOKEN_EXPIRY : this.VERIFY_TOKEN_EXPIRY;
+    return generateToken({ id: admin.id, type: TOKEN_TYPE, purpose }, expiresIn);
+  }
+
+  verifyChallengeToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      throw new AppError('Two-factor session expired. Please log in again.', 401);
+    }
+
+    if (decoded.type !== TOKEN_TYPE || decoded.purpose !== purpose) {
+      throw new AppError('Invalid two-factor token', 401);
+    }
+
+    return decoded;
+  }
+
+  isChallengeToken(decoded) {
+    return decoded?.type === TOKEN_TYPE;
+  }
+
+  async checkAttempts(adminId) {
+    const attempts = await redisClient.get(`admin_2fa_attempts:${adminId}`);
+
+    if (attempts && parseInt(attempts) >= this.MAX_ATTEMPTS) {
+      throw new AppError('Too many two-factor attempts. Please wait 15 minutes.', 429);
+    }
+  }
+
+  async incrementAttempts(adminId) {
+    const key = `admin_2fa_attempts:${adminId}`;
+    await redisClient.multi()
+      .incr(key)
+      .expire(key, this.ATTEMPT_WINDOW)
+      .exec();
+  }
+
+  async getAdmin(adminId) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        isActive: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+        twoFactorPendingSecret: true,
+        twoFactorLastStep: true,
+        twoFactorEnabledAt: true,
+      },
+    });
+
+    if (!admin || !admin.isActive) {
+      throw new AppError('Admin not found or inactive', 404);
+    }
+
+    return admin;
+  }
+
+  async getStatus(adminId) {
+    const admin = await this.getAdmin(adminId);
+    const remainingBackupCodes = await prisma.adminBackupCode.count({
+      where: { adminId, usedAt: null },
+    });
+
+    return {
+      enabled: admin.twoFactorEnabled,
+      enabledAt: admin.twoFactorEnabledAt,
+      required: await this.isRequiredForRole(admin.role),
+      remainingBackupCodes: admin.twoFactorEnabled ? remainingBackupCodes : 0,
+    };
+  }
+
+  // Generate a secret to scan; it only takes effect once a code from it is confirmed
+  async beginEnrollment(adminId) {
+    const admin = await this.getAdmin(adminId);
+
+    if (admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateSecret();
+
+    await prisma.admin.update({
+      where: { id: adminId },
+      data: { twoFactorPendingSecret: this.encryptSecret(secret) },
+    });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpAuthUrl({ secret, accountName: admin.email, issuer: ISSUER }),
+    };
+  }
+
+  async confirmEnrollment(adminId, code) {
+    const admin = await this.getAdmin(adminId);
+
+    if (admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!admin.twoFactorPendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    await this.checkAttempts(adminId);
+
+    const secret = this.decryptSecret(admin.twoFactorPendingSecret);
+    const step = verifyCode(secret, code);
+
+    if (step === null) {
+      await this.incrementAttempts(adminId);
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const backupCodes = await prisma.$transaction(async (tx) => {
+      await tx.admin.update({
+        where: { id: adminId },
+        data: {
+          twoFactorEnabled: true,
+          twoFactorSecret: admin.twoFactorPendingSecret,
+          twoFactorPendingSecret: null,
+          twoFactorLastStep: step,
+          twoFactorEnabledAt: new Date(),
+        },
+      });
+
+      return await this.replaceBackupCodes(tx, adminId);
+    });
+
+    await redisClient.del(`admin_2fa_attempts:${adminId}`);
+
+    return { backupCodes };
+  }
+
+  // Check a TOTP code or a backup code; each can only be used once
+  async verify(adminId, { code, backupCode }) {
+    const admin = await this.getAdmin(adminId);
+
+    if (!admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    await this.checkAttempts(adminId);
+
+    if (backupCode) {
+      const used = await prisma.adminBackupCode.updateMany({
+        where: { adminId, codeHash: hashBackupCode(backupCode), usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (used.count === 0) {
+        await this.incrementAttempts(adminId);
+        throw new AppError('Invalid backup code', 401);
+      }
+
+      await redisClient.del(`admin_2fa_attempts:${adminId}`);
+
+      const remainingBackupCodes = await prisma.adminBackupCode.count({ where: { adminId, usedAt: null } });
+      return { method: 'backup_code', remainingBackupCodes };
+    }
+
+    const step = verifyCode(this.decryptSecret(admin.twoFactorSecret), code);
+
+    // Advancing the last used step atomically stops the same code being replayed
+    const accepted = step !== null && (await prisma.admin.updateMany({
+      where: {
+        id: adminId,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    })).count === 1;
+
+    if (!accepted) {
+      await this.incrementAttempts(adminId);
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await redisClient.del(`admin_2fa_attempts:${adminId}`);
+
+    return { method: 'totp' };
+  }
+
+  async replaceBackupCodes(tx, adminId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+    await tx.adminBackupCode.deleteMany({ where: { adminId } });
+    await tx.adminBackupCode.createMany({
+      data: codes.map(code => ({ adminId, codeHash: hashBackupCode(code) })),
+    });
+
+    return codes;
+  }
+
+  async regenerateBackupCodes(adminId, code) {
+    await this.verify(adminId, { code });
+
+    const backupCodes = await prisma.$transaction(tx => this.replaceBackupCodes(tx, adminId));
+    return { backupCodes };
+  }
+
+  async disable(adminId, code) {
+    const admin = await this.getAdmin(adminId);
+
+    if (await this.isRequiredForRole(admin.role)) {
+      throw new AppError('Two-factor authentication is required for your role', 403);
+    }
+
+    await this.verify(adminId, { code });
+    await this.clear(adminId);
+  }
+
+  // Remove 2FA entirely; used by disable and by a super admin for a locked-out admin
+  async clear(adminId) {
+    await prisma.$transaction([
+      prisma.admin.update({
+        where: { id: adminId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorPendingSecret: null,
+          twoFactorLastStep: null,
+          twoFactorEnabledAt: null,
+        },
+      }),
+      prisma.adminBackupCode.deleteMany({ where: { adminId } }),
+    ]);
+
+    await redisClient.del(`admin_2fa_attempts:${adminId}`);
+  }
+}
+
+export const adminTwoFactorService = new AdminTwoFactorService();
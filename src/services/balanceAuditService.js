@@ -0,0 +1,291 @@
+import { prisma } from '../lib/prisma.js';
+import { ledgerService } from './ledgerService.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Confirmed transactions that add to what a user has earned
+const EARNING_TRANSACTION_TYPES = [
+  ...CONSTANTS.REFERRAL_BONUS_TRANSACTION_TYPES,
+  CONSTANTS.TRANSACTION_TYPES.WEEKLY_CHALLENGE_BONUS,
+  CONSTANTS.TRANSACTION_TYPES.ADS_VIEWING_BONUS,
+  CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
+  CONSTANTS.TRANSACTION_TYPES.COMMISSION_BONUS,
+  CONSTANTS.TRANSACTION_TYPES.ACADEMIC_WRITING_BONUS,
+];
+
+const BALANCE_FIELDS = ['availableBalance', 'pendingEarnings', 'totalEarned', 'totalWithdrawn'];
+
+export const ADJUSTMENT_SOURCES = {
+  ADMIN_API: 'ADMIN_API',
+  CLI: 'CLI',
+};
+
+const BATCH_SIZE = 200;
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const sumByUser = (rows, key) => {
+  const totals = new Map();
+  for (const row of rows) {
+    totals.set(row[key], (totals.get(row[key]) || 0) + toCents(row._sum.amount ?? row._sum.earningsAmount));
+  }
+  return totals;
+};
+
+class BalanceAuditService {
+  // Recompute expected balances from Transaction, Referral and WithdrawalRequest history
+  async computeExpectedBalances(userIds, client = prisma) {
+    const [earnings, clawbacks, pendingReferrals, withdrawals] = await Promise.all([
+      client.transaction.groupBy({
+        by: ['userId'],
+        where: {
+          userId: { in: userIds },
+          type: { in: EARNING_TRANSACTION_TYPES },
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        },
+        _sum: { amount: true },
+      }),
+      client.transaction.groupBy({
+        by: ['userId'],
+        where: {
+          userId: { in: userIds },
+          type: CONSTANTS.TRANSACTION_TYPES.REFERRAL_BONUS_CLAWBACK,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        },
+        _sum: { amount: true },
+      }),
+      client.referral.groupBy({
+        by: ['referrerId'],
+        where: {
+          referrerId: { in: userIds },
+          earningsStatus: { in: CONSTANTS.UNRELEASED_EARNINGS_STATUSES },
+        },
+        _sum: { earningsAmount: true },
+      }),
+      client.withdrawalRequest.groupBy({
+        by: ['userId', 'status'],
+        where: {
+          userId: { in: userIds },
+          status: {
+            in: [
+              CONSTANTS.WITHDRAWAL_STATUS.PENDING,
+              CONSTANTS.WITHDRAWAL_STATUS.PROCESSING,
+              CONSTANTS.WITHDRAWAL_STATUS.COMPLETED,
+            ],
+          },
+        },
+        _sum: { amount: true },
+      }),
+    ]);
+
+    const earned = sumByUser(earnings, 'userId');
+    const clawedBack = sumByUser(clawbacks, 'userId');
+    const pending = sumByUser(pendingReferrals, 'referrerId');
+    const withdrawn = sumByUser(
+      withdrawals.filter(row => row.status === CONSTANTS.WITHDRAWAL_STATUS.COMPLETED),
+      'userId'
+    );
+    // Requested withdrawals are deducted from the available balance until they are resolved
+    const held = sumByUser(
+      withdrawals.filter(row => row.status !== CONSTANTS.WITHDRAWAL_STATUS.COMPLETED),
+      'userId'
+    );
+
+    const expected = new Map();
+    for (const userId of userIds) {
+      const earnedCents = (earned.get(userId) || 0) - (clawedBack.get(userId) || 0);
+      const withdrawnCents = withdrawn.get(userId) || 0;
+
+      expected.set(userId, {
+        availableBalance: fromCents(earnedCents - withdrawnCents - (held.get(userId) || 0)),
+        pendingEarnings: fromCents(pending.get(userId) || 0),
+        totalEarned: fromCents(earnedCents),
+        totalWithdrawn: fromCents(withdrawnCents),
+      });
+    }
+
+    return expected;
+  }
+
+  compare(user, expected) {
+    const stored = {};
+    const differences = {};
+
+    for (const field of BALANCE_FIELDS) {
+      stored[field] = Number(user[field]);
+
+      // Positive means the stored column is higher than history supports
+      const diff = toCents(user[field]) - toCents(expected[field]);
+      if (diff !== 0) {
+        differences[field] = fromCents(diff);
+      }
+    }
+
+    return {
+      userId: user.id,
+      phoneNumber: user.phoneNumber,
+      balanced: Object.keys(differences).length === 0,
+      stored,
+      expected,
+      differences,
+    };
+  }
+
+  async auditUsers(users, client = prisma) {
+    const expected = await this.computeExpectedBalances(users.map(user => user.id), client);
+    return users.map(user => this.compare(user, expected.get(user.id)));
+  }
+
+  async auditUser(userId, client = prisma) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        phoneNumber: true,
+        availableBalance: true,
+        pendingEarnings: true,
+        totalEarned: true,
+        totalWithdrawn: true,
+      },
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [result] = await this.auditUsers([user], client);
+    return result;
+  }
+
+  // Audit every user in batches; only discrepancies are listed unless includeBalanced is set
+  async auditAll({ includeBalanced = false } = {}) {
+    const report = {
+      startedAt: new Date(),
+      checkedUsers: 0,
+      discrepancyCount: 0,
+      results: [],
+    };
+
+    let cursor = null;
+
+    while (true) {
+      const users = await prisma.user.findMany({
+        take: BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+        orderBy: { id: 'asc' },
+        select: {
+          id: true,
+          phoneNumber: true,
+          availableBalance: true,
+          pendingEarnings: true,
+          totalEarned: true,
+          totalWithdrawn: true,
+        },
+      });
+
+      if (users.length === 0) {
+        break;
+      }
+
+      const results = await this.auditUsers(users);
+      report.checkedUsers += results.length;
+
+      for (const result of results) {
+        if (!result.balanced) {
+          report.discrepancyCount++;
+        }
+        if (!result.balanced || includeBalanced) {
+          report.results.push(result);
+        }
+      }
+
+      cursor = users[users.length - 1].id;
+    }
+
+    report.finishedAt = new Date();
+
+    return report;
+  }
+
+  // Bring one user's columns back in line with history and record what was changed
+  async repairUser(userId, { reason, adminId = null, source = ADJUSTMENT_SOURCES.ADMIN_API }) {
+    if (!reason) {
+      throw new AppError('A reason is required to apply balance corrections', 400);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      // Re-audit inside the transaction so the correction matches the current state
+      const audit = await this.auditUser(userId, tx);
+
+      if (audit.balanced) {
+        return { ...audit, adjusted: false };
+      }
+
+      const deltas = {};
+      for (const field of BALANCE_FIELDS) {
+        deltas[field] = -(audit.differences[field] || 0);
+      }
+
+      const entry = await ledgerService.recordAdjustment(tx, { userId, deltas, reason });
+
+      const adjustment = await tx.balanceAdjustment.create({
+        data: {
+          userId,
+          adminId,
+          source,
+          reason,
+          availableBalanceDelta: deltas.availableBalance,
+          pendingEarningsDelta: deltas.pendingEarnings,
+          totalEarnedDelta: deltas.totalEarned,
+          totalWithdrawnDelta: deltas.totalWithdrawn,
+          before: audit.stored,
+          after: audit.expected,
+          journalEntryId: entry.id,
+        },
+      });
+
+      return {
+        ...audit,
+        adjusted: true,
+        adjustmentId: adjustment.id,
+        deltas,
+      };
+    });
+  }
+
+  // Audit and optionally repair one user or everyone
+  async run({ userId = null, apply = false, reason, adminId = null, source } = {}) {
+    if (apply && !reason) {
+      throw new AppError('A reason is required to apply balance corrections', 400);
+    }
+
+    const report = userId
+      ? { startedAt: new Date(), checkedUsers: 1, results: [await this.auditUser(userId)] }
+      : await this.auditAll();
+
+    report.discrepancyCount = report.results.filter(result => !result.balanced).length;
+    report.applied = apply;
+
+    if (apply) {
+      report.repaired = 0;
+
+      for (const [index, result] of report.results.entries()) {
+        if (result.balanced) {
+          continue;
+        }
+
+        report.results[index] = await this.repairUser(result.userId, { reason, adminId, source });
+        if (report.results[index].adjusted) {
+          report.repaired++;
+        }
+      }
+    }
+
+    report.finishedAt = new Date();
+
+    return report;
+  }
+}
+
+export const balanceAuditService = new BalanceAuditService();
@@ -0,0 +1,259 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+export const COMMISSION_TYPES = {
+  FIXED: 'FIXED', // KSH amount
+  PERCENTAGE: 'PERCENTAGE', // Percent of the plan's activation fee
+};
+
+export const COMMISSION_PLAN_MAX_DEPTH = 10;
+
+// The active plan is read on every registration; a newly activated plan applies within this window
+const CACHE_TTL_MS = 30 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+class CommissionPlanService {
+  constructor() {
+    this.activePlan = null;
+    this.cachedAt = 0;
+  }
+
+  invalidate() {
+    this.activePlan = null;
+    this.cachedAt = 0;
+  }
+
+  // Decimal columns become numbers so plans can be used in calculations and JSON directly
+  format(plan) {
+    return plan && {
+      ...plan,
+      activationFee: Number(plan.activationFee),
+    };
+  }
+
+  async getActivePlan({ fresh = false } = {}) {
+    if (!fresh && this.activePlan && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.activePlan;
+    }
+
+    const plan = await prisma.commissionPlan.findFirst({
+      where: { isActive: true },
+    });
+
+    if (!plan) {
+      throw new AppError('No active commission plan is configured', 500);
+    }
+
+    this.activePlan = this.format(plan);
+    this.cachedAt = Date.now();
+
+    return this.activePlan;
+  }
+
+  // Bonus owed to the upline member `level` steps above a new user
+  calculateBonus(plan, level, userLevel) {
+    if (level < 1 || level > plan.depth) {
+      return 0;
+    }
+
+    const rule = plan.levels.find(entry => entry.level === level);
+    if (!rule) {
+      return 0;
+    }
+
+    const base = rule.type === COMMISSION_TYPES.PERCENTAGE
+      ? plan.activationFee * rule.value / 100
+      : rule.value;
+
+    const multiplier = plan.userLevelMultipliers[userLevel] ?? 1;
+
+    return roundCurrency(base * multiplier);
+  }
+
+  // Bonus per level for a member of the given user level, e.g. for showing what a referral is worth
+  describeBonuses(plan, userLevel) {
+    return Object.fromEntries(
+      plan.levels.map(rule => [`level${rule.level}`, this.calculateBonus(plan, rule.level, userLevel)])
+    );
+  }
+
+  // Check and normalise admin input into the stored plan shape
+  validate(data) {
+    const depth = toNumber(data.depth);
+    const activationFee = toNumber(data.activationFee);
+    const levels = Array.isArray(data.levels) ? data.levels : null;
+    const multipliers = data.userLevelMultipliers || {};
+    const userLevels = Object.keys(CONSTANTS.USER_LEVELS);
+
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      throw new AppError('Plan name is required', 400);
+    }
+
+    if (!Number.isInteger(depth) || depth < 1 || depth > COMMISSION_PLAN_MAX_DEPTH) {
+      throw new AppError(`Depth must be a whole number between 1 and ${COMMISSION_PLAN_MAX_DEPTH}`, 400);
+    }
+
+    if (!isNonNegativeNumber(activationFee) || activationFee === 0) {
+      throw new AppError('Activation fee must be a positive number', 400);
+    }
+
+    if (!levels || levels.length !== depth) {
+      throw new AppError(`Provide exactly one rule per level (${depth})`, 400);
+    }
+
+    const normalizedLevels = levels
+      .map((rule, index) => {
+        const level = toNumber(rule.level ?? index + 1);
+        const type = String(rule.type || COMMISSION_TYPES.FIXED).toUpperCase();
+        const value = toNumber(rule.value);
+
+        if (!Number.isInteger(level) || level < 1 || level > depth) {
+          throw new AppError(`Level ${rule.level} is outside the plan depth`, 400);
+        }
+
+        if (!Object.values(COMMISSION_TYPES).includes(type)) {
+          throw new AppError(`Level ${level} type must be one of: ${Object.values(COMMISSION_TYPES).join(', ')}`, 400);
+        }
+
+        if (!isNonNegativeNumber(value)) {
+          throw new AppError(`Level ${level} value must be a non-negative number`, 400);
+        }
+
+        if (type === COMMISSION_TYPES.PERCENTAGE && value > 100) {
+          throw new AppError(`Level ${level} percentage cannot exceed 100`, 400);
+        }
+
+        return { level, type, value };
+      })
+      .sort((a, b) => a.level - b.level);
+
+    if (new Set(normalizedLevels.map(rule => rule.level)).size !== depth) {
+      throw new AppError('Each level must appear exactly once', 400);
+    }
+
+    const unknownLevels = Object.keys(multipliers).filter(key => !userLevels.includes(key));
+    if (unknownLevels.length > 0) {
+      throw new AppError(`Unknown user levels: ${unknownLevels.join(', ')}`, 400);
+    }
+
+    const userLevelMultipliers = {};
+    for (const userLevel of userLevels) {
+      const multiplier = toNumber(multipliers[userLevel] ?? 1);
+
+      if (!isNonNegativeNumber(multiplier)) {
+        throw new AppError(`${userLevel} multiplier must be a non-negative number`, 400);
+      }
+
+      userLevelMultipliers[userLevel] = multiplier;
+    }
+
+    // The bonuses paid for one activation must not exceed the fee collected for it
+    const plan = { depth, activationFee, levels: normalizedLevels, userLevelMultipliers };
+    const maxPayout = normalizedLevels.reduce((sum, rule) => (
+      sum + Math.max(...userLevels.map(userLevel => this.calculateBonus(plan, rule.level, userLevel)))
+    ), 0);
+
+    if (maxPayout > activationFee) {
+      throw new AppError(`Bonuses can total KSH ${maxPayout}, more than the KSH ${activationFee} activation fee`, 400);
+    }
+
+    return {
+      name: data.name.trim(),
+      notes: data.notes || null,
+      ...plan,
+    };
+  }
+
+  async listPlans({ skip, take }) {
+    const [total, plans] = await Promise.all([
+      prisma.commissionPlan.count(),
+      prisma.commissionPlan.findMany({
+        orderBy: { version: 'desc' },
+        skip,
+        take,
+        include: { _count: { select: { referrals: true } } },
+      }),
+    ]);
+
+    return { total, plans: plans.map(plan => this.format(plan)) };
+  }
+
+  // Save a new version; activating it at the same time is the usual case
+  async createPlan(data, { adminId = null, activate = true } = {}) {
+    const plan = this.validate(data);
+
+    const created = await prisma.$transaction(async (tx) => {
+      const latest = await tx.commissionPlan.aggregate({ _max: { version: true } });
+      const version = (latest._max.version || 0) + 1;
+
+      if (activate) {
+        await tx.commissionPlan.updateMany({
+          where: { isActive: true },
+          data: { isActive: false },
+        });
+      }
+
+      return await tx.commissionPlan.create({
+        data: {
+          ...plan,
+          version,
+          createdBy: adminId,
+          isActive: activate,
+          activatedAt: activate ? new Date() : null,
+        },
+      });
+    }).catch((error) => {
+      // Another admin saved a version or activated a plan at the same moment
+      if (error.code === 'P2002') {
+        throw new AppError('The commission plan was changed by someone else. Reload and try again.', 409);
+      }
+      throw error;
+    });
+
+    this.invalidate();
+
+    return this.format(created);
+  }
+
+  // Switch to an existing version, e.g. to roll back; new referrals use it from now on
+  async activatePlan(planId) {
+    const plan = await prisma.commissionPlan.findUnique({ where: { id: planId } });
+
+    if (!plan) {
+      throw new AppError('Commission plan not found', 404);
+    }
+
+    if (plan.isActive) {
+      return this.format(plan);
+    }
+
+    const activated = await prisma.$transaction(async (tx) => {
+      await tx.commissionPlan.updateMany({
+        where: { isActive: true },
+        data: { isActive: false },
+      });
+
+      return await tx.commissionPlan.update({
+        where: { id: planId },
+        data: { isActive: true, activatedAt: new Date() },
+      });
+    }).catch((error) => {
+      if (error.code === 'P2002') {
+        throw new AppError('The commission plan was changed by someone else. Reload and try again.', 409);
+      }
+      throw error;
+    });
+
+    this.invalidate();
+
+    return this.format(activated);
+  }
+}
+
+export const commissionPlanService = new CommissionPlanService();
@@ -0,0 +1,537 @@
+import { prisma } from '../lib/prisma.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCents, fromCents, assertBalancedLines } from '../lib/ledgerLines.js';
+
+const ENTRY_TYPES = CONSTANTS.LEDGER_ENTRY_TYPES;
+
+// Company-side accounts every movement is balanced against
+export const SYSTEM_ACCOUNTS = {
+  MPESA_FLOAT: { code: 'system:mpesa_float', name: 'M-Pesa float', type: 'ASSET' },
+  ACTIVATION_REVENUE: { code: 'system:activation_revenue', name: 'Activation fee revenue', type: 'REVENUE' },
+  REFERRAL_EXPENSE: { code: 'system:referral_expense', name: 'Referral bonus expense', type: 'EXPENSE' },
+  REWARDS_EXPENSE: { code: 'system:rewards_expense', name: 'Task and challenge reward expense', type: 'EXPENSE' },
+  COMMISSION_EXPENSE: { code: 'system:commission_expense', name: 'Sales commission expense', type: 'EXPENSE' },
+  WRITING_EXPENSE: { code: 'system:writing_expense', name: 'Academic writing payments', type: 'EXPENSE' },
+  WHEEL_EXPENSE: { code: 'system:wheel_expense', name: 'Reward wheel winnings', type: 'EXPENSE' },
+  WITHDRAWALS_PAYABLE: { code: 'system:withdrawals_payable', name: 'Withdrawals awaiting payout', type: 'LIABILITY' },
+  REFUNDS_PAYABLE: { code: 'system:refunds_payable', name: 'Payments owed back to customers', type: 'LIABILITY' },
+  OPENING_BALANCES: { code: 'system:opening_balances', name: 'Opening balances', type: 'EQUITY' },
+  BALANCE_ADJUSTMENTS: { code: 'system:balance_adjustments', name: 'Balance corrections', type: 'EXPENSE' },
+};
+
+// Per-user wallet accounts and the User column each one is projected onto
+const USER_ACCOUNT_KINDS = {
+  available: { name: 'Available balance', field: 'availableBalance' },
+  pending: { name: 'Pending earnings', field: 'pendingEarnings' },
+};
+
+// Entries whose credits to a user's available balance count towards totalEarned
+const EARNING_ENTRY_TYPES = [
+  ENTRY_TYPES.REFERRAL_BONUS_RELEASE,
+  ENTRY_TYPES.TASK_REWARD,
+  ENTRY_TYPES.WEEKLY_BONUS,
+  ENTRY_TYPES.SALES_COMMISSION,
+  ENTRY_TYPES.ACADEMIC_WRITING_PAYMENT,
+  ENTRY_TYPES.WHEEL_SPIN_PAYOUT,
+];
+
+// Entries that carry lifetime totals in their metadata instead of in account lines
+const CARRIED_TOTAL_ENTRY_TYPES = [
+  ENTRY_TYPES.OPENING_BALANCE,
+  ENTRY_TYPES.BALANCE_ADJUSTMENT,
+];
+
+// Accounts that grow with debits; the rest grow with credits
+const DEBIT_NORMAL_TYPES = ['ASSET', 'EXPENSE'];
+
+class LedgerService {
+  userAccount(userId, kind) {
+    return {
+      code: `user:${userId}:${kind}`,
+      name: USER_ACCOUNT_KINDS[kind].name,
+      type: 'LIABILITY',
+      userId,
+      kind,
+    };
+  }
+
+  async ensureAccount(tx, account) {
+    return await tx.ledgerAccount.upsert({
+      where: { code: account.code },
+      update: {},
+      create: {
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        userId: account.userId || null,
+      },
+    });
+  }
+
+  // Post a balanced journal entry and keep account balances and User columns in step.
+  // Must be called with the Prisma transaction client of the surrounding money movement.
+  async postEntry(tx, { type, description, userId = null, transactionId = null, reference = null, metadata, lines }) {
+    assertBalancedLines(type, lines);
+
+    const accounts = [];
+    for (const line of lines) {
+      accounts.push(await this.ensureAccount(tx, line.account));
+    }
+
+    const entry = await tx.journalEntry.create({
+      data: {
+        type,
+        description,
+        userId,
+        transactionId,
+        reference,
+        metadata,
+        lines: {
+          create: lines.map((line, index) => ({
+            accountId: accounts[index].id,
+            debit: fromCents(toCents(line.debit)),
+            credit: fromCents(toCents(line.credit)),
+          })),
+        },
+      },
+    });
+
+    // Apply each line to its account and collect the User column changes (in cents)
+    const userUpdates = {};
+    const addToUser = (targetUserId, field, cents) => {
+      const fields = userUpdates[targetUserId] || (userUpdates[targetUserId] = {});
+      fields[field] = (fields[field] || 0) + cents;
+    };
+
+    for (const [index, line] of lines.entries()) {
+      const account = accounts[index];
+      const debit = toCents(line.debit);
+      const credit = toCents(line.credit);
+      const delta = DEBIT_NORMAL_TYPES.includes(account.type) ? debit - credit : credit - debit;
+
+      await tx.ledgerAccount.update({
+        where: { id: account.id },
+        data: { balance: { increment: fromCents(delta) } },
+      });
+
+      if (line.account.kind) {
+        addToUser(line.account.userId, USER_ACCOUNT_KINDS[line.account.kind].field, delta);
+
+        if (line.account.kind === 'available' && credit > 0 && EARNING_ENTRY_TYPES.includes(type)) {
+          addToUser(line.account.userId, 'totalEarned', credit);
+        }
+
+        // A clawed-back bonus no longer counts as earned
+        if (line.account.kind === 'available' && debit > 0 && type === ENTRY_TYPES.REFERRAL_BONUS_CLAWBACK) {
+          addToUser(line.account.userId, 'totalEarned', -debit);
+        }
+      }
+    }
+
+    if (type === ENTRY_TYPES.WITHDRAWAL_PAYOUT && userId) {
+      addToUser(userId, 'totalWithdrawn', totalDebit);
+    }
+
+    for (const [affectedUserId, fields] of Object.entries(userUpdates)) {
+      const data = {};
+      for (const [field, cents] of Object.entries(fields)) {
+        if (cents !== 0) {
+          data[field] = { increment: fromCents(cents) };
+        }
+      }
+
+      if (Object.keys(data).length > 0) {
+        await tx.user.update({
+          where: { id: affectedUserId },
+          data,
+        });
+      }
+    }
+
+    return entry;
+  }
+
+  // Activation fee received into the M-Pesa float
+  async recordActivationPayment(tx, { userId, amount, transactionId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.ACTIVATION_PAYMENT,
+      description: 'Account activation fee received via M-Pesa',
+      userId,
+      transactionId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.MPESA_FLOAT, debit: amount },
+        { account: SYSTEM_ACCOUNTS.ACTIVATION_REVENUE, credit: amount },
+      ],
+    });
+  }
+
+  // An activation fee paid by an account that was already active; it is owed back to the payer
+  async recordDuplicateActivationPayment(tx, { userId, amount, paymentId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.DUPLICATE_ACTIVATION_PAYMENT,
+      description: 'Activation fee paid twice, refund due',
+      userId,
+      reference: paymentId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.MPESA_FLOAT, debit: amount },
+        { account: SYSTEM_ACCOUNTS.REFUNDS_PAYABLE, credit: amount },
+      ],
+    });
+  }
+
+  // Money received for an activation that did not match the request (wrong amount or payer)
+  async recordUnmatchedActivationPayment(tx, { userId, amount, paymentId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.UNMATCHED_ACTIVATION_PAYMENT,
+      description: 'Activation payment did not match the request, refund due',
+      userId,
+      reference: paymentId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.MPESA_FLOAT, debit: amount },
+        { account: SYSTEM_ACCOUNTS.REFUNDS_PAYABLE, credit: amount },
+      ],
+    });
+  }
+
+  // Referral bonus promised at registration, released once the referred user activates
+  async recordPendingReferralBonus(tx, { referrerId, amount, referralId, level }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.REFERRAL_BONUS_PENDING,
+      description: `Level ${level} referral bonus pending activation`,
+      userId: referrerId,
+      reference: referralId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.REFERRAL_EXPENSE, debit: amount },
+        { account: this.userAccount(referrerId, 'pending'), credit: amount },
+      ],
+    });
+  }
+
+  async releaseReferralBonus(tx, { referrerId, amount, referralId, transactionId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.REFERRAL_BONUS_RELEASE,
+      description: 'Referral bonus released after activation',
+      userId: referrerId,
+      transactionId,
+      reference: referralId,
+      lines: [
+        { account: this.userAccount(referrerId, 'pending'), debit: amount },
+        { account: this.userAccount(referrerId, 'available'), credit: amount },
+      ],
+    });
+  }
+
+  // Pending bonus withdrawn after a fraud review rejected the referred account
+  async forfeitReferralBonus(tx, { referrerId, amount, referralId, reason }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.REFERRAL_BONUS_FORFEIT,
+      description: `Referral bonus forfeited: ${reason}`,
+      userId: referrerId,
+      reference: referralId,
+      lines: [
+        { account: this.userAccount(referrerId, 'pending'), debit: amount },
+        { account: SYSTEM_ACCOUNTS.REFERRAL_EXPENSE, credit: amount },
+      ],
+    });
+  }
+
+  // Released bonus taken back. The available balance may go negative; later credits pay it off.
+  async clawBackReferralBonus(tx, { referrerId, amount, referralId, transactionId, reason }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.REFERRAL_BONUS_CLAWBACK,
+      description: `Referral bonus clawed back: ${reason}`,
+      userId: referrerId,
+      transactionId,
+      reference: referralId,
+      lines: [
+        { account: this.userAccount(referrerId, 'available'), debit: amount },
+        { account: SYSTEM_ACCOUNTS.REFERRAL_EXPENSE, credit: amount },
+      ],
+    });
+  }
+
+  // Activation fee refunded or charged back out of the M-Pesa float
+  async reverseActivationPayment(tx, { userId, amount, transactionId, reason }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.ACTIVATION_REVERSAL,
+      description: `Activation fee reversed: ${reason}`,
+      userId,
+      transactionId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.ACTIVATION_REVENUE, debit: amount },
+        { account: SYSTEM_ACCOUNTS.MPESA_FLOAT, credit: amount },
+      ],
+    });
+  }
+
+  // Task, video and weekly challenge rewards paid straight into the available balance
+  async recordReward(tx, { userId, amount, type = ENTRY_TYPES.TASK_REWARD, transactionId, description }) {
+    return await this.postEntry(tx, {
+      type,
+      description,
+      userId,
+      transactionId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.REWARDS_EXPENSE, debit: amount },
+        { account: this.userAccount(userId, 'available'), credit: amount },
+      ],
+    });
+  }
+
+  // Commission on a confirmed product sale, paid straight into the available balance
+  async recordSalesCommission(tx, { userId, amount, saleId, transactionId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.SALES_COMMISSION,
+      description: 'Sales commission',
+      userId,
+      transactionId,
+      reference: saleId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.COMMISSION_EXPENSE, debit: amount },
+        { account: this.userAccount(userId, 'available'), credit: amount },
+      ],
+    });
+  }
+
+  // Pay for an approved academic writing job
+  async recordWritingPayment(tx, { userId, amount, jobId, transactionId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.ACADEMIC_WRITING_PAYMENT,
+      description: 'Academic writing payment',
+      userId,
+      transactionId,
+      reference: jobId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.WRITING_EXPENSE, debit: amount },
+        { account: this.userAccount(userId, 'available'), credit: amount },
+      ],
+    });
+  }
+
+  // Reward wheel win, paid straight into the available balance
+  async recordWheelPayout(tx, { userId, amount, spinId, transactionId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.WHEEL_SPIN_PAYOUT,
+      description: 'Reward wheel win',
+      userId,
+      transactionId,
+      reference: spinId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.WHEEL_EXPENSE, debit: amount },
+        { account: this.userAccount(userId, 'available'), credit: amount },
+      ],
+    });
+  }
+
+  // Move requested funds out of the user's wallet while the payout is pending
+  async holdWithdrawal(tx, { userId, amount, withdrawalId, transactionId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.WITHDRAWAL_HOLD,
+      description: 'Withdrawal requested',
+      userId,
+      transactionId,
+      reference: withdrawalId,
+      lines: [
+        { account: this.userAccount(userId, 'available'), debit: amount },
+        { account: SYSTEM_ACCOUNTS.WITHDRAWALS_PAYABLE, credit: amount },
+      ],
+    });
+  }
+
+  async completeWithdrawal(tx, { userId, amount, withdrawalId }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.WITHDRAWAL_PAYOUT,
+      description: 'Withdrawal paid out via M-Pesa',
+      userId,
+      reference: withdrawalId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.WITHDRAWALS_PAYABLE, debit: amount },
+        { account: SYSTEM_ACCOUNTS.MPESA_FLOAT, credit: amount },
+      ],
+    });
+  }
+
+  async refundWithdrawal(tx, { userId, amount, withdrawalId, reason }) {
+    return await this.postEntry(tx, {
+      type: ENTRY_TYPES.WITHDRAWAL_REFUND,
+      description: reason ? `Withdrawal refunded: ${reason}` : 'Withdrawal refunded',
+      userId,
+      reference: withdrawalId,
+      lines: [
+        { account: SYSTEM_ACCOUNTS.WITHDRAWALS_PAYABLE, debit: amount },
+        { account: this.userAccount(userId, 'available'), credit: amount },
+      ],
+    });
+  }
+
+  // Signed correction to a user's balances. Wallet deltas become ledger lines against
+  // the corrections account; lifetime totals are carried in the entry metadata.
+  async recordAdjustment(tx, { userId, deltas, reason }) {
+    const lines = [];
+    let netCents = 0;
+
+    for (const kind of Object.keys(USER_ACCOUNT_KINDS)) {
+      const cents = toCents(deltas[USER_ACCOUNT_KINDS[kind].field]);
+      if (cents === 0) {
+        continue;
+      }
+
+      const amount = fromCents(Math.abs(cents));
+      lines.push(cents > 0
+        ? { account: this.userAccount(userId, kind), credit: amount }
+        : { account: this.userAccount(userId, kind), debit: amount });
+      netCents += cents;
+    }
+
+    if (netCents !== 0) {
+      const amount = fromCents(Math.abs(netCents));
+      lines.push(netCents > 0
+        ? { account: SYSTEM_ACCOUNTS.BALANCE_ADJUSTMENTS, debit: amount }
+        : { account: SYSTEM_ACCOUNTS.BALANCE_ADJUSTMENTS, credit: amount });
+    }
+
+    const metadata = {
+      totalEarned: fromCents(toCents(deltas.totalEarned)),
+      totalWithdrawn: fromCents(toCents(deltas.totalWithdrawn)),
+    };
+
+    const entryData = {
+      type: ENTRY_TYPES.BALANCE_ADJUSTMENT,
+      description: `Balance correction: ${reason}`,
+      userId,
+      metadata,
+    };
+
+    // A correction to lifetime totals alone moves no money, so it has no lines
+    const entry = lines.length > 0
+      ? await this.postEntry(tx, { ...entryData, lines })
+      : await tx.journalEntry.create({ data: entryData });
+
+    const totals = {};
+    if (metadata.totalEarned !== 0) {
+      totals.totalEarned = { increment: metadata.totalEarned };
+    }
+    if (metadata.totalWithdrawn !== 0) {
+      totals.totalWithdrawn = { increment: metadata.totalWithdrawn };
+    }
+
+    if (Object.keys(totals).length > 0) {
+      await tx.user.update({
+        where: { id: userId },
+        data: totals,
+      });
+    }
+
+    return entry;
+  }
+
+  // Balance of a user account recomputed from its journal lines
+  async sumUserAccount(userId, kind, entryWhere = undefined) {
+    const totals = await prisma.journalLine.aggregate({
+      where: {
+        account: { code: this.userAccount(userId, kind).code },
+        ...(entryWhere ? { entry: entryWhere } : {}),
+      },
+      _sum: { debit: true, credit: true },
+    });
+
+    return {
+      debit: toCents(totals._sum.debit),
+      credit: toCents(totals._sum.credit),
+    };
+  }
+
+  // Derive a user's balance columns from the ledger alone
+  async getUserLedgerBalances(userId) {
+    const available = await this.sumUserAccount(userId, 'available');
+    const pending = await this.sumUserAccount(userId, 'pending');
+    const earned = await this.sumUserAccount(userId, 'available', { type: { in: EARNING_ENTRY_TYPES } });
+    const clawedBack = await this.sumUserAccount(userId, 'available', { type: ENTRY_TYPES.REFERRAL_BONUS_CLAWBACK });
+
+    const withdrawn = await prisma.journalLine.aggregate({
+      where: {
+        account: { code: SYSTEM_ACCOUNTS.WITHDRAWALS_PAYABLE.code },
+        entry: { type: ENTRY_TYPES.WITHDRAWAL_PAYOUT, userId },
+      },
+      _sum: { debit: true },
+    });
+
+    // Lifetime totals carried over when the ledger was introduced, plus corrections
+    const carriedEntries = await prisma.journalEntry.findMany({
+      where: { type: { in: CARRIED_TOTAL_ENTRY_TYPES }, userId },
+      select: { metadata: true },
+    });
+
+    const carriedTotals = carriedEntries.reduce((totals, entry) => ({
+      totalEarned: totals.totalEarned + toCents(entry.metadata?.totalEarned),
+      totalWithdrawn: totals.totalWithdrawn + toCents(entry.metadata?.totalWithdrawn),
+    }), { totalEarned: 0, totalWithdrawn: 0 });
+
+    return {
+      availableBalance: fromCents(available.credit - available.debit),
+      pendingEarnings: fromCents(pending.credit - pending.debit),
+      totalEarned: fromCents(earned.credit - clawedBack.debit + carriedTotals.totalEarned),
+      totalWithdrawn: fromCents(toCents(withdrawn._sum.debit) + carriedTotals.totalWithdrawn),
+    };
+  }
+
+  // Compare the stored User columns against the ledger
+  async verifyUserBalances(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        availableBalance: true,
+        pendingEarnings: true,
+        totalEarned: true,
+        totalWithdrawn: true,
+      },
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const ledger = await this.getUserLedgerBalances(userId);
+    const differences = {};
+
+    for (const field of Object.keys(ledger)) {
+      const diff = toCents(user[field]) - toCents(ledger[field]);
+      if (diff !== 0) {
+        differences[field] = fromCents(diff);
+      }
+    }
+
+    return {
+      userId,
+      balanced: Object.keys(differences).length === 0,
+      stored: {
+        availableBalance: Number(user.availableBalance),
+        pendingEarnings: Number(user.pendingEarnings),
+        totalEarned: Number(user.totalEarned),
+        totalWithdrawn: Number(user.totalWithdrawn),
+      },
+      ledger,
+      differences,
+    };
+  }
+
+  // Sum of all debits must equal sum of all credits
+  async getTrialBalance() {
+    const totals = await prisma.journalLine.aggregate({
+      _sum: { debit: true, credit: true },
+    });
+
+    const debit = toCents(totals._sum.debit);
+    const credit = toCents(totals._sum.credit);
+
+    return {
+      totalDebit: fromCents(debit),
+      totalCredit: fromCents(credit),
+      balanced: debit === credit,
+    };
+  }
+}
+
+export const ledgerService = new LedgerService();
@@ -0,0 +1,136 @@
+import { prisma } from '../lib/prisma.js';
+
+export const CALLBACK_TYPES = {
+  STK_ACTIVATION: 'STK_ACTIVATION',
+  B2C_RESULT: 'B2C_RESULT',
+  B2C_TIMEOUT: 'B2C_TIMEOUT',
+  B2C_STATUS_RESULT: 'B2C_STATUS_RESULT',
+};
+
+const CALLBACK_STATUS = {
+  RECEIVED: 'RECEIVED',
+  PROCESSED: 'PROCESSED',
+  DUPLICATE: 'DUPLICATE',
+  FAILED: 'FAILED',
+};
+
+class MpesaCallbackService {
+  // Pull the identifiers we dedupe on out of a raw callback body
+  extractIdentifiers(type, payload) {
+    if (type === CALLBACK_TYPES.STK_ACTIVATION) {
+      return this.extractStkIdentifiers(payload);
+    }
+
+    return this.extractB2CIdentifiers(payload);
+  }
+
+  extractStkIdentifiers(payload) {
+    const stkCallback = payload?.Body?.stkCallback || {};
+    const metadata = stkCallback.CallbackMetadata?.Item || [];
+    const mpesaReceiptNumber = metadata.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
+
+    return {
+      checkoutRequestId: stkCallback.CheckoutRequestID || null,
+      merchantRequestId: stkCallback.MerchantRequestID || null,
+      mpesaReceiptNumber: mpesaReceiptNumber ? String(mpesaReceiptNumber) : null,
+      resultCode: stkCallback.ResultCode !== undefined ? Number(stkCallback.ResultCode) : null,
+    };
+  }
+
+  extractB2CIdentifiers(payload) {
+    const result = payload?.Result || {};
+
+    return {
+      conversationId: result.ConversationID || null,
+      mpesaReceiptNumber: result.TransactionID ? String(result.TransactionID) : null,
+      resultCode: result.ResultCode !== undefined ? Number(result.ResultCode) : null,
+    };
+  }
+
+  // Store every callback as received, then flag it if an earlier one already covered it
+  async record(type, payload) {
+    const identifiers = this.extractIdentifiers(type, payload);
+
+    const entry = await prisma.mpesaCallback.create({
+      data: {
+        type,
+        ...identifiers,
+        payload,
+      },
+    });
+
+    const original = await this.findProcessedOriginal(entry);
+
+    if (original) {
+      const duplicate = await this.markDuplicate(entry.id, original.id);
+      return { entry: duplicate, duplicate: true };
+    }
+
+    return { entry, duplicate: false };
+  }
+
+  // A callback is a retry if the same receipt, checkout or conversation was already processed
+  async findProcessedOriginal(entry) {
+    const matchers = [];
+
+    if (entry.mpesaReceiptNumber) {
+      matchers.push({ mpesaReceiptNumber: entry.mpesaReceiptNumber });
+    }
+
+    if (entry.checkoutRequestId) {
+      matchers.push({ checkoutRequestId: entry.checkoutRequestId });
+    }
+
+    if (entry.conversationId) {
+      matchers.push({ conversationId: entry.conversationId });
+    }
+
+    if (matchers.length === 0) {
+      return null;
+    }
+
+    return await prisma.mpesaCallback.findFirst({
+      where: {
+        id: { not: entry.id },
+        type: entry.type,
+        status: CALLBACK_STATUS.PROCESSED,
+        OR: matchers,
+      },
+      orderBy: { receivedAt: 'asc' },
+    });
+  }
+
+  async markProcessed(id) {
+    return await prisma.mpesaCallback.update({
+      where: { id },
+      data: {
+        status: CALLBACK_STATUS.PROCESSED,
+        processedAt: new Date(),
+      },
+    });
+  }
+
+  async markDuplicate(id, duplicateOfId = null) {
+    return await prisma.mpesaCallback.update({
+      where: { id },
+      data: {
+        status: CALLBACK_STATUS.DUPLICATE,
+        duplicateOfId,
+        processedAt: new Date(),
+      },
+    });
+  }
+
+  async markFailed(id, error) {
+    return await prisma.mpesaCallback.update({
+      where: { id },
+      data: {
+        status: CALLBACK_STATUS.FAILED,
+        error: error?.message || String(error),
+        processedAt: new Date(),
+      },
+    });
+  }
+}
+
+export const mpesaCallbackService = new MpesaCallbackService();
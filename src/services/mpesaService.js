@@ -1,28 +1,80 @@
-import axios from 'axios';
+import crypto from 'crypto';
 import { generateMpesaTimestamp, generateMpesaPassword } from '../utils/helpers.js';
+import { createMpesaGateway, MPESA_ENVIRONMENTS } from '../lib/mpesa/index.js';
+
+// Sandbox test credentials, only used when running against the local simulator
+const SIMULATOR_DEFAULTS = {
+  MPESA_BUSINESS_SHORT_CODE: '174379',
+  MPESA_PASSKEY: 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919',
+  MPESA_B2C_INITIATOR_NAME: 'testapi',
+  MPESA_B2C_SECURITY_CREDENTIAL: 'simulated-credential',
+};
+
+// Constant-time comparison for secrets carried in callback URLs
+const secretsMatch = (received, expected) => {
+  const receivedBuffer = Buffer.from(String(received || ''));
+  const expectedBuffer = Buffer.from(String(expected || ''));
+
+  return expectedBuffer.length > 0
+    && receivedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+// STK query error Daraja returns while the customer has not yet answered the prompt
+const STK_QUERY_PENDING_PATTERN = /transaction is being processed/i;
 
 class MpesaService {
   constructor() {
-    this.baseUrl = process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke';
-    this.shortCode = process.env.MPESA_BUSINESS_SHORT_CODE;
-    this.passkey = process.env.MPESA_PASSKEY;
+    this.environment = process.env.MPESA_ENVIRONMENT || MPESA_ENVIRONMENTS.SANDBOX;
+    this.isSimulator = this.environment === MPESA_ENVIRONMENTS.SIMULATOR;
+
+    const env = (key) => process.env[key] || (this.isSimulator ? SIMULATOR_DEFAULTS[key] : undefined);
+
+    this.shortCode = env('MPESA_BUSINESS_SHORT_CODE');
+    this.passkey = env('MPESA_PASSKEY');
     this.consumerKey = process.env.MPESA_CONSUMER_KEY;
     this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
-    this.callbackUrl = process.env.MPESA_CALLBACK_URL;
+    // The simulator posts callbacks straight back to this server
+    this.callbackUrl = process.env.MPESA_CALLBACK_URL
+      || (this.isSimulator ? `http://localhost:${process.env.PORT || 3000}` : undefined);
     this.timeoutUrl = process.env.MPESA_TIMEOUT_URL;
+    // Callback routes are public, so every URL we hand to Safaricom carries this secret
+    this.callbackToken = process.env.MPESA_CALLBACK_TOKEN
+      || (this.isSimulator ? crypto.randomBytes(24).toString('hex') : undefined);
+
+    // B2C (business to customer) payout settings
+    this.b2cShortCode = process.env.MPESA_B2C_SHORT_CODE || this.shortCode;
+    this.b2cInitiatorName = env('MPESA_B2C_INITIATOR_NAME');
+    this.b2cSecurityCredential = env('MPESA_B2C_SECURITY_CREDENTIAL');
 
     // Validate required environment variables
     this.validateConfig();
+
+    this.gateway = createMpesaGateway(this.environment, {
+      baseUrl: process.env.MPESA_BASE_URL,
+      consumerKey: this.consumerKey,
+      consumerSecret: this.consumerSecret,
+    });
+
+    if (this.isSimulator) {
+      console.log(`🧪 M-Pesa running against the local simulator, callbacks go to ${this.callbackUrl}`);
+    }
   }
 
   // Validate configuration
   validateConfig() {
+    // The simulator needs no Safaricom credentials
+    if (this.isSimulator) {
+      return;
+    }
+
     const required = [
       'MPESA_BUSINESS_SHORT_CODE',
       'MPESA_PASSKEY', 
       'MPESA_CONSUMER_KEY',
       'MPESA_CONSUMER_SECRET',
-      'MPESA_CALLBACK_URL'
+      'MPESA_CALLBACK_URL',
+      'MPESA_CALLBACK_TOKEN'
     ];
 
     const missing = required.filter(key => !process.env[key]);
@@ -31,26 +83,28 @@ class MpesaService {
     }
   }
 
-  // Get access token with caching
-  async getAccessToken() {
-    try {
-      const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
-      
-      const response = await axios.get(
-        `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
-        {
-          headers: {
-            'Authorization': `Basic ${auth}`,
-          },
-          timeout: 10000, // 10 second timeout
-        }
-      );
+  // True when a callback URL token matches MPESA_CALLBACK_TOKEN (constant-time comparison)
+  isValidCallbackToken(token) {
+    return secretsMatch(token, this.callbackToken);
+  }
 
-      if (!response.data.access_token) {
-        throw new Error('No access token received from M-PESA API');
-      }
+  // Per-payout secret for B2C callback URLs, so knowing a withdrawal id is not enough to post a result
+  payoutSignature(reference) {
+    return crypto.createHmac('sha256', this.callbackToken || '').update(String(reference)).digest('hex');
+  }
+
+  isValidPayoutSignature(reference, signature) {
+    return Boolean(reference) && secretsMatch(signature, this.payoutSignature(reference));
+  }
 
-      return response.data.access_token;
+  payoutCallbackUrl(path, reference) {
+    return `${this.callbackUrl}/api/mpesa/${path}?reference=${encodeURIComponent(reference)}&signature=${this.payoutSignature(reference)}`;
+  }
+
+  // Get access token
+  async getAccessToken() {
+    try {
+      return await this.gateway.getAccessToken();
     } catch (error) {
       console.error('Error getting M-Pesa access token:', error.response?.data || error.message);
       throw new Error('Failed to get M-Pesa access token');
@@ -72,7 +126,6 @@ class MpesaService {
       // Validate and format phone number
       const formattedPhone = this.validatePhoneNumber(phoneNumber);
       
-      const accessToken = await this.getAccessToken();
       const timestamp = generateMpesaTimestamp();
       const password = generateMpesaPassword(this.shortCode, this.passkey, timestamp);
       
@@ -85,7 +138,7 @@ class MpesaService {
         PartyA: formattedPhone,     // FIXED: Customer phone number
         PartyB: this.shortCode,     // FIXED: Your business shortcode
         PhoneNumber: formattedPhone,
-        CallBackURL: `${this.callbackUrl}/api/mpesa/activation-callback`,
+        CallBackURL: `${this.callbackUrl}/api/mpesa/activation-callback?token=${this.callbackToken}`,
         AccountReference: reference || `YBS_ACT_${Date.now()}`, // Unique reference
         TransactionDesc: 'YBS Account Activation Fee',
       };
@@ -96,31 +149,21 @@ class MpesaService {
         reference: payload.AccountReference
       });
 
-      const response = await axios.post(
-        `${this.baseUrl}/mpesa/stkpush/v1/processrequest`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000, // 30 second timeout for STK push
-        }
-      );
+      const data = await this.gateway.stkPush(payload);
 
       // Log successful STK push initiation
       console.log('✅ STK Push initiated successfully:', {
-        checkoutRequestId: response.data.CheckoutRequestID,
-        responseCode: response.data.ResponseCode
+        checkoutRequestId: data.CheckoutRequestID,
+        responseCode: data.ResponseCode
       });
 
       return {
         success: true,
-        checkoutRequestId: response.data.CheckoutRequestID,
-        merchantRequestId: response.data.MerchantRequestID,
-        responseCode: response.data.ResponseCode,
-        responseDescription: response.data.ResponseDescription,
-        customerMessage: response.data.CustomerMessage,
+        checkoutRequestId: data.CheckoutRequestID,
+        merchantRequestId: data.MerchantRequestID,
+        responseCode: data.ResponseCode,
+        responseDescription: data.ResponseDescription,
+        customerMessage: data.CustomerMessage,
       };
     } catch (error) {
       console.error('❌ Error initiating M-Pesa STK push:', error.response?.data || error.message);
@@ -252,7 +295,6 @@ class MpesaService {
   // Query transaction status
   async queryTransactionStatus(checkoutRequestId) {
     try {
-      const accessToken = await this.getAccessToken();
       const timestamp = generateMpesaTimestamp();
       const password = generateMpesaPassword(this.shortCode, this.passkey, timestamp);
 
@@ -263,29 +305,221 @@ class MpesaService {
         CheckoutRequestID: checkoutRequestId,
       };
 
-      const response = await axios.post(
-        `${this.baseUrl}/mpesa/stkpushquery/v1/query`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const data = await this.gateway.stkQuery(payload);
 
       return {
         success: true,
-        resultCode: response.data.ResultCode,
-        resultDesc: response.data.ResultDesc,
-        merchantRequestId: response.data.MerchantRequestID,
-        checkoutRequestId: response.data.CheckoutRequestID,
+        resultCode: data.ResultCode,
+        resultDesc: data.ResultDesc,
+        merchantRequestId: data.MerchantRequestID,
+        checkoutRequestId: data.CheckoutRequestID,
       };
     } catch (error) {
+      const errorMessage = error.response?.data?.errorMessage;
+
+      // Daraja answers with this error until the customer has acted on the prompt
+      if (errorMessage && STK_QUERY_PENDING_PATTERN.test(errorMessage)) {
+        return {
+          success: false,
+          stillProcessing: true,
+          resultDesc: errorMessage,
+          checkoutRequestId,
+        };
+      }
+
       console.error('Error querying M-Pesa transaction status:', error.response?.data || error.message);
-      throw new Error('Failed to query transaction status');
+      throw new Error(`Failed to query transaction status: ${errorMessage || error.message}`);
+    }
+  }
+
+  // Initiate a B2C payment to a customer's M-Pesa number. The occasion is also added, with its
+  // signature, to the result and timeout URLs so a callback is tied to the payout it answers.
+  // Errors carry `payoutRejected: true` only when M-Pesa certainly did not take the request;
+  // after a timeout, network error or 5xx the payment may still go through.
+  async initiateB2CPayment(phoneNumber, amount, remarks, occasion) {
+    const rejected = (message) => Object.assign(new Error(message), { payoutRejected: true });
+
+    if (!this.b2cInitiatorName || !this.b2cSecurityCredential) {
+      throw rejected('Missing required M-PESA B2C environment variables: MPESA_B2C_INITIATOR_NAME, MPESA_B2C_SECURITY_CREDENTIAL');
+    }
+
+    if (!phoneNumber || !amount || !occasion) {
+      throw rejected('Phone number, amount and payout reference are required');
+    }
+
+    let formattedPhone;
+    try {
+      formattedPhone = this.validatePhoneNumber(phoneNumber);
+    } catch (error) {
+      throw rejected(error.message);
+    }
+
+    let data;
+    try {
+      const payload = {
+        InitiatorName: this.b2cInitiatorName,
+        SecurityCredential: this.b2cSecurityCredential,
+        CommandID: 'BusinessPayment',
+        Amount: Math.round(amount),
+        PartyA: this.b2cShortCode,
+        PartyB: formattedPhone,
+        Remarks: remarks || 'YBS Withdrawal',
+        QueueTimeOutURL: this.payoutCallbackUrl('b2c/timeout', occasion),
+        ResultURL: this.payoutCallbackUrl('b2c/result', occasion),
+        Occasion: occasion,
+      };
+
+      console.log('🚀 Initiating M-PESA B2C payment:', {
+        phone: formattedPhone,
+        amount: payload.Amount,
+        occasion,
+      });
+
+      data = await this.gateway.b2cPaymentRequest(payload);
+    } catch (error) {
+      console.error('❌ Error initiating M-Pesa B2C payment:', error.response?.data || error.message);
+
+      // A 4xx answer means Daraja refused the request (or the token call) outright
+      const status = error.response?.status;
+      if (status >= 400 && status < 500) {
+        const reason = error.response.data?.errorMessage || `HTTP ${status}`;
+        throw rejected(`M-PESA B2C request rejected: ${reason}`);
+      }
+
+      throw new Error(`M-Pesa did not confirm the payout request: ${error.message}`);
+    }
+
+    if (String(data.ResponseCode) !== '0') {
+      console.error('❌ B2C payment request rejected:', data);
+      throw rejected(`M-PESA B2C request rejected: ${data.ResponseDescription || `response code ${data.ResponseCode}`}`);
+    }
+
+    console.log('✅ B2C payment request accepted:', {
+      conversationId: data.ConversationID,
+      responseCode: data.ResponseCode,
+    });
+
+    return {
+      success: true,
+      conversationId: data.ConversationID,
+      originatorConversationId: data.OriginatorConversationID,
+      responseCode: data.ResponseCode,
+      responseDescription: data.ResponseDescription,
+    };
+  }
+
+  // Process B2C result callback
+  processB2CResult(resultData) {
+    try {
+      const {
+        Result: {
+          ResultCode,
+          ResultDesc,
+          OriginatorConversationID,
+          ConversationID,
+          TransactionID,
+          ResultParameters,
+        },
+      } = resultData;
+
+      const parameters = ResultParameters?.ResultParameter || [];
+      const findParameter = (key) => parameters.find(item => item.Key === key)?.Value;
+
+      return {
+        success: ResultCode === 0,
+        conversationId: ConversationID,
+        originatorConversationId: OriginatorConversationID,
+        transactionId: TransactionID,
+        transactionReceipt: findParameter('TransactionReceipt') || TransactionID,
+        amount: findParameter('TransactionAmount'),
+        receiverName: findParameter('ReceiverPartyPublicName'),
+        completedAt: findParameter('TransactionCompletedDateTime'),
+        resultCode: ResultCode,
+        resultDesc: ResultDesc,
+      };
+    } catch (error) {
+      console.error('❌ Error processing M-Pesa B2C result:', error);
+      throw new Error('Failed to process M-Pesa B2C result');
     }
   }
+
+  // Process B2C queue timeout callback. The request expired in Safaricom's queue, which does not
+  // tell us whether the money moved, so this carries no success flag.
+  processB2CTimeout(timeoutData) {
+    const result = timeoutData?.Result || {};
+
+    return {
+      conversationId: result.ConversationID,
+      originatorConversationId: result.OriginatorConversationID,
+      resultCode: result.ResultCode !== undefined ? Number(result.ResultCode) : null,
+      resultDesc: result.ResultDesc || 'M-Pesa payout request timed out',
+    };
+  }
+
+  // Ask M-Pesa for the outcome of a B2C payment. The answer arrives on the status result URL,
+  // signed for the same reference as the payout it describes.
+  async queryB2CTransactionStatus(reference, { transactionId = null, originatorConversationId = null } = {}) {
+    if (!this.b2cInitiatorName || !this.b2cSecurityCredential) {
+      throw new Error('Missing required M-PESA B2C environment variables: MPESA_B2C_INITIATOR_NAME, MPESA_B2C_SECURITY_CREDENTIAL');
+    }
+
+    if (!transactionId && !originatorConversationId) {
+      throw new Error('A transaction id or originator conversation id is required to query a payout');
+    }
+
+    const payload = {
+      Initiator: this.b2cInitiatorName,
+      SecurityCredential: this.b2cSecurityCredential,
+      CommandID: 'TransactionStatusQuery',
+      TransactionID: transactionId || '',
+      OriginalConversationID: originatorConversationId || '',
+      PartyA: this.b2cShortCode,
+      IdentifierType: '4',
+      ResultURL: this.payoutCallbackUrl('b2c/status-result', reference),
+      QueueTimeOutURL: this.payoutCallbackUrl('b2c/status-timeout', reference),
+      Remarks: 'YBS payout status check',
+      Occasion: reference,
+    };
+
+    let data;
+    try {
+      data = await this.gateway.transactionStatusQuery(payload);
+    } catch (error) {
+      console.error('Error querying M-Pesa B2C status:', error.response?.data || error.message);
+      throw new Error(`Failed to query payout status: ${error.response?.data?.errorMessage || error.message}`);
+    }
+
+    if (String(data.ResponseCode) !== '0') {
+      throw new Error(`M-PESA status query rejected: ${data.ResponseDescription || `response code ${data.ResponseCode}`}`);
+    }
+
+    return {
+      conversationId: data.ConversationID,
+      originatorConversationId: data.OriginatorConversationID,
+    };
+  }
+
+  // Process a transaction status result. The conversation ids and receipt come from the result
+  // parameters, which describe the queried payment rather than the query itself.
+  processB2CStatusResult(statusData) {
+    const result = statusData?.Result || {};
+    const parameters = result.ResultParameters?.ResultParameter || [];
+    const findParameter = (key) => parameters.find(item => item.Key === key)?.Value;
+
+    const resultCode = result.ResultCode !== undefined ? Number(result.ResultCode) : null;
+    const transactionStatus = findParameter('TransactionStatus') || null;
+
+    return {
+      completed: resultCode === 0 && transactionStatus === 'Completed',
+      transactionStatus,
+      conversationId: findParameter('ConversationID'),
+      originatorConversationId: findParameter('OriginatorConversationID'),
+      transactionReceipt: findParameter('ReceiptNo') || null,
+      amount: findParameter('Amount'),
+      resultCode,
+      resultDesc: result.ResultDesc || null,
+    };
+  }
 }
 
 export const mpesaService = new MpesaService();
\ No newline at end of file
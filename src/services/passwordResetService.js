@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { redisClient } from '../lib/redis.js';
+import { formatPhoneNumber } from '../utils/helpers.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { smsService } from './smsService.js';
+
+class PasswordResetService {
+  constructor() {
+    this.CODE_EXPIRY = 10 * 60; // 10 minutes
+    this.MAX_ATTEMPTS = 5;
+    this.ATTEMPT_WINDOW = 15 * 60; // 15 minutes
+    this.RATE_LIMIT_WINDOW = 15 * 60; // 15 minutes
+    this.RATE_LIMIT_MAX = 3; // 3 reset codes per window
+  }
+
+  // Reset keys are kept apart from phone verification so one flow cannot consume the other's code
+  codeKey(phoneNumber) {
+    return `password_reset:${phoneNumber}`;
+  }
+
+  rateLimitKey(phoneNumber) {
+    return `password_reset_rate_limit:${phoneNumber}`;
+  }
+
+  attemptsKey(phoneNumber) {
+    return `password_reset_attempts:${phoneNumber}`;
+  }
+
+  generateCode() {
+    return crypto.randomInt(100000, 1000000).toString();
+  }
+
+  // Only a digest is stored so a Redis dump does not expose live codes
+  hashCode(phoneNumber, code) {
+    return crypto.createHash('sha256').update(`${phoneNumber}:${code}`).digest('hex');
+  }
+
+  codesMatch(storedHash, phoneNumber, code) {
+    const candidate = Buffer.from(this.hashCode(phoneNumber, code), 'hex');
+    const stored = Buffer.from(storedHash, 'hex');
+
+    return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+  }
+
+  async checkRateLimit(phoneNumber) {
+    const attempts = await redisClient.get(this.rateLimitKey(phoneNumber));
+
+    if (attempts && parseInt(attempts) >= this.RATE_LIMIT_MAX) {
+      throw new AppError('Too many reset requests. Please wait before requesting another code.', 429);
+    }
+
+    return true;
+  }
+
+  async incrementRateLimit(phoneNumber) {
+    const key = this.rateLimitKey(phoneNumber);
+    await redisClient.multi()
+      .incr(key)
+      .expire(key, this.RATE_LIMIT_WINDOW)
+      .exec();
+  }
+
+  async checkAttempts(phoneNumber) {
+    const attempts = await redisClient.get(this.attemptsKey(phoneNumber));
+
+    if (attempts && parseInt(attempts) >= this.MAX_ATTEMPTS) {
+      throw new AppError('Too many reset attempts. Please wait 15 minutes.', 429);
+    }
+
+    return true;
+  }
+
+  async incrementAttempts(phoneNumber) {
+    const key = this.attemptsKey(phoneNumber);
+    const [attempts] = await redisClient.multi()
+      .incr(key)
+      .expire(key, this.ATTEMPT_WINDOW)
+      .exec();
+
+    // Burn the code once the limit is reached so it cannot be guessed later
+    if (attempts >= this.MAX_ATTEMPTS) {
+      await redisClient.del(this.codeKey(phoneNumber));
+    }
+  }
+
+  // Issue a new code, replacing any earlier one, and text it to the user
+  async sendResetCode(phoneNumber) {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+
+    await this.checkRateLimit(formattedPhone);
+
+    const code = this.generateCode();
+
+    await redisClient.setEx(this.codeKey(formattedPhone), this.CODE_EXPIRY, this.hashCode(formattedPhone, code));
+    await redisClient.del(this.attemptsKey(formattedPhone));
+    await this.incrementRateLimit(formattedPhone);
+
+    await smsService.sendTemplate(formattedPhone, 'PASSWORD_RESET', {
+      code,
+      minutes: this.CODE_EXPIRY / 60,
+    });
+
+    return { success: true, phoneNumber: formattedPhone, code };
+  }
+
+  // Validate and consume a code; each code can reset the password once
+  async consumeResetCode(phoneNumber, code) {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+
+    await this.checkAttempts(formattedPhone);
+
+    const key = this.codeKey(formattedPhone);
+    const storedHash = await redisClient.get(key);
+
+    if (!storedHash) {
+      await this.incrementAttempts(formattedPhone);
+      throw new AppError('Reset code expired or not found.', 400);
+    }
+
+    if (!this.codesMatch(storedHash, formattedPhone, code)) {
+      await this.incrementAttempts(formattedPhone);
+      throw new AppError('Invalid reset code.', 400);
+    }
+
+    // Whoever deletes the key owns the code; a concurrent request loses
+    const deleted = await redisClient.del(key);
+    if (deleted === 0) {
+      throw new AppError('Reset code expired or not found.', 400);
+    }
+
+    await redisClient.del(this.attemptsKey(formattedPhone));
+
+    return { success: true, phoneNumber: formattedPhone };
+  }
+}
+
+export const passwordResetService = new PasswordResetService();
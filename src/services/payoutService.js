@@ -0,0 +1,366 @@
+import { prisma } from '../lib/prisma.js';
+import { mpesaService } from './mpesaService.js';
+import { ledgerService } from './ledgerService.js';
+import { smsService } from './smsService.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// How a B2C callback's conversation ids compare with those saved for the payout
+const CONVERSATION_MATCH = {
+  MATCH: 'MATCH',
+  UNSAVED: 'UNSAVED',
+  MISMATCH: 'MISMATCH',
+};
+
+class PayoutService {
+  // Approve a pending withdrawal and send the money out through M-Pesa B2C
+  async initiateWithdrawalPayout(withdrawalId, adminId) {
+    const withdrawal = await prisma.withdrawalRequest.findUnique({
+      where: { id: withdrawalId },
+    });
+
+    if (!withdrawal) {
+      throw new AppError('Withdrawal request not found', 404);
+    }
+
+    // Move PENDING -> PROCESSING atomically so two admins cannot pay out twice
+    const claimed = await prisma.withdrawalRequest.updateMany({
+      where: {
+        id: withdrawalId,
+        status: CONSTANTS.WITHDRAWAL_STATUS.PENDING,
+      },
+      data: {
+        status: CONSTANTS.WITHDRAWAL_STATUS.PROCESSING,
+        adminId,
+        processedAt: new Date(),
+      },
+    });
+
+    if (claimed.count === 0) {
+      throw new AppError('Withdrawal request is not pending', 400);
+    }
+
+    let b2cResponse;
+    try {
+      b2cResponse = await mpesaService.initiateB2CPayment(
+        withdrawal.mpesaNumber,
+        Number(withdrawal.amount),
+        `YBS withdrawal ${withdrawal.id}`,
+        withdrawal.id
+      );
+    } catch (error) {
+      if (error.payoutRejected) {
+        // Safaricom refused the request, so no money moved. Put it back in the queue.
+        await prisma.withdrawalRequest.update({
+          where: { id: withdrawalId },
+          data: {
+            status: CONSTANTS.WITHDRAWAL_STATUS.PENDING,
+            processedAt: null,
+            payoutResultDesc: error.message,
+          },
+        });
+
+        throw new AppError(error.message, 502);
+      }
+
+      // The request may have reached Safaricom, so re-queueing could pay twice. Keep it
+      // PROCESSING for the result callback and flag it until one settles it.
+      await prisma.withdrawalRequest.update({
+        where: { id: withdrawalId },
+        data: {
+          payoutUncertainAt: new Date(),
+          payoutResultDesc: error.message,
+        },
+      });
+
+      console.error(`Withdrawal ${withdrawalId} payout outcome unknown, flagged for reconciliation:`, error.message);
+
+      return {
+        withdrawalId,
+        status: CONSTANTS.WITHDRAWAL_STATUS.PROCESSING,
+        needsReconciliation: true,
+      };
+    }
+
+    // The result callback may already have settled or flagged it; keep its outcome in that case
+    await prisma.withdrawalRequest.updateMany({
+      where: { id: withdrawalId, status: CONSTANTS.WITHDRAWAL_STATUS.PROCESSING, payoutUncertainAt: null },
+      data: { payoutResultDesc: b2cResponse.responseDescription },
+    });
+
+    await prisma.withdrawalRequest.update({
+      where: { id: withdrawalId },
+      data: {
+        conversationId: b2cResponse.conversationId,
+        originatorConversationId: b2cResponse.originatorConversationId,
+      },
+    });
+
+    return {
+      withdrawalId,
+      status: CONSTANTS.WITHDRAWAL_STATUS.PROCESSING,
+      conversationId: b2cResponse.conversationId,
+    };
+  }
+
+  // Settle a withdrawal from a parsed B2C result callback. The route has already checked the
+  // signature on the withdrawal id in the callback URL.
+  async handleB2CResult(processedResult, { withdrawalId }) {
+    const withdrawal = await this.findProcessingWithdrawal(withdrawalId);
+
+    if (withdrawal.reason) {
+      return withdrawal;
+    }
+
+    const match = this.matchConversation(withdrawal, processedResult);
+
+    if (match === CONVERSATION_MATCH.MISMATCH) {
+      return { success: false, reason: 'CONVERSATION_MISMATCH', withdrawalId };
+    }
+
+    // Nothing saved yet to check the body against, so ask M-Pesa for the outcome instead
+    if (match === CONVERSATION_MATCH.UNSAVED) {
+      return await this.requestPayoutStatus(withdrawal, {
+        transactionId: processedResult.transactionId,
+        originatorConversationId: processedResult.originatorConversationId,
+      }, 'B2C result arrived before the payout was saved; confirming with a status query');
+    }
+
+    return await this.settleWithdrawal(withdrawal, processedResult);
+  }
+
+  // A queue timeout does not say whether the money moved: keep the withdrawal PROCESSING,
+  // flag it and let a confirmed result or a status query settle it
+  async handleB2CTimeout(processedTimeout, { withdrawalId }) {
+    const withdrawal = await this.findProcessingWithdrawal(withdrawalId);
+
+    if (withdrawal.reason) {
+      return withdrawal;
+    }
+
+    if (this.matchConversation(withdrawal, processedTimeout) === CONVERSATION_MATCH.MISMATCH) {
+      return { success: false, reason: 'CONVERSATION_MISMATCH', withdrawalId };
+    }
+
+    return await this.requestPayoutStatus(withdrawal, {
+      originatorConversationId: withdrawal.originatorConversationId || processedTimeout.originatorConversationId,
+    }, `M-Pesa queue timeout: ${processedTimeout.resultDesc}; outcome unknown`);
+  }
+
+  // Settle a withdrawal from the answer to a status query. Only a completed payment settles it;
+  // any other answer leaves it flagged for an admin to check against M-Pesa.
+  async handleB2CStatusResult(status, { withdrawalId }) {
+    const withdrawal = await this.findProcessingWithdrawal(withdrawalId);
+
+    if (withdrawal.reason) {
+      return withdrawal;
+    }
+
+    // The answer to our own query is what settles a payout whose ids were never saved
+    if (this.matchConversation(withdrawal, status) === CONVERSATION_MATCH.MISMATCH) {
+      return { success: false, reason: 'CONVERSATION_MISMATCH', withdrawalId };
+    }
+
+    const amountMatches = Math.round(Number(status.amount)) === Math.round(Number(withdrawal.amount));
+
+    if (!status.completed || !amountMatches) {
+      const description = amountMatches
+        ? `Status query: ${status.transactionStatus || status.resultDesc}`
+        : `Status query reported amount ${status.amount}, expected ${Number(withdrawal.amount)}`;
+
+      await this.flagUncertain(withdrawal.id, description);
+
+      return { success: false, reason: 'PAYOUT_UNCONFIRMED', withdrawalId };
+    }
+
+    return await this.settleWithdrawal(withdrawal, {
+      success: true,
+      conversationId: status.conversationId,
+      originatorConversationId: status.originatorConversationId,
+      transactionReceipt: status.transactionReceipt,
+      resultCode: status.resultCode,
+      resultDesc: `Confirmed by status query: ${status.transactionStatus}`,
+    });
+  }
+
+  // The withdrawal named in a callback URL, or a result object explaining why it can't be settled
+  async findProcessingWithdrawal(withdrawalId) {
+    const withdrawal = await prisma.withdrawalRequest.findUnique({
+      where: { id: withdrawalId },
+    });
+
+    if (!withdrawal) {
+      console.error(`No withdrawal request ${withdrawalId} for B2C callback`);
+      return { success: false, reason: 'WITHDRAWAL_NOT_FOUND', withdrawalId };
+    }
+
+    if (withdrawal.status !== CONSTANTS.WITHDRAWAL_STATUS.PROCESSING) {
+      return { success: false, reason: 'ALREADY_SETTLED', withdrawalId };
+    }
+
+    return withdrawal;
+  }
+
+  // Compare a callback with the conversation ids saved for the payout. A callback missing an
+  // id that was saved does not match.
+  matchConversation(withdrawal, { conversationId, originatorConversationId }) {
+    const mismatch = () => {
+      console.error(`B2C callback for withdrawal ${withdrawal.id} does not match its saved conversation`, {
+        conversationId,
+        originatorConversationId,
+      });
+      return CONVERSATION_MATCH.MISMATCH;
+    };
+
+    if (!conversationId && !originatorConversationId) {
+      return mismatch();
+    }
+
+    if (!withdrawal.conversationId && !withdrawal.originatorConversationId) {
+      return CONVERSATION_MATCH.UNSAVED;
+    }
+
+    if ((withdrawal.conversationId && withdrawal.conversationId !== conversationId)
+      || (withdrawal.originatorConversationId && withdrawal.originatorConversationId !== originatorConversationId)) {
+      return mismatch();
+    }
+
+    return CONVERSATION_MATCH.MATCH;
+  }
+
+  // Flag a processing withdrawal and ask M-Pesa for the payout's outcome. If the query can't
+  // be sent the flag stays for an admin to resolve.
+  async requestPayoutStatus(withdrawal, identifiers, description) {
+    await this.flagUncertain(withdrawal.id, description);
+
+    try {
+      await mpesaService.queryB2CTransactionStatus(withdrawal.id, identifiers);
+    } catch (error) {
+      console.error(`Could not query payout status for withdrawal ${withdrawal.id}:`, error.message);
+    }
+
+    return { success: false, reason: 'STATUS_QUERY_PENDING', withdrawalId: withdrawal.id };
+  }
+
+  async flagUncertain(withdrawalId, description) {
+    await prisma.withdrawalRequest.updateMany({
+      where: { id: withdrawalId, status: CONSTANTS.WITHDRAWAL_STATUS.PROCESSING },
+      data: {
+        payoutUncertainAt: new Date(),
+        payoutResultDesc: description,
+      },
+    });
+  }
+
+  // Complete or refund a processing withdrawal from a confirmed payout outcome
+  async settleWithdrawal(withdrawal, outcome) {
+    const result = await prisma.$transaction(async (tx) => {
+      // Only a PROCESSING withdrawal can be settled; anything else was already handled
+      const nextStatus = outcome.success
+        ? CONSTANTS.WITHDRAWAL_STATUS.COMPLETED
+        : CONSTANTS.WITHDRAWAL_STATUS.REJECTED;
+
+      const claimed = await tx.withdrawalRequest.updateMany({
+        where: {
+          id: withdrawal.id,
+          status: CONSTANTS.WITHDRAWAL_STATUS.PROCESSING,
+        },
+        data: {
+          status: nextStatus,
+          resolvedAt: new Date(),
+          payoutUncertainAt: null,
+          conversationId: withdrawal.conversationId || outcome.conversationId || null,
+          originatorConversationId: withdrawal.originatorConversationId || outcome.originatorConversationId || null,
+          payoutResultCode: outcome.resultCode,
+          payoutResultDesc: outcome.resultDesc,
+          ...(outcome.success
+            ? { mpesaTransactionCode: outcome.transactionReceipt }
+            : { rejectionReason: `M-Pesa payout failed: ${outcome.resultDesc}` }),
+        },
+      });
+
+      if (claimed.count === 0) {
+        return { success: false, reason: 'ALREADY_SETTLED', withdrawalId: withdrawal.id };
+      }
+
+      if (outcome.success) {
+        await this.completeWithdrawal(tx, withdrawal, outcome.transactionReceipt);
+      } else {
+        await this.refundWithdrawal(tx, withdrawal, `M-Pesa payout failed: ${outcome.resultDesc}`);
+      }
+
+      return {
+        success: true,
+        withdrawalId: withdrawal.id,
+        status: nextStatus,
+      };
+    });
+
+    // Tell the user once the outcome is committed; a failed SMS never affects settlement
+    if (result.success) {
+      if (outcome.success) {
+        await smsService.notify(withdrawal.mpesaNumber, 'WITHDRAWAL_PAID', {
+          amount: Number(withdrawal.amount),
+          receipt: outcome.transactionReceipt,
+        }, { userId: withdrawal.userId });
+      } else {
+        await smsService.notify(withdrawal.mpesaNumber, 'WITHDRAWAL_FAILED', {
+          amount: Number(withdrawal.amount),
+        }, { userId: withdrawal.userId });
+      }
+    }
+
+    return result;
+  }
+
+  // Record the money as withdrawn and confirm the pending WITHDRAW_TO_MPESA transaction
+  async completeWithdrawal(tx, withdrawal, mpesaTransactionCode) {
+    await ledgerService.completeWithdrawal(tx, {
+      userId: withdrawal.userId,
+      amount: withdrawal.amount,
+      withdrawalId: withdrawal.id,
+    });
+
+    await tx.transaction.updateMany({
+      where: {
+        userId: withdrawal.userId,
+        type: CONSTANTS.TRANSACTION_TYPES.WITHDRAW_TO_MPESA,
+        metadata: {
+          path: ['withdrawalRequestId'],
+          equals: withdrawal.id,
+        },
+      },
+      data: {
+        status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        mpesaTransactionCode,
+        confirmedAt: new Date(),
+      },
+    });
+  }
+
+  // Return the held amount to the user's available balance and fail the transaction
+  async refundWithdrawal(tx, withdrawal, reason) {
+    await ledgerService.refundWithdrawal(tx, {
+      userId: withdrawal.userId,
+      amount: withdrawal.amount,
+      withdrawalId: withdrawal.id,
+      reason,
+    });
+
+    await tx.transaction.updateMany({
+      where: {
+        userId: withdrawal.userId,
+        type: CONSTANTS.TRANSACTION_TYPES.WITHDRAW_TO_MPESA,
+        metadata: {
+          path: ['withdrawalRequestId'],
+          equals: withdrawal.id,
+        },
+      },
+      data: {
+        status: CONSTANTS.TRANSACTION_STATUS.FAILED,
+      },
+    });
+  }
+}
+
+export const payoutService = new PayoutService();
@@ -0,0 +1,294 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+const PRODUCT_CATEGORIES = Object.values(CONSTANTS.PRODUCT_CATEGORIES);
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+class ProductService {
+  // Decimal columns become numbers; commission is what a member earns selling at the base price
+  format(product) {
+    const commissionRate = Number(product.commissionRate);
+    const basePrice = Number(product.basePrice);
+
+    return {
+      ...product,
+      commissionRate,
+      basePrice,
+      commissionAmount: roundCurrency(basePrice * commissionRate),
+    };
+  }
+
+  formatRateChange(change) {
+    return {
+      ...change,
+      previousRate: change.previousRate === null ? null : Number(change.previousRate),
+      commissionRate: Number(change.commissionRate),
+    };
+  }
+
+  // Check and normalise admin input; `partial` allows updates that leave fields out
+  validate(data, { partial = false } = {}) {
+    const product = {};
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new AppError('Product name is required', 400);
+      }
+      if (data.name.trim().length > 100) {
+        throw new AppError('Product name must be at most 100 characters', 400);
+      }
+      product.name = data.name.trim();
+    }
+
+    if (data.description !== undefined) {
+      if (data.description !== null && typeof data.description !== 'string') {
+        throw new AppError('Description must be a string', 400);
+      }
+      product.description = data.description?.trim() || null;
+    }
+
+    if (!partial || data.category !== undefined) {
+      if (!PRODUCT_CATEGORIES.includes(data.category)) {
+        throw new AppError(`Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`, 400);
+      }
+      product.category = data.category;
+    }
+
+    if (!partial || data.commissionRate !== undefined) {
+      const commissionRate = toNumber(data.commissionRate);
+      if (!isNonNegativeNumber(commissionRate) || commissionRate > 1) {
+        throw new AppError('Commission rate must be a fraction between 0 and 1, e.g. 0.07 for 7%', 400);
+      }
+      product.commissionRate = commissionRate;
+    }
+
+    if (!partial || data.basePrice !== undefined) {
+      const basePrice = toNumber(data.basePrice);
+      if (!isNonNegativeNumber(basePrice)) {
+        throw new AppError('Base price must be a non-negative number', 400);
+      }
+      product.basePrice = roundCurrency(basePrice);
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new AppError('isActive must be true or false', 400);
+      }
+      product.isActive = data.isActive;
+    }
+
+    return product;
+  }
+
+  // Read ?category=, ?minPrice=, ?maxPrice= and ?search= from a listing request
+  parseFilters(query) {
+    const { category, search } = query;
+    const minPrice = query.minPrice !== undefined ? toNumber(query.minPrice) : undefined;
+    const maxPrice = query.maxPrice !== undefined ? toNumber(query.maxPrice) : undefined;
+
+    if (category && !PRODUCT_CATEGORIES.includes(category)) {
+      throw new AppError(`Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`, 400);
+    }
+
+    for (const [field, value] of [['minPrice', minPrice], ['maxPrice', maxPrice]]) {
+      if (value !== undefined && !isNonNegativeNumber(value)) {
+        throw new AppError(`${field} must be a non-negative number`, 400);
+      }
+    }
+
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw new AppError('minPrice cannot be greater than maxPrice', 400);
+    }
+
+    return {
+      category,
+      minPrice,
+      maxPrice,
+      search: typeof search === 'string' && search.trim() ? search.trim() : undefined,
+    };
+  }
+
+  // Filters shared by the member catalog and the admin list
+  buildWhere({ category, minPrice, maxPrice, search, isActive }) {
+    return {
+      ...(isActive !== undefined && { isActive }),
+      ...(category && { category }),
+      ...((minPrice !== undefined || maxPrice !== undefined) && {
+        basePrice: {
+          ...(minPrice !== undefined && { gte: minPrice }),
+          ...(maxPrice !== undefined && { lte: maxPrice }),
+        },
+      }),
+      ...(search && { name: { contains: search, mode: 'insensitive' } }),
+    };
+  }
+
+  async listProducts(filters, { skip, take }) {
+    const where = this.buildWhere(filters);
+
+    const [total, products] = await Promise.all([
+      prisma.product.count({ where }),
+      prisma.product.findMany({
+        where,
+        orderBy: [{ category: 'asc' }, { name: 'asc' }],
+        skip,
+        take,
+      }),
+    ]);
+
+    return { total, products: products.map(product => this.format(product)) };
+  }
+
+  // Inactive products are hidden from members as if they did not exist
+  async getProduct(productId, { includeInactive = false } = {}) {
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+
+    if (!product || (!product.isActive && !includeInactive)) {
+      throw new AppError('Product not found', 404);
+    }
+
+    return this.format(product);
+  }
+
+  async createProduct(data, { adminId = null } = {}) {
+    const product = this.validate(data);
+
+    const created = await prisma.$transaction(async (tx) => {
+      const record = await tx.product.create({ data: product });
+
+      await tx.productCommissionRateHistory.create({
+        data: {
+          productId: record.id,
+          commissionRate: record.commissionRate,
+          reason: 'Product created',
+          changedBy: adminId,
+        },
+      });
+
+      return record;
+    }).catch((error) => {
+      if (error.code === 'P2002') {
+        throw new AppError(`A product named "${product.name}" already exists`, 409);
+      }
+      throw error;
+    });
+
+    return this.format(created);
+  }
+
+  // A commission rate change is recorded in the product's rate history; sales keep the rate they were made at
+  async updateProduct(productId, data, { adminId = null } = {}) {
+    const { reason, ...fields } = data;
+    const changes = this.validate(fields, { partial: true });
+
+    if (Object.keys(changes).length === 0) {
+      throw new AppError('No product fields to update', 400);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const current = await tx.product.findUnique({ where: { id: productId } });
+
+      if (!current) {
+        throw new AppError('Product not found', 404);
+      }
+
+      const record = await tx.product.update({
+        where: { id: productId },
+        data: changes,
+      });
+
+      if (changes.commissionRate !== undefined && Number(current.commissionRate) !== changes.commissionRate) {
+        await tx.productCommissionRateHistory.create({
+          data: {
+            productId,
+            previousRate: current.commissionRate,
+            commissionRate: record.commissionRate,
+            reason: reason ? String(reason).trim() : null,
+            changedBy: adminId,
+          },
+        });
+      }
+
+      return record;
+    }).catch((error) => {
+      if (error.code === 'P2002') {
+        throw new AppError(`A product named "${changes.name}" already exists`, 409);
+      }
+      throw error;
+    });
+
+    return this.format(updated);
+  }
+
+  async setActive(productId, isActive) {
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    if (product.isActive === isActive) {
+      return this.format(product);
+    }
+
+    const updated = await prisma.product.update({
+      where: { id: productId },
+      data: { isActive },
+    });
+
+    return this.format(updated);
+  }
+
+  // Sales cascade with their product, so a product that has sold must be deactivated instead
+  async deleteProduct(productId) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: { _count: { select: { sales: true } } },
+    });
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    if (product._count.sales > 0) {
+      throw new AppError('Product has recorded sales; deactivate it instead', 409);
+    }
+
+    await prisma.product.delete({ where: { id: productId } });
+  }
+
+  async getCommissionRateHistory(productId, { skip, take }) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, name: true, commissionRate: true },
+    });
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    const [total, history] = await Promise.all([
+      prisma.productCommissionRateHistory.count({ where: { productId } }),
+      prisma.productCommissionRateHistory.findMany({
+        where: { productId },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+    ]);
+
+    return {
+      product: { ...product, commissionRate: Number(product.commissionRate) },
+      total,
+      history: history.map(change => this.formatRateChange(change)),
+    };
+  }
+}
+
+export const productService = new ProductService();
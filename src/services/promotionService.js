@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { generateCouponCode, generatePromotionLink, generateReferralLink } from '../utils/codeGenerator.js';
+import { getWeekStart } from '../utils/helpers.js';
+
+const PROMOTION_CODE_LENGTH = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PRODUCT_SELECT = { id: true, name: true, category: true, isActive: true };
+
+const hashVisitor = (ipAddress, userAgent) => (
+  crypto.createHash('sha256').update(`${ipAddress || ''}|${userAgent || ''}`).digest('hex')
+);
+
+class PromotionService {
+  // Share URL for the public redirect plus where it leads; apiBaseUrl comes from the request
+  format(link, referralCode, apiBaseUrl) {
+    return {
+      id: link.id,
+      code: link.code,
+      product: link.product,
+      shareUrl: `${apiBaseUrl}/api/promotions/r/${link.code}`,
+      destinationUrl: generatePromotionLink(referralCode, link.productId, link.code),
+      clickCount: link.clickCount,
+      uniqueClickCount: link.uniqueClickCount,
+      conversionCount: link.conversionCount,
+      lastClickAt: link.lastClickAt,
+      createdAt: link.createdAt,
+    };
+  }
+
+  // One link per member and product; asking again returns the existing one
+  async getOrCreateLink(userId, productId) {
+    const existing = await prisma.promotionLink.findUnique({
+      where: { userId_productId: { userId, productId } },
+      include: { product: { select: PRODUCT_SELECT } },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const product = await prisma.product.findUnique({ where: { id: productId }, select: { isActive: true } });
+
+    if (!product || !product.isActive) {
+      throw new AppError('Product not found', 404);
+    }
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      try {
+        return await prisma.promotionLink.create({
+          data: { userId, productId, code: generateCouponCode(PROMOTION_CODE_LENGTH) },
+          include: { product: { select: PRODUCT_SELECT } },
+        });
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+
+        // Either a concurrent request created this member's link first or the code was taken; retry the latter
+        const created = await prisma.promotionLink.findUnique({
+          where: { userId_productId: { userId, productId } },
+          include: { product: { select: PRODUCT_SELECT } },
+        });
+
+        if (created) {
+          return created;
+        }
+      }
+    }
+
+    throw new AppError('Unable to generate a unique promotion code', 500);
+  }
+
+  async listUserLinks(userId) {
+    return await prisma.promotionLink.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      include: { product: { select: PRODUCT_SELECT } },
+    });
+  }
+
+  // Log a visit to a promotion link and return where to send the visitor.
+  // Only the first visit per visitor within the dedupe window is stored as a click, and the
+  // owner's own visits (when signed in) are not counted at all.
+  async trackClick(code, { viewerId = null, ipAddress = null, userAgent = null, referer = null } = {}) {
+    const link = await prisma.promotionLink.findUnique({
+      where: { code: code.toUpperCase() },
+      include: {
+        user: { select: { referralCode: true } },
+        product: { select: { isActive: true } },
+      },
+    });
+
+    if (!link) {
+      throw new AppError('Promotion link not found', 404);
+    }
+
+    // A withdrawn product still leads to the member's referral link, but the visit is not counted
+    if (!link.product.isActive) {
+      return generateReferralLink(link.user.referralCode);
+    }
+
+    if (viewerId && viewerId === link.userId) {
+      return generatePromotionLink(link.user.referralCode, link.productId, link.code);
+    }
+
+    const visitorHash = hashVisitor(ipAddress, userAgent);
+    const now = new Date();
+
+    const recentClick = await prisma.promotionClick.findFirst({
+      where: {
+        linkId: link.id,
+        visitorHash,
+        createdAt: { gte: new Date(now.getTime() - CONSTANTS.PROMOTION.CLICK_DEDUPE_HOURS * HOUR_MS) },
+      },
+      select: { id: true },
+    });
+
+    await prisma.$transaction(async (tx) => {
+      if (!recentClick) {
+        await tx.promotionClick.create({
+          data: {
+            linkId: link.id,
+            visitorHash,
+            ipAddress,
+            userAgent: userAgent?.slice(0, 512) || null,
+            referer: referer?.slice(0, 512) || null,
+          },
+        });
+      }
+
+      await tx.promotionLink.update({
+        where: { id: link.id },
+        data: {
+          clickCount: { increment: 1 },
+          ...(!recentClick && { uniqueClickCount: { increment: 1 } }),
+          lastClickAt: now,
+        },
+      });
+    });
+
+    return generatePromotionLink(link.user.referralCode, link.productId, link.code);
+  }
+
+  // Work out which of the seller's links a new sale came through. An explicit code must be the
+  // seller's own link for the product sold; without one, the seller's link for that product is
+  // used if someone else clicked it within the attribution window. The owner's own visits never
+  // set lastClickAt, so they can't attribute a sale.
+  async resolveAttribution(userId, productId, promotionCode) {
+    if (promotionCode) {
+      const link = await prisma.promotionLink.findUnique({
+        where: { code: String(promotionCode).trim().toUpperCase() },
+        select: { id: true, userId: true, productId: true },
+      });
+
+      if (!link || link.userId !== userId || link.productId !== productId) {
+        throw new AppError('Promotion code does not match your link for this product', 400);
+      }
+
+      return link.id;
+    }
+
+    const link = await prisma.promotionLink.findUnique({
+      where: { userId_productId: { userId, productId } },
+      select: { id: true, lastClickAt: true },
+    });
+
+    const windowStart = Date.now() - CONSTANTS.PROMOTION.ATTRIBUTION_WINDOW_DAYS * DAY_MS;
+
+    return link?.lastClickAt && link.lastClickAt.getTime() >= windowStart ? link.id : null;
+  }
+
+  // Keep a link's conversion count in step with its attributed sales, and the seller's weekly challenge
+  async recordConversion(sale, delta) {
+    try {
+      await prisma.promotionLink.update({
+        where: { id: sale.promotionLinkId },
+        data: { conversionCount: { increment: delta } },
+      });
+
+    } catch (error) {
+      // A failed counter update must never undo the sale itself
+      console.error(`Failed to update promotion conversions for sale ${sale.id}:`, error);
+    }
+
+    await this.refreshWeeklyProgress(sale);
+  }
+
+  // Recount the seller's weekly challenge after one of their attributed sales changed status
+  async refreshWeeklyProgress(sale) {
+    try {
+      await this.updateWeeklyProgress(sale.userId, sale.saleDate);
+    } catch (error) {
+      console.error(`Failed to update promotion progress for sale ${sale.id}:`, error);
+    }
+  }
+
+  // promote3Progress counts distinct products with attributed, confirmed sales in the sale's week
+  async updateWeeklyProgress(userId, saleDate = new Date()) {
+    const weekStart = getWeekStart(saleDate);
+    const weekEnd = new Date(weekStart.getTime() + 7 * DAY_MS);
+
+    const promoted = await prisma.sale.groupBy({
+      by: ['productId'],
+      where: {
+        userId,
+        promotionLinkId: { not: null },
+        status: CONSTANTS.SALE_STATUS.CONFIRMED,
+        saleDate: { gte: weekStart, lt: weekEnd },
+      },
+    });
+
+    const progress = promoted.length;
+    const completed = progress >= CONSTANTS.PROMOTION.WEEKLY_PRODUCT_TARGET;
+
+    await prisma.weeklyChallenge.upsert({
+      where: { userId_weekStartDate: { userId, weekStartDate: weekStart } },
+      create: { userId, weekStartDate: weekStart, promote3Progress: progress, promote3Products: completed },
+      update: { promote3Progress: progress, promote3Products: completed },
+    });
+  }
+}
+
+export const promotionService = new PromotionService();
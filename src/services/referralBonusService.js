@@ -0,0 +1,250 @@
+import { ledgerService } from './ledgerService.js';
+import { referralGraphService } from './referralGraphService.js';
+import { smsService } from './smsService.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { getReferralBonusTransactionType } from '../utils/helpers.js';
+
+// Name shown on the referrer's transaction; phone numbers are cut to the last 4 digits
+const getReferredUserName = (referredUser) => {
+  if (referredUser.firstName && referredUser.lastName) {
+    return `${referredUser.firstName} ${referredUser.lastName}`;
+  } else if (referredUser.firstName) {
+    return referredUser.firstName;
+  } else if (referredUser.lastName) {
+    return referredUser.lastName;
+  } else if (referredUser.phoneNumber) {
+    return `User ${referredUser.phoneNumber.slice(-4)}`;
+  }
+  return 'Unknown User';
+};
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+const REFERRED_USER_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  phoneNumber: true,
+};
+
+// Moves referral bonuses owed for one referred user between pending, held, available, forfeited and clawed back.
+// Every method takes the Prisma transaction client of the surrounding change.
+class ReferralBonusService {
+  // Pay out, or hold for fraud review, the bonuses a newly activated user generated.
+  // Returns how many bonuses were released or held. Errors propagate so the activation rolls back as a whole.
+  async processActivation(tx, userId, { hold = false } = {}) {
+    const pendingReferrals = await tx.referral.findMany({
+      where: {
+        referredId: userId,
+        earningsStatus: CONSTANTS.EARNINGS_STATUS.PENDING,
+      },
+      include: { referred: { select: REFERRED_USER_SELECT } },
+    });
+
+    // Only pay referrers who still sit at the recorded level of this user's upline
+    const deepestLevel = Math.max(0, ...pendingReferrals.map(referral => referral.level));
+    const upline = deepestLevel > 0
+      ? await referralGraphService.getUpline(userId, deepestLevel, tx)
+      : [];
+    const uplineByLevel = new Map(upline.map(member => [member.level, member.id]));
+
+    let processedCount = 0;
+
+    for (const referral of pendingReferrals) {
+      if (uplineByLevel.get(referral.level) !== referral.referrerId) {
+        console.warn(`⚠️ Skipping referral bonus ${referral.id}: referrer is no longer at level ${referral.level} of user ${userId}'s upline`);
+        continue;
+      }
+
+      if (hold) {
+        // Stays in the referrer's pending balance until an admin reviews the account
+        await tx.referral.update({
+          where: { id: referral.id },
+          data: { earningsStatus: CONSTANTS.EARNINGS_STATUS.HELD },
+        });
+      } else {
+        await this.release(tx, referral);
+      }
+
+      processedCount++;
+    }
+
+    return processedCount;
+  }
+
+  // Credit one bonus to the referrer's available balance
+  async release(tx, referral) {
+    const referredUserName = getReferredUserName(referral.referred);
+
+    await tx.referral.update({
+      where: { id: referral.id },
+      data: { earningsStatus: CONSTANTS.EARNINGS_STATUS.AVAILABLE },
+    });
+
+    const transaction = await tx.transaction.create({
+      data: {
+        userId: referral.referrerId,
+        type: getReferralBonusTransactionType(referral.level),
+        amount: referral.earningsAmount,
+        status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        description: `Level ${referral.level} referral bonus from ${referredUserName}'s activation`,
+        confirmedAt: new Date(),
+        metadata: {
+          referralId: referral.id,
+          referredUserId: referral.referredId,
+          referredUserName: referredUserName,
+          level: referral.level,
+        },
+      },
+    });
+
+    // Move the bonus from the referrer's pending to available balance
+    await ledgerService.releaseReferralBonus(tx, {
+      referrerId: referral.referrerId,
+      amount: referral.earningsAmount,
+      referralId: referral.id,
+      transactionId: transaction.id,
+    });
+  }
+
+  // Release bonuses held for review once the referred account is cleared
+  async releaseHeld(tx, userId) {
+    const heldReferrals = await tx.referral.findMany({
+      where: { referredId: userId, earningsStatus: CONSTANTS.EARNINGS_STATUS.HELD },
+      include: { referred: { select: REFERRED_USER_SELECT } },
+    });
+
+    for (const referral of heldReferrals) {
+      await this.release(tx, referral);
+    }
+
+    return heldReferrals.length;
+  }
+
+  // Reverse every bonus not yet paid for a referred account, held or still awaiting activation
+  async forfeitUnreleased(tx, userId, { reason }) {
+    const referrals = await tx.referral.findMany({
+      where: {
+        referredId: userId,
+        earningsStatus: { in: CONSTANTS.UNRELEASED_EARNINGS_STATUSES },
+      },
+    });
+
+    for (const referral of referrals) {
+      await tx.referral.update({
+        where: { id: referral.id },
+        data: { earningsStatus: CONSTANTS.EARNINGS_STATUS.FORFEITED },
+      });
+
+      // Zero-amount referrals are recorded as AVAILABLE, so every row here has a ledger entry to reverse
+      await ledgerService.forfeitReferralBonus(tx, {
+        referrerId: referral.referrerId,
+        amount: referral.earningsAmount,
+        referralId: referral.id,
+        reason,
+      });
+    }
+
+    return referrals.length;
+  }
+
+  // Take back bonuses already paid to the available balance through compensating transactions.
+  // Whatever the balance can't cover leaves it negative, and later earnings pay the debt off first.
+  async clawBackReleased(tx, userId, { trigger, reason, adminId = null }) {
+    const referrals = await tx.referral.findMany({
+      where: {
+        referredId: userId,
+        earningsStatus: CONSTANTS.EARNINGS_STATUS.AVAILABLE,
+        earningsAmount: { gt: 0 },
+      },
+      include: { referred: { select: REFERRED_USER_SELECT } },
+    });
+
+    const clawbacks = [];
+
+    for (const referral of referrals) {
+      // Claim the bonus first so two reversals can't take it back twice
+      const claimed = await tx.referral.updateMany({
+        where: { id: referral.id, earningsStatus: CONSTANTS.EARNINGS_STATUS.AVAILABLE },
+        data: { earningsStatus: CONSTANTS.EARNINGS_STATUS.CLAWED_BACK },
+      });
+
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      const referrer = await tx.user.findUnique({
+        where: { id: referral.referrerId },
+        select: { phoneNumber: true, availableBalance: true },
+      });
+
+      const amountCents = toCents(referral.earningsAmount);
+      const recoveredCents = Math.min(amountCents, Math.max(0, toCents(referrer.availableBalance)));
+
+      const transaction = await tx.transaction.create({
+        data: {
+          userId: referral.referrerId,
+          type: CONSTANTS.TRANSACTION_TYPES.REFERRAL_BONUS_CLAWBACK,
+          amount: referral.earningsAmount,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+          description: `Level ${referral.level} referral bonus from ${getReferredUserName(referral.referred)} reversed: ${reason}`,
+          confirmedAt: new Date(),
+          metadata: {
+            referralId: referral.id,
+            referredUserId: referral.referredId,
+            level: referral.level,
+            trigger,
+          },
+        },
+      });
+
+      await ledgerService.clawBackReferralBonus(tx, {
+        referrerId: referral.referrerId,
+        amount: referral.earningsAmount,
+        referralId: referral.id,
+        transactionId: transaction.id,
+        reason,
+      });
+
+      const clawback = await tx.referralClawback.create({
+        data: {
+          referralId: referral.id,
+          referrerId: referral.referrerId,
+          referredId: referral.referredId,
+          trigger,
+          reason,
+          amount: referral.earningsAmount,
+          recoveredAmount: recoveredCents / 100,
+          shortfallAmount: (amountCents - recoveredCents) / 100,
+          transactionId: transaction.id,
+          createdBy: adminId,
+        },
+      });
+
+      clawbacks.push({ ...clawback, phoneNumber: referrer.phoneNumber });
+    }
+
+    return clawbacks;
+  }
+
+  // Tell each referrer what was taken back, once the clawback is committed
+  async notifyClawbacks(clawbacks) {
+    const byReferrer = new Map();
+
+    for (const clawback of clawbacks) {
+      const totals = byReferrer.get(clawback.referrerId) || { phoneNumber: clawback.phoneNumber, amount: 0, shortfall: 0 };
+      totals.amount += toCents(clawback.amount);
+      totals.shortfall += toCents(clawback.shortfallAmount);
+      byReferrer.set(clawback.referrerId, totals);
+    }
+
+    for (const [referrerId, totals] of byReferrer) {
+      await smsService.notify(totals.phoneNumber, 'REFERRAL_BONUS_CLAWBACK', {
+        amount: totals.amount / 100,
+        shortfall: totals.shortfall / 100,
+      }, { userId: referrerId });
+    }
+  }
+}
+
+export const referralBonusService = new ReferralBonusService();
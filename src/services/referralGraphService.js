@@ -0,0 +1,193 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Hard cap on how far the graph is walked, whatever the caller asks for
+export const REFERRAL_GRAPH_MAX_DEPTH = 20;
+
+const clampDepth = (depth) => {
+  const value = parseInt(depth);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new AppError('Depth must be a positive whole number', 400);
+  }
+  return Math.min(value, REFERRAL_GRAPH_MAX_DEPTH);
+};
+
+// Columns returned for each member; enums are cast so raw results come back as plain strings
+const MEMBER_COLUMNS = Prisma.sql`
+  u.id,
+  u.first_name AS "firstName",
+  u.last_name AS "lastName",
+  u.phone_number AS "phoneNumber",
+  u.email,
+  u.referral_code AS "referralCode",
+  u.referred_by AS "referredBy",
+  u.user_level::text AS "userLevel",
+  u.account_status::text AS "accountStatus",
+  u.created_at AS "createdAt"
+`;
+
+// Users are linked by users.referred_by -> users.referral_code. The path array
+// stops the walk if bad data ever forms a cycle.
+const uplineCte = (userId, depth) => Prisma.sql`
+  WITH RECURSIVE upline AS (
+    SELECT parent.id, parent.referred_by, 1 AS level, ARRAY[child.id, parent.id] AS path
+    FROM users child
+    JOIN users parent ON parent.referral_code = child.referred_by
+    WHERE child.id = ${userId}
+    UNION ALL
+    SELECT parent.id, parent.referred_by, upline.level + 1, upline.path || parent.id
+    FROM upline
+    JOIN users parent ON parent.referral_code = upline.referred_by
+    WHERE upline.level < ${depth} AND NOT parent.id = ANY(upline.path)
+  )
+`;
+
+const downlineCte = (userId, depth) => Prisma.sql`
+  WITH RECURSIVE downline AS (
+    SELECT child.id, child.referral_code, 1 AS level, ARRAY[root.id, child.id] AS path
+    FROM users root
+    JOIN users child ON child.referred_by = root.referral_code
+    WHERE root.id = ${userId}
+    UNION ALL
+    SELECT child.id, child.referral_code, downline.level + 1, downline.path || child.id
+    FROM downline
+    JOIN users child ON child.referred_by = downline.referral_code
+    WHERE downline.level < ${depth} AND NOT child.id = ANY(downline.path)
+  )
+`;
+
+// Largest number of nodes one tree response carries; deeper parts are fetched by expanding a node
+export const DOWNLINE_TREE_MAX_NODES = 1000;
+
+// Levels loaded per tree request; a deeper node is loaded by expanding it
+export const DOWNLINE_TREE_DEFAULT_DEPTH = 2;
+export const DOWNLINE_TREE_MAX_DEPTH = 5;
+
+// Most members walked when adding up subtree totals for one tree request; past this the totals are partial
+export const DOWNLINE_TOTALS_MAX_MEMBERS = 50000;
+
+class ReferralGraphService {
+  // Members above a user, nearest first: [{ level: 1, ...referrer }, { level: 2, ... }]
+  // Pass a transaction client to read rows written earlier in the same transaction.
+  async getUpline(userId, depth, client = prisma) {
+    const maxDepth = clampDepth(depth);
+
+    const rows = await client.$queryRaw`
+      ${uplineCte(userId, maxDepth)}
+      SELECT upline.level, ${MEMBER_COLUMNS}
+      FROM upline
+      JOIN users u ON u.id = upline.id
+      ORDER BY upline.level
+    `;
+
+    return rows.map(row => ({ ...row, level: Number(row.level) }));
+  }
+
+  // Members below a user, level by level, newest sign-ups first within a level
+  async getDownline(userId, depth, { skip = 0, take = 20, level = null } = {}) {
+    const maxDepth = clampDepth(depth);
+    const levelFilter = level ? Prisma.sql`WHERE downline.level = ${level}` : Prisma.empty;
+
+    const [rows, counts] = await Promise.all([
+      prisma.$queryRaw`
+        ${downlineCte(userId, maxDepth)}
+        SELECT downline.level, ${MEMBER_COLUMNS}
+        FROM downline
+        JOIN users u ON u.id = downline.id
+        ${levelFilter}
+        ORDER BY downline.level, u.created_at DESC, u.id
+        OFFSET ${skip}
+        LIMIT ${take}
+      `,
+      prisma.$queryRaw`
+        ${downlineCte(userId, maxDepth)}
+        SELECT downline.level, COUNT(*)::int AS count
+        FROM downline
+        GROUP BY downline.level
+        ORDER BY downline.level
+      `,
+    ]);
+
+    const levelCounts = Object.fromEntries(counts.map(row => [`level${row.level}`, Number(row.count)]));
+    const totalMembers = counts.reduce((sum, row) => sum + Number(row.count), 0);
+
+    return {
+      members: rows.map(row => ({ ...row, level: Number(row.level) })),
+      levelCounts,
+      totalMembers,
+      total: level ? levelCounts[`level${level}`] || 0 : totalMembers,
+    };
+  }
+
+  // Every member within `depth` levels below rootId, with aggregates over each member's whole subtree:
+  // member counts and the bonuses viewerId earned from the member and from everyone under them.
+  // Every path starts at the root, so the root's own totals come out of the same aggregation.
+  // The walk stops after DOWNLINE_TOTALS_MAX_MEMBERS rows: Postgres emits the recursion level by
+  // level and only runs it as far as the LIMIT reads, so a huge downline is never read whole.
+  async getSubtree(rootId, depth, { viewerId }) {
+    const maxDepth = clampDepth(depth);
+
+    const rows = await prisma.$queryRaw`
+      ${downlineCte(rootId, REFERRAL_GRAPH_MAX_DEPTH)},
+      walked AS (
+        SELECT * FROM downline LIMIT ${DOWNLINE_TOTALS_MAX_MEMBERS}
+      ),
+      members AS (
+        SELECT walked.id, walked.level, walked.path, u.account_status::text AS account_status,
+          COALESCE(r.earnings_amount, 0) AS earnings
+        FROM walked
+        JOIN users u ON u.id = walked.id
+        LEFT JOIN referrals r ON r.referrer_id = ${viewerId} AND r.referred_id = walked.id
+      ),
+      aggregates AS (
+        SELECT ancestor.id AS node_id,
+          COUNT(*) FILTER (WHERE members.id <> ancestor.id)::int AS total_members,
+          COUNT(*) FILTER (WHERE members.id <> ancestor.id AND members.account_status = 'ACTIVE')::int AS active_members,
+          SUM(members.earnings) AS subtree_earnings
+        FROM members
+        CROSS JOIN LATERAL unnest(members.path) AS ancestor(id)
+        GROUP BY ancestor.id
+      )
+      SELECT aggregates.node_id AS "nodeId",
+        members.level,
+        members.path[array_length(members.path, 1) - 1] AS "parentId",
+        members.earnings AS "earningsForViewer",
+        aggregates.total_members AS "totalMembers",
+        aggregates.active_members AS "activeMembers",
+        aggregates.subtree_earnings AS "subtreeEarningsForViewer",
+        ${MEMBER_COLUMNS}
+      FROM aggregates
+      LEFT JOIN members ON members.id = aggregates.node_id
+      LEFT JOIN users u ON u.id = members.id
+      WHERE aggregates.node_id = ${rootId} OR members.level <= ${maxDepth}
+      ORDER BY members.level NULLS FIRST, u.created_at, u.id
+      LIMIT ${DOWNLINE_TREE_MAX_NODES + 2}
+    `;
+
+    const toTotals = (row) => ({
+      totalMembers: Number(row?.totalMembers || 0),
+      activeMembers: Number(row?.activeMembers || 0),
+      subtreeEarningsForViewer: Number(row?.subtreeEarningsForViewer || 0),
+    });
+
+    // A root without any downline has no aggregate row
+    const rootRow = rows.find(row => row.nodeId === rootId);
+    const memberRows = rows.filter(row => row.nodeId !== rootId);
+    const rootTotals = toTotals(rootRow);
+
+    return {
+      rootTotals,
+      members: memberRows.slice(0, DOWNLINE_TREE_MAX_NODES).map(row => ({
+        ...row,
+        ...toTotals(row),
+        level: Number(row.level),
+        earningsForViewer: Number(row.earningsForViewer),
+      })),
+      truncated: memberRows.length > DOWNLINE_TREE_MAX_NODES,
+      totalsCapped: rootTotals.totalMembers >= DOWNLINE_TOTALS_MAX_MEMBERS,
+    };
+  }
+}
+
+export const referralGraphService = new ReferralGraphService();
@@ -1,5 +1,12 @@
 import { prisma } from '../lib/prisma.js';
 import { CONSTANTS } from '../utils/constants.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+  referralGraphService,
+  REFERRAL_GRAPH_MAX_DEPTH,
+  DOWNLINE_TREE_DEFAULT_DEPTH,
+  DOWNLINE_TREE_MAX_DEPTH,
+} from './referralGraphService.js';
 
 // Get pending referral earnings for a user
 export const getPendingReferralEarnings = async (userId) => {
@@ -37,6 +44,8 @@ export const getPendingReferralEarnings = async (userId) => {
     const level = `level${referral.level}`;
     const amount = Number(referral.earningsAmount);
     
+    // Plans deeper than three levels add further keys
+    summary[level] ??= { count: 0, amount: 0, referrals: [] };
     summary[level].count += 1;
     summary[level].amount += amount;
     summary[level].referrals.push({
@@ -109,143 +118,176 @@ export const calculateActivationImpact = async (userId) => {
   return impactSummary;
 };
 
-// Get referral chain for a user (who referred them and who they referred)
-export const getReferralChain = async (userId) => {
+// Contact details are only shared between direct referrer and referral (level 1), as in the tree
+const formatMember = (member) => ({
+  id: member.id,
+  fullName: [member.firstName, member.lastName].filter(Boolean).join(' ') || 'Unknown',
+  ...(member.level === 1 && {
+    phoneNumber: member.phoneNumber,
+    email: member.email,
+  }),
+  referralCode: member.referralCode,
+  userLevel: member.userLevel,
+  accountStatus: member.accountStatus,
+  joinedAt: member.createdAt,
+});
+
+// Get referral chain for a user: everyone above them and a page of the users they referred directly
+export const getReferralChain = async (userId, { depth, skip = 0, take = 20 } = {}) => {
   const user = await prisma.user.findUnique({
     where: { id: userId },
+    select: { id: true },
+  });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [upline, directReferrals] = await Promise.all([
+    referralGraphService.getUpline(userId, depth),
+    referralGraphService.getDownline(userId, 1, { skip, take }),
+  ]);
+
+  return {
+    userId,
+    upline: upline.map(member => ({ level: member.level, user: formatMember(member) })),
+    downline: directReferrals.members.map(member => ({ user: formatMember(member) })),
+    totalDownlineCount: directReferrals.total,
+  };
+};
+
+// Everyone below a user down to `depth` levels, with what each member earned this user
+export const getReferralTree = async (userId, { depth, level = null, skip = 0, take = 20 } = {}) => {
+  const downline = await referralGraphService.getDownline(userId, depth, { skip, take, level });
+
+  // Bonuses only exist for members within the commission plan depth at the time they joined
+  const referrals = await prisma.referral.findMany({
+    where: {
+      referrerId: userId,
+      referredId: { in: downline.members.map(member => member.id) },
+    },
     select: {
       id: true,
-      referredBy: true,
-      referralCode: true,
+      referredId: true,
+      earningsAmount: true,
+      earningsStatus: true,
+      commissionPlanVersion: true,
     },
   });
+  const referralByMember = new Map(referrals.map(referral => [referral.referredId, referral]));
 
-  if (!user) {
-    throw new Error('User not found');
+  return {
+    ...downline,
+    members: downline.members.map(member => {
+      const referral = referralByMember.get(member.id);
+
+      return {
+        level: member.level,
+        user: formatMember(member),
+        referralId: referral?.id || null,
+        earningsAmount: referral ? Number(referral.earningsAmount) : 0,
+        earningsStatus: referral?.earningsStatus || null,
+        commissionPlanVersion: referral?.commissionPlanVersion ?? null,
+      };
+    }),
+  };
+};
+
+// Tree node as shown to the viewer; contact details are left out for members below the viewer
+const toTreeNode = (member, { level, earningsForViewer, totals, childrenLoaded }) => ({
+  id: member.id,
+  fullName: [member.firstName, member.lastName].filter(Boolean).join(' ') || 'Unknown',
+  userLevel: member.userLevel,
+  accountStatus: member.accountStatus,
+  joinedAt: member.createdAt,
+  level,
+  earningsForViewer,
+  subtree: {
+    totalMembers: totals.totalMembers,
+    activeMembers: totals.activeMembers,
+    inactiveMembers: totals.totalMembers - totals.activeMembers,
+    earningsForViewer: totals.subtreeEarningsForViewer,
+  },
+  hasChildren: totals.totalMembers > 0,
+  // False when the node sits at the depth limit; expand it by id to load its children
+  childrenLoaded,
+  children: [],
+});
+
+// Nested downline for viewerId, rooted at the viewer or at any member of their downline (lazy expansion)
+export const getDownlineTree = async (viewerId, { nodeId = null, depth = DOWNLINE_TREE_DEFAULT_DEPTH } = {}) => {
+  const rootId = nodeId || viewerId;
+  const levels = parseInt(depth);
+
+  if (!Number.isInteger(levels) || levels < 1 || levels > DOWNLINE_TREE_MAX_DEPTH) {
+    throw new AppError(`Depth must be a whole number between 1 and ${DOWNLINE_TREE_MAX_DEPTH}`, 400);
   }
+  let rootLevel = 0;
+
+  if (rootId !== viewerId) {
+    const upline = await referralGraphService.getUpline(rootId, REFERRAL_GRAPH_MAX_DEPTH);
+    const viewer = upline.find(member => member.id === viewerId);
 
-  // Get upline (who referred this user)
-  const upline = [];
-  if (user.referredBy) {
-    const directReferrer = await prisma.user.findUnique({
-      where: { referralCode: user.referredBy },
+    if (!viewer) {
+      throw new AppError('Member not found in your downline', 404);
+    }
+
+    rootLevel = viewer.level;
+  }
+
+  const [root, rootReferral, subtree] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: rootId },
       select: {
         id: true,
-        phoneNumber: true,
         firstName: true,
         lastName: true,
-        referralCode: true,
-        referredBy: true,
+        userLevel: true,
+        accountStatus: true,
+        createdAt: true,
       },
-    });
+    }),
+    rootId === viewerId
+      ? null
+      : prisma.referral.findUnique({
+        where: { referrerId_referredId: { referrerId: viewerId, referredId: rootId } },
+        select: { earningsAmount: true },
+      }),
+    referralGraphService.getSubtree(rootId, levels, { viewerId }),
+  ]);
 
-    if (directReferrer) {
-      upline.push({
-        level: 1,
-        user: {
-          id: directReferrer.id,
-          fullName: [directReferrer.firstName, directReferrer.lastName]
-            .filter(Boolean).join(' ') || 'Unknown',
-          phoneNumber: directReferrer.phoneNumber,
-          referralCode: directReferrer.referralCode,
-        },
-      });
-
-      // Get level 2 referrer
-      if (directReferrer.referredBy) {
-        const level2Referrer = await prisma.user.findUnique({
-          where: { referralCode: directReferrer.referredBy },
-          select: {
-            id: true,
-            phoneNumber: true,
-            firstName: true,
-            lastName: true,
-            email: true,
-            referralCode: true,
-            referredBy: true,
-          },
-        });
-
-        if (level2Referrer) {
-          upline.push({
-            level: 2,
-            user: {
-              id: level2Referrer.id,
-              fullName: [level2Referrer.firstName, level2Referrer.lastName]
-                .filter(Boolean).join(' ') || 'Unknown',
-              phoneNumber: level2Referrer.phoneNumber,
-              email: level2Referrer.email,
-              referralCode: level2Referrer.referralCode,
-            },
-          });
-
-          // Get level 3 referrer
-          if (level2Referrer.referredBy) {
-            const level3Referrer = await prisma.user.findUnique({
-              where: { referralCode: level2Referrer.referredBy },
-              select: {
-                id: true,
-                phoneNumber: true,
-                firstName: true,
-                lastName: true,
-                email: true,
-                referralCode: true,
-              },
-            });
-
-            if (level3Referrer) {
-              upline.push({
-                level: 3,
-                user: {
-                  id: level3Referrer.id,
-                  fullName: [level3Referrer.firstName, level3Referrer.lastName]
-                    .filter(Boolean).join(' ') || 'Unknown',
-                  phoneNumber: level3Referrer.phoneNumber,
-                  email: level3Referrer.email,
-                  referralCode: level3Referrer.referralCode,
-                },
-              });
-            }
-          }
-        }
-      }
-    }
+  if (!root) {
+    throw new AppError('User not found', 404);
   }
 
-  // Get downline (users this user referred directly)
-  const directReferrals = await prisma.user.findMany({
-    where: { referredBy: user.referralCode },
-    select: {
-      id: true,
-      phoneNumber: true,
-      firstName: true,
-      lastName: true,
-      email: true,
-      referralCode: true,
-      accountStatus: true,
-      createdAt: true,
-    },
-    orderBy: { createdAt: 'desc' },
+  const rootNode = toTreeNode(root, {
+    level: rootLevel,
+    earningsForViewer: rootReferral ? Number(rootReferral.earningsAmount) : 0,
+    totals: subtree.rootTotals,
+    childrenLoaded: true,
   });
 
-  const downline = directReferrals.map(referral => ({
-    user: {
-      id: referral.id,
-      fullName: [referral.firstName, referral.lastName]
-        .filter(Boolean).join(' ') || 'Unknown',
-      phoneNumber: referral.phoneNumber,
-      email: referral.email,
-      referralCode: referral.referralCode,
-      accountStatus: referral.accountStatus,
-      joinedAt: referral.createdAt,
-    },
-  }));
+  // Rows arrive level by level, so every parent is placed before its children
+  const nodes = new Map([[rootId, rootNode]]);
+
+  for (const member of subtree.members) {
+    const node = toTreeNode(member, {
+      level: rootLevel + member.level,
+      earningsForViewer: member.earningsForViewer,
+      totals: member,
+      childrenLoaded: member.level < levels,
+    });
+
+    nodes.set(member.id, node);
+    nodes.get(member.parentId)?.children.push(node);
+  }
 
   return {
-    userId,
-    upline,
-    downline,
-    totalDownlineCount: downline.length,
+    tree: rootNode,
+    depth: levels,
+    nodeCount: subtree.members.length,
+    truncated: subtree.truncated,
+    totalsCapped: subtree.totalsCapped,
   };
 };
 
@@ -253,4 +295,6 @@ export default {
   getPendingReferralEarnings,
   calculateActivationImpact,
   getReferralChain,
+  getReferralTree,
+  getDownlineTree,
 };
\ No newline at end of file
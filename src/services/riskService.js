@@ -0,0 +1,402 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { referralGraphService } from './referralGraphService.js';
+import { referralBonusService } from './referralBonusService.js';
+import { systemSettingsService } from './systemSettingsService.js';
+
+// Signals and what each adds to a score out of 100. An account is flagged for review
+// once its score reaches the fraudReviewThreshold system setting.
+export const RISK_SIGNALS = {
+  SHARED_DEVICE: { weight: 40, description: 'Device fingerprint already used by other accounts' },
+  REFERRER_DEVICE: { weight: 60, description: 'Same device as the referrer' },
+  SHARED_IP: { weight: 15, description: 'Several accounts registered from this IP address recently' },
+  REFERRER_IP: { weight: 30, description: 'Same IP address as the referrer' },
+  RAPID_SIGNUPS: { weight: 25, description: 'Burst of sign-ups under the same referral code' },
+  PAYER_REUSED: { weight: 40, description: 'M-Pesa payer number used for other accounts' },
+  REFERRER_PAID: { weight: 60, description: "Activation paid from the referrer's phone" },
+  UPLINE_LINKED: { weight: 50, description: 'Shares a device, IP address or payer number with an account further up the referral chain' },
+};
+
+const MAX_SCORE = 100;
+
+const SHARED_IP_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SHARED_IP_LIMIT = 3; // Other accounts from one IP within the window
+
+const RAPID_SIGNUP_WINDOW_MS = 60 * 60 * 1000;
+const RAPID_SIGNUP_LIMIT = 5; // Sign-ups under one code within the window
+
+// How far up the referral chain ring checks look
+const UPLINE_CHECK_DEPTH = 5;
+
+const USER_SUMMARY_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  phoneNumber: true,
+  accountStatus: true,
+  referredBy: true,
+  createdAt: true,
+};
+
+const signal = (code, detail) => ({
+  code,
+  weight: RISK_SIGNALS[code].weight,
+  detail,
+});
+
+class RiskService {
+  // Clients send a stable device id in X-Device-Fingerprint; it is optional
+  contextFromRequest(req) {
+    return {
+      ipAddress: req.ip || null,
+      deviceFingerprint: req.get('x-device-fingerprint')?.trim().slice(0, 256) || null,
+    };
+  }
+
+  // Devices, IPs and payer numbers seen for members of a user's upline, with their level
+  async getUplineTraces(client, userId) {
+    const upline = await referralGraphService.getUpline(userId, UPLINE_CHECK_DEPTH, client);
+    if (upline.length === 0) {
+      return { upline, traces: [] };
+    }
+
+    const levelOf = new Map(upline.map(member => [member.id, member.level]));
+    const assessments = await client.riskAssessment.findMany({
+      where: { userId: { in: upline.map(member => member.id) } },
+      select: { userId: true, ipAddress: true, deviceFingerprint: true, payerNumber: true },
+    });
+
+    return {
+      upline,
+      traces: assessments.map(trace => ({ ...trace, level: levelOf.get(trace.userId) })),
+    };
+  }
+
+  async record(client, { userId, event, signals, ipAddress = null, deviceFingerprint = null, payerNumber = null }) {
+    const score = Math.min(MAX_SCORE, signals.reduce((sum, entry) => sum + entry.weight, 0));
+    const threshold = await systemSettingsService.get('fraudReviewThreshold');
+    const flagged = score >= threshold;
+
+    if (flagged) {
+      console.warn(`⚠️ ${event} of user ${userId} flagged for fraud review (score ${score}: ${signals.map(entry => entry.code).join(', ')})`);
+    }
+
+    return await client.riskAssessment.create({
+      data: {
+        userId,
+        event,
+        score,
+        signals,
+        status: flagged ? CONSTANTS.RISK_REVIEW_STATUS.FLAGGED : CONSTANTS.RISK_REVIEW_STATUS.CLEAR,
+        ipAddress,
+        deviceFingerprint,
+        payerNumber,
+      },
+    });
+  }
+
+  // Score a new account. Runs after the account is saved, so a failure is logged
+  // rather than undoing the registration.
+  async assessRegistration({ user, referrer = null, ipAddress = null, deviceFingerprint = null }) {
+    try {
+      const signals = [];
+      const { traces } = referrer ? await this.getUplineTraces(prisma, user.id) : { traces: [] };
+      const referrerTraces = traces.filter(trace => trace.level === 1);
+
+      if (deviceFingerprint) {
+        if (referrerTraces.some(trace => trace.deviceFingerprint === deviceFingerprint)) {
+          signals.push(signal('REFERRER_DEVICE', 'Registered on the device the referrer uses'));
+        } else {
+          const others = await prisma.riskAssessment.findMany({
+            where: { deviceFingerprint, userId: { not: user.id } },
+            distinct: ['userId'],
+            select: { userId: true },
+            take: 50,
+          });
+
+          if (others.length > 0) {
+            signals.push(signal('SHARED_DEVICE', `Device used by ${others.length} other account(s)`));
+          }
+        }
+      }
+
+      if (ipAddress) {
+        // Referrers who joined before assessments existed are matched on their login sessions
+        const referrerSharesIp = referrer && (
+          referrerTraces.some(trace => trace.ipAddress === ipAddress) ||
+          await prisma.userSession.count({ where: { userId: referrer.id, ipAddress } }) > 0
+        );
+
+        if (referrerSharesIp) {
+          signals.push(signal('REFERRER_IP', 'Registered from an IP address the referrer uses'));
+        } else {
+          const others = await prisma.riskAssessment.findMany({
+            where: {
+              ipAddress,
+              event: CONSTANTS.RISK_EVENTS.REGISTRATION,
+              userId: { not: user.id },
+              createdAt: { gte: new Date(Date.now() - SHARED_IP_WINDOW_MS) },
+            },
+            distinct: ['userId'],
+            select: { userId: true },
+            take: 50,
+          });
+
+          if (others.length >= SHARED_IP_LIMIT) {
+            signals.push(signal('SHARED_IP', `${others.length} other account(s) registered from this IP in the last 24 hours`));
+          }
+        }
+      }
+
+      if (referrer) {
+        const recentSignups = await prisma.user.count({
+          where: {
+            referredBy: referrer.referralCode,
+            createdAt: { gte: new Date(Date.now() - RAPID_SIGNUP_WINDOW_MS) },
+          },
+        });
+
+        if (recentSignups >= RAPID_SIGNUP_LIMIT) {
+          signals.push(signal('RAPID_SIGNUPS', `${recentSignups} sign-ups under referral code ${referrer.referralCode} in the last hour`));
+        }
+      }
+
+      // A ring: someone higher up the chain registered from the same device or IP
+      const linked = traces.find(trace => trace.level > 1 && (
+        (deviceFingerprint && trace.deviceFingerprint === deviceFingerprint) ||
+        (ipAddress && trace.ipAddress === ipAddress)
+      ));
+
+      if (linked) {
+        signals.push(signal('UPLINE_LINKED', `Shares a device or IP address with the level ${linked.level} upline member`));
+      }
+
+      return await this.record(prisma, {
+        userId: user.id,
+        event: CONSTANTS.RISK_EVENTS.REGISTRATION,
+        signals,
+        ipAddress,
+        deviceFingerprint,
+      });
+    } catch (error) {
+      console.error(`Failed to assess registration risk for user ${user.id}:`, error);
+      return null;
+    }
+  }
+
+  // Score an activation inside its transaction, so the hold decision sees the result
+  async assessActivation(tx, { userId, payerNumber }) {
+    const signals = [];
+    const { upline, traces } = await this.getUplineTraces(tx, userId);
+    const referrer = upline.find(member => member.level === 1);
+
+    const otherPayers = await tx.activationPayment.findMany({
+      where: {
+        phoneNumber: payerNumber,
+        status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+        userId: { not: userId },
+      },
+      distinct: ['userId'],
+      select: { userId: true },
+      take: 50,
+    });
+    const otherPayerIds = new Set(otherPayers.map(payment => payment.userId));
+
+    // Someone higher up the chain owns or paid with this number
+    const linkedMember = upline.find(member => member.level > 1 && (
+      member.phoneNumber === payerNumber ||
+      otherPayerIds.has(member.id) ||
+      traces.some(trace => trace.userId === member.id && trace.payerNumber === payerNumber)
+    ));
+
+    if (referrer && (referrer.phoneNumber === payerNumber || otherPayerIds.has(referrer.id))) {
+      signals.push(signal('REFERRER_PAID', 'Activation fee paid from the phone number the referrer uses'));
+    } else if (linkedMember) {
+      signals.push(signal('UPLINE_LINKED', `Activation fee paid from the number used by the level ${linkedMember.level} upline member`));
+    } else {
+      const owner = await tx.user.findFirst({
+        where: { phoneNumber: payerNumber, id: { not: userId } },
+        select: { id: true },
+      });
+      const otherAccounts = new Set([...otherPayerIds, ...(owner ? [owner.id] : [])]).size;
+
+      if (otherAccounts > 0) {
+        signals.push(signal('PAYER_REUSED', `Payer number linked to ${otherAccounts} other account(s)`));
+      }
+    }
+
+    return await this.record(tx, {
+      userId,
+      event: CONSTANTS.RISK_EVENTS.ACTIVATION,
+      signals,
+      payerNumber,
+    });
+  }
+
+  // True while any assessment waits for review or was rejected
+  async isUnderReview(client, userId) {
+    const open = await client.riskAssessment.count({
+      where: {
+        userId,
+        status: { in: [CONSTANTS.RISK_REVIEW_STATUS.FLAGGED, CONSTANTS.RISK_REVIEW_STATUS.REJECTED] },
+      },
+    });
+
+    return open > 0;
+  }
+
+  // Review queue, oldest first so nothing waits forever
+  async listReviews({ status = CONSTANTS.RISK_REVIEW_STATUS.FLAGGED, event = null } = {}, { skip, take }) {
+    const where = {
+      status,
+      ...(event && { event }),
+    };
+
+    const [total, assessments] = await Promise.all([
+      prisma.riskAssessment.count({ where }),
+      prisma.riskAssessment.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        skip,
+        take,
+        include: { user: { select: USER_SUMMARY_SELECT } },
+      }),
+    ]);
+
+    const held = await prisma.referral.groupBy({
+      by: ['referredId'],
+      where: {
+        referredId: { in: [...new Set(assessments.map(assessment => assessment.userId))] },
+        earningsStatus: CONSTANTS.EARNINGS_STATUS.HELD,
+      },
+      _sum: { earningsAmount: true },
+      _count: { _all: true },
+    });
+    const heldByUser = new Map(held.map(row => [row.referredId, row]));
+
+    return {
+      total,
+      reviews: assessments.map(assessment => ({
+        ...assessment,
+        heldBonuses: {
+          count: heldByUser.get(assessment.userId)?._count._all || 0,
+          amount: Number(heldByUser.get(assessment.userId)?._sum.earningsAmount || 0),
+        },
+      })),
+    };
+  }
+
+  // Everything a reviewer needs for one account: its assessments, the bonuses it generated
+  // and other accounts sharing its devices, IP addresses or payer numbers
+  async getUserRisk(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: USER_SUMMARY_SELECT,
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [assessments, referrals] = await Promise.all([
+      prisma.riskAssessment.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.referral.findMany({
+        where: { referredId: userId },
+        orderBy: { level: 'asc' },
+        select: {
+          id: true,
+          level: true,
+          earningsAmount: true,
+          earningsStatus: true,
+          referrer: { select: { id: true, firstName: true, lastName: true, phoneNumber: true } },
+        },
+      }),
+    ]);
+
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    const devices = unique(assessments.map(assessment => assessment.deviceFingerprint));
+    const ipAddresses = unique(assessments.map(assessment => assessment.ipAddress));
+    const payerNumbers = unique(assessments.map(assessment => assessment.payerNumber));
+
+    const matches = [
+      ...devices.map(deviceFingerprint => ({ deviceFingerprint })),
+      ...ipAddresses.map(ipAddress => ({ ipAddress })),
+      ...payerNumbers.map(payerNumber => ({ payerNumber })),
+    ];
+
+    const linked = matches.length > 0
+      ? await prisma.riskAssessment.findMany({
+        where: { userId: { not: userId }, OR: matches },
+        distinct: ['userId'],
+        take: 50,
+        select: { userId: true, user: { select: USER_SUMMARY_SELECT } },
+      })
+      : [];
+
+    return {
+      user,
+      assessments,
+      referralBonuses: referrals.map(referral => ({
+        ...referral,
+        earningsAmount: Number(referral.earningsAmount),
+      })),
+      linkedAccounts: linked.map(entry => entry.user),
+    };
+  }
+
+  // Approving releases held bonuses once nothing else about the account is open;
+  // rejecting forfeits every bonus the account has not yet paid out
+  async resolve(assessmentId, { decision, note = null }, { adminId = null } = {}) {
+    const status = decision === 'approve'
+      ? CONSTANTS.RISK_REVIEW_STATUS.APPROVED
+      : CONSTANTS.RISK_REVIEW_STATUS.REJECTED;
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Only a flagged assessment can be reviewed, so two admins can't both act on it
+      const claimed = await tx.riskAssessment.updateMany({
+        where: { id: assessmentId, status: CONSTANTS.RISK_REVIEW_STATUS.FLAGGED },
+        data: { status, reviewedBy: adminId, reviewNote: note, reviewedAt: new Date() },
+      });
+
+      const assessment = await tx.riskAssessment.findUnique({ where: { id: assessmentId } });
+
+      if (!assessment) {
+        throw new AppError('Risk assessment not found', 404);
+      }
+
+      if (claimed.count === 0) {
+        throw new AppError(`Risk assessment is not awaiting review (${assessment.status})`, 409);
+      }
+
+      let releasedBonuses = 0;
+      let forfeitedBonuses = 0;
+      let clawbacks = [];
+
+      if (status === CONSTANTS.RISK_REVIEW_STATUS.REJECTED) {
+        const reason = 'referred account rejected in fraud review';
+        forfeitedBonuses = await referralBonusService.forfeitUnreleased(tx, assessment.userId, { reason });
+        // Bonuses paid out before the account was flagged are taken back too
+        clawbacks = await referralBonusService.clawBackReleased(tx, assessment.userId, {
+          trigger: CONSTANTS.CLAWBACK_TRIGGERS.FRAUD,
+          reason,
+          adminId,
+        });
+      } else if (!(await this.isUnderReview(tx, assessment.userId))) {
+        releasedBonuses = await referralBonusService.releaseHeld(tx, assessment.userId);
+      }
+
+      return { assessment, releasedBonuses, forfeitedBonuses, clawbacks };
+    });
+
+    await referralBonusService.notifyClawbacks(result.clawbacks);
+
+    const { clawbacks, ...outcome } = result;
+    return { ...outcome, clawedBackBonuses: clawbacks.length };
+  }
+}
+
+export const riskService = new RiskService();
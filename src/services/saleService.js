@@ -0,0 +1,279 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { ledgerService } from './ledgerService.js';
+import { smsService } from './smsService.js';
+import { promotionService } from './promotionService.js';
+
+// Customer details members may attach to a sale; anything else is dropped
+const CUSTOMER_INFO_FIELDS = ['name', 'phoneNumber', 'email', 'notes'];
+const CUSTOMER_INFO_MAX_LENGTH = 500;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const PRODUCT_SELECT = { id: true, name: true, category: true };
+
+class SaleService {
+  format(sale) {
+    return {
+      ...sale,
+      saleAmount: Number(sale.saleAmount),
+      commissionAmount: Number(sale.commissionAmount),
+      commissionRate: Number(sale.commissionRate),
+    };
+  }
+
+  sanitizeCustomerInfo(customerInfo) {
+    if (!customerInfo) {
+      return null;
+    }
+
+    if (typeof customerInfo !== 'object' || Array.isArray(customerInfo)) {
+      throw new AppError('Customer info must be an object', 400);
+    }
+
+    const sanitized = {};
+    for (const field of CUSTOMER_INFO_FIELDS) {
+      const value = customerInfo[field];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+
+      if (typeof value !== 'string' || value.length > CUSTOMER_INFO_MAX_LENGTH) {
+        throw new AppError(`Customer ${field} must be text of at most ${CUSTOMER_INFO_MAX_LENGTH} characters`, 400);
+      }
+
+      sanitized[field] = value.trim();
+    }
+
+    return Object.keys(sanitized).length > 0 ? sanitized : null;
+  }
+
+  // Record a member's sale for review; the commission is fixed at the product's current rate.
+  // The sale is attributed to the member's promotion link for the product when it came through one.
+  async submitSale(userId, { productId, saleAmount, customerInfo, promotionCode }) {
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+
+    if (!product || !product.isActive) {
+      throw new AppError('Product not found', 404);
+    }
+
+    const promotionLinkId = await promotionService.resolveAttribution(userId, productId, promotionCode);
+
+    const amount = roundCurrency(Number(saleAmount));
+    const commissionRate = Number(product.commissionRate);
+    const commissionAmount = roundCurrency(amount * commissionRate);
+
+    // The route validator checks the amount too; this keeps other callers from overflowing the columns
+    if (!Number.isFinite(amount) || amount <= 0 || amount > CONSTANTS.MAX_SALE_AMOUNT || commissionAmount > CONSTANTS.MAX_SALE_AMOUNT) {
+      throw new AppError(`Sale amount must be a positive number of at most ${CONSTANTS.MAX_SALE_AMOUNT}`, 400);
+    }
+
+    const sale = await prisma.sale.create({
+      data: {
+        userId,
+        productId,
+        saleAmount: amount,
+        commissionRate,
+        commissionAmount,
+        customerInfo: this.sanitizeCustomerInfo(customerInfo),
+        promotionLinkId,
+      },
+      include: { product: { select: PRODUCT_SELECT } },
+    });
+
+    if (promotionLinkId) {
+      await promotionService.recordConversion(sale, 1);
+    }
+
+    return this.format(sale);
+  }
+
+  buildWhere({ userId, productId, status }) {
+    return {
+      ...(userId && { userId }),
+      ...(productId && { productId }),
+      ...(status && { status }),
+    };
+  }
+
+  async listSales(filters, { skip, take, includeUser = false }) {
+    const where = this.buildWhere(filters);
+
+    const [total, sales] = await Promise.all([
+      prisma.sale.count({ where }),
+      prisma.sale.findMany({
+        where,
+        orderBy: { saleDate: 'desc' },
+        skip,
+        take,
+        include: {
+          product: { select: PRODUCT_SELECT },
+          ...(includeUser && {
+            user: { select: { id: true, phoneNumber: true, firstName: true, lastName: true } },
+          }),
+        },
+      }),
+    ]);
+
+    return { total, sales: sales.map(sale => this.format(sale)) };
+  }
+
+  // Members only see their own sales
+  async getUserSale(userId, saleId) {
+    const sale = await prisma.sale.findFirst({
+      where: { id: saleId, userId },
+      include: { product: { select: PRODUCT_SELECT } },
+    });
+
+    if (!sale) {
+      throw new AppError('Sale not found', 404);
+    }
+
+    return this.format(sale);
+  }
+
+  // Count and value of a member's sales per status; earned commission counts confirmed sales only
+  async getUserTotals(userId) {
+    const groups = await prisma.sale.groupBy({
+      by: ['status'],
+      where: { userId },
+      _count: { _all: true },
+      _sum: { saleAmount: true, commissionAmount: true },
+    });
+
+    const totals = Object.fromEntries(
+      Object.values(CONSTANTS.SALE_STATUS).map(status => [status, { count: 0, saleAmount: 0, commissionAmount: 0 }])
+    );
+
+    for (const group of groups) {
+      totals[group.status] = {
+        count: group._count._all,
+        saleAmount: Number(group._sum.saleAmount || 0),
+        commissionAmount: Number(group._sum.commissionAmount || 0),
+      };
+    }
+
+    return {
+      totalSales: groups.reduce((sum, group) => sum + group._count._all, 0),
+      commissionEarned: totals[CONSTANTS.SALE_STATUS.CONFIRMED].commissionAmount,
+      commissionPending: totals[CONSTANTS.SALE_STATUS.PENDING].commissionAmount,
+      byStatus: totals,
+    };
+  }
+
+  // Only a pending sale can be reviewed, so two admins can't both act on it
+  async claimForReview(tx, saleId, data) {
+    const claimed = await tx.sale.updateMany({
+      where: { id: saleId, status: CONSTANTS.SALE_STATUS.PENDING },
+      data,
+    });
+
+    const sale = await tx.sale.findUnique({
+      where: { id: saleId },
+      include: {
+        product: { select: PRODUCT_SELECT },
+        user: { select: { phoneNumber: true } },
+      },
+    });
+
+    if (!sale) {
+      throw new AppError('Sale not found', 404);
+    }
+
+    if (claimed.count === 0) {
+      throw new AppError(`Sale is not awaiting review (${sale.status})`, 409);
+    }
+
+    return sale;
+  }
+
+  // Confirm a sale and credit its commission through a COMMISSION_BONUS transaction
+  async confirmSale(saleId, { adminId = null } = {}) {
+    const sale = await prisma.$transaction(async (tx) => {
+      const claimed = await this.claimForReview(tx, saleId, {
+        status: CONSTANTS.SALE_STATUS.CONFIRMED,
+        isConfirmed: true,
+        reviewedBy: adminId,
+        confirmedAt: new Date(),
+      });
+
+      // A zero-rate product confirms the sale without paying anything
+      if (Number(claimed.commissionAmount) <= 0) {
+        return claimed;
+      }
+
+      const transaction = await tx.transaction.create({
+        data: {
+          userId: claimed.userId,
+          type: CONSTANTS.TRANSACTION_TYPES.COMMISSION_BONUS,
+          amount: claimed.commissionAmount,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+          description: `Commission on ${claimed.product.name} sale`,
+          confirmedAt: new Date(),
+          metadata: {
+            saleId: claimed.id,
+            productId: claimed.productId,
+            saleAmount: Number(claimed.saleAmount),
+            commissionRate: Number(claimed.commissionRate),
+          },
+        },
+      });
+
+      await ledgerService.recordSalesCommission(tx, {
+        userId: claimed.userId,
+        amount: claimed.commissionAmount,
+        saleId: claimed.id,
+        transactionId: transaction.id,
+      });
+
+      return await tx.sale.update({
+        where: { id: claimed.id },
+        data: { transactionId: transaction.id },
+        include: {
+          product: { select: PRODUCT_SELECT },
+          user: { select: { phoneNumber: true } },
+        },
+      });
+    });
+
+    // Only confirmed sales count towards the weekly promotion challenge
+    if (sale.promotionLinkId) {
+      await promotionService.refreshWeeklyProgress(sale);
+    }
+
+    await smsService.notify(sale.user.phoneNumber, 'SALE_CONFIRMED', {
+      product: sale.product.name,
+      commission: Number(sale.commissionAmount),
+    }, { userId: sale.userId });
+
+    const { user, ...confirmed } = sale;
+    return this.format(confirmed);
+  }
+
+  async rejectSale(saleId, { reason, adminId = null }) {
+    const sale = await prisma.$transaction(async (tx) => (
+      await this.claimForReview(tx, saleId, {
+        status: CONSTANTS.SALE_STATUS.REJECTED,
+        rejectionReason: reason,
+        reviewedBy: adminId,
+        rejectedAt: new Date(),
+      })
+    ));
+
+    // A rejected sale no longer counts as a conversion
+    if (sale.promotionLinkId) {
+      await promotionService.recordConversion(sale, -1);
+    }
+
+    await smsService.notify(sale.user.phoneNumber, 'SALE_REJECTED', {
+      product: sale.product.name,
+      reason,
+    }, { userId: sale.userId });
+
+    const { user, ...rejected } = sale;
+    return this.format(rejected);
+  }
+}
+
+export const saleService = new SaleService();
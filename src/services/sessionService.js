@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { generateToken, generateRefreshToken, verifyToken } from '../utils/helpers.js';
+
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'LOGOUT',
+  SIGNED_OUT_REMOTELY: 'SIGNED_OUT_REMOTELY',
+  TOKEN_REUSE: 'TOKEN_REUSE',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+};
+
+// Matches CONSTANTS.JWT_REFRESH_EXPIRES_IN; every rotation extends the session by this much
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Parallel requests from one browser may refresh with the same token; tolerate that briefly
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const newTokenId = () => crypto.randomUUID();
+
+class SessionService {
+  // Device details recorded against a session so users can recognise it later
+  contextFromRequest(req) {
+    return {
+      userAgent: req.get('user-agent')?.slice(0, 512) || null,
+      ipAddress: req.ip || null,
+    };
+  }
+
+  issueTokens(session, tokenId = session.refreshTokenId) {
+    return {
+      accessToken: generateToken({ id: session.userId, sid: session.id }),
+      refreshToken: generateRefreshToken({ id: session.userId, sid: session.id, jti: tokenId }),
+    };
+  }
+
+  // Start a new session for a successful login or registration
+  async createSession(userId, { userAgent = null, ipAddress = null } = {}) {
+    const session = await prisma.userSession.create({
+      data: {
+        userId,
+        refreshTokenId: newTokenId(),
+        userAgent,
+        ipAddress,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+      },
+    });
+
+    return { session, ...this.issueTokens(session) };
+  }
+
+  // Exchange a refresh token for a new token pair; the presented token stops working
+  async rotate(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new AppError('Invalid refresh token. Please log in again.', 401);
+    }
+
+    // Refresh tokens from before sessions existed cannot be tracked, so they must log in again
+    if (!decoded.sid || !decoded.jti) {
+      throw new AppError('Session expired. Please log in again.', 401);
+    }
+
+    const now = new Date();
+    const tokenId = newTokenId();
+
+    // Only the holder of the current token can rotate it
+    const rotated = await prisma.userSession.updateMany({
+      where: {
+        id: decoded.sid,
+        refreshTokenId: decoded.jti,
+        revokedAt: null,
+        expiresAt: { gt: now },
+      },
+      data: {
+        refreshTokenId: tokenId,
+        previousTokenId: decoded.jti,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+        ...(userAgent ? { userAgent } : {}),
+        ...(ipAddress ? { ipAddress } : {}),
+      },
+    });
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: decoded.sid },
+    });
+
+    if (rotated.count === 1) {
+      return { session, ...this.issueTokens(session) };
+    }
+
+    if (!session || session.revokedAt || session.expiresAt <= now) {
+      throw new AppError('Session expired. Please log in again.', 401);
+    }
+
+    // A request racing the rotation still gets the session's current tokens
+    const withinGrace = session.previousTokenId === decoded.jti
+      && session.rotatedAt
+      && now.getTime() - session.rotatedAt.getTime() <= ROTATION_GRACE_MS;
+
+    if (withinGrace) {
+      return { session, ...this.issueTokens(session) };
+    }
+
+    // An old token was replayed: assume it was stolen and end the whole session
+    await this.revoke(session.id, SESSION_REVOKE_REASONS.TOKEN_REUSE);
+    console.warn(`🚨 Refresh token reuse detected for session ${session.id} (user ${session.userId}); session revoked`);
+
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  // Returns the session if it can still be used, otherwise null
+  async getActiveSession(sessionId) {
+    const session = await prisma.userSession.findUnique({
+      where: { id: sessionId },
+    });
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  async listActiveSessions(userId, currentSessionId = null) {
+    const sessions = await prisma.userSession.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { lastUsedAt: 'desc' },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  // Revoke one session; pass userId to make sure it belongs to that user
+  async revoke(sessionId, reason, userId = null) {
+    const result = await prisma.userSession.updateMany({
+      where: {
+        id: sessionId,
+        ...(userId ? { userId } : {}),
+        revokedAt: null,
+      },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: reason,
+      },
+    });
+
+    return result.count > 0;
+  }
+
+  async revokeAllForUser(userId, reason, { exceptSessionId = null } = {}) {
+    const result = await prisma.userSession.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+      },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: reason,
+      },
+    });
+
+    return result.count;
+  }
+}
+
+export const sessionService = new SessionService();
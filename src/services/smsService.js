@@ -0,0 +1,169 @@
+import { prisma } from '../lib/prisma.js';
+import { redisClient } from '../lib/redis.js';
+import { createSmsProvider, SMS_PROVIDERS } from '../lib/sms/index.js';
+import { SMS_TEMPLATES, renderTemplate } from '../lib/sms/templates.js';
+import { formatPhoneNumber } from '../utils/helpers.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+// Africa's Talking delivery report statuses mapped onto our SmsStatus
+const DELIVERY_REPORT_STATUSES = {
+  Success: CONSTANTS.SMS_STATUS.DELIVERED,
+  Sent: CONSTANTS.SMS_STATUS.SENT,
+  Submitted: CONSTANTS.SMS_STATUS.SENT,
+  Buffered: CONSTANTS.SMS_STATUS.SENT,
+  Failed: CONSTANTS.SMS_STATUS.FAILED,
+  Rejected: CONSTANTS.SMS_STATUS.FAILED,
+  AbsentSubscriber: CONSTANTS.SMS_STATUS.FAILED,
+  Expired: CONSTANTS.SMS_STATUS.FAILED,
+};
+
+class SmsService {
+  constructor() {
+    this.THROTTLE_WINDOW = 10 * 60; // 10 minutes
+    this.THROTTLE_MAX = 5; // 5 messages per number per window
+    this.provider = null;
+  }
+
+  // Built on first use so the provider reflects the loaded environment. The local provider
+  // prints every message, codes included, so production refuses it rather than leak them to the log.
+  // Production also needs the token that authenticates Africa's Talking delivery reports.
+  getProvider() {
+    if (!this.provider) {
+      const name = process.env.SMS_PROVIDER || SMS_PROVIDERS.LOCAL;
+
+      if (name === SMS_PROVIDERS.LOCAL && process.env.NODE_ENV === 'production') {
+        throw new Error(`SMS_PROVIDER must be set to ${SMS_PROVIDERS.AFRICAS_TALKING} in production; the local provider only logs messages`);
+      }
+
+      if (name === SMS_PROVIDERS.AFRICAS_TALKING && process.env.NODE_ENV === 'production' && !process.env.SMS_DELIVERY_REPORT_TOKEN) {
+        throw new Error('SMS_DELIVERY_REPORT_TOKEN must be set in production so delivery reports can be authenticated');
+      }
+
+      this.provider = createSmsProvider(name, {
+        username: process.env.AFRICASTALKING_USERNAME,
+        apiKey: process.env.AFRICASTALKING_API_KEY,
+        senderId: process.env.AFRICASTALKING_SENDER_ID,
+        baseUrl: process.env.AFRICASTALKING_BASE_URL,
+        outboxFile: process.env.SMS_OUTBOX_FILE,
+      });
+    }
+
+    return this.provider;
+  }
+
+  async checkThrottle(phoneNumber) {
+    const sent = await redisClient.get(`sms_throttle:${phoneNumber}`);
+    const max = parseInt(process.env.SMS_THROTTLE_MAX) || this.THROTTLE_MAX;
+
+    if (sent && parseInt(sent) >= max) {
+      throw new AppError('Too many messages sent to this number. Please try again later.', 429);
+    }
+
+    return true;
+  }
+
+  async incrementThrottle(phoneNumber) {
+    const key = `sms_throttle:${phoneNumber}`;
+    await redisClient.multi()
+      .incr(key)
+      .expire(key, this.THROTTLE_WINDOW)
+      .exec();
+  }
+
+  // Send a message and record it; throws if the provider refuses it
+  async send(phoneNumber, message, { template = null, userId = null, sensitive = false } = {}) {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    const provider = this.getProvider();
+
+    await this.checkThrottle(formattedPhone);
+
+    const record = await prisma.smsMessage.create({
+      data: {
+        userId,
+        phoneNumber: formattedPhone,
+        template,
+        body: sensitive ? null : message,
+        provider: provider.name,
+      },
+    });
+
+    await this.incrementThrottle(formattedPhone);
+
+    let result;
+    try {
+      result = await provider.send(formattedPhone, message);
+    } catch (error) {
+      const data = error.response?.data;
+      const reason = data?.SMSMessageData?.Message || (typeof data === 'string' && data) || error.message;
+      result = { messageId: null, status: CONSTANTS.SMS_STATUS.FAILED, cost: null, failureReason: reason };
+    }
+
+    const now = new Date();
+    const updated = await prisma.smsMessage.update({
+      where: { id: record.id },
+      data: {
+        status: result.status,
+        providerMessageId: result.messageId,
+        cost: result.cost,
+        failureReason: result.failureReason,
+        sentAt: result.status === CONSTANTS.SMS_STATUS.FAILED ? null : now,
+        deliveredAt: result.status === CONSTANTS.SMS_STATUS.DELIVERED ? now : null,
+      },
+    });
+
+    if (result.status === CONSTANTS.SMS_STATUS.FAILED) {
+      console.error(`SMS to ${formattedPhone} failed:`, result.failureReason);
+      throw new AppError('Failed to send SMS. Please try again later.', 502);
+    }
+
+    return { success: true, phoneNumber: formattedPhone, messageId: updated.id, status: updated.status };
+  }
+
+  // Render a named template and send it
+  async sendTemplate(phoneNumber, template, params = {}, { userId = null } = {}) {
+    const message = renderTemplate(template, params);
+
+    return await this.send(phoneNumber, message, {
+      template,
+      userId,
+      sensitive: SMS_TEMPLATES[template].sensitive,
+    });
+  }
+
+  // Fire-and-forget variant for notifications that must never break the caller
+  async notify(phoneNumber, template, params = {}, options = {}) {
+    try {
+      return await this.sendTemplate(phoneNumber, template, params, options);
+    } catch (error) {
+      console.error(`Failed to send ${template} SMS to ${phoneNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  // Apply an Africa's Talking delivery report to the stored message
+  async handleDeliveryReport({ id, status, failureReason }) {
+    const nextStatus = DELIVERY_REPORT_STATUSES[status];
+
+    if (!id || !nextStatus) {
+      return { updated: false, reason: 'UNRECOGNISED_REPORT' };
+    }
+
+    // Final states are never overwritten by a late or repeated report
+    const result = await prisma.smsMessage.updateMany({
+      where: {
+        providerMessageId: id,
+        status: { in: [CONSTANTS.SMS_STATUS.QUEUED, CONSTANTS.SMS_STATUS.SENT] },
+      },
+      data: {
+        status: nextStatus,
+        failureReason: nextStatus === CONSTANTS.SMS_STATUS.FAILED ? failureReason || status : null,
+        deliveredAt: nextStatus === CONSTANTS.SMS_STATUS.DELIVERED ? new Date() : undefined,
+      },
+    });
+
+    return { updated: result.count > 0, status: nextStatus };
+  }
+}
+
+export const smsService = new SmsService();
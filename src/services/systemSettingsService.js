@@ -0,0 +1,293 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+// Role lists may arrive as an array or a comma separated string; stored uppercased, deduplicated and sorted
+const normalizeRoles = (raw) => {
+  const values = Array.isArray(raw) ? raw : String(raw).split(',');
+  return [...new Set(values.map(value => String(value).trim().toUpperCase()).filter(Boolean))].sort();
+};
+
+// Settings admins can change at runtime. Defaults come from the environment so
+// existing deployments behave the same until a value is saved.
+export const SYSTEM_SETTINGS = {
+  maintenanceMode: {
+    type: 'boolean',
+    description: 'Block user-facing API requests while maintenance is under way',
+    default: () => process.env.MAINTENANCE_MODE === 'true',
+  },
+  registrationEnabled: {
+    type: 'boolean',
+    description: 'Allow new users to register',
+    default: () => process.env.REGISTRATION_ENABLED !== 'false',
+  },
+  withdrawalEnabled: {
+    type: 'boolean',
+    description: 'Allow users to request withdrawals',
+    default: () => process.env.WITHDRAWAL_ENABLED !== 'false',
+  },
+  maxWithdrawalAmount: {
+    type: 'number',
+    description: 'Largest amount (KSH) a single withdrawal may request',
+    default: () => parseInt(process.env.MAX_WITHDRAWAL_AMOUNT) || 50000,
+  },
+  minWithdrawalAmount: {
+    type: 'number',
+    description: 'Smallest amount (KSH) a single withdrawal may request',
+    default: () => parseInt(process.env.MIN_WITHDRAWAL_AMOUNT) || CONSTANTS.MIN_WITHDRAWAL_AMOUNT,
+  },
+  referralBonusEnabled: {
+    type: 'boolean',
+    description: 'Award referral bonuses for new sign-ups',
+    default: () => process.env.REFERRAL_BONUS_ENABLED !== 'false',
+  },
+  fraudReviewThreshold: {
+    type: 'number',
+    description: 'Risk score (0-100) at which an account is held for fraud review',
+    default: () => parseInt(process.env.FRAUD_REVIEW_THRESHOLD) || 50,
+  },
+  wheelDailyBudget: {
+    type: 'number',
+    description: 'Most the reward wheel may pay out (KSH) across all members in a day',
+    default: () => parseInt(process.env.WHEEL_DAILY_BUDGET) || 5000,
+  },
+  adminTwoFactorRequiredRoles: {
+    type: 'roles',
+    description: 'Admin roles that cannot sign in without two-factor authentication',
+    default: () => normalizeRoles(process.env.ADMIN_2FA_REQUIRED_ROLES || ''),
+  },
+  emailNotifications: {
+    type: 'boolean',
+    description: 'Send email notifications',
+    default: () => process.env.EMAIL_NOTIFICATIONS === 'true',
+  },
+  smsNotifications: {
+    type: 'boolean',
+    description: 'Send SMS notifications',
+    default: () => process.env.SMS_NOTIFICATIONS === 'true',
+  },
+};
+
+// Each process re-reads settings at most this often; other instances pick up a change within the TTL
+const CACHE_TTL_MS = 30 * 1000;
+
+const parseValue = (key, stored) => {
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error(`Invalid stored value for setting ${key}:`, stored);
+    return SYSTEM_SETTINGS[key].default();
+  }
+};
+
+class SystemSettingsService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // Every setting with its current value and version (0 = never saved, using the default)
+  async load() {
+    const rows = await prisma.systemConfig.findMany({
+      where: { key: { in: Object.keys(SYSTEM_SETTINGS) } },
+    });
+    const byKey = new Map(rows.map(row => [row.key, row]));
+
+    const values = {};
+    const versions = {};
+
+    for (const [key, definition] of Object.entries(SYSTEM_SETTINGS)) {
+      const row = byKey.get(key);
+      values[key] = row ? parseValue(key, row.value) : definition.default();
+      versions[key] = row ? row.version : 0;
+    }
+
+    return { values, versions };
+  }
+
+  async getSnapshot({ fresh = false } = {}) {
+    if (!fresh && this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    this.cache = await this.load();
+    this.cachedAt = Date.now();
+
+    return this.cache;
+  }
+
+  async getAll(options) {
+    const { values } = await this.getSnapshot(options);
+    return { ...values };
+  }
+
+  async get(key) {
+    if (!SYSTEM_SETTINGS[key]) {
+      throw new Error(`Unknown system setting: ${key}`);
+    }
+
+    const { values } = await this.getSnapshot();
+    return values[key];
+  }
+
+  // Check types and cross-field rules; returns only the keys whose value changes
+  validate(changes, current) {
+    const updates = {};
+
+    for (const [key, raw] of Object.entries(changes)) {
+      const definition = SYSTEM_SETTINGS[key];
+      if (!definition || raw === undefined) {
+        continue;
+      }
+
+      // Form posts send numbers as strings
+      let value = definition.type === 'number' && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+
+      if (definition.type === 'boolean' && typeof value !== 'boolean') {
+        throw new AppError(`${key} must be true or false`, 400);
+      }
+
+      if (definition.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+        throw new AppError(`${key} must be a number`, 400);
+      }
+
+      if (definition.type === 'roles') {
+        if (!Array.isArray(value) && typeof value !== 'string') {
+          throw new AppError(`${key} must be a list of admin roles`, 400);
+        }
+
+        value = normalizeRoles(value);
+        const unknown = value.filter(role => !Object.values(CONSTANTS.ADMIN_ROLES).includes(role));
+        if (unknown.length > 0) {
+          throw new AppError(`${key} contains unknown admin roles: ${unknown.join(', ')}`, 400);
+        }
+      }
+
+      if (JSON.stringify(value) !== JSON.stringify(current[key])) {
+        updates[key] = value;
+      }
+    }
+
+    const merged = { ...current, ...updates };
+
+    if (merged.minWithdrawalAmount < 0) {
+      throw new AppError('Minimum withdrawal amount cannot be negative', 400);
+    }
+
+    if (merged.maxWithdrawalAmount < 0) {
+      throw new AppError('Maximum withdrawal amount cannot be negative', 400);
+    }
+
+    if (merged.maxWithdrawalAmount < merged.minWithdrawalAmount) {
+      throw new AppError('Maximum withdrawal amount cannot be less than minimum withdrawal amount', 400);
+    }
+
+    if (merged.fraudReviewThreshold < 1 || merged.fraudReviewThreshold > 100) {
+      throw new AppError('Fraud review threshold must be between 1 and 100', 400);
+    }
+
+    if (merged.wheelDailyBudget < 0) {
+      throw new AppError('Wheel daily budget cannot be negative', 400);
+    }
+
+    return updates;
+  }
+
+  // Save changed settings, bumping each key's version and recording the change.
+  // Pass expectedVersions ({ key: version }) to reject edits made from a stale form.
+  async update(changes, { adminId = null, expectedVersions = null } = {}) {
+    const { values, versions } = await this.getSnapshot({ fresh: true });
+    const updates = this.validate(changes, values);
+
+    if (expectedVersions) {
+      const stale = Object.keys(updates).filter(key => expectedVersions[key] !== undefined && expectedVersions[key] !== versions[key]);
+      if (stale.length > 0) {
+        throw new AppError(`Settings were changed by someone else: ${stale.join(', ')}. Reload and try again.`, 409);
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { settings: values, versions, changed: [] };
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const [key, value] of Object.entries(updates)) {
+        const stored = JSON.stringify(value);
+        const version = versions[key] + 1;
+
+        if (versions[key] === 0) {
+          // The unique key makes a concurrent first save fail instead of overwriting
+          await tx.systemConfig.create({
+            data: {
+              key,
+              value: stored,
+              description: SYSTEM_SETTINGS[key].description,
+              version,
+              updatedBy: adminId,
+            },
+          });
+        } else {
+          const saved = await tx.systemConfig.updateMany({
+            where: { key, version: versions[key] },
+            data: { value: stored, version, updatedBy: adminId },
+          });
+
+          if (saved.count === 0) {
+            throw new AppError(`Setting ${key} was changed by someone else. Reload and try again.`, 409);
+          }
+        }
+
+        await tx.systemConfigHistory.create({
+          data: {
+            key,
+            version,
+            previousValue: JSON.stringify(values[key]), // The default, for a first save
+            value: stored,
+            changedBy: adminId,
+          },
+        });
+      }
+    }).catch((error) => {
+      // Two admins saving a never-saved key at the same time
+      if (error.code === 'P2002') {
+        throw new AppError('Settings were changed by someone else. Reload and try again.', 409);
+      }
+      throw error;
+    });
+
+    this.invalidate();
+    const snapshot = await this.getSnapshot({ fresh: true });
+
+    return { settings: snapshot.values, versions: snapshot.versions, changed: Object.keys(updates) };
+  }
+
+  async getHistory({ key } = {}, { skip, take }) {
+    const where = key ? { key } : {};
+
+    const [total, entries] = await Promise.all([
+      prisma.systemConfigHistory.count({ where }),
+      prisma.systemConfigHistory.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+    ]);
+
+    return {
+      total,
+      entries: entries.map(entry => ({
+        ...entry,
+        previousValue: entry.previousValue === null ? null : parseValue(entry.key, entry.previousValue),
+        value: parseValue(entry.key, entry.value),
+      })),
+    };
+  }
+}
+
+export const systemSettingsService = new SystemSettingsService();
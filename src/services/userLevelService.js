@@ -0,0 +1,435 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { smsService } from './smsService.js';
+import { systemSettingsService } from './systemSettingsService.js';
+import { determineLevel } from '../lib/userLevels.js';
+
+// Lowest first; a level outranks every level before it
+const LEVEL_ORDER = Object.keys(CONSTANTS.USER_LEVELS);
+
+// Rules are read on every referral and activation; an edited rule applies within this window
+const CACHE_TTL_MS = 30 * 1000;
+
+const RECOMPUTE_BATCH_SIZE = 500;
+
+const rankOf = (level) => LEVEL_ORDER.indexOf(level);
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const toOptionalAmount = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Used for a level that has no saved rule yet
+const defaultRule = (level) => ({
+  level,
+  minReferrals: rankOf(level) === 0 ? 0 : CONSTANTS.USER_LEVELS[level].min,
+  minActiveReferrals: 0,
+  maxWithdrawalAmount: null,
+  dailyWithdrawalLimit: null,
+  updatedBy: null,
+  updatedAt: null,
+});
+
+class UserLevelService {
+  constructor() {
+    this.rules = null;
+    this.cachedAt = 0;
+  }
+
+  invalidate() {
+    this.rules = null;
+    this.cachedAt = 0;
+  }
+
+  format(rule) {
+    return {
+      ...rule,
+      maxWithdrawalAmount: toOptionalAmount(rule.maxWithdrawalAmount),
+      dailyWithdrawalLimit: toOptionalAmount(rule.dailyWithdrawalLimit),
+    };
+  }
+
+  // One rule per level, lowest first
+  async getRules({ fresh = false } = {}) {
+    if (!fresh && this.rules && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.rules;
+    }
+
+    const rows = await prisma.userLevelRule.findMany();
+    const byLevel = new Map(rows.map(row => [row.level, row]));
+
+    this.rules = LEVEL_ORDER.map(level => this.format(byLevel.get(level) || defaultRule(level)));
+    this.cachedAt = Date.now();
+
+    return this.rules;
+  }
+
+  // Highest level whose requirements are met; the lowest level has none
+  determineLevel(rules, stats) {
+    return determineLevel(rules, stats);
+  }
+
+  // Referrals (any depth) whose account is ACTIVE, per referrer
+  async countActiveReferrals(userIds, client = prisma) {
+    const counts = await client.referral.groupBy({
+      by: ['referrerId'],
+      where: {
+        referrerId: { in: userIds },
+        referred: { accountStatus: CONSTANTS.ACCOUNT_STATUS.ACTIVE },
+      },
+      _count: { _all: true },
+    });
+
+    return new Map(counts.map(row => [row.referrerId, row._count._all]));
+  }
+
+  // Withdrawal limits for a level, falling back to the system-wide limits
+  async getWithdrawalLimits(level) {
+    const [rules, settings] = await Promise.all([this.getRules(), systemSettingsService.getAll()]);
+    const rule = rules.find(entry => entry.level === level) || rules[0];
+
+    // A level perk can lower the system-wide maximum but never raise it
+    return {
+      maxPerRequest: Math.min(rule.maxWithdrawalAmount ?? settings.maxWithdrawalAmount, settings.maxWithdrawalAmount),
+      daily: rule.dailyWithdrawalLimit ?? CONSTANTS.DAILY_WITHDRAWAL_LIMIT,
+    };
+  }
+
+  // Move each user to the level their referrals earn them, recording every change.
+  // Users whose level was set by an admin are skipped.
+  async evaluate(userIds, { reason }) {
+    const ids = [...new Set(userIds)];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const [rules, users, activeCounts] = await Promise.all([
+      this.getRules(),
+      prisma.user.findMany({
+        where: { id: { in: ids }, userLevelLocked: false },
+        select: { id: true, phoneNumber: true, userLevel: true, totalReferrals: true },
+      }),
+      this.countActiveReferrals(ids),
+    ]);
+
+    const changes = [];
+
+    for (const user of users) {
+      const stats = {
+        totalReferrals: user.totalReferrals,
+        activeReferrals: activeCounts.get(user.id) || 0,
+      };
+      const level = this.determineLevel(rules, stats);
+
+      if (level === user.userLevel) {
+        continue;
+      }
+
+      const changed = await prisma.$transaction(async (tx) => {
+        // Guarded on the level read above, so overlapping evaluations record a change once
+        const updated = await tx.user.updateMany({
+          where: { id: user.id, userLevel: user.userLevel, userLevelLocked: false },
+          data: { userLevel: level },
+        });
+
+        if (updated.count === 0) {
+          return false;
+        }
+
+        await tx.userLevelHistory.create({
+          data: {
+            userId: user.id,
+            fromLevel: user.userLevel,
+            toLevel: level,
+            reason,
+            ...stats,
+          },
+        });
+
+        return true;
+      });
+
+      if (changed) {
+        changes.push({
+          userId: user.id,
+          phoneNumber: user.phoneNumber,
+          fromLevel: user.userLevel,
+          toLevel: level,
+          promoted: rankOf(level) > rankOf(user.userLevel),
+        });
+      }
+    }
+
+    await this.notifyPromotions(changes);
+
+    return changes.map(({ phoneNumber, ...change }) => change);
+  }
+
+  async notifyPromotions(changes) {
+    const promotions = changes.filter(change => change.promoted);
+
+    if (promotions.length === 0 || !(await systemSettingsService.get('smsNotifications'))) {
+      return;
+    }
+
+    for (const change of promotions) {
+      await smsService.notify(change.phoneNumber, 'LEVEL_UP', { level: change.toLevel }, { userId: change.userId });
+    }
+  }
+
+  // Re-evaluate everyone credited with userId as a referral, after it joins or activates.
+  // A failure here must never undo the event that triggered it.
+  async evaluateUplineOf(userId, reason) {
+    try {
+      const referrals = await prisma.referral.findMany({
+        where: { referredId: userId },
+        select: { referrerId: true },
+      });
+
+      return await this.evaluate(referrals.map(referral => referral.referrerId), { reason });
+    } catch (error) {
+      console.error(`Failed to evaluate user levels above ${userId}:`, error);
+      return [];
+    }
+  }
+
+  // Periodic pass over every user, e.g. after rules change or referred accounts are suspended
+  async recomputeAll({ batchSize = RECOMPUTE_BATCH_SIZE } = {}) {
+    const report = { checked: 0, promoted: 0, demoted: 0 };
+    let cursor = null;
+
+    for (;;) {
+      const users = await prisma.user.findMany({
+        where: { userLevelLocked: false },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+
+      if (users.length === 0) {
+        break;
+      }
+
+      const changes = await this.evaluate(users.map(user => user.id), {
+        reason: CONSTANTS.LEVEL_CHANGE_REASONS.SCHEDULED,
+      });
+
+      report.checked += users.length;
+      report.promoted += changes.filter(change => change.promoted).length;
+      report.demoted += changes.filter(change => !change.promoted).length;
+      cursor = users[users.length - 1].id;
+    }
+
+    return report;
+  }
+
+  // Admin override. Setting a level locks it; unlocking hands the user back to automatic evaluation.
+  // Given `tx`, the change joins the caller's transaction and the caller re-evaluates an unlocked
+  // user once it commits.
+  async setLevel(userId, { level, locked }, { adminId = null, tx = null } = {}) {
+    if (level !== undefined && !LEVEL_ORDER.includes(level)) {
+      throw new AppError(`User level must be one of: ${LEVEL_ORDER.join(', ')}`, 400);
+    }
+
+    if (!tx) {
+      const result = await prisma.$transaction(client => this.setLevel(userId, { level, locked }, { adminId, tx: client }));
+
+      if (!result.userLevelLocked) {
+        await this.evaluate([userId], { reason: CONSTANTS.LEVEL_CHANGE_REASONS.ADMIN });
+      }
+
+      return await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, userLevel: true, userLevelLocked: true },
+      });
+    }
+
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { id: true, userLevel: true, userLevelLocked: true, totalReferrals: true },
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const nextLocked = locked ?? (level !== undefined ? true : user.userLevelLocked);
+    const nextLevel = level ?? user.userLevel;
+
+    if (nextLevel !== user.userLevel) {
+      const activeCounts = await this.countActiveReferrals([userId], tx);
+
+      await tx.user.update({
+        where: { id: userId },
+        data: { userLevel: nextLevel, userLevelLocked: nextLocked },
+      });
+
+      await tx.userLevelHistory.create({
+        data: {
+          userId,
+          fromLevel: user.userLevel,
+          toLevel: nextLevel,
+          reason: CONSTANTS.LEVEL_CHANGE_REASONS.ADMIN,
+          totalReferrals: user.totalReferrals,
+          activeReferrals: activeCounts.get(userId) || 0,
+          changedBy: adminId,
+        },
+      });
+    } else if (nextLocked !== user.userLevelLocked) {
+      await tx.user.update({
+        where: { id: userId },
+        data: { userLevelLocked: nextLocked },
+      });
+    }
+
+    return { id: userId, userLevel: nextLevel, userLevelLocked: nextLocked };
+  }
+
+  // Check admin input for one level against the other rules
+  validateRule(level, data, rules) {
+    const index = rankOf(level);
+    if (index === -1) {
+      throw new AppError(`User level must be one of: ${LEVEL_ORDER.join(', ')}`, 400);
+    }
+
+    const current = rules[index];
+    const rule = { ...current };
+
+    for (const key of ['minReferrals', 'minActiveReferrals']) {
+      if (data[key] === undefined) {
+        continue;
+      }
+
+      const value = toNumber(data[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new AppError(`${key} must be a non-negative whole number`, 400);
+      }
+      rule[key] = value;
+    }
+
+    for (const key of ['maxWithdrawalAmount', 'dailyWithdrawalLimit']) {
+      if (data[key] === undefined) {
+        continue;
+      }
+
+      const value = data[key] === null ? null : toNumber(data[key]);
+      if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+        throw new AppError(`${key} must be a positive number or null`, 400);
+      }
+      rule[key] = value;
+    }
+
+    if (index === 0 && (rule.minReferrals > 0 || rule.minActiveReferrals > 0)) {
+      throw new AppError(`${level} is the lowest level and cannot have requirements`, 400);
+    }
+
+    // Requirements may not drop from one level to the next, or a lower level could never be reached
+    const merged = rules.map((entry, position) => (position === index ? rule : entry));
+    for (let position = 1; position < merged.length; position++) {
+      const lower = merged[position - 1];
+      const higher = merged[position];
+
+      if (higher.minReferrals < lower.minReferrals || higher.minActiveReferrals < lower.minActiveReferrals) {
+        throw new AppError(`${higher.level} requirements cannot be lower than ${lower.level} requirements`, 400);
+      }
+    }
+
+    return rule;
+  }
+
+  // Existing users move to the new thresholds on their next referral event or the scheduled recompute
+  async updateRule(level, data, { adminId = null } = {}) {
+    const rules = await this.getRules({ fresh: true });
+    const rule = this.validateRule(level, data, rules);
+
+    const values = {
+      minReferrals: rule.minReferrals,
+      minActiveReferrals: rule.minActiveReferrals,
+      maxWithdrawalAmount: rule.maxWithdrawalAmount,
+      dailyWithdrawalLimit: rule.dailyWithdrawalLimit,
+      updatedBy: adminId,
+    };
+
+    const saved = await prisma.userLevelRule.upsert({
+      where: { level },
+      create: { level, ...values },
+      update: values,
+    });
+
+    this.invalidate();
+
+    return this.format(saved);
+  }
+
+  // Current level, what the next one needs and the user's recent level changes
+  async getStatus(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, userLevel: true, userLevelLocked: true, totalReferrals: true },
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [rules, activeCounts, withdrawalLimits, history] = await Promise.all([
+      this.getRules(),
+      this.countActiveReferrals([userId]),
+      this.getWithdrawalLimits(user.userLevel),
+      prisma.userLevelHistory.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: 10,
+        select: { fromLevel: true, toLevel: true, reason: true, createdAt: true },
+      }),
+    ]);
+
+    const activeReferrals = activeCounts.get(userId) || 0;
+    const nextRule = rules[rankOf(user.userLevel) + 1] || null;
+
+    return {
+      level: user.userLevel,
+      locked: user.userLevelLocked,
+      totalReferrals: user.totalReferrals,
+      activeReferrals,
+      perks: { withdrawalLimits },
+      nextLevel: nextRule && {
+        level: nextRule.level,
+        minReferrals: nextRule.minReferrals,
+        minActiveReferrals: nextRule.minActiveReferrals,
+        referralsNeeded: Math.max(0, nextRule.minReferrals - user.totalReferrals),
+        activeReferralsNeeded: Math.max(0, nextRule.minActiveReferrals - activeReferrals),
+      },
+      levels: rules.map(rule => ({
+        level: rule.level,
+        minReferrals: rule.minReferrals,
+        minActiveReferrals: rule.minActiveReferrals,
+        maxWithdrawalAmount: rule.maxWithdrawalAmount,
+        dailyWithdrawalLimit: rule.dailyWithdrawalLimit,
+      })),
+      history,
+    };
+  }
+
+  async getHistory({ userId } = {}, { skip, take }) {
+    const where = userId ? { userId } : {};
+
+    const [total, entries] = await Promise.all([
+      prisma.userLevelHistory.count({ where }),
+      prisma.userLevelHistory.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+        include: {
+          user: { select: { id: true, firstName: true, lastName: true, phoneNumber: true } },
+        },
+      }),
+    ]);
+
+    return { total, entries };
+  }
+}
+
+export const userLevelService = new UserLevelService();
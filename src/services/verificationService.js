@@ -1,5 +1,6 @@
 import { redisClient } from '../lib/redis.js';
 import { formatPhoneNumber } from '../utils/helpers.js';
+import { smsService } from './smsService.js';
 
 class VerificationService {
   constructor() {
@@ -66,11 +67,10 @@ class VerificationService {
     await redisClient.setEx(key, this.CODE_EXPIRY, code);
     await this.incrementRateLimit(formattedPhone);
     
-    // Log code in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`🔐 Verification Code for ${formattedPhone}: ${code}`);
-      console.log(`⏰ Code expires in ${this.CODE_EXPIRY / 60} minutes`);
-    }
+    await smsService.sendTemplate(formattedPhone, 'VERIFICATION_CODE', {
+      code,
+      minutes: this.CODE_EXPIRY / 60,
+    });
     
     return { success: true, phoneNumber: formattedPhone, code };
   }
@@ -111,10 +111,13 @@ class VerificationService {
     
     if (existingCode) {
       // Extend expiry and resend
+      await this.checkRateLimit(formattedPhone);
       await redisClient.expire(key, this.CODE_EXPIRY);
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`🔐 Resent Verification Code for ${formattedPhone}: ${existingCode}`);
-      }
+      await this.incrementRateLimit(formattedPhone);
+      await smsService.sendTemplate(formattedPhone, 'VERIFICATION_CODE', {
+        code: existingCode,
+        minutes: this.CODE_EXPIRY / 60,
+      });
     } else {
       // Generate new code
       return await this.sendVerificationCode(phoneNumber);
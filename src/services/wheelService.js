@@ -0,0 +1,354 @@
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { getStartOfDay } from '../utils/helpers.js';
+import { affordableSegments, drawSegment } from '../lib/wheelDraw.js';
+import { ledgerService } from './ledgerService.js';
+import { systemSettingsService } from './systemSettingsService.js';
+
+const { SPINS_PER_COMPLETED_TASK, MAX_ACTIVE_SEGMENTS } = CONSTANTS.WHEEL;
+
+const LABEL_MAX_LENGTH = 50;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+// What members see of a segment; weights stay on the server
+const PUBLIC_SEGMENT_SELECT = { id: true, label: true, amount: true, sortOrder: true };
+
+class WheelService {
+  format(record) {
+    return record && { ...record, amount: Number(record.amount) };
+  }
+
+  // Check and normalise admin input; `partial` allows updates that leave fields out
+  validateSegment(data, { partial = false } = {}) {
+    const segment = {};
+
+    if (!partial || data.label !== undefined) {
+      if (typeof data.label !== 'string' || !data.label.trim()) {
+        throw new AppError('Segment label is required', 400);
+      }
+      if (data.label.trim().length > LABEL_MAX_LENGTH) {
+        throw new AppError(`Segment label must be at most ${LABEL_MAX_LENGTH} characters`, 400);
+      }
+      segment.label = data.label.trim();
+    }
+
+    if (!partial || data.amount !== undefined) {
+      const amount = toNumber(data.amount);
+      if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+        throw new AppError('Prize amount must be a non-negative number', 400);
+      }
+      segment.amount = roundCurrency(amount);
+    }
+
+    if (!partial || data.weight !== undefined) {
+      const weight = toNumber(data.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > 1000000) {
+        throw new AppError('Weight must be a whole number between 1 and 1000000', 400);
+      }
+      segment.weight = weight;
+    }
+
+    if (data.sortOrder !== undefined) {
+      const sortOrder = toNumber(data.sortOrder);
+      if (!Number.isInteger(sortOrder)) {
+        throw new AppError('Sort order must be a whole number', 400);
+      }
+      segment.sortOrder = sortOrder;
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new AppError('isActive must be true or false', 400);
+      }
+      segment.isActive = data.isActive;
+    }
+
+    return segment;
+  }
+
+  // A wheel with too many slices can't be drawn on screen
+  async assertSegmentCapacity(excludeId = null) {
+    const active = await prisma.wheelSegment.count({
+      where: { isActive: true, ...(excludeId && { id: { not: excludeId } }) },
+    });
+
+    if (active >= MAX_ACTIVE_SEGMENTS) {
+      throw new AppError(`The wheel can have at most ${MAX_ACTIVE_SEGMENTS} active segments`, 400);
+    }
+  }
+
+  // Admin view: every segment with its share of the active weight as a probability
+  async listSegments() {
+    const segments = await prisma.wheelSegment.findMany({
+      orderBy: [{ isActive: 'desc' }, { sortOrder: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    const totalWeight = segments.filter(segment => segment.isActive).reduce((sum, segment) => sum + segment.weight, 0);
+
+    return segments.map(segment => ({
+      ...this.format(segment),
+      probability: segment.isActive && totalWeight > 0 ? segment.weight / totalWeight : 0,
+    }));
+  }
+
+  async createSegment(data, { adminId = null } = {}) {
+    const segment = this.validateSegment(data);
+
+    if (segment.isActive !== false) {
+      await this.assertSegmentCapacity();
+    }
+
+    const created = await prisma.wheelSegment.create({
+      data: { ...segment, createdBy: adminId },
+    });
+
+    return this.format(created);
+  }
+
+  // Past spins keep the label and amount they were won with
+  async updateSegment(segmentId, data) {
+    const changes = this.validateSegment(data, { partial: true });
+
+    if (Object.keys(changes).length === 0) {
+      throw new AppError('No segment fields to update', 400);
+    }
+
+    const current = await prisma.wheelSegment.findUnique({ where: { id: segmentId } });
+
+    if (!current) {
+      throw new AppError('Wheel segment not found', 404);
+    }
+
+    if (changes.isActive && !current.isActive) {
+      await this.assertSegmentCapacity(segmentId);
+    }
+
+    const updated = await prisma.wheelSegment.update({
+      where: { id: segmentId },
+      data: changes,
+    });
+
+    return this.format(updated);
+  }
+
+  async deleteSegment(segmentId) {
+    const segment = await prisma.wheelSegment.findUnique({ where: { id: segmentId }, select: { id: true } });
+
+    if (!segment) {
+      throw new AppError('Wheel segment not found', 404);
+    }
+
+    await prisma.wheelSegment.delete({ where: { id: segmentId } });
+  }
+
+  // Today's spending against the daily budget
+  async getBudget(date = getStartOfDay()) {
+    const [budget, day] = await Promise.all([
+      systemSettingsService.get('wheelDailyBudget'),
+      prisma.wheelDailyPayout.findUnique({ where: { date } }),
+    ]);
+
+    const paidOut = day ? Number(day.paidOut) : 0;
+
+    return {
+      date,
+      budget,
+      paidOut,
+      remaining: Math.max(0, roundCurrency(budget - paidOut)),
+      spinCount: day?.spinCount || 0,
+    };
+  }
+
+  // Spins earned from today's completed daily tasks, and how many are left
+  async getAllowance(userId, date = getStartOfDay()) {
+    const [dailyTask, used] = await Promise.all([
+      prisma.dailyTask.findUnique({
+        where: { userId_date: { userId, date } },
+        select: { completedTasksCount: true },
+      }),
+      prisma.wheelSpin.count({ where: { userId, spinDate: date } }),
+    ]);
+
+    const earned = (dailyTask?.completedTasksCount || 0) * SPINS_PER_COMPLETED_TASK;
+
+    return { earned, used, remaining: Math.max(0, earned - used) };
+  }
+
+  // Member view of the wheel: the segments in order and today's spins
+  async getWheel(userId) {
+    const [segments, allowance] = await Promise.all([
+      prisma.wheelSegment.findMany({
+        where: { isActive: true },
+        orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+        select: PUBLIC_SEGMENT_SELECT,
+      }),
+      this.getAllowance(userId),
+    ]);
+
+    return { segments: segments.map(segment => this.format(segment)), allowance };
+  }
+
+  // Pick a segment in proportion to its weight using a cryptographically secure roll
+  draw(segments) {
+    return drawSegment(segments);
+  }
+
+  // Spin once from today's allowance. Prizes the remaining daily budget can't cover are left
+  // out of the draw, so the odds are always over what can actually be paid.
+  async spin(userId) {
+    const today = getStartOfDay();
+
+    const allowance = await this.getAllowance(userId, today);
+
+    if (allowance.remaining <= 0) {
+      throw new AppError(allowance.earned === 0
+        ? 'Complete a daily task to earn a spin'
+        : 'No spins left today; complete more daily tasks to earn more', 400);
+    }
+
+    const [segments, budget] = await Promise.all([
+      prisma.wheelSegment.findMany({ where: { isActive: true }, orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }] }),
+      this.getBudget(today),
+    ]);
+
+    if (segments.length === 0) {
+      throw new AppError('The wheel is not available right now', 503);
+    }
+
+    const affordable = affordableSegments(segments, budget.remaining);
+
+    if (affordable.length === 0) {
+      throw new AppError("Today's wheel prizes have run out; try again tomorrow", 409);
+    }
+
+    const { segment, roll, totalWeight } = this.draw(affordable);
+    const amount = Number(segment.amount);
+
+    const spin = await prisma.$transaction(async (tx) => {
+      // The spin number is unique per member and day, so a concurrent spin can't reuse the same allowance
+      const record = await tx.wheelSpin.create({
+        data: {
+          userId,
+          spinDate: today,
+          spinNumber: allowance.used + 1,
+          segmentId: segment.id,
+          label: segment.label,
+          amount,
+          roll,
+          totalWeight,
+        },
+      });
+
+      await tx.wheelDailyPayout.upsert({
+        where: { date: today },
+        create: { date: today },
+        update: {},
+      });
+
+      // Count the win against the budget only while it still fits, so concurrent wins can't overspend it
+      const counted = await tx.wheelDailyPayout.updateMany({
+        where: {
+          date: today,
+          ...(amount > 0 && { paidOut: { lte: roundCurrency(budget.budget - amount) } }),
+        },
+        data: {
+          paidOut: { increment: amount },
+          spinCount: { increment: 1 },
+        },
+      });
+
+      if (counted.count === 0) {
+        throw new AppError("Today's wheel budget has just run out; please spin again", 409);
+      }
+
+      if (amount <= 0) {
+        return record;
+      }
+
+      const transaction = await tx.transaction.create({
+        data: {
+          userId,
+          type: CONSTANTS.TRANSACTION_TYPES.WHEEL_SPIN_BONUS,
+          amount,
+          status: CONSTANTS.TRANSACTION_STATUS.CONFIRMED,
+          description: `Reward wheel: ${segment.label}`,
+          confirmedAt: new Date(),
+          metadata: { spinId: record.id, segmentId: segment.id },
+        },
+      });
+
+      await ledgerService.recordWheelPayout(tx, {
+        userId,
+        amount,
+        spinId: record.id,
+        transactionId: transaction.id,
+      });
+
+      return await tx.wheelSpin.update({
+        where: { id: record.id },
+        data: { transactionId: transaction.id },
+      });
+    }).catch((error) => {
+      if (error.code === 'P2002') {
+        throw new AppError('Another spin is in progress; please try again', 409);
+      }
+      throw error;
+    });
+
+    return {
+      spin: this.format(spin),
+      allowance: { ...allowance, used: allowance.used + 1, remaining: allowance.remaining - 1 },
+    };
+  }
+
+  async listUserSpins(userId, { skip, take }) {
+    const where = { userId };
+
+    const [total, spins, won] = await Promise.all([
+      prisma.wheelSpin.count({ where }),
+      prisma.wheelSpin.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+        select: { id: true, spinDate: true, spinNumber: true, label: true, amount: true, createdAt: true },
+      }),
+      prisma.wheelSpin.aggregate({ where, _sum: { amount: true } }),
+    ]);
+
+    return {
+      total,
+      totalWon: Number(won._sum.amount || 0),
+      spins: spins.map(spin => this.format(spin)),
+    };
+  }
+
+  // Admin audit of spins, including each draw
+  async listSpins({ userId, date }, { skip, take }) {
+    const where = {
+      ...(userId && { userId }),
+      ...(date && { spinDate: date }),
+    };
+
+    const [total, spins] = await Promise.all([
+      prisma.wheelSpin.count({ where }),
+      prisma.wheelSpin.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+        include: {
+          user: { select: { id: true, phoneNumber: true, firstName: true, lastName: true } },
+        },
+      }),
+    ]);
+
+    return { total, spins: spins.map(spin => this.format(spin)) };
+  }
+}
+
+export const wheelService = new WheelService();
@@ -36,6 +36,11 @@ export const generateReferralLink = (referralCode, baseUrl = process.env.FRONTEN
   return `${baseUrl}/auth/register?ref=${referralCode}`;
 };
 
+// Where a product promotion link sends visitors: the member's referral link with the product attached
+export const generatePromotionLink = (referralCode, productId, promotionCode, baseUrl = process.env.FRONTEND_URL) => {
+  return `${generateReferralLink(referralCode, baseUrl)}&product=${productId}&promo=${promotionCode}`;
+};
+
 // Generate verification code for phone numbers
 export const generateVerificationCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit code
@@ -131,6 +136,7 @@ export const generateBatchId = () => {
 export default {
   generateUniqueReferralCode,
   generateReferralLink,
+  generatePromotionLink,
   generateVerificationCode,
   generateTransactionId,
   generateWithdrawalId,
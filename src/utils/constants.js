@@ -1,17 +1,11 @@
 // Application constants
 export const CONSTANTS = {
-    // Financial constants
-    ACTIVATION_FEE: 600,
+    // Financial constants (the activation fee and referral bonuses live in the active commission plan)
     MIN_WITHDRAWAL_AMOUNT: 1000,
+    DAILY_WITHDRAWAL_LIMIT: 50000, // Used when the user's level sets no daily limit
+    ACTIVATION_PENDING_LOCK_MINUTES: 2, // A new STK push waits this long while an earlier one may still be paid
     
-    // Referral bonuses
-    REFERRAL_BONUS: {
-      LEVEL_1: 300,
-      LEVEL_2: 100,
-      LEVEL_3: 50,
-    },
-    
-    // User levels
+    // User levels, lowest first. Thresholds and perks live in user_level_rules.
     USER_LEVELS: {
       SILVER: { min: 1, max: 10, name: 'SILVER' },
       BRONZE: { min: 11, max: 20, name: 'BRONZE' },
@@ -40,6 +34,20 @@ export const CONSTANTS = {
     
     // Commission rate for product promotion
     DEFAULT_COMMISSION_RATE: 0.07, // 7%
+    MAX_SALE_AMOUNT: 99999999.99, // Largest value the Decimal(10, 2) sale columns can hold
+    
+    // Product promotion links
+    PROMOTION: {
+      CLICK_DEDUPE_HOURS: 24, // Repeat visits from one visitor within this window are not unique clicks
+      ATTRIBUTION_WINDOW_DAYS: 30, // A sale without a code is credited to the member's link if it was clicked this recently
+      WEEKLY_PRODUCT_TARGET: 3, // Distinct products with attributed, confirmed sales needed for the promote3Products challenge
+    },
+    
+    // Reward wheel
+    WHEEL: {
+      SPINS_PER_COMPLETED_TASK: 1, // Spins earned for each daily task completed today
+      MAX_ACTIVE_SEGMENTS: 12,
+    },
     
     // Account statuses
     ACCOUNT_STATUS: {
@@ -55,13 +63,23 @@ export const CONSTANTS = {
       LEVEL_1_REFERRAL_BONUS: 'LEVEL_1_REFERRAL_BONUS',
       LEVEL_2_REFERRAL_BONUS: 'LEVEL_2_REFERRAL_BONUS',
       LEVEL_3_REFERRAL_BONUS: 'LEVEL_3_REFERRAL_BONUS',
+      REFERRAL_BONUS: 'REFERRAL_BONUS',
       WEEKLY_CHALLENGE_BONUS: 'WEEKLY_CHALLENGE_BONUS',
       ADS_VIEWING_BONUS: 'ADS_VIEWING_BONUS',
       WHEEL_SPIN_BONUS: 'WHEEL_SPIN_BONUS',
       COMMISSION_BONUS: 'COMMISSION_BONUS',
       ACADEMIC_WRITING_BONUS: 'ACADEMIC_WRITING_BONUS',
+      REFERRAL_BONUS_CLAWBACK: 'REFERRAL_BONUS_CLAWBACK',
     },
     
+    // Every transaction type that pays out a referral bonus
+    REFERRAL_BONUS_TRANSACTION_TYPES: [
+      'LEVEL_1_REFERRAL_BONUS',
+      'LEVEL_2_REFERRAL_BONUS',
+      'LEVEL_3_REFERRAL_BONUS',
+      'REFERRAL_BONUS',
+    ],
+    
     // Transaction statuses
     TRANSACTION_STATUS: {
       PENDING: 'PENDING',
@@ -70,6 +88,65 @@ export const CONSTANTS = {
       CANCELLED: 'CANCELLED',
     },
     
+    // Ledger journal entry types
+    LEDGER_ENTRY_TYPES: {
+      OPENING_BALANCE: 'OPENING_BALANCE',
+      ACTIVATION_PAYMENT: 'ACTIVATION_PAYMENT',
+      REFERRAL_BONUS_PENDING: 'REFERRAL_BONUS_PENDING',
+      REFERRAL_BONUS_RELEASE: 'REFERRAL_BONUS_RELEASE',
+      REFERRAL_BONUS_FORFEIT: 'REFERRAL_BONUS_FORFEIT',
+      REFERRAL_BONUS_CLAWBACK: 'REFERRAL_BONUS_CLAWBACK',
+      ACTIVATION_REVERSAL: 'ACTIVATION_REVERSAL',
+      DUPLICATE_ACTIVATION_PAYMENT: 'DUPLICATE_ACTIVATION_PAYMENT',
+      UNMATCHED_ACTIVATION_PAYMENT: 'UNMATCHED_ACTIVATION_PAYMENT',
+      TASK_REWARD: 'TASK_REWARD',
+      WEEKLY_BONUS: 'WEEKLY_BONUS',
+      SALES_COMMISSION: 'SALES_COMMISSION',
+      ACADEMIC_WRITING_PAYMENT: 'ACADEMIC_WRITING_PAYMENT',
+      WHEEL_SPIN_PAYOUT: 'WHEEL_SPIN_PAYOUT',
+      WITHDRAWAL_HOLD: 'WITHDRAWAL_HOLD',
+      WITHDRAWAL_PAYOUT: 'WITHDRAWAL_PAYOUT',
+      WITHDRAWAL_REFUND: 'WITHDRAWAL_REFUND',
+      BALANCE_ADJUSTMENT: 'BALANCE_ADJUSTMENT',
+    },
+    
+    // Sale review statuses
+    SALE_STATUS: {
+      PENDING: 'PENDING',
+      CONFIRMED: 'CONFIRMED',
+      REJECTED: 'REJECTED',
+    },
+    
+    // Academic writing jobs
+    WRITING_JOB_STATUS: {
+      OPEN: 'OPEN',
+      CLAIMED: 'CLAIMED',
+      SUBMITTED: 'SUBMITTED',
+      REVISION_REQUESTED: 'REVISION_REQUESTED',
+      APPROVED: 'APPROVED',
+      CANCELLED: 'CANCELLED',
+    },
+    
+    WRITING_SUBMISSION_STATUS: {
+      PENDING_REVIEW: 'PENDING_REVIEW',
+      REVISION_REQUESTED: 'REVISION_REQUESTED',
+      APPROVED: 'APPROVED',
+    },
+    
+    ACADEMIC_WRITING: {
+      MAX_ACTIVE_CLAIMS: 3, // Jobs one member may hold before submitting
+      MAX_FILE_BYTES: 5 * 1024 * 1024,
+      // Accepted upload types and the extension they are stored with
+      FILE_TYPES: {
+        'application/pdf': '.pdf',
+        'application/msword': '.doc',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+        'application/vnd.oasis.opendocument.text': '.odt',
+        'application/rtf': '.rtf',
+        'text/plain': '.txt',
+      },
+    },
+    
     // Withdrawal statuses
     WITHDRAWAL_STATUS: {
       PENDING: 'PENDING',
@@ -82,6 +159,48 @@ export const CONSTANTS = {
     EARNINGS_STATUS: {
       PENDING: 'PENDING',
       AVAILABLE: 'AVAILABLE',
+      HELD: 'HELD',
+      FORFEITED: 'FORFEITED',
+      CLAWED_BACK: 'CLAWED_BACK',
+    },
+    
+    // What caused a released referral bonus to be taken back
+    CLAWBACK_TRIGGERS: {
+      ACTIVATION_REVERSAL: 'ACTIVATION_REVERSAL',
+      FRAUD: 'FRAUD',
+    },
+    
+    // Bonuses still sitting in the referrer's pending balance
+    UNRELEASED_EARNINGS_STATUSES: ['PENDING', 'HELD'],
+    
+    // Fraud risk assessments
+    RISK_EVENTS: {
+      REGISTRATION: 'REGISTRATION',
+      ACTIVATION: 'ACTIVATION',
+    },
+    
+    RISK_REVIEW_STATUS: {
+      CLEAR: 'CLEAR',
+      FLAGGED: 'FLAGGED',
+      APPROVED: 'APPROVED',
+      REJECTED: 'REJECTED',
+    },
+    
+    // Why a user's level changed (user_level_history.reason)
+    LEVEL_CHANGE_REASONS: {
+      REFERRAL: 'REFERRAL',
+      ACTIVATION: 'ACTIVATION',
+      ACTIVATION_REVERSAL: 'ACTIVATION_REVERSAL',
+      SCHEDULED: 'SCHEDULED',
+      ADMIN: 'ADMIN',
+    },
+    
+    // Outbound SMS statuses
+    SMS_STATUS: {
+      QUEUED: 'QUEUED',
+      SENT: 'SENT',
+      DELIVERED: 'DELIVERED',
+      FAILED: 'FAILED',
     },
     
     // JWT expiration times
@@ -99,15 +218,32 @@ export const CONSTANTS = {
     DEFAULT_PAGE_SIZE: 20,
     MAX_PAGE_SIZE: 100,
     
+    // Admin roles (mirrors the AdminRole enum)
+    ADMIN_ROLES: {
+      SUPER_ADMIN: 'SUPER_ADMIN',
+      ADMIN: 'ADMIN',
+      MODERATOR: 'MODERATOR',
+      SUPPORT: 'SUPPORT',
+    },
+    
+    // Admin role descriptions shown in the admin UI
+    ROLE_DESCRIPTIONS: {
+      SUPER_ADMIN: 'Full system access and admin management',
+      ADMIN: 'User management, financial operations, and analytics',
+      MODERATOR: 'User moderation and basic financial viewing',
+      SUPPORT: 'View-only access for customer support',
+    },
+    
     // Admin role permissions
     ROLE_PERMISSIONS: {
       SUPER_ADMIN: [
         'user:read', 'user:write', 'user:delete',
         'admin:read', 'admin:write', 'admin:delete',
-        'financial:read', 'financial:write',
+        'financial:read', 'financial:write', 'financial:adjust',
         'analytics:read', 'analytics:write',
         'system:read', 'system:write',
-        'reports:read', 'reports:write'
+        'reports:read', 'reports:write',
+        'audit:read'
       ],
       ADMIN: [
         'user:read', 'user:write',
@@ -137,7 +273,7 @@ export const CONSTANTS = {
     
     // M-Pesa configuration
     MPESA: {
-      ENVIRONMENT: process.env.MPESA_ENVIRONMENT || 'sandbox',
+      ENVIRONMENT: process.env.MPESA_ENVIRONMENT || 'sandbox', // sandbox, production or simulator
       BUSINESS_SHORT_CODE: process.env.MPESA_BUSINESS_SHORT_CODE || '174379',
       PASSKEY: process.env.MPESA_PASSKEY || 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919',
       CALLBACK_URL: process.env.MPESA_CALLBACK_URL || 'https://your-domain.com/api/mpesa/callback',
@@ -175,6 +311,8 @@ export const CONSTANTS = {
       WITHDRAWAL_REQUESTED: 'Withdrawal request submitted successfully',
       TASK_COMPLETED: 'Task completed successfully',
       PASSWORD_CHANGED: 'Password changed successfully',
+      PASSWORD_RESET_REQUESTED: 'If the phone number exists, a reset code has been sent',
+      PASSWORD_RESET: 'Password reset successfully. Please log in with your new password.',
     },
     
     // Product categories
@@ -194,5 +332,8 @@ export const CONSTANTS = {
       DAILY_RESET: '0 0 * * *',      // Every day at midnight
       WEEKLY_RESET: '0 0 * * 0',     // Every Sunday at midnight
       STATS_CALCULATION: '0 1 * * *', // Every day at 1 AM
+      ACTIVATION_RECONCILIATION: '*/5 * * * *', // Every 5 minutes
+      USER_LEVEL_RECOMPUTE: '30 1 * * *', // Every day at 1:30 AM
+      WRITING_CLAIM_EXPIRY: '*/15 * * * *', // Every 15 minutes
     },
   };
\ No newline at end of file
@@ -26,6 +26,56 @@ export const verifyToken = (token, secret = process.env.JWT_SECRET) => {
   return jwt.verify(token, secret);
 };
 
+// Auth cookie utilities
+const authCookieOptions = (req, maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production' || req.headers.origin?.startsWith('https://'),
+  sameSite: req.headers.origin?.startsWith('https://') ? 'none' : 'lax',
+  maxAge,
+});
+
+export const setAuthCookies = (req, res, { accessToken, refreshToken }) => {
+  res.cookie('accessToken', accessToken, authCookieOptions(req, 15 * 60 * 1000)); // 15 minutes
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, authCookieOptions(req, 7 * 24 * 60 * 60 * 1000)); // 7 days
+  }
+};
+
+export const clearAuthCookies = (res) => {
+  // No need to pass values, just match the options used when setting them
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'none',
+  };
+
+  res.clearCookie('accessToken', options);
+  res.clearCookie('refreshToken', options);
+};
+
+// Admin role utilities
+export const normalizeAdminRole = (role) => {
+  // Older clients send lowercase roles such as 'super_admin'
+  return typeof role === 'string' ? role.trim().toUpperCase() : role;
+};
+
+export const getRolePermissions = (role) => {
+  return CONSTANTS.ROLE_PERMISSIONS[role] || [];
+};
+
+export const hasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
+
+// Tokens issued before the last password reset are no longer honoured
+export const isTokenRevoked = (decoded, passwordChangedAt) => {
+  if (!passwordChangedAt || !decoded?.iat) {
+    return false;
+  }
+
+  return decoded.iat < Math.floor(new Date(passwordChangedAt).getTime() / 1000);
+};
+
 // Phone number utilities
 export const formatPhoneNumber = (phoneNumber) => {
   // Remove all non-digit characters
@@ -63,17 +113,6 @@ export const generateReferralCode = () => {
   return result;
 };
 
-// User level calculation
-export const calculateUserLevel = (totalReferrals) => {
-  if (totalReferrals >= CONSTANTS.USER_LEVELS.GOLD.min) {
-    return 'GOLD';
-  } else if (totalReferrals >= CONSTANTS.USER_LEVELS.BRONZE.min) {
-    return 'BRONZE';
-  } else {
-    return 'SILVER';
-  }
-};
-
 // Date utilities
 export const getToday = () => {
   const today = new Date();
@@ -192,18 +231,11 @@ export const calculateReferralLevel = (referrer, referred) => {
   return 1; // For now, all direct referrals are level 1
 };
 
-// Calculate referral bonus amount
-export const calculateReferralBonus = (level) => {
-  switch (level) {
-    case 1:
-      return CONSTANTS.REFERRAL_BONUS.LEVEL_1;
-    case 2:
-      return CONSTANTS.REFERRAL_BONUS.LEVEL_2;
-    case 3:
-      return CONSTANTS.REFERRAL_BONUS.LEVEL_3;
-    default:
-      return 0;
-  }
+// Transaction type for a referral bonus; levels past 3 share one type and keep the level in metadata
+export const getReferralBonusTransactionType = (level) => {
+  return level <= 3
+    ? CONSTANTS.TRANSACTION_TYPES[`LEVEL_${level}_REFERRAL_BONUS`]
+    : CONSTANTS.TRANSACTION_TYPES.REFERRAL_BONUS;
 };
 
 // Generate transaction reference
@@ -157,10 +157,9 @@ export const validateWithdrawalRequest = (data) => {
     result.addError('amount', 'Amount is required');
   } else {
     const numAmount = parseFloat(amount);
+    // Min/max limits are admin settings, checked in requestWithdrawal
     if (isNaN(numAmount) || numAmount <= 0) {
       result.addError('amount', 'Amount must be a positive number');
-    } else if (numAmount < CONSTANTS.MIN_WITHDRAWAL_AMOUNT) {
-      result.addError('amount', `Minimum withdrawal amount is KSH ${CONSTANTS.MIN_WITHDRAWAL_AMOUNT}`);
     }
   }
 
@@ -209,6 +208,87 @@ export const validatePasswordChange = (data) => {
   return result;
 };
 
+// Password reset request validation
+export const validatePasswordResetRequest = (data) => {
+  const result = new ValidationResult();
+  const { phoneNumber } = data;
+
+  if (!phoneNumber) {
+    result.addError('phoneNumber', 'Phone number is required');
+  } else {
+    const formatted = formatPhoneNumber(phoneNumber);
+    if (!CONSTANTS.PHONE_REGEX.test('+' + formatted)) {
+      result.addError('phoneNumber', 'Invalid phone number format');
+    }
+  }
+
+  return result;
+};
+
+// Password reset validation
+export const validatePasswordReset = (data) => {
+  const result = new ValidationResult();
+  const { phoneNumber, resetCode, newPassword, confirmPassword } = data;
+
+  if (!phoneNumber) {
+    result.addError('phoneNumber', 'Phone number is required');
+  }
+
+  // Reset code validation
+  if (!resetCode) {
+    result.addError('resetCode', 'Reset code is required');
+  } else if (!/^\d{6}$/.test(resetCode)) {
+    result.addError('resetCode', 'Reset code must be 6 digits');
+  }
+
+  // New password validation
+  if (!newPassword) {
+    result.addError('newPassword', 'New password is required');
+  } else if (newPassword.length < CONSTANTS.PASSWORD_MIN_LENGTH) {
+    result.addError('newPassword', `New password must be at least ${CONSTANTS.PASSWORD_MIN_LENGTH} characters long`);
+  }
+
+  // Confirm password validation
+  if (!confirmPassword) {
+    result.addError('confirmPassword', 'Password confirmation is required');
+  } else if (newPassword !== confirmPassword) {
+    result.addError('confirmPassword', 'Passwords do not match');
+  }
+
+  return result;
+};
+
+// Admin two-factor login step: a challenge token plus either a TOTP code or a backup code
+export const validateAdminTwoFactorLogin = (data) => {
+  const result = new ValidationResult();
+  const { challengeToken, code, backupCode } = data;
+
+  if (!challengeToken) {
+    result.addError('challengeToken', 'Challenge token is required');
+  }
+
+  if (!code && !backupCode) {
+    result.addError('code', 'Authentication code or backup code is required');
+  } else if (code && !/^\d{6}$/.test(code)) {
+    result.addError('code', 'Authentication code must be 6 digits');
+  }
+
+  return result;
+};
+
+export const validateTwoFactorCode = (data) => {
+  const result = new ValidationResult();
+  const { code } = data;
+
+  if (!code) {
+    result.addError('code', 'Authentication code is required');
+  } else if (!/^\d{6}$/.test(code)) {
+    result.addError('code', 'Authentication code must be 6 digits');
+  }
+
+  return result;
+};
+
 // Profile update validation
 export const validateProfileUpdate = (data) => {
   const result = new ValidationResult();
@@ -280,7 +360,7 @@ export const validatePagination = (data) => {
 // Product sale validation
 export const validateProductSale = (data) => {
   const result = new ValidationResult();
-  const { productId, saleAmount, customerInfo } = data;
+  const { productId, saleAmount, customerInfo, promotionCode } = data;
 
   // Product ID validation
   if (!productId) {
@@ -293,9 +373,11 @@ export const validateProductSale = (data) => {
   if (!saleAmount) {
     result.addError('saleAmount', 'Sale amount is required');
   } else {
-    const amount = parseFloat(saleAmount);
-    if (isNaN(amount) || amount <= 0) {
+    const amount = Number(saleAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
       result.addError('saleAmount', 'Sale amount must be a positive number');
+    } else if (amount > CONSTANTS.MAX_SALE_AMOUNT) {
+      result.addError('saleAmount', `Sale amount cannot exceed ${CONSTANTS.MAX_SALE_AMOUNT}`);
     }
   }
 
@@ -306,6 +388,11 @@ export const validateProductSale = (data) => {
     }
   }
 
+  // Promotion code validation (optional)
+  if (promotionCode !== undefined && promotionCode !== null && typeof promotionCode !== 'string') {
+    result.addError('promotionCode', 'Promotion code must be a string');
+  }
+
   return result;
 };
 
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCents, fromCents, assertBalancedLines } from '../../src/lib/ledgerLines.js';
+
+const account = (code) => ({ code, name: code, type: 'ASSET' });
+
+test('toCents rounds to whole cents and treats missing amounts as zero', () => {
+  assert.equal(toCents('12.345'), 1235);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents(null), 0);
+  assert.equal(fromCents(1235), 12.35);
+});
+
+test('a balanced entry passes even when the float sums differ', () => {
+  assert.doesNotThrow(() => assertBalancedLines('TEST', [
+    { account: account('a'), debit: 0.1 },
+    { account: account('b'), debit: 0.2 },
+    { account: account('c'), credit: 0.3 },
+  ]));
+});
+
+test('an unbalanced entry is rejected', () => {
+  assert.throws(() => assertBalancedLines('TEST', [
+    { account: account('a'), debit: 100 },
+    { account: account('b'), credit: 99.99 },
+  ]), /Unbalanced TEST journal entry: debits 100 != credits 99.99/);
+});
+
+test('each line needs exactly one positive side', () => {
+  assert.throws(() => assertBalancedLines('TEST', [
+    { account: account('a'), debit: 10, credit: 10 },
+    { account: account('b'), credit: 0 },
+  ]), /exactly one of debit or credit/);
+
+  assert.throws(() => assertBalancedLines('TEST', [
+    { account: account('a'), debit: -10 },
+    { account: account('b'), credit: -10 },
+  ]), /exactly one of debit or credit/);
+});
+
+test('an entry needs at least two lines', () => {
+  assert.throws(() => assertBalancedLines('TEST', [{ account: account('a'), debit: 10 }]), /at least two lines/);
+  assert.throws(() => assertBalancedLines('TEST', undefined), /at least two lines/);
+});
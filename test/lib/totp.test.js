@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Encode, base32Decode, currentStep, generateCode, verifyCode } from '../../src/lib/totp.js';
+
+// RFC 6238 appendix B, HMAC-SHA1 with the ASCII seed "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+test('base32 round-trips the RFC seed', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+});
+
+test('generateCode matches the RFC 6238 SHA1 test vectors', () => {
+  for (const [seconds, expected] of RFC_VECTORS) {
+    assert.equal(generateCode(RFC_SECRET, currentStep(seconds * 1000), 8), expected, `T = ${seconds}`);
+  }
+});
+
+test('verifyCode accepts one step of drift either side and returns the matched step', () => {
+  const timestamp = 1111111111 * 1000;
+  const step = currentStep(timestamp);
+
+  for (const offset of [-1, 0, 1]) {
+    const code = generateCode(RFC_SECRET, step + offset);
+    assert.equal(verifyCode(RFC_SECRET, code, { timestamp }), step + offset);
+  }
+});
+
+test('verifyCode rejects codes outside the window and malformed input', () => {
+  const timestamp = 1111111111 * 1000;
+  const step = currentStep(timestamp);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, '12345', { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, null, { timestamp }), null);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { determineLevel } from '../../src/lib/userLevels.js';
+
+const rules = [
+  { level: 'SILVER', minReferrals: 0, minActiveReferrals: 0 },
+  { level: 'BRONZE', minReferrals: 5, minActiveReferrals: 2 },
+  { level: 'GOLD', minReferrals: 20, minActiveReferrals: 10 },
+];
+
+test('a user with no referrals stays at the lowest level', () => {
+  assert.equal(determineLevel(rules, { totalReferrals: 0, activeReferrals: 0 }), 'SILVER');
+});
+
+test('the highest level whose requirements are all met wins', () => {
+  assert.equal(determineLevel(rules, { totalReferrals: 5, activeReferrals: 2 }), 'BRONZE');
+  assert.equal(determineLevel(rules, { totalReferrals: 20, activeReferrals: 10 }), 'GOLD');
+  assert.equal(determineLevel(rules, { totalReferrals: 100, activeReferrals: 50 }), 'GOLD');
+});
+
+test('both the total and the active referral requirement must be met', () => {
+  assert.equal(determineLevel(rules, { totalReferrals: 25, activeReferrals: 1 }), 'SILVER');
+  assert.equal(determineLevel(rules, { totalReferrals: 25, activeReferrals: 9 }), 'BRONZE');
+  assert.equal(determineLevel(rules, { totalReferrals: 4, activeReferrals: 4 }), 'SILVER');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { affordableSegments, drawSegment } from '../../src/lib/wheelDraw.js';
+
+const segments = [
+  { id: 'none', amount: '0', weight: 5 },
+  { id: 'small', amount: '10.00', weight: 3 },
+  { id: 'big', amount: '500.00', weight: 2 },
+];
+
+test('each roll lands on the segment whose weight range contains it', () => {
+  const landed = [];
+  for (let roll = 0; roll < 10; roll++) {
+    const result = drawSegment(segments, () => roll);
+    assert.equal(result.totalWeight, 10);
+    assert.equal(result.roll, roll);
+    landed.push(result.segment.id);
+  }
+
+  assert.deepEqual(landed, ['none', 'none', 'none', 'none', 'none', 'small', 'small', 'small', 'big', 'big']);
+});
+
+test('the roll is drawn over the total weight', () => {
+  let bound = null;
+  drawSegment(segments, (max) => {
+    bound = max;
+    return 0;
+  });
+
+  assert.equal(bound, 10);
+});
+
+test('prizes the remaining budget cannot cover are excluded from the draw', () => {
+  assert.deepEqual(affordableSegments(segments, 499.99).map(segment => segment.id), ['none', 'small']);
+  assert.deepEqual(affordableSegments(segments, 500).map(segment => segment.id), ['none', 'small', 'big']);
+  assert.deepEqual(affordableSegments(segments, 0).map(segment => segment.id), ['none']);
+});
+
+test('a draw over affordable segments never returns an excluded prize', () => {
+  const affordable = affordableSegments(segments, 10);
+
+  for (let roll = 0; roll < 8; roll++) {
+    assert.notEqual(drawSegment(affordable, () => roll).segment.id, 'big');
+  }
+});